@@ -0,0 +1,234 @@
+'use client'
+import { useState, useEffect, useCallback } from 'react'
+import Link from 'next/link'
+import {
+  Flag,
+  MapPin,
+  Store,
+  Calendar,
+  Mail,
+  Phone,
+  Image as ImageIcon,
+  ExternalLink,
+  Loader2
+} from 'lucide-react'
+
+const STATUS_OPTIONS = [
+  { value: 'new', label: 'New' },
+  { value: 'investigating', label: 'Investigating' },
+  { value: 'confirmed', label: 'Confirmed Counterfeit' },
+  { value: 'dismissed', label: 'Dismissed' }
+]
+
+export default function CounterfeitReports() {
+  const [reports, setReports] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [filterStatus, setFilterStatus] = useState('new')
+  const [notes, setNotes] = useState({})
+  const [updatingId, setUpdatingId] = useState(null)
+
+  const loadReports = useCallback(async () => {
+    try {
+      setLoading(true)
+      const response = await fetch(`/api/admin/counterfeit-reports?status=${filterStatus}`)
+      if (response.ok) {
+        const data = await response.json()
+        setReports(data.reports || [])
+      }
+    } catch (error) {
+      console.error('Failed to load counterfeit reports:', error)
+    } finally {
+      setLoading(false)
+    }
+  }, [filterStatus])
+
+  useEffect(() => {
+    loadReports()
+  }, [loadReports])
+
+  const updateStatus = async (report, status) => {
+    try {
+      setUpdatingId(report.id)
+      const response = await fetch('/api/admin/counterfeit-reports', {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          id: report.id,
+          status,
+          notes: notes[report.id] ?? report.triage_notes
+        })
+      })
+
+      if (response.ok) {
+        await loadReports()
+      }
+    } catch (error) {
+      console.error('Failed to update counterfeit report:', error)
+    } finally {
+      setUpdatingId(null)
+    }
+  }
+
+  const getStatusColor = (status) => {
+    switch (status) {
+      case 'new': return 'bg-red-100 text-red-800'
+      case 'investigating': return 'bg-yellow-100 text-yellow-800'
+      case 'confirmed': return 'bg-purple-100 text-purple-800'
+      case 'dismissed': return 'bg-gray-100 text-gray-800'
+      default: return 'bg-gray-100 text-gray-800'
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-white shadow-sm border-b">
+        <div className="container mx-auto px-4 py-6">
+          <div className="flex items-center justify-between">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900">Counterfeit Reports</h1>
+              <p className="text-gray-600 mt-1">
+                Triage reports submitted by consumers from the verification pages
+              </p>
+            </div>
+            <select
+              value={filterStatus}
+              onChange={(e) => setFilterStatus(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-confirmsure-blue focus:border-transparent"
+            >
+              <option value="all">All Reports</option>
+              {STATUS_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+      </div>
+
+      <div className="container mx-auto px-4 py-8">
+        {loading ? (
+          <div className="animate-pulse space-y-4">
+            {[...Array(4)].map((_, i) => (
+              <div key={i} className="h-40 bg-gray-200 rounded-lg"></div>
+            ))}
+          </div>
+        ) : reports.length === 0 ? (
+          <div className="bg-white rounded-lg shadow-sm border border-gray-100 text-center py-12">
+            <Flag className="h-12 w-12 text-gray-300 mx-auto mb-4" />
+            <p className="text-gray-600">No counterfeit reports in this queue</p>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {reports.map((report) => (
+              <div key={report.id} className="bg-white rounded-lg shadow-sm border border-gray-100 p-6">
+                <div className="flex items-start justify-between mb-4">
+                  <div>
+                    <div className="flex items-center gap-3">
+                      <span className="font-mono text-lg font-semibold text-gray-900">{report.qr_code}</span>
+                      <span className={`inline-flex px-2 py-1 text-xs font-medium rounded-full ${getStatusColor(report.status)}`}>
+                        {report.status}
+                      </span>
+                    </div>
+                    <p className="text-sm text-gray-500 mt-1">
+                      {report.product ? (
+                        <>
+                          <Link href={`/product/${report.qr_code}`} className="text-confirmsure-blue hover:underline inline-flex items-center">
+                            {report.product.product_name} · {report.product.factory?.name}
+                            <ExternalLink className="h-3 w-3 ml-1" />
+                          </Link>
+                          {' · '}
+                          <Link href={`/admin/products/${report.product.id}/history`} className="text-confirmsure-blue hover:underline">
+                            Version history
+                          </Link>
+                        </>
+                      ) : (
+                        <span className="text-red-600 font-medium">Unregistered code</span>
+                      )}
+                      {' · '}Reported {new Date(report.created_at).toLocaleString()}
+                      {report.country && ` from ${[report.city, report.country].filter(Boolean).join(', ')}`}
+                    </p>
+                  </div>
+                </div>
+
+                <div className="grid md:grid-cols-3 gap-4 text-sm text-gray-700 mb-4">
+                  <div className="flex items-center">
+                    <MapPin className="h-4 w-4 mr-2 text-gray-400" />
+                    {report.purchase_location}
+                  </div>
+                  <div className="flex items-center">
+                    <Store className="h-4 w-4 mr-2 text-gray-400" />
+                    {report.seller || 'Seller not given'}
+                  </div>
+                  <div className="flex items-center">
+                    <Calendar className="h-4 w-4 mr-2 text-gray-400" />
+                    {report.purchase_date ? new Date(report.purchase_date).toLocaleDateString() : 'Date not given'}
+                  </div>
+                  {report.contact_email && (
+                    <div className="flex items-center">
+                      <Mail className="h-4 w-4 mr-2 text-gray-400" />
+                      <a href={`mailto:${report.contact_email}`} className="text-confirmsure-blue hover:underline">
+                        {report.contact_name ? `${report.contact_name} <${report.contact_email}>` : report.contact_email}
+                      </a>
+                    </div>
+                  )}
+                  {report.contact_phone && (
+                    <div className="flex items-center">
+                      <Phone className="h-4 w-4 mr-2 text-gray-400" />
+                      {report.contact_phone}
+                    </div>
+                  )}
+                </div>
+
+                {report.description && (
+                  <p className="text-gray-700 bg-gray-50 rounded-lg p-3 mb-4">{report.description}</p>
+                )}
+
+                {report.photos?.some(photo => photo.url) && (
+                  <div className="flex flex-wrap gap-2 mb-4">
+                    {/* Signed links expire; reload the list to refresh them */}
+                    {report.photos.filter(photo => photo.url).map((photo, index) => (
+                      <a
+                        key={photo.path || index}
+                        href={photo.url}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="flex items-center gap-1 border border-gray-200 rounded-lg px-3 py-1 text-sm text-confirmsure-blue hover:bg-gray-50"
+                      >
+                        <ImageIcon className="h-4 w-4" />
+                        Photo {index + 1}
+                      </a>
+                    ))}
+                  </div>
+                )}
+
+                {/* Triage */}
+                <div className="border-t pt-4 flex flex-col md:flex-row md:items-center gap-3">
+                  <input
+                    type="text"
+                    value={notes[report.id] ?? report.triage_notes ?? ''}
+                    onChange={(e) => setNotes(prev => ({ ...prev, [report.id]: e.target.value }))}
+                    placeholder="Triage notes"
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-confirmsure-blue focus:border-transparent"
+                  />
+                  <div className="flex items-center gap-2">
+                    {updatingId === report.id && <Loader2 className="h-4 w-4 animate-spin text-gray-400" />}
+                    {STATUS_OPTIONS.filter(option => option.value !== report.status).map(option => (
+                      <button
+                        key={option.value}
+                        onClick={() => updateStatus(report, option.value)}
+                        disabled={updatingId === report.id}
+                        className="px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+                      >
+                        {option.label}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,242 @@
+'use client'
+import { useState, useEffect, useCallback } from 'react'
+import {
+  KeyRound,
+  RotateCcw,
+  Ban,
+  Copy,
+  Check,
+  AlertCircle,
+  Loader2
+} from 'lucide-react'
+
+export default function DeviceKeys() {
+  const [keys, setKeys] = useState([])
+  const [scopes, setScopes] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [updatingId, setUpdatingId] = useState(null)
+  const [issuedKey, setIssuedKey] = useState(null)
+  const [copied, setCopied] = useState(false)
+  const [error, setError] = useState(null)
+
+  const loadKeys = useCallback(async () => {
+    try {
+      setLoading(true)
+      const response = await fetch('/api/admin/device-keys')
+      if (response.ok) {
+        const data = await response.json()
+        setKeys(data.keys || [])
+        setScopes(data.scopes || [])
+      }
+    } catch (error) {
+      console.error('Failed to load device keys:', error)
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    loadKeys()
+  }, [loadKeys])
+
+  const updateKey = async (key, action, body = {}) => {
+    try {
+      setUpdatingId(key.factoryId)
+      setError(null)
+      const response = await fetch('/api/admin/device-keys', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ factoryId: key.factoryId, action, ...body })
+      })
+
+      const data = await response.json()
+      if (!response.ok) {
+        setError(data.error || 'Failed to update device key')
+        return
+      }
+
+      if (data.apiKey) {
+        setIssuedKey({ factoryName: key.factoryName, apiKey: data.apiKey })
+        setCopied(false)
+      }
+      await loadKeys()
+    } catch (error) {
+      console.error('Failed to update device key:', error)
+      setError('Failed to update device key')
+    } finally {
+      setUpdatingId(null)
+    }
+  }
+
+  const rotateKey = (key) => {
+    const message = key.hasKey
+      ? `Rotate the API key for ${key.factoryName}? Devices using the current key will stop working immediately.`
+      : `Issue an API key for ${key.factoryName}?`
+    if (confirm(message)) {
+      updateKey(key, 'rotate')
+    }
+  }
+
+  const revokeKey = (key) => {
+    if (confirm(`Revoke the API key for ${key.factoryName}? Devices using it will stop working immediately.`)) {
+      updateKey(key, 'revoke')
+    }
+  }
+
+  const toggleScope = (key, scope) => {
+    const next = key.scopes.includes(scope)
+      ? key.scopes.filter(s => s !== scope)
+      : [...key.scopes, scope]
+    updateKey(key, 'scopes', { scopes: next })
+  }
+
+  const copyIssuedKey = async () => {
+    try {
+      await navigator.clipboard.writeText(issuedKey.apiKey)
+      setCopied(true)
+    } catch (error) {
+      console.error('Failed to copy API key:', error)
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-white shadow-sm border-b">
+        <div className="container mx-auto px-4 py-6">
+          <h1 className="text-3xl font-bold text-gray-900">Device API Keys</h1>
+          <p className="text-gray-600 mt-1">
+            Issue, rotate and revoke the keys factory stations use to call the device API
+          </p>
+        </div>
+      </div>
+
+      <div className="container mx-auto px-4 py-8">
+        {issuedKey && (
+          <div className="bg-green-50 border border-green-200 rounded-lg p-4 mb-6">
+            <p className="text-sm text-green-800 font-medium mb-2">
+              New API key for {issuedKey.factoryName}. Copy it now, it will not be shown again.
+            </p>
+            <div className="flex items-center gap-2">
+              <code className="flex-1 font-mono text-sm bg-white border border-green-200 rounded px-3 py-2 break-all">
+                {issuedKey.apiKey}
+              </code>
+              <button
+                onClick={copyIssuedKey}
+                className="px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 inline-flex items-center"
+              >
+                {copied ? <Check className="h-4 w-4 mr-1 text-green-600" /> : <Copy className="h-4 w-4 mr-1" />}
+                {copied ? 'Copied' : 'Copy'}
+              </button>
+              <button
+                onClick={() => setIssuedKey(null)}
+                className="px-3 py-2 text-sm font-medium text-gray-600 hover:text-gray-900"
+              >
+                Dismiss
+              </button>
+            </div>
+          </div>
+        )}
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6 flex items-center text-sm text-red-700">
+            <AlertCircle className="h-4 w-4 mr-2" />
+            {error}
+          </div>
+        )}
+
+        {loading ? (
+          <div className="animate-pulse space-y-4">
+            {[...Array(4)].map((_, i) => (
+              <div key={i} className="h-32 bg-gray-200 rounded-lg"></div>
+            ))}
+          </div>
+        ) : keys.length === 0 ? (
+          <div className="bg-white rounded-lg shadow-sm border border-gray-100 text-center py-12">
+            <KeyRound className="h-12 w-12 text-gray-300 mx-auto mb-4" />
+            <p className="text-gray-600">No factories found</p>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {keys.map((key) => (
+              <div key={key.factoryId} className="bg-white rounded-lg shadow-sm border border-gray-100 p-6">
+                <div className="flex items-start justify-between mb-4">
+                  <div>
+                    <div className="flex items-center gap-3">
+                      <span className="text-lg font-semibold text-gray-900">{key.factoryName}</span>
+                      <span className={`inline-flex px-2 py-1 text-xs font-medium rounded-full ${
+                        key.hasKey ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
+                      }`}>
+                        {key.hasKey ? 'Active key' : 'No key'}
+                      </span>
+                      {!key.isActive && (
+                        <span className="inline-flex px-2 py-1 text-xs font-medium rounded-full bg-red-100 text-red-800">
+                          Factory inactive
+                        </span>
+                      )}
+                    </div>
+                    <p className="text-sm text-gray-500 mt-1">
+                      {key.location}
+                      {key.hasKey && (
+                        <>
+                          {' · '}<span className="font-mono">••••{key.keyHint}</span>
+                          {' · '}Issued {new Date(key.issuedAt).toLocaleString()}
+                          {key.issuedBy && ` by ${key.issuedBy}`}
+                        </>
+                      )}
+                    </p>
+                    {key.hasKey && (
+                      <p className="text-sm text-gray-500 mt-1">
+                        {key.lastUsed
+                          ? `Last used ${new Date(key.lastUsed.at).toLocaleString()}${key.lastUsed.deviceId ? ` by ${key.lastUsed.deviceId}` : ''}`
+                          : 'Not used yet'}
+                      </p>
+                    )}
+                  </div>
+                  <div className="flex items-center gap-2">
+                    {updatingId === key.factoryId && <Loader2 className="h-4 w-4 animate-spin text-gray-400" />}
+                    <button
+                      onClick={() => rotateKey(key)}
+                      disabled={updatingId === key.factoryId}
+                      className="px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 inline-flex items-center"
+                    >
+                      {key.hasKey ? <RotateCcw className="h-4 w-4 mr-1" /> : <KeyRound className="h-4 w-4 mr-1" />}
+                      {key.hasKey ? 'Rotate' : 'Issue Key'}
+                    </button>
+                    {key.hasKey && (
+                      <button
+                        onClick={() => revokeKey(key)}
+                        disabled={updatingId === key.factoryId}
+                        className="px-3 py-2 border border-red-300 rounded-md text-sm font-medium text-red-700 bg-white hover:bg-red-50 disabled:opacity-50 inline-flex items-center"
+                      >
+                        <Ban className="h-4 w-4 mr-1" />
+                        Revoke
+                      </button>
+                    )}
+                  </div>
+                </div>
+
+                {/* Scopes */}
+                <div className="border-t pt-4 flex flex-wrap gap-4">
+                  {scopes.map(scope => (
+                    <label key={scope.id} className="flex items-center text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={key.scopes.includes(scope.id)}
+                        onChange={() => toggleScope(key, scope.id)}
+                        disabled={updatingId === key.factoryId}
+                        className="h-4 w-4 text-confirmsure-blue border-gray-300 rounded focus:ring-confirmsure-blue mr-2"
+                      />
+                      {scope.label}
+                      <span className="ml-1 font-mono text-xs text-gray-400">{scope.id}</span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
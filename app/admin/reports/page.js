@@ -18,6 +18,16 @@ import {
 } from 'lucide-react'
 import { format, subDays, startOfMonth, endOfMonth } from 'date-fns'
 
+// Report types from the API name their icon; map the names to components
+const REPORT_ICONS = { Building2, Package, Eye, Users, BarChart3, TrendingUp, CheckCircle }
+
+function formatFileSize(bytes) {
+  if (bytes === null || bytes === undefined) return 'Unknown size'
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`
+}
+
 export default function ComprehensiveReports() {
   const [reportTypes, setReportTypes] = useState([])
   const [generatedReports, setGeneratedReports] = useState([])
@@ -89,14 +99,10 @@ export default function ComprehensiveReports() {
       if (response.ok) {
         const result = await response.json()
         
-        if (result.downloadUrl) {
-          // Direct download
-          window.open(result.downloadUrl, '_blank')
-        } else {
-          // Report queued for generation
-          alert('Report generation started. You will be notified when it\'s ready.')
-          loadReportData() // Refresh the list
+        if (result.report?.status === 'completed') {
+          await downloadReport(result.report.id, result.report.filename)
         }
+        loadReportData() // Refresh the history
       } else {
         const error = await response.json()
         alert(`Report generation failed: ${error.error}`)
@@ -138,58 +144,23 @@ export default function ComprehensiveReports() {
     { label: 'This month', start: format(startOfMonth(new Date()), 'yyyy-MM-dd'), end: format(endOfMonth(new Date()), 'yyyy-MM-dd') }
   ]
 
-  const defaultReportTypes = [
-    {
-      id: 'factory_performance',
-      name: 'Factory Performance Report',
-      description: 'Comprehensive performance metrics for all factories',
-      icon: Building2,
-      category: 'Operations',
-      estimatedTime: '2-5 minutes'
-    },
-    {
-      id: 'product_analytics',
-      name: 'Product Analytics Report',
-      description: 'Detailed analysis of product creation and verification',
-      icon: Package,
-      category: 'Products',
-      estimatedTime: '3-7 minutes'
-    },
-    {
-      id: 'qr_scan_analysis',
-      name: 'QR Scan Analysis',
-      description: 'Customer verification patterns and geographic distribution',
-      icon: Eye,
-      category: 'Customer',
-      estimatedTime: '2-4 minutes'
-    },
-    {
-      id: 'user_activity',
-      name: 'User Activity Report',
-      description: 'User engagement and system usage analytics',
-      icon: Users,
-      category: 'Users',
-      estimatedTime: '1-3 minutes'
-    },
-    {
-      id: 'security_audit',
-      name: 'Security Audit Report',
-      description: 'Security events, failed logins, and system health',
-      icon: CheckCircle,
-      category: 'Security',
-      estimatedTime: '5-10 minutes'
-    },
-    {
-      id: 'financial_summary',
-      name: 'Financial Summary',
-      description: 'Cost analysis and ROI metrics',
-      icon: TrendingUp,
-      category: 'Finance',
-      estimatedTime: '3-6 minutes'
-    }
-  ]
+  const selectedType = reportTypes.find(reportType => reportType.id === selectedReportType)
+
+  const selectReportType = (reportTypeId) => {
+    setSelectedReportType(reportTypeId)
+    // Status values differ per report type
+    setFilters(prev => ({ ...prev, status: '' }))
+  }
 
-  const reportTypesToShow = reportTypes.length > 0 ? reportTypes : defaultReportTypes
+  const completedReports = generatedReports.filter(r => r.status === 'completed')
+  const generationSeconds = completedReports
+    .filter(r => r.completed_at)
+    .map(r => (new Date(r.completed_at) - new Date(r.created_at)) / 1000)
+  const formatCounts = completedReports.reduce((acc, r) => {
+    acc[r.format] = (acc[r.format] || 0) + 1
+    return acc
+  }, {})
+  const popularFormat = Object.entries(formatCounts).sort((a, b) => b[1] - a[1])[0]?.[0]
 
   return (
     <div className="min-h-screen bg-gray-50">
@@ -220,8 +191,8 @@ export default function ComprehensiveReports() {
                   Select Report Type
                 </label>
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                  {reportTypesToShow.map((reportType) => {
-                    const IconComponent = reportType.icon
+                  {reportTypes.map((reportType) => {
+                    const IconComponent = REPORT_ICONS[reportType.icon] || FileText
                     return (
                       <div
                         key={reportType.id}
@@ -230,7 +201,7 @@ export default function ComprehensiveReports() {
                             ? 'border-confirmsure-blue bg-blue-50'
                             : 'border-gray-300 hover:border-gray-400'
                         }`}
-                        onClick={() => setSelectedReportType(reportType.id)}
+                        onClick={() => selectReportType(reportType.id)}
                       >
                         <div className="flex items-start space-x-3">
                           <IconComponent className={`w-6 h-6 mt-1 ${
@@ -306,15 +277,30 @@ export default function ComprehensiveReports() {
                       ))}
                     </select>
 
+                    <select
+                      value={filters.status}
+                      onChange={(e) => setFilters(prev => ({ ...prev, status: e.target.value }))}
+                      disabled={!selectedType}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-confirmsure-blue focus:border-transparent disabled:bg-gray-50"
+                    >
+                      <option value="">
+                        {selectedType ? `Any ${selectedType.statusLabel.toLowerCase()}` : 'Select a report type for status filters'}
+                      </option>
+                      {selectedType?.statusOptions.map(status => (
+                        <option key={status} value={status}>
+                          {status.replace(/_/g, ' ')}
+                        </option>
+                      ))}
+                    </select>
+
                     <select
                       value={filters.format}
                       onChange={(e) => setFilters(prev => ({ ...prev, format: e.target.value }))}
                       className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-confirmsure-blue focus:border-transparent"
                     >
                       <option value="pdf">PDF Report</option>
-                      <option value="excel">Excel Spreadsheet</option>
+                      <option value="xlsx">Excel Spreadsheet</option>
                       <option value="csv">CSV Data</option>
-                      <option value="json">JSON Data</option>
                     </select>
                   </div>
                 </div>
@@ -375,8 +361,14 @@ export default function ComprehensiveReports() {
                             {format(new Date(report.created_at), 'MMM dd, HH:mm')}
                           </p>
                           <p className="text-xs text-gray-400">
-                            {report.format?.toUpperCase()} • {report.file_size || 'Unknown size'}
+                            {report.format?.toUpperCase()} • {formatFileSize(report.file_size)}
+                            {report.row_count !== null && report.row_count !== undefined && ` • ${report.row_count} rows`}
                           </p>
+                          {report.status === 'failed' && report.error_message && (
+                            <p className="text-xs text-red-600 truncate" title={report.error_message}>
+                              {report.error_message}
+                            </p>
+                          )}
                         </div>
                         
                         {report.status === 'completed' && (
@@ -420,15 +412,23 @@ export default function ComprehensiveReports() {
                   </div>
                   <div className="flex items-center justify-between">
                     <span className="text-sm text-gray-600">Avg. Generation Time</span>
-                    <span className="text-sm font-medium text-gray-900">2.3 min</span>
+                    <span className="text-sm font-medium text-gray-900">
+                      {generationSeconds.length > 0
+                        ? `${(generationSeconds.reduce((sum, seconds) => sum + seconds, 0) / generationSeconds.length).toFixed(1)} s`
+                        : 'N/A'}
+                    </span>
                   </div>
                   <div className="flex items-center justify-between">
                     <span className="text-sm text-gray-600">Total Data Exported</span>
-                    <span className="text-sm font-medium text-gray-900">847 MB</span>
+                    <span className="text-sm font-medium text-gray-900">
+                      {formatFileSize(completedReports.reduce((sum, r) => sum + (r.file_size || 0), 0))}
+                    </span>
                   </div>
                   <div className="flex items-center justify-between">
                     <span className="text-sm text-gray-600">Most Popular Format</span>
-                    <span className="text-sm font-medium text-gray-900">PDF</span>
+                    <span className="text-sm font-medium text-gray-900">
+                      {popularFormat ? popularFormat.toUpperCase() : 'N/A'}
+                    </span>
                   </div>
                 </div>
               </div>
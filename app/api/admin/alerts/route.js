@@ -1,6 +1,8 @@
 import { NextResponse } from 'next/server'
 import { getCurrentUser } from '../../../lib/auth'
-import { supabase } from '../../../lib/supabase'
+import { createClient } from '../../../lib/supabase'
+
+const supabase = createClient()
 
 export async function GET(request) {
   try {
@@ -44,6 +46,47 @@ export async function GET(request) {
       })
     }
 
+    // Check for products flagged by clone detection
+    const { data: suspiciousScans } = await supabase
+      .from('suspicious_scans')
+      .select('id, qr_code, reason, severity, occurrences, last_detected_at')
+      .eq('status', 'open')
+      .gte('last_detected_at', oneWeekAgo.toISOString())
+      .order('last_detected_at', { ascending: false })
+
+    if (suspiciousScans && suspiciousScans.length > 0) {
+      const flaggedCodes = [...new Set(suspiciousScans.map(flag => flag.qr_code))]
+
+      alerts.push({
+        type: 'counterfeit',
+        severity: 'high',
+        message: `${flaggedCodes.length} QR codes show possible clone activity`,
+        timestamp: suspiciousScans[0].last_detected_at,
+        action: 'review_suspicious_scans',
+        details: suspiciousScans.map(flag => `${flag.qr_code}: ${flag.reason.replace(/_/g, ' ')} (${flag.occurrences}x)`)
+      })
+    }
+
+    // Check for untriaged consumer counterfeit reports
+    const { data: counterfeitReports } = await supabase
+      .from('counterfeit_reports')
+      .select('id, qr_code, product_id, purchase_location, created_at')
+      .eq('status', 'new')
+      .order('created_at', { ascending: false })
+
+    if (counterfeitReports && counterfeitReports.length > 0) {
+      const unregisteredCount = counterfeitReports.filter(report => !report.product_id).length
+
+      alerts.push({
+        type: 'counterfeit',
+        severity: 'high',
+        message: `${counterfeitReports.length} consumer counterfeit reports awaiting triage (${unregisteredCount} for unregistered codes)`,
+        timestamp: counterfeitReports[0].created_at,
+        action: 'review_counterfeit_reports',
+        details: counterfeitReports.map(report => `${report.qr_code}: ${report.purchase_location}`)
+      })
+    }
+
     // Check for inactive factories
     const { data: factories } = await supabase
       .from('factories')
@@ -0,0 +1,175 @@
+import { NextResponse } from 'next/server'
+import { getCurrentUser } from '../../../lib/auth'
+import { createClient, getServiceClient } from '../../../lib/supabase'
+import { COUNTERFEIT_REPORT_STATUSES } from '../../../lib/validation'
+
+const supabase = createClient()
+
+// How long the signed photo links handed to admins stay valid
+const PHOTO_URL_TTL_SECONDS = 60 * 60
+
+/**
+ * Give each report photo a short-lived signed URL; the photo bucket is private
+ */
+async function signReportPhotos(reports) {
+  const paths = reports.flatMap(report => (report.photos || []).map(photo => photo.path)).filter(Boolean)
+  if (paths.length === 0) {
+    return reports
+  }
+
+  const { data: signed, error } = await getServiceClient().storage
+    .from('counterfeit-reports')
+    .createSignedUrls(paths, PHOTO_URL_TTL_SECONDS)
+
+  if (error) {
+    throw new Error(`Photo link signing failed: ${error.message}`)
+  }
+
+  const urls = new Map((signed || []).filter(entry => entry.signedUrl).map(entry => [entry.path, entry.signedUrl]))
+  return reports.map(report => ({
+    ...report,
+    photos: (report.photos || []).map(photo => ({ ...photo, url: urls.get(photo.path) || null }))
+  }))
+}
+
+export async function GET(request) {
+  try {
+    // Get current user
+    const user = await getCurrentUser()
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      )
+    }
+
+    // Check permissions - only admins can review counterfeit reports
+    if (user.profile.role !== 'admin') {
+      return NextResponse.json(
+        { error: 'Insufficient permissions' },
+        { status: 403 }
+      )
+    }
+
+    const { searchParams } = new URL(request.url)
+    const status = searchParams.get('status') || 'new'
+    const limit = parseInt(searchParams.get('limit')) || 50
+    const offset = parseInt(searchParams.get('offset')) || 0
+
+    let query = supabase
+      .from('counterfeit_reports')
+      .select(`
+        *,
+        product:products(id, product_name, product_type, status, factory_id, factory:factories(id, name))
+      `, { count: 'exact' })
+      .order('created_at', { ascending: false })
+
+    if (status !== 'all') {
+      query = query.eq('status', status)
+    }
+
+    query = query.range(offset, offset + limit - 1)
+
+    const { data: reports, error, count } = await query
+
+    if (error) {
+      console.error('Counterfeit reports query error:', error)
+      return NextResponse.json(
+        { error: 'Failed to fetch counterfeit reports' },
+        { status: 500 }
+      )
+    }
+
+    return NextResponse.json({
+      reports: await signReportPhotos(reports || []),
+      pagination: {
+        total: count || 0,
+        limit,
+        offset,
+        hasMore: (offset + limit) < (count || 0)
+      }
+    })
+
+  } catch (error) {
+    console.error('Counterfeit reports fetch error:', error)
+    return NextResponse.json(
+      { error: error.message || 'Failed to fetch counterfeit reports' },
+      { status: 500 }
+    )
+  }
+}
+
+export async function PATCH(request) {
+  try {
+    // Get current user
+    const user = await getCurrentUser()
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      )
+    }
+
+    // Check permissions - only admins can triage counterfeit reports
+    if (user.profile.role !== 'admin') {
+      return NextResponse.json(
+        { error: 'Insufficient permissions' },
+        { status: 403 }
+      )
+    }
+
+    const body = await request.json()
+    const { id, status, notes } = body
+
+    if (!id || !COUNTERFEIT_REPORT_STATUSES.includes(status)) {
+      return NextResponse.json(
+        { error: `Report ID and a status of ${COUNTERFEIT_REPORT_STATUSES.join(', ')} are required` },
+        { status: 400 }
+      )
+    }
+
+    const { data: report, error } = await supabase
+      .from('counterfeit_reports')
+      .update({
+        status,
+        triage_notes: notes || null,
+        reviewed_by: status === 'new' ? null : user.id,
+        reviewed_at: status === 'new' ? null : new Date().toISOString()
+      })
+      .eq('id', id)
+      .select()
+      .single()
+
+    if (error || !report) {
+      return NextResponse.json(
+        { error: 'Counterfeit report not found' },
+        { status: 404 }
+      )
+    }
+
+    // Log triage decision
+    await supabase
+      .from('audit_logs')
+      .insert([{
+        event_type: 'product',
+        event_name: 'COUNTERFEIT_REPORT_TRIAGED',
+        user_id: user.id,
+        resource_type: 'counterfeit_report',
+        resource_id: report.id,
+        metadata: {
+          product_id: report.product_id,
+          qr_code: report.qr_code,
+          status
+        }
+      }])
+
+    return NextResponse.json(report)
+
+  } catch (error) {
+    console.error('Counterfeit report update error:', error)
+    return NextResponse.json(
+      { error: error.message || 'Failed to update counterfeit report' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,190 @@
+import { NextResponse } from 'next/server'
+import { getCurrentUser } from '../../../lib/auth'
+import { createClient } from '../../../lib/supabase'
+import {
+  DEVICE_SCOPES,
+  DEVICE_SCOPE_LABELS,
+  rotateFactoryApiKey,
+  revokeFactoryApiKey,
+  updateFactoryApiKeyScopes
+} from '../../../lib/device-auth'
+
+const supabase = createClient()
+
+/**
+ * Most recent device request per factory, from the audit log
+ */
+async function getLastDeviceUse(factoryId) {
+  const { data } = await supabase
+    .from('audit_logs')
+    .select('event_name, created_at, metadata')
+    .like('event_name', 'DEVICE_%')
+    .neq('event_name', 'DEVICE_AUTH_FAILED')
+    .eq('metadata->>factory_id', factoryId)
+    .order('created_at', { ascending: false })
+    .limit(1)
+
+  const event = data?.[0]
+  return event
+    ? { at: event.created_at, event: event.event_name, deviceId: event.metadata?.device_id || null }
+    : null
+}
+
+export async function GET() {
+  try {
+    // Get current user
+    const user = await getCurrentUser()
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      )
+    }
+
+    // Check permissions - only admins can manage device keys
+    if (user.profile.role !== 'admin') {
+      return NextResponse.json(
+        { error: 'Insufficient permissions' },
+        { status: 403 }
+      )
+    }
+
+    const { data: factories, error } = await supabase
+      .from('factories')
+      .select('id, name, location, is_active, api_key_hint, api_key_scopes, api_key_issued_at, api_key_issued_by')
+      .order('name', { ascending: true })
+
+    if (error) {
+      console.error('Device keys query error:', error)
+      return NextResponse.json(
+        { error: 'Failed to fetch device keys' },
+        { status: 500 }
+      )
+    }
+
+    const issuerIds = [...new Set(factories.map(factory => factory.api_key_issued_by).filter(Boolean))]
+    const { data: issuers } = issuerIds.length > 0
+      ? await supabase.from('user_profiles').select('user_id, full_name').in('user_id', issuerIds)
+      : { data: [] }
+    const issuerNames = new Map((issuers || []).map(issuer => [issuer.user_id, issuer.full_name]))
+
+    // Keys are only shown in full once, when issued; list views get the last characters
+    const keys = await Promise.all(factories.map(async factory => ({
+      factoryId: factory.id,
+      factoryName: factory.name,
+      location: factory.location,
+      isActive: factory.is_active,
+      hasKey: Boolean(factory.api_key_issued_at),
+      keyHint: factory.api_key_issued_at ? factory.api_key_hint : null,
+      scopes: factory.api_key_scopes || [],
+      issuedAt: factory.api_key_issued_at,
+      issuedBy: issuerNames.get(factory.api_key_issued_by) || null,
+      lastUsed: factory.api_key_issued_at ? await getLastDeviceUse(factory.id) : null
+    })))
+
+    return NextResponse.json({
+      keys,
+      scopes: Object.values(DEVICE_SCOPES).map(id => ({ id, label: DEVICE_SCOPE_LABELS[id] }))
+    })
+
+  } catch (error) {
+    console.error('Device keys fetch error:', error)
+    return NextResponse.json(
+      { error: error.message || 'Failed to fetch device keys' },
+      { status: 500 }
+    )
+  }
+}
+
+export async function POST(request) {
+  try {
+    // Get current user
+    const user = await getCurrentUser()
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      )
+    }
+
+    // Check permissions - only admins can manage device keys
+    if (user.profile.role !== 'admin') {
+      return NextResponse.json(
+        { error: 'Insufficient permissions' },
+        { status: 403 }
+      )
+    }
+
+    const { factoryId, action, scopes } = await request.json()
+
+    if (!factoryId) {
+      return NextResponse.json(
+        { error: 'Factory ID is required' },
+        { status: 400 }
+      )
+    }
+
+    let result
+    let eventName
+
+    switch (action) {
+      case 'rotate':
+        result = await rotateFactoryApiKey(factoryId, user.id)
+        eventName = 'FACTORY_API_KEY_ROTATED'
+        break
+
+      case 'revoke':
+        result = { factory: await revokeFactoryApiKey(factoryId) }
+        eventName = 'FACTORY_API_KEY_REVOKED'
+        break
+
+      case 'scopes': {
+        const allowed = Object.values(DEVICE_SCOPES)
+        if (!Array.isArray(scopes) || scopes.some(scope => !allowed.includes(scope))) {
+          return NextResponse.json(
+            { error: `Scopes must be a list of: ${allowed.join(', ')}` },
+            { status: 400 }
+          )
+        }
+        result = { factory: await updateFactoryApiKeyScopes(factoryId, scopes) }
+        eventName = 'FACTORY_API_KEY_SCOPES_UPDATED'
+        break
+      }
+
+      default:
+        return NextResponse.json(
+          { error: 'Invalid action. Use "rotate", "revoke" or "scopes".' },
+          { status: 400 }
+        )
+    }
+
+    // Log key management action
+    await supabase
+      .from('audit_logs')
+      .insert([{
+        event_type: 'factory',
+        event_name: eventName,
+        user_id: user.id,
+        resource_type: 'factory',
+        resource_id: factoryId,
+        metadata: {
+          factory_id: factoryId,
+          scopes: result.factory.api_key_scopes || null
+        }
+      }])
+
+    return NextResponse.json({
+      success: true,
+      factory: result.factory,
+      // Returned once so the admin can configure the device; it is not retrievable later
+      apiKey: result.apiKey || null
+    })
+
+  } catch (error) {
+    console.error('Device key update error:', error)
+    return NextResponse.json(
+      { error: error.message || 'Failed to update device key' },
+      { status: 500 }
+    )
+  }
+}
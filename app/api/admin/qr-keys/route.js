@@ -0,0 +1,117 @@
+import { NextResponse } from 'next/server'
+import { getCurrentUser } from '../../../lib/auth'
+import { createClient } from '../../../lib/supabase'
+import { describeSigningKeys, rotateSigningKey, retireSigningKey } from '../../../lib/qr-signing'
+
+const supabase = createClient()
+
+export async function GET(request) {
+  try {
+    // Get current user
+    const user = await getCurrentUser()
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      )
+    }
+
+    // Check permissions - only admins can manage signing keys
+    if (user.profile.role !== 'admin') {
+      return NextResponse.json(
+        { error: 'Insufficient permissions' },
+        { status: 403 }
+      )
+    }
+
+    const keyring = await describeSigningKeys()
+
+    return NextResponse.json({
+      success: true,
+      ...keyring
+    })
+
+  } catch (error) {
+    console.error('QR signing keys fetch error:', error)
+    return NextResponse.json(
+      { error: error.message || 'Failed to fetch signing keys' },
+      { status: 500 }
+    )
+  }
+}
+
+export async function POST(request) {
+  try {
+    // Get current user
+    const user = await getCurrentUser()
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      )
+    }
+
+    // Check permissions - only admins can manage signing keys
+    if (user.profile.role !== 'admin') {
+      return NextResponse.json(
+        { error: 'Insufficient permissions' },
+        { status: 403 }
+      )
+    }
+
+    const body = await request.json()
+    const { action, keyId } = body
+
+    if (!keyId) {
+      return NextResponse.json(
+        { error: 'Key ID is required' },
+        { status: 400 }
+      )
+    }
+
+    let result
+
+    switch (action) {
+      case 'rotate':
+        result = await rotateSigningKey(keyId, user.id)
+        break
+
+      case 'retire':
+        result = await retireSigningKey(keyId, user.id)
+        break
+
+      default:
+        return NextResponse.json(
+          { error: 'Invalid action. Use "rotate" or "retire".' },
+          { status: 400 }
+        )
+    }
+
+    // Log key management action
+    await supabase
+      .from('audit_logs')
+      .insert([{
+        event_type: 'system',
+        event_name: action === 'rotate' ? 'QR_SIGNING_KEY_ROTATED' : 'QR_SIGNING_KEY_RETIRED',
+        user_id: user.id,
+        resource_type: 'system_setting',
+        metadata: {
+          key_id: keyId,
+          previous_key_id: result.previousKeyId || null,
+          accepted_key_ids: result.accepted_key_ids
+        }
+      }])
+
+    return NextResponse.json({
+      success: true,
+      keyring: result
+    })
+
+  } catch (error) {
+    console.error('QR signing key update error:', error)
+    return NextResponse.json(
+      { error: error.message || 'Failed to update signing keys' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,81 @@
+import { NextResponse } from 'next/server'
+import { getCurrentUser } from '../../../../../lib/auth'
+import { createClient } from '../../../../../lib/supabase'
+import { downloadReportFile } from '../../../../../lib/reports'
+import { REPORT_FORMATS } from '../../../../../lib/report-renderers'
+
+const supabase = createClient()
+
+export async function GET(request, { params }) {
+  try {
+    // Get current user
+    const user = await getCurrentUser()
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      )
+    }
+
+    // Check permissions - only admins can download reports
+    if (user.profile.role !== 'admin') {
+      return NextResponse.json(
+        { error: 'Insufficient permissions' },
+        { status: 403 }
+      )
+    }
+
+    const { data: report, error } = await supabase
+      .from('generated_reports')
+      .select('*')
+      .eq('id', params.id)
+      .single()
+
+    if (error || !report) {
+      return NextResponse.json(
+        { error: 'Report not found' },
+        { status: 404 }
+      )
+    }
+
+    if (report.status !== 'completed' || !report.file_path) {
+      return NextResponse.json(
+        { error: `Report is ${report.status} and cannot be downloaded` },
+        { status: 409 }
+      )
+    }
+
+    const buffer = await downloadReportFile(report.file_path)
+
+    // Log report download
+    await supabase
+      .from('audit_logs')
+      .insert([{
+        event_type: 'system',
+        event_name: 'REPORT_DOWNLOADED',
+        user_id: user.id,
+        resource_type: 'generated_report',
+        resource_id: report.id,
+        metadata: {
+          report_type: report.report_type,
+          format: report.format
+        }
+      }])
+
+    return new NextResponse(buffer, {
+      headers: {
+        'Content-Type': REPORT_FORMATS[report.format]?.contentType || 'application/octet-stream',
+        'Content-Disposition': `attachment; filename="${report.filename}"`,
+        'Content-Length': buffer.length.toString(),
+        'Cache-Control': 'private, no-store'
+      }
+    })
+
+  } catch (error) {
+    console.error('Report download error:', error)
+    return NextResponse.json(
+      { error: error.message || 'Failed to download report' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,82 @@
+import { NextResponse } from 'next/server'
+import { getCurrentUser } from '../../../../lib/auth'
+import { createClient } from '../../../../lib/supabase'
+import { generateReport, validateReportRequest } from '../../../../lib/reports'
+
+const supabase = createClient()
+
+export async function POST(request) {
+  try {
+    // Get current user
+    const user = await getCurrentUser()
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      )
+    }
+
+    // Check permissions - only admins can generate reports
+    if (user.profile.role !== 'admin') {
+      return NextResponse.json(
+        { error: 'Insufficient permissions' },
+        { status: 403 }
+      )
+    }
+
+    const body = await request.json()
+    const { reportType, dateRange } = body
+    const { format = 'pdf', ...filters } = body.filters || {}
+
+    const reportFilters = {
+      factory_id: filters.factory_id || null,
+      status: filters.status || null
+    }
+
+    const validationError = validateReportRequest({ reportType, format, dateRange, filters: reportFilters })
+    if (validationError) {
+      return NextResponse.json(
+        { error: validationError },
+        { status: 400 }
+      )
+    }
+
+    const report = await generateReport({
+      reportType,
+      format,
+      dateRange,
+      filters: reportFilters,
+      userId: user.id
+    })
+
+    // Log report generation
+    await supabase
+      .from('audit_logs')
+      .insert([{
+        event_type: 'system',
+        event_name: 'REPORT_GENERATED',
+        user_id: user.id,
+        resource_type: 'generated_report',
+        resource_id: report.id,
+        metadata: {
+          report_type: reportType,
+          format,
+          date_range: dateRange,
+          filters: reportFilters,
+          row_count: report.row_count
+        }
+      }])
+
+    return NextResponse.json({
+      report,
+      downloadUrl: `/api/admin/reports/${report.id}/download`
+    }, { status: 201 })
+
+  } catch (error) {
+    console.error('Report generation error:', error)
+    return NextResponse.json(
+      { error: error.message || 'Failed to generate report' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,69 @@
+import { NextResponse } from 'next/server'
+import { getCurrentUser } from '../../../../lib/auth'
+import { createClient } from '../../../../lib/supabase'
+
+const supabase = createClient()
+
+export async function GET(request) {
+  try {
+    // Get current user
+    const user = await getCurrentUser()
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      )
+    }
+
+    // Check permissions - only admins can view report history
+    if (user.profile.role !== 'admin') {
+      return NextResponse.json(
+        { error: 'Insufficient permissions' },
+        { status: 403 }
+      )
+    }
+
+    const { searchParams } = new URL(request.url)
+    const reportType = searchParams.get('type')
+    const limit = parseInt(searchParams.get('limit')) || 50
+    const offset = parseInt(searchParams.get('offset')) || 0
+
+    let query = supabase
+      .from('generated_reports')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false })
+
+    if (reportType) {
+      query = query.eq('report_type', reportType)
+    }
+
+    query = query.range(offset, offset + limit - 1)
+
+    const { data: reports, error, count } = await query
+
+    if (error) {
+      console.error('Generated reports query error:', error)
+      return NextResponse.json(
+        { error: 'Failed to fetch generated reports' },
+        { status: 500 }
+      )
+    }
+
+    return NextResponse.json({
+      reports: reports || [],
+      pagination: {
+        total: count || 0,
+        limit,
+        offset,
+        hasMore: (offset + limit) < (count || 0)
+      }
+    })
+
+  } catch (error) {
+    console.error('Generated reports fetch error:', error)
+    return NextResponse.json(
+      { error: error.message || 'Failed to fetch generated reports' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,37 @@
+import { NextResponse } from 'next/server'
+import { getCurrentUser } from '../../../../lib/auth'
+import { describeReportTypes } from '../../../../lib/reports'
+import { REPORT_FORMATS } from '../../../../lib/report-renderers'
+
+export async function GET() {
+  try {
+    // Get current user
+    const user = await getCurrentUser()
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      )
+    }
+
+    // Check permissions - only admins can generate reports
+    if (user.profile.role !== 'admin') {
+      return NextResponse.json(
+        { error: 'Insufficient permissions' },
+        { status: 403 }
+      )
+    }
+
+    return NextResponse.json({
+      reportTypes: describeReportTypes(),
+      formats: Object.entries(REPORT_FORMATS).map(([id, { label }]) => ({ id, label }))
+    })
+
+  } catch (error) {
+    console.error('Report types error:', error)
+    return NextResponse.json(
+      { error: error.message || 'Failed to fetch report types' },
+      { status: 500 }
+    )
+  }
+}
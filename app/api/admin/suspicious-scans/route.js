@@ -0,0 +1,150 @@
+import { NextResponse } from 'next/server'
+import { getCurrentUser } from '../../../lib/auth'
+import { createClient } from '../../../lib/supabase'
+
+const supabase = createClient()
+
+const FLAG_STATUSES = ['open', 'confirmed', 'dismissed']
+
+export async function GET(request) {
+  try {
+    // Get current user
+    const user = await getCurrentUser()
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      )
+    }
+
+    // Check permissions - only admins can review clone flags
+    if (user.profile.role !== 'admin') {
+      return NextResponse.json(
+        { error: 'Insufficient permissions' },
+        { status: 403 }
+      )
+    }
+
+    const { searchParams } = new URL(request.url)
+    const status = searchParams.get('status') || 'open'
+    const limit = parseInt(searchParams.get('limit')) || 50
+    const offset = parseInt(searchParams.get('offset')) || 0
+
+    let query = supabase
+      .from('suspicious_scans')
+      .select(`
+        *,
+        product:products(id, product_name, product_type, status, factory_id, factory:factories(id, name))
+      `, { count: 'exact' })
+      .order('last_detected_at', { ascending: false })
+
+    if (status !== 'all') {
+      query = query.eq('status', status)
+    }
+
+    query = query.range(offset, offset + limit - 1)
+
+    const { data: flags, error, count } = await query
+
+    if (error) {
+      console.error('Suspicious scans query error:', error)
+      return NextResponse.json(
+        { error: 'Failed to fetch suspicious scans' },
+        { status: 500 }
+      )
+    }
+
+    return NextResponse.json({
+      flags: flags || [],
+      pagination: {
+        total: count || 0,
+        limit,
+        offset,
+        hasMore: (offset + limit) < (count || 0)
+      }
+    })
+
+  } catch (error) {
+    console.error('Suspicious scans fetch error:', error)
+    return NextResponse.json(
+      { error: error.message || 'Failed to fetch suspicious scans' },
+      { status: 500 }
+    )
+  }
+}
+
+export async function PATCH(request) {
+  try {
+    // Get current user
+    const user = await getCurrentUser()
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      )
+    }
+
+    // Check permissions - only admins can resolve clone flags
+    if (user.profile.role !== 'admin') {
+      return NextResponse.json(
+        { error: 'Insufficient permissions' },
+        { status: 403 }
+      )
+    }
+
+    const body = await request.json()
+    const { id, status, notes } = body
+
+    if (!id || !FLAG_STATUSES.includes(status)) {
+      return NextResponse.json(
+        { error: `Flag ID and a status of ${FLAG_STATUSES.join(', ')} are required` },
+        { status: 400 }
+      )
+    }
+
+    const { data: flag, error } = await supabase
+      .from('suspicious_scans')
+      .update({
+        status,
+        resolution_notes: notes || null,
+        resolved_by: status === 'open' ? null : user.id,
+        resolved_at: status === 'open' ? null : new Date().toISOString()
+      })
+      .eq('id', id)
+      .select()
+      .single()
+
+    if (error || !flag) {
+      return NextResponse.json(
+        { error: 'Suspicious scan flag not found' },
+        { status: 404 }
+      )
+    }
+
+    // Log flag resolution
+    await supabase
+      .from('audit_logs')
+      .insert([{
+        event_type: 'product',
+        event_name: 'SUSPICIOUS_SCAN_RESOLVED',
+        user_id: user.id,
+        resource_type: 'suspicious_scan',
+        resource_id: flag.id,
+        metadata: {
+          product_id: flag.product_id,
+          qr_code: flag.qr_code,
+          reason: flag.reason,
+          status
+        }
+      }])
+
+    return NextResponse.json(flag)
+
+  } catch (error) {
+    console.error('Suspicious scan update error:', error)
+    return NextResponse.json(
+      { error: error.message || 'Failed to update suspicious scan' },
+      { status: 500 }
+    )
+  }
+}
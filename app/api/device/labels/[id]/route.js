@@ -0,0 +1,85 @@
+import { NextResponse } from 'next/server'
+import { createClient } from '../../../../lib/supabase'
+import { authenticateDevice, logDeviceEvent, DEVICE_SCOPES } from '../../../../lib/device-auth'
+import { reportLabelJobResult } from '../../../../lib/label-jobs'
+
+const supabase = createClient()
+
+// Report the outcome of a claimed label: { status: 'printed' | 'failed', error }
+export async function PATCH(request, { params }) {
+  try {
+    const { device, error: authError, status } = await authenticateDevice(request, DEVICE_SCOPES.LABELS_PRINT)
+    if (authError) {
+      return NextResponse.json({ error: authError }, { status })
+    }
+
+    const body = await request.json()
+
+    if (!['printed', 'failed'].includes(body.status)) {
+      return NextResponse.json(
+        { error: 'Status must be "printed" or "failed"' },
+        { status: 400 }
+      )
+    }
+
+    const { data: job, error } = await supabase
+      .from('label_print_jobs')
+      .select('*')
+      .eq('id', params.id)
+      .single()
+
+    if (error || !job || job.factory_id !== device.factoryId) {
+      return NextResponse.json(
+        { error: 'Label job not found' },
+        { status: 404 }
+      )
+    }
+
+    if (job.status !== 'printing') {
+      return NextResponse.json(
+        { error: `Label job is ${job.status}` },
+        { status: 409 }
+      )
+    }
+
+    const updated = await reportLabelJobResult(job, {
+      status: body.status,
+      errorMessage: typeof body.error === 'string' ? body.error.slice(0, 500) : null
+    })
+
+    if (!updated) {
+      return NextResponse.json(
+        { error: 'Label job status changed, it may have been handed to another printer' },
+        { status: 409 }
+      )
+    }
+
+    await logDeviceEvent(request, device, body.status === 'printed' ? 'DEVICE_LABEL_PRINTED' : 'DEVICE_LABEL_FAILED', {
+      resourceType: 'label_print_job',
+      resourceId: job.id,
+      metadata: {
+        product_id: job.product_id,
+        attempt: job.attempts,
+        status: updated.status,
+        error: updated.error_message
+      }
+    })
+
+    return NextResponse.json({
+      success: true,
+      job: {
+        id: updated.id,
+        status: updated.status,
+        attempts: updated.attempts,
+        printed_at: updated.printed_at
+      }
+    })
+
+  } catch (error) {
+    console.error('Device label status error:', error)
+    return NextResponse.json(
+      { error: error.message || 'Failed to update label status' },
+      { status: 500 }
+    )
+  }
+}
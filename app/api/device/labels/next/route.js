@@ -0,0 +1,41 @@
+import { NextResponse } from 'next/server'
+import { authenticateDevice, logDeviceEvent, DEVICE_SCOPES } from '../../../../lib/device-auth'
+import { claimNextLabelJob } from '../../../../lib/label-jobs'
+
+// Claim the next queued label for a printer station; 204 when the queue is empty
+export async function POST(request) {
+  try {
+    const { device, error: authError, status } = await authenticateDevice(request, DEVICE_SCOPES.LABELS_PRINT)
+    if (authError) {
+      return NextResponse.json({ error: authError }, { status })
+    }
+
+    const job = await claimNextLabelJob(device.factoryId, device.deviceId)
+
+    if (!job) {
+      return new NextResponse(null, { status: 204 })
+    }
+
+    await logDeviceEvent(request, device, 'DEVICE_LABEL_CLAIMED', {
+      resourceType: 'label_print_job',
+      resourceId: job.id,
+      metadata: {
+        product_id: job.product.id,
+        qr_code: job.qrCode,
+        attempt: job.attempt
+      }
+    })
+
+    return NextResponse.json({
+      success: true,
+      job
+    })
+
+  } catch (error) {
+    console.error('Device label claim error:', error)
+    return NextResponse.json(
+      { error: error.message || 'Failed to fetch next label' },
+      { status: 500 }
+    )
+  }
+}
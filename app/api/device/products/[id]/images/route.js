@@ -0,0 +1,144 @@
+import { NextResponse } from 'next/server'
+import { createClient } from '../../../../../lib/supabase'
+import { authenticateDevice, logDeviceEvent, DEVICE_SCOPES } from '../../../../../lib/device-auth'
+import { processAndUploadImage, validateImageFile } from '../../../../../lib/image-processing'
+
+const supabase = createClient()
+
+const MAX_FILES = 6
+const IMAGE_TYPES = ['product', 'marker', 'packaging']
+
+// Upload images captured by a factory camera station
+export async function POST(request, { params }) {
+  try {
+    const { device, error: authError, status } = await authenticateDevice(request, DEVICE_SCOPES.IMAGES_UPLOAD)
+    if (authError) {
+      return NextResponse.json({ error: authError }, { status })
+    }
+
+    const { data: product, error: productError } = await supabase
+      .from('products')
+      .select('id, factory_id')
+      .eq('id', params.id)
+      .single()
+
+    // Products of other factories are reported as missing
+    if (productError || !product || product.factory_id !== device.factoryId) {
+      return NextResponse.json(
+        { error: 'Product not found' },
+        { status: 404 }
+      )
+    }
+
+    const formData = await request.formData()
+    const files = formData.getAll('files')
+    const imageType = formData.get('imageType') || 'product'
+    const angleDescription = formData.get('angleDescription')
+    const isPrimary = formData.get('isPrimary') === 'true'
+
+    if (files.length === 0) {
+      return NextResponse.json(
+        { error: 'No files provided' },
+        { status: 400 }
+      )
+    }
+
+    if (files.length > MAX_FILES) {
+      return NextResponse.json(
+        { error: `Maximum ${MAX_FILES} files allowed per upload` },
+        { status: 400 }
+      )
+    }
+
+    if (!IMAGE_TYPES.includes(imageType)) {
+      return NextResponse.json(
+        { error: `Image type must be one of: ${IMAGE_TYPES.join(', ')}` },
+        { status: 400 }
+      )
+    }
+
+    const validationErrors = []
+    files.forEach((file, index) => {
+      const validation = validateImageFile(file)
+      if (!validation.isValid) {
+        validationErrors.push({
+          fileIndex: index,
+          fileName: file.name,
+          errors: validation.errors
+        })
+      }
+    })
+
+    if (validationErrors.length > 0) {
+      return NextResponse.json(
+        {
+          error: 'File validation failed',
+          validationErrors
+        },
+        { status: 400 }
+      )
+    }
+
+    const images = []
+    for (const [index, file] of files.entries()) {
+      const primary = isPrimary && index === 0
+      const result = await processAndUploadImage(file, product.id, { isPrimary: primary })
+
+      const { data: imageRecord, error: dbError } = await supabase
+        .from('product_images')
+        .insert([{
+          product_id: product.id,
+          image_url: result.main.publicUrl,
+          thumbnail_url: result.thumbnail.publicUrl,
+          image_type: imageType,
+          angle_description: angleDescription,
+          is_primary: primary,
+          file_size: result.processing.processedSize,
+          dimensions: {
+            width: result.main.metadata.width,
+            height: result.main.metadata.height
+          },
+          metadata: {
+            originalSize: result.processing.originalSize,
+            compressionRatio: result.main.metadata.compressionRatio,
+            processed: true,
+            source: 'device',
+            device_id: device.deviceId
+          }
+        }])
+        .select()
+        .single()
+
+      if (dbError) {
+        console.error('Device image record error:', dbError)
+        return NextResponse.json(
+          { error: 'Failed to save image record', images },
+          { status: 500 }
+        )
+      }
+
+      images.push(imageRecord)
+    }
+
+    await logDeviceEvent(request, device, 'DEVICE_IMAGES_UPLOADED', {
+      resourceType: 'product',
+      resourceId: product.id,
+      metadata: {
+        image_count: images.length,
+        image_type: imageType
+      }
+    })
+
+    return NextResponse.json({
+      success: true,
+      images
+    }, { status: 201 })
+
+  } catch (error) {
+    console.error('Device image upload error:', error)
+    return NextResponse.json(
+      { error: error.message || 'Image upload failed' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,126 @@
+import { NextResponse } from 'next/server'
+import { createClient } from '../../../lib/supabase'
+import { authenticateDevice, logDeviceEvent, DEVICE_SCOPES } from '../../../lib/device-auth'
+import { productSchema, formatValidationErrors } from '../../../lib/validation'
+import { pickProductFields } from '../../../lib/batch-columns'
+import { resolveProductQRCode, bindReservation, releaseReservation } from '../../../lib/qr-pools'
+import { queueLabelPrintJobs } from '../../../lib/label-jobs'
+
+const supabase = createClient()
+
+// Register a product from a factory capture station
+export async function POST(request) {
+  try {
+    const { device, error: authError, status } = await authenticateDevice(request, DEVICE_SCOPES.PRODUCTS_REGISTER)
+    if (authError) {
+      return NextResponse.json({ error: authError }, { status })
+    }
+
+    if (!device.issuedBy) {
+      return NextResponse.json(
+        { error: 'API key has no issuing user; rotate it from the admin UI' },
+        { status: 409 }
+      )
+    }
+
+    const body = await request.json()
+    const productData = {
+      ...pickProductFields(body),
+      factory_id: device.factoryId
+    }
+
+    const validation = productSchema.safeParse(productData)
+    if (!validation.success) {
+      return NextResponse.json(
+        {
+          error: 'Validation failed',
+          validationErrors: formatValidationErrors(validation.error)
+        },
+        { status: 400 }
+      )
+    }
+
+    // Stations scanning pre-printed labels send the label's code; it must be reserved for this factory
+    const resolved = await resolveProductQRCode({
+      factoryId: device.factoryId,
+      qrCode: typeof body.qr_code === 'string' ? body.qr_code.trim() : null,
+      poolId: body.pool_id,
+      requireReservation: true
+    })
+
+    if (resolved.error) {
+      return NextResponse.json(
+        { error: resolved.error },
+        { status: resolved.status }
+      )
+    }
+
+    const { data: product, error } = await supabase
+      .from('products')
+      .insert([{
+        ...productData,
+        qr_code: resolved.qrCode,
+        created_by: device.issuedBy,
+        status: 'draft',
+        metadata: {
+          source: 'device',
+          device_id: device.deviceId
+        }
+      }])
+      .select('id, qr_code, product_name, status, created_at')
+      .single()
+
+    if (error) {
+      console.error('Device product creation error:', error)
+      if (resolved.reservation) {
+        await releaseReservation(resolved.qrCode)
+      }
+      return NextResponse.json(
+        { error: 'Failed to register product' },
+        { status: 500 }
+      )
+    }
+
+    if (resolved.reservation) {
+      await bindReservation(product.qr_code, product.id)
+    }
+
+    // Optionally queue the label so a printer station picks it up
+    let labelJob = null
+    if (body.print_label) {
+      try {
+        [labelJob] = await queueLabelPrintJobs({
+          factoryId: device.factoryId,
+          productIds: [product.id],
+          copies: body.copies
+        })
+      } catch (jobError) {
+        console.error('Label job creation error:', jobError)
+      }
+    }
+
+    await logDeviceEvent(request, device, 'DEVICE_PRODUCT_REGISTERED', {
+      resourceType: 'product',
+      resourceId: product.id,
+      metadata: {
+        product_name: product.product_name,
+        qr_code: product.qr_code,
+        qr_pool_id: resolved.reservation?.pool_id || null,
+        label_job_id: labelJob?.id || null
+      }
+    })
+
+    return NextResponse.json({
+      success: true,
+      product,
+      labelJob
+    }, { status: 201 })
+
+  } catch (error) {
+    console.error('Device product registration error:', error)
+    return NextResponse.json(
+      { error: error.message || 'Product registration failed' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,183 @@
+import { NextResponse } from 'next/server'
+import { getCurrentUser, hasPermission, PERMISSIONS } from '../../../../lib/auth'
+import { createClient } from '../../../../lib/supabase'
+import { validateImageFile } from '../../../../lib/image-processing'
+import {
+  generateQRCodeWithLogo,
+  getFactoryLogo,
+  saveFactoryLogo,
+  removeFactoryLogo
+} from '../../../../lib/qr-generator'
+
+const supabase = createClient()
+
+const MAX_LOGO_SIZE = 2 * 1024 * 1024 // 2MB
+
+// Sample code used to preview how the logo embeds
+const PREVIEW_QR_CODE = 'CS-000000'
+
+/**
+ * Resolve the user and check they may manage this factory's logo
+ */
+async function authorize(factoryId, permission) {
+  const user = await getCurrentUser()
+  if (!user) {
+    return { error: 'Authentication required', status: 401 }
+  }
+
+  if (!hasPermission(user, permission)) {
+    return { error: 'Insufficient permissions', status: 403 }
+  }
+
+  if (user.profile.role !== 'admin' && user.profile.factory_id !== factoryId) {
+    return { error: 'Access denied to this factory', status: 403 }
+  }
+
+  return { user }
+}
+
+async function buildPreview(logoBuffer) {
+  const preview = await generateQRCodeWithLogo(PREVIEW_QR_CODE, logoBuffer, { width: 256 })
+
+  return {
+    dataURL: preview.dataURL,
+    hasLogo: preview.hasLogo,
+    logo: preview.logo || null,
+    warning: preview.logoWarning || null
+  }
+}
+
+export async function GET(request, { params }) {
+  try {
+    const { error: authError, status } = await authorize(params.id, PERMISSIONS.FACTORIES.READ)
+    if (authError) {
+      return NextResponse.json({ error: authError }, { status })
+    }
+
+    const { data: factory, error } = await supabase
+      .from('factories')
+      .select('id, settings')
+      .eq('id', params.id)
+      .single()
+
+    if (error || !factory) {
+      return NextResponse.json(
+        { error: 'Factory not found' },
+        { status: 404 }
+      )
+    }
+
+    const logo = factory.settings?.qr_logo || null
+    const logoBuffer = logo ? await getFactoryLogo(factory.id) : null
+
+    return NextResponse.json({
+      logo,
+      preview: logoBuffer ? await buildPreview(logoBuffer) : null
+    })
+
+  } catch (error) {
+    console.error('Factory logo fetch error:', error)
+    return NextResponse.json(
+      { error: error.message || 'Failed to fetch factory logo' },
+      { status: 500 }
+    )
+  }
+}
+
+export async function POST(request, { params }) {
+  try {
+    const { user, error: authError, status } = await authorize(params.id, PERMISSIONS.FACTORIES.UPDATE)
+    if (authError) {
+      return NextResponse.json({ error: authError }, { status })
+    }
+
+    const formData = await request.formData()
+    const file = formData.get('logo')
+
+    const validation = validateImageFile(file)
+    if (!validation.isValid) {
+      return NextResponse.json(
+        { error: validation.errors.join(', ') },
+        { status: 400 }
+      )
+    }
+
+    if (file.size > MAX_LOGO_SIZE) {
+      return NextResponse.json(
+        { error: `Logo must be smaller than ${MAX_LOGO_SIZE / 1024 / 1024}MB` },
+        { status: 400 }
+      )
+    }
+
+    const { buffer, settings } = await saveFactoryLogo(params.id, Buffer.from(await file.arrayBuffer()), user.id)
+    const preview = await buildPreview(buffer)
+
+    // Log logo change
+    await supabase
+      .from('audit_logs')
+      .insert([{
+        event_type: 'factory',
+        event_name: 'FACTORY_QR_LOGO_UPDATED',
+        user_id: user.id,
+        resource_type: 'factory',
+        resource_id: params.id,
+        metadata: {
+          path: settings.path,
+          embeds: preview.hasLogo,
+          logo_modules: preview.logo?.modules || null
+        }
+      }])
+
+    return NextResponse.json({
+      success: true,
+      logo: settings,
+      preview
+    })
+
+  } catch (error) {
+    console.error('Factory logo upload error:', error)
+    return NextResponse.json(
+      { error: error.message || 'Failed to upload factory logo' },
+      { status: 500 }
+    )
+  }
+}
+
+export async function DELETE(request, { params }) {
+  try {
+    const { user, error: authError, status } = await authorize(params.id, PERMISSIONS.FACTORIES.UPDATE)
+    if (authError) {
+      return NextResponse.json({ error: authError }, { status })
+    }
+
+    const removed = await removeFactoryLogo(params.id)
+
+    if (!removed) {
+      return NextResponse.json(
+        { error: 'Factory has no QR logo' },
+        { status: 404 }
+      )
+    }
+
+    // Log logo removal
+    await supabase
+      .from('audit_logs')
+      .insert([{
+        event_type: 'factory',
+        event_name: 'FACTORY_QR_LOGO_REMOVED',
+        user_id: user.id,
+        resource_type: 'factory',
+        resource_id: params.id,
+        metadata: {}
+      }])
+
+    return NextResponse.json({ success: true })
+
+  } catch (error) {
+    console.error('Factory logo removal error:', error)
+    return NextResponse.json(
+      { error: error.message || 'Failed to remove factory logo' },
+      { status: 500 }
+    )
+  }
+}
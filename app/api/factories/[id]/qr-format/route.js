@@ -0,0 +1,150 @@
+import { NextResponse } from 'next/server'
+import { getCurrentUser, hasPermission, PERMISSIONS } from '../../../../lib/auth'
+import { createClient } from '../../../../lib/supabase'
+import { qrCodeFormatSchema, formatValidationErrors } from '../../../../lib/validation'
+import { getQRCodeFormat, saveFactoryQRCodeFormat } from '../../../../lib/qr-generator'
+import { describeQRCodeFormat, QR_CODE_FORMATS } from '../../../../lib/qr-code-format'
+
+const supabase = createClient()
+
+/**
+ * Resolve the user and check they may manage this factory's code format
+ */
+async function authorize(factoryId, permission) {
+  const user = await getCurrentUser()
+  if (!user) {
+    return { error: 'Authentication required', status: 401 }
+  }
+
+  if (!hasPermission(user, permission)) {
+    return { error: 'Insufficient permissions', status: 403 }
+  }
+
+  if (user.profile.role !== 'admin' && user.profile.factory_id !== factoryId) {
+    return { error: 'Access denied to this factory', status: 403 }
+  }
+
+  return { user }
+}
+
+async function describeFactoryFormat(factoryId) {
+  const [systemFormat, format] = await Promise.all([getQRCodeFormat(), getQRCodeFormat(factoryId)])
+
+  return {
+    format,
+    example: describeQRCodeFormat(format),
+    systemFormat,
+    formats: Object.entries(QR_CODE_FORMATS).map(([id, option]) => ({ id, label: option.label }))
+  }
+}
+
+export async function GET(request, { params }) {
+  try {
+    const { error: authError, status } = await authorize(params.id, PERMISSIONS.FACTORIES.READ)
+    if (authError) {
+      return NextResponse.json({ error: authError }, { status })
+    }
+
+    return NextResponse.json(await describeFactoryFormat(params.id))
+
+  } catch (error) {
+    console.error('QR code format fetch error:', error)
+    return NextResponse.json(
+      { error: error.message || 'Failed to fetch QR code format' },
+      { status: 500 }
+    )
+  }
+}
+
+// Set the factory's format override; existing codes keep working in any format
+export async function PUT(request, { params }) {
+  try {
+    const { user, error: authError, status } = await authorize(params.id, PERMISSIONS.FACTORIES.UPDATE)
+    if (authError) {
+      return NextResponse.json({ error: authError }, { status })
+    }
+
+    const validation = qrCodeFormatSchema.safeParse(await request.json())
+    if (!validation.success) {
+      return NextResponse.json(
+        {
+          error: 'Validation failed',
+          validationErrors: formatValidationErrors(validation.error)
+        },
+        { status: 400 }
+      )
+    }
+
+    const { previous } = await saveFactoryQRCodeFormat(params.id, validation.data, user.id)
+
+    // Log format change
+    await supabase
+      .from('audit_logs')
+      .insert([{
+        event_type: 'factory',
+        event_name: 'FACTORY_QR_FORMAT_UPDATED',
+        user_id: user.id,
+        resource_type: 'factory',
+        resource_id: params.id,
+        metadata: {
+          previous,
+          format: validation.data
+        }
+      }])
+
+    return NextResponse.json({
+      success: true,
+      ...(await describeFactoryFormat(params.id))
+    })
+
+  } catch (error) {
+    console.error('QR code format update error:', error)
+    return NextResponse.json(
+      { error: error.message || 'Failed to update QR code format' },
+      { status: 500 }
+    )
+  }
+}
+
+// Drop the override so the factory uses the system format again
+export async function DELETE(request, { params }) {
+  try {
+    const { user, error: authError, status } = await authorize(params.id, PERMISSIONS.FACTORIES.UPDATE)
+    if (authError) {
+      return NextResponse.json({ error: authError }, { status })
+    }
+
+    const { previous } = await saveFactoryQRCodeFormat(params.id, null, user.id)
+
+    if (!previous) {
+      return NextResponse.json(
+        { error: 'Factory has no QR code format override' },
+        { status: 404 }
+      )
+    }
+
+    // Log format reset
+    await supabase
+      .from('audit_logs')
+      .insert([{
+        event_type: 'factory',
+        event_name: 'FACTORY_QR_FORMAT_RESET',
+        user_id: user.id,
+        resource_type: 'factory',
+        resource_id: params.id,
+        metadata: { previous }
+      }])
+
+    return NextResponse.json({
+      success: true,
+      ...(await describeFactoryFormat(params.id))
+    })
+
+  } catch (error) {
+    console.error('QR code format reset error:', error)
+    return NextResponse.json(
+      { error: error.message || 'Failed to reset QR code format' },
+      { status: 500 }
+    )
+  }
+}
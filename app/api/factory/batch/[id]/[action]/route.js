@@ -0,0 +1,126 @@
+import { NextResponse } from 'next/server'
+import { getCurrentUser, hasPermission, PERMISSIONS } from '../../../../../lib/auth'
+import { createClient } from '../../../../../lib/supabase'
+import { BATCH_ACTIONS, applyBatchAction, processBatchOperations } from '../../../../../lib/batch-runner'
+
+const supabase = createClient()
+
+// Run a short slice inline so small batches finish without waiting for the worker
+const INLINE_TIME_BUDGET_MS = 8000
+
+export async function POST(request, { params }) {
+  try {
+    // Get current user
+    const user = await getCurrentUser()
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      )
+    }
+
+    // Check permissions
+    if (!hasPermission(user, PERMISSIONS.PRODUCTS.CREATE)) {
+      return NextResponse.json(
+        { error: 'Insufficient permissions' },
+        { status: 403 }
+      )
+    }
+
+    const transition = BATCH_ACTIONS[params.action]
+    if (!transition) {
+      return NextResponse.json(
+        { error: `Unknown batch action: ${params.action}` },
+        { status: 404 }
+      )
+    }
+
+    const { data: operation, error } = await supabase
+      .from('batch_operations')
+      .select('*')
+      .eq('id', params.id)
+      .single()
+
+    if (error || !operation) {
+      return NextResponse.json(
+        { error: 'Batch operation not found' },
+        { status: 404 }
+      )
+    }
+
+    // Check factory access
+    if (user.profile.role !== 'admin' && user.profile.factory_id !== operation.factory_id) {
+      return NextResponse.json(
+        { error: 'Access denied' },
+        { status: 403 }
+      )
+    }
+
+    if (!transition.from.includes(operation.status)) {
+      return NextResponse.json(
+        { error: `Cannot ${params.action} a batch operation that is ${operation.status}` },
+        { status: 409 }
+      )
+    }
+
+    if (params.action === 'retry-failed' && !operation.failed_items) {
+      return NextResponse.json(
+        { error: 'Batch operation has no failed items to retry' },
+        { status: 409 }
+      )
+    }
+
+    const updated = await applyBatchAction(operation, params.action)
+    if (!updated) {
+      return NextResponse.json(
+        { error: 'Batch operation status changed, please refresh and try again' },
+        { status: 409 }
+      )
+    }
+
+    // Log batch action
+    await supabase
+      .from('audit_logs')
+      .insert([{
+        event_type: 'product',
+        event_name: `BATCH_OPERATION_${params.action.replace('-', '_').toUpperCase()}`,
+        user_id: user.id,
+        resource_type: 'batch_operation',
+        resource_id: operation.id,
+        metadata: {
+          operation_type: operation.operation_type,
+          previous_status: operation.status,
+          status: updated.status,
+          factory_id: operation.factory_id
+        }
+      }])
+
+    let result = updated
+    if (updated.status === 'running') {
+      try {
+        const [slice] = await processBatchOperations({
+          operationId: operation.id,
+          timeBudgetMs: INLINE_TIME_BUDGET_MS
+        })
+        if (slice?.status) {
+          result = { ...updated, ...slice }
+        }
+      } catch (sliceError) {
+        // The background worker picks the operation up on its next run
+        console.error('Inline batch processing error:', sliceError)
+      }
+    }
+
+    return NextResponse.json({
+      success: true,
+      operation: result
+    })
+
+  } catch (error) {
+    console.error('Batch action error:', error)
+    return NextResponse.json(
+      { error: error.message || 'Batch action failed' },
+      { status: 500 }
+    )
+  }
+}
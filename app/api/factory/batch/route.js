@@ -1,9 +1,11 @@
 import { NextResponse } from 'next/server'
 import { getCurrentUser, hasPermission, PERMISSIONS } from '../../../lib/auth'
 import { createClient } from '../../../lib/supabase'
+import { parseSpreadsheet } from '../../../lib/spreadsheet'
+import { BATCH_REQUIRED_FIELDS } from '../../../lib/batch-columns'
+import { validateBatchRows } from '../../../lib/batch-validation'
 
 const supabase = createClient()
-import { generateUniqueQRCode } from '../../../lib/qr-generator'
 
 export async function POST(request) {
   try {
@@ -27,6 +29,8 @@ export async function POST(request) {
     const formData = await request.formData()
     const file = formData.get('file')
     const operationType = formData.get('operation_type')
+    const dryRun = formData.get('dry_run') === 'true'
+    const validOnly = formData.get('valid_only') === 'true'
 
     if (!file) {
       return NextResponse.json(
@@ -35,34 +39,18 @@ export async function POST(request) {
       )
     }
 
-    // Validate file type
-    const allowedTypes = [
-      'text/csv',
-      'application/vnd.ms-excel',
-      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
-    ]
-
-    if (!allowedTypes.includes(file.type)) {
+    if (!BATCH_REQUIRED_FIELDS[operationType]) {
       return NextResponse.json(
-        { error: 'Invalid file type. Please upload CSV or Excel files only.' },
+        { error: 'Invalid operation type' },
         { status: 400 }
       )
     }
 
     // Read and parse file
-    const fileBuffer = await file.arrayBuffer()
-    const fileContent = Buffer.from(fileBuffer).toString('utf-8')
-    
-    let items = []
-    
+    let parsed
+
     try {
-      // Parse CSV (simple implementation)
-      if (file.type === 'text/csv') {
-        items = parseCSV(fileContent)
-      } else {
-        // For Excel files, you'd need a library like 'xlsx'
-        throw new Error('Excel parsing not implemented. Please use CSV files.')
-      }
+      parsed = await parseSpreadsheet(file)
     } catch (parseError) {
       return NextResponse.json(
         { error: `File parsing failed: ${parseError.message}` },
@@ -70,25 +58,50 @@ export async function POST(request) {
       )
     }
 
-    if (items.length === 0) {
+    if (parsed.rows.length === 0 && parsed.errors.length === 0) {
       return NextResponse.json(
         { error: 'No valid data found in file' },
         { status: 400 }
       )
     }
 
-    if (items.length > 1000) {
+    if (parsed.rows.length + parsed.errors.length > 1000) {
       return NextResponse.json(
         { error: 'File contains too many items. Maximum 1000 items per batch.' },
         { status: 400 }
       )
     }
 
-    // Validate items based on operation type
-    const validationResult = validateBatchItems(items, operationType)
-    if (!validationResult.isValid) {
+    // Validate every row; malformed rows from the parser are reported alongside
+    const report = await validateBatchRows(parsed.rows, operationType, {
+      factoryId: user.profile.factory_id,
+      parseErrors: parsed.errors
+    })
+
+    if (dryRun) {
+      return NextResponse.json({
+        success: true,
+        dryRun: true,
+        report
+      })
+    }
+
+    if (report.summary.invalid > 0 && !validOnly) {
       return NextResponse.json(
-        { error: validationResult.error },
+        {
+          error: `${report.summary.invalid} of ${report.summary.total} rows have errors. Fix them or import only the valid rows.`,
+          report
+        },
+        { status: 400 }
+      )
+    }
+
+    const validRows = new Set(report.rows.filter(entry => entry.valid).map(entry => entry.row))
+    const items = parsed.rows.filter(item => validRows.has(item.row))
+
+    if (items.length === 0) {
+      return NextResponse.json(
+        { error: 'No valid rows to import', report },
         { status: 400 }
       )
     }
@@ -115,9 +128,10 @@ export async function POST(request) {
     }
 
     // Create batch operation items
-    const batchItems = items.map((item, index) => ({
+    const batchItems = items.map(item => ({
       batch_operation_id: operation.id,
-      item_data: item,
+      row_number: item.row,
+      item_data: item.data,
       status: 'pending'
     }))
 
@@ -145,6 +159,7 @@ export async function POST(request) {
         metadata: {
           operation_type: operationType,
           total_items: items.length,
+          skipped_rows: report.summary.invalid,
           factory_id: user.profile.factory_id
         }
       }])
@@ -155,7 +170,10 @@ export async function POST(request) {
         ...operation,
         items: batchItems.length
       },
-      message: `Batch operation created successfully with ${items.length} items`
+      report,
+      message: report.summary.invalid > 0
+        ? `Batch operation created with ${items.length} valid items; ${report.summary.invalid} rows with errors were skipped`
+        : `Batch operation created successfully with ${items.length} items`
     })
 
   } catch (error) {
@@ -222,77 +240,3 @@ export async function GET(request) {
     )
   }
 }
-
-function parseCSV(content) {
-  const lines = content.split('\n').filter(line => line.trim())
-  if (lines.length < 2) {
-    throw new Error('CSV must have at least a header row and one data row')
-  }
-
-  const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''))
-  const items = []
-
-  for (let i = 1; i < lines.length; i++) {
-    const values = lines[i].split(',').map(v => v.trim().replace(/"/g, ''))
-    
-    if (values.length !== headers.length) {
-      continue // Skip malformed rows
-    }
-
-    const item = {}
-    headers.forEach((header, index) => {
-      item[header] = values[index]
-    })
-
-    items.push(item)
-  }
-
-  return items
-}
-
-function validateBatchItems(items, operationType) {
-  const requiredFields = {
-    create_products: ['product_name', 'product_type'],
-    update_products: ['id', 'product_name'],
-    generate_qr_codes: ['product_id'],
-    upload_images: ['product_id', 'image_url']
-  }
-
-  const required = requiredFields[operationType]
-  if (!required) {
-    return { isValid: false, error: 'Invalid operation type' }
-  }
-
-  // Check if all items have required fields
-  for (let i = 0; i < items.length; i++) {
-    const item = items[i]
-    
-    for (const field of required) {
-      if (!item[field] || item[field].trim() === '') {
-        return { 
-          isValid: false, 
-          error: `Missing required field '${field}' in row ${i + 2}` 
-        }
-      }
-    }
-
-    // Additional validation for create_products
-    if (operationType === 'create_products') {
-      if (item.product_name && item.product_name.length > 200) {
-        return { 
-          isValid: false, 
-          error: `Product name too long in row ${i + 2} (max 200 characters)` 
-        }
-      }
-      
-      if (item.product_type && item.product_type.length > 100) {
-        return { 
-          isValid: false, 
-          error: `Product type too long in row ${i + 2} (max 100 characters)` 
-        }
-      }
-    }
-  }
-
-  return { isValid: true }
-}
\ No newline at end of file
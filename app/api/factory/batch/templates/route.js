@@ -0,0 +1,61 @@
+import { NextResponse } from 'next/server'
+import { getCurrentUser, hasPermission, PERMISSIONS } from '../../../../lib/auth'
+import { BATCH_OPERATION_LABELS } from '../../../../lib/batch-columns'
+import { buildBatchTemplate, TEMPLATE_FORMATS } from '../../../../lib/batch-templates'
+
+export async function GET(request) {
+  try {
+    // Get current user
+    const user = await getCurrentUser()
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      )
+    }
+
+    // Check permissions
+    if (!hasPermission(user, PERMISSIONS.PRODUCTS.CREATE)) {
+      return NextResponse.json(
+        { error: 'Insufficient permissions' },
+        { status: 403 }
+      )
+    }
+
+    const { searchParams } = new URL(request.url)
+    const operationType = searchParams.get('type')
+    const format = searchParams.get('format') || 'csv'
+
+    if (!BATCH_OPERATION_LABELS[operationType]) {
+      return NextResponse.json(
+        { error: `Template type must be one of: ${Object.keys(BATCH_OPERATION_LABELS).join(', ')}` },
+        { status: 400 }
+      )
+    }
+
+    if (!TEMPLATE_FORMATS[format]) {
+      return NextResponse.json(
+        { error: `Template format must be one of: ${Object.keys(TEMPLATE_FORMATS).join(', ')}` },
+        { status: 400 }
+      )
+    }
+
+    const template = await buildBatchTemplate(operationType, format)
+
+    return new NextResponse(template.buffer, {
+      headers: {
+        'Content-Type': template.contentType,
+        'Content-Disposition': `attachment; filename="${template.filename}"`,
+        'Content-Length': template.buffer.length.toString(),
+        'Cache-Control': 'private, max-age=3600'
+      }
+    })
+
+  } catch (error) {
+    console.error('Batch template error:', error)
+    return NextResponse.json(
+      { error: error.message || 'Failed to build template' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,48 @@
+import { NextResponse } from 'next/server'
+import { timingSafeEqual } from 'crypto'
+import { processBatchOperations } from '../../../../lib/batch-runner'
+
+/**
+ * Check the shared secret sent by the scheduler as a Bearer token
+ */
+function isAuthorizedWorker(request) {
+  const secret = process.env.BATCH_WORKER_SECRET
+  if (!secret) {
+    return false
+  }
+
+  const header = request.headers.get('authorization') || ''
+  const provided = Buffer.from(header.replace(/^Bearer\s+/i, ''))
+  const expected = Buffer.from(secret)
+
+  return provided.length === expected.length && timingSafeEqual(provided, expected)
+}
+
+// Called by a cron job (e.g. every minute) to advance running batch operations
+export async function POST(request) {
+  try {
+    if (!isAuthorizedWorker(request)) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      )
+    }
+
+    const operations = await processBatchOperations()
+
+    return NextResponse.json({
+      success: true,
+      operations
+    })
+
+  } catch (error) {
+    console.error('Batch worker error:', error)
+    return NextResponse.json(
+      { error: error.message || 'Batch worker failed' },
+      { status: 500 }
+    )
+  }
+}
+
+// Vercel Cron issues GET requests
+export const GET = POST
@@ -0,0 +1,187 @@
+import { NextResponse } from 'next/server'
+import { getCurrentUser, hasPermission, PERMISSIONS } from '../../../lib/auth'
+import { createClient } from '../../../lib/supabase'
+import { queueLabelPrintJobs, LABEL_JOB_STATUSES } from '../../../lib/label-jobs'
+
+const supabase = createClient()
+
+const MAX_PRODUCTS_PER_REQUEST = 100
+
+export async function POST(request) {
+  try {
+    // Get current user
+    const user = await getCurrentUser()
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      )
+    }
+
+    // Check permissions
+    if (!hasPermission(user, PERMISSIONS.PRODUCTS.CREATE)) {
+      return NextResponse.json(
+        { error: 'Insufficient permissions' },
+        { status: 403 }
+      )
+    }
+
+    const { productIds, copies } = await request.json()
+
+    if (!Array.isArray(productIds) || productIds.length === 0) {
+      return NextResponse.json(
+        { error: 'At least one product ID is required' },
+        { status: 400 }
+      )
+    }
+
+    if (productIds.length > MAX_PRODUCTS_PER_REQUEST) {
+      return NextResponse.json(
+        { error: `Maximum ${MAX_PRODUCTS_PER_REQUEST} products per request` },
+        { status: 400 }
+      )
+    }
+
+    const { data: products, error: productsError } = await supabase
+      .from('products')
+      .select('id, factory_id')
+      .in('id', productIds)
+
+    if (productsError) {
+      console.error('Label products query error:', productsError)
+      return NextResponse.json(
+        { error: 'Failed to load products' },
+        { status: 500 }
+      )
+    }
+
+    const uniqueIds = [...new Set(productIds)]
+    if (products.length !== uniqueIds.length) {
+      return NextResponse.json(
+        { error: 'One or more products were not found' },
+        { status: 404 }
+      )
+    }
+
+    // Labels print at the station of the factory that owns the products
+    const factoryIds = [...new Set(products.map(product => product.factory_id))]
+    if (factoryIds.length > 1) {
+      return NextResponse.json(
+        { error: 'Products must belong to the same factory' },
+        { status: 400 }
+      )
+    }
+
+    if (user.profile.role !== 'admin' && user.profile.factory_id !== factoryIds[0]) {
+      return NextResponse.json(
+        { error: 'Access denied to these products' },
+        { status: 403 }
+      )
+    }
+
+    const jobs = await queueLabelPrintJobs({
+      factoryId: factoryIds[0],
+      productIds: uniqueIds,
+      copies,
+      requestedBy: user.id
+    })
+
+    // Log label queueing
+    await supabase
+      .from('audit_logs')
+      .insert([{
+        event_type: 'product',
+        event_name: 'LABELS_QUEUED',
+        user_id: user.id,
+        resource_type: 'factory',
+        resource_id: factoryIds[0],
+        metadata: {
+          product_ids: uniqueIds,
+          copies: jobs[0]?.copies
+        }
+      }])
+
+    return NextResponse.json({
+      success: true,
+      jobs
+    }, { status: 201 })
+
+  } catch (error) {
+    console.error('Label queue error:', error)
+    return NextResponse.json(
+      { error: error.message || 'Failed to queue labels' },
+      { status: 500 }
+    )
+  }
+}
+
+export async function GET(request) {
+  try {
+    // Get current user
+    const user = await getCurrentUser()
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      )
+    }
+
+    if (!hasPermission(user, PERMISSIONS.PRODUCTS.READ)) {
+      return NextResponse.json(
+        { error: 'Insufficient permissions' },
+        { status: 403 }
+      )
+    }
+
+    const { searchParams } = new URL(request.url)
+    const status = searchParams.get('status')
+    const limit = parseInt(searchParams.get('limit')) || 50
+    const offset = parseInt(searchParams.get('offset')) || 0
+
+    let query = supabase
+      .from('label_print_jobs')
+      .select(`
+        *,
+        product:products(id, product_name, qr_code)
+      `, { count: 'exact' })
+      .order('created_at', { ascending: false })
+
+    // Filter by factory for non-admin users
+    if (user.profile.role !== 'admin') {
+      query = query.eq('factory_id', user.profile.factory_id)
+    }
+
+    if (status && LABEL_JOB_STATUSES.includes(status)) {
+      query = query.eq('status', status)
+    }
+
+    query = query.range(offset, offset + limit - 1)
+
+    const { data: jobs, error, count } = await query
+
+    if (error) {
+      console.error('Label jobs query error:', error)
+      return NextResponse.json(
+        { error: 'Failed to fetch label jobs' },
+        { status: 500 }
+      )
+    }
+
+    return NextResponse.json({
+      jobs: jobs || [],
+      pagination: {
+        total: count || 0,
+        limit,
+        offset,
+        hasMore: (offset + limit) < (count || 0)
+      }
+    })
+
+  } catch (error) {
+    console.error('Label jobs fetch error:', error)
+    return NextResponse.json(
+      { error: error.message || 'Failed to fetch label jobs' },
+      { status: 500 }
+    )
+  }
+}
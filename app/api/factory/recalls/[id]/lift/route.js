@@ -0,0 +1,97 @@
+import { NextResponse } from 'next/server'
+import { getCurrentUser, hasPermission, PERMISSIONS } from '../../../../../lib/auth'
+import { createClient } from '../../../../../lib/supabase'
+import { liftProductRecall } from '../../../../../lib/product-recalls'
+import { STATUS_REASON_MAX_LENGTH } from '../../../../../lib/product-workflow'
+
+const supabase = createClient()
+
+// End a recall: the consumer notice is removed and archived products go back to their earlier status
+export async function POST(request, { params }) {
+  try {
+    // Get current user
+    const user = await getCurrentUser()
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      )
+    }
+
+    // Check permissions
+    if (!hasPermission(user, PERMISSIONS.PRODUCTS.DELETE)) {
+      return NextResponse.json(
+        { error: 'Insufficient permissions' },
+        { status: 403 }
+      )
+    }
+
+    const { reason } = await request.json()
+
+    if (typeof reason !== 'string' || !reason.trim()) {
+      return NextResponse.json(
+        { error: 'A reason is required to lift a recall' },
+        { status: 400 }
+      )
+    }
+
+    const { data: recall, error: recallError } = await supabase
+      .from('product_recalls')
+      .select('id, factory_id, status')
+      .eq('id', params.id)
+      .single()
+
+    if (recallError || !recall) {
+      return NextResponse.json(
+        { error: 'Recall not found' },
+        { status: 404 }
+      )
+    }
+
+    // Check factory access for non-admin users
+    if (user.profile.role !== 'admin' && user.profile.factory_id !== recall.factory_id) {
+      return NextResponse.json(
+        { error: 'Access denied to this recall' },
+        { status: 403 }
+      )
+    }
+
+    const { recall: lifted, error, status } = await liftProductRecall(recall.id, {
+      liftedBy: user.id,
+      reason: reason.trim().slice(0, STATUS_REASON_MAX_LENGTH)
+    })
+
+    if (error) {
+      return NextResponse.json({ error }, { status })
+    }
+
+    // Log lifting
+    await supabase
+      .from('audit_logs')
+      .insert([{
+        event_type: 'product',
+        event_name: 'PRODUCT_RECALL_LIFTED',
+        user_id: user.id,
+        resource_type: 'product_recall',
+        resource_id: lifted.id,
+        metadata: {
+          factory_id: lifted.factory_id,
+          action: lifted.action,
+          product_count: lifted.product_count,
+          reason: lifted.lift_reason
+        }
+      }])
+
+    return NextResponse.json({
+      success: true,
+      recall: lifted
+    })
+
+  } catch (error) {
+    console.error('Recall lift error:', error)
+    return NextResponse.json(
+      { error: error.message || 'Failed to lift recall' },
+      { status: 500 }
+    )
+  }
+}
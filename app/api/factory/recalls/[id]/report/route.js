@@ -0,0 +1,93 @@
+import { NextResponse } from 'next/server'
+import { getCurrentUser, hasPermission, PERMISSIONS } from '../../../../../lib/auth'
+import { createClient } from '../../../../../lib/supabase'
+import { buildRecallReport } from '../../../../../lib/product-recalls'
+import { renderReport, REPORT_FORMATS } from '../../../../../lib/report-renderers'
+
+const supabase = createClient()
+
+// Every code the recall covers and where it was last scanned, as ?format=csv|xlsx|pdf
+export async function GET(request, { params }) {
+  try {
+    // Get current user
+    const user = await getCurrentUser()
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      )
+    }
+
+    if (!hasPermission(user, PERMISSIONS.PRODUCTS.READ)) {
+      return NextResponse.json(
+        { error: 'Insufficient permissions' },
+        { status: 403 }
+      )
+    }
+
+    const { searchParams } = new URL(request.url)
+    const format = searchParams.get('format') || 'csv'
+    if (!REPORT_FORMATS[format]) {
+      return NextResponse.json(
+        { error: `Format must be one of: ${Object.keys(REPORT_FORMATS).join(', ')}` },
+        { status: 400 }
+      )
+    }
+
+    const { data: recall, error: recallError } = await supabase
+      .from('product_recalls')
+      .select('*')
+      .eq('id', params.id)
+      .single()
+
+    if (recallError || !recall) {
+      return NextResponse.json(
+        { error: 'Recall not found' },
+        { status: 404 }
+      )
+    }
+
+    // Check factory access for non-admin users
+    if (user.profile.role !== 'admin' && user.profile.factory_id !== recall.factory_id) {
+      return NextResponse.json(
+        { error: 'Access denied to this recall' },
+        { status: 403 }
+      )
+    }
+
+    const report = await buildRecallReport(recall)
+    const buffer = await renderReport(report, format)
+    const filename = `recall-${recall.created_at.slice(0, 10)}-${recall.id.slice(0, 8)}.${REPORT_FORMATS[format].extension}`
+
+    // Log report download
+    await supabase
+      .from('audit_logs')
+      .insert([{
+        event_type: 'product',
+        event_name: 'PRODUCT_RECALL_REPORT_DOWNLOADED',
+        user_id: user.id,
+        resource_type: 'product_recall',
+        resource_id: recall.id,
+        metadata: {
+          format,
+          rows: report.rows.length
+        }
+      }])
+
+    return new NextResponse(buffer, {
+      headers: {
+        'Content-Type': REPORT_FORMATS[format].contentType,
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Content-Length': buffer.length.toString(),
+        'Cache-Control': 'private, no-store'
+      }
+    })
+
+  } catch (error) {
+    console.error('Recall report error:', error)
+    return NextResponse.json(
+      { error: error.message || 'Failed to build recall report' },
+      { status: 500 }
+    )
+  }
+}
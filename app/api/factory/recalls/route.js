@@ -0,0 +1,194 @@
+import { NextResponse } from 'next/server'
+import { getCurrentUser, hasPermission, PERMISSIONS } from '../../../lib/auth'
+import { createClient } from '../../../lib/supabase'
+import { productRecallSchema, formatValidationErrors } from '../../../lib/validation'
+import { createProductRecall, countRecallProducts, describeRecallCriteria, RECALL_STATUSES } from '../../../lib/product-recalls'
+
+const supabase = createClient()
+
+// Recall every product of a batch and/or manufacturing date range.
+// With `preview: true` only the number of products it would cover is returned.
+export async function POST(request) {
+  try {
+    // Get current user
+    const user = await getCurrentUser()
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      )
+    }
+
+    // Recalls can archive products, so they need the same permission as deleting
+    if (!hasPermission(user, PERMISSIONS.PRODUCTS.DELETE)) {
+      return NextResponse.json(
+        { error: 'Insufficient permissions' },
+        { status: 403 }
+      )
+    }
+
+    const body = await request.json()
+
+    // Admins recall on behalf of a factory; everyone else for their own
+    const factoryId = user.profile.role === 'admin' ? body.factory_id : user.profile.factory_id
+    if (!factoryId) {
+      return NextResponse.json(
+        { error: 'Factory ID is required' },
+        { status: 400 }
+      )
+    }
+
+    const fields = {
+      title: body.title?.trim(),
+      notice: body.notice?.trim(),
+      action: body.action,
+      batch_id: body.batch_id?.trim() || null,
+      manufactured_from: body.manufactured_from || null,
+      manufactured_to: body.manufactured_to || null
+    }
+
+    // Validate input
+    try {
+      productRecallSchema.parse(fields)
+    } catch (validationError) {
+      return NextResponse.json(
+        {
+          error: 'Validation failed',
+          details: formatValidationErrors(validationError)
+        },
+        { status: 400 }
+      )
+    }
+
+    const criteria = {
+      batchId: fields.batch_id,
+      manufacturedFrom: fields.manufactured_from,
+      manufacturedTo: fields.manufactured_to
+    }
+
+    if (body.preview) {
+      const productCount = await countRecallProducts(factoryId, criteria)
+      return NextResponse.json({ product_count: productCount })
+    }
+
+    const { recall, error, status } = await createProductRecall({
+      factoryId,
+      title: fields.title,
+      notice: fields.notice,
+      action: fields.action,
+      ...criteria,
+      createdBy: user.id
+    })
+
+    if (error) {
+      return NextResponse.json({ error }, { status })
+    }
+
+    // Log recall
+    await supabase
+      .from('audit_logs')
+      .insert([{
+        event_type: 'product',
+        event_name: 'PRODUCT_RECALL_CREATED',
+        user_id: user.id,
+        resource_type: 'product_recall',
+        resource_id: recall.id,
+        metadata: {
+          factory_id: recall.factory_id,
+          title: recall.title,
+          action: recall.action,
+          batch_id: recall.batch_id,
+          manufactured_from: recall.manufactured_from,
+          manufactured_to: recall.manufactured_to,
+          product_count: recall.product_count
+        }
+      }])
+
+    return NextResponse.json({
+      success: true,
+      recall
+    }, { status: 201 })
+
+  } catch (error) {
+    console.error('Product recall error:', error)
+    return NextResponse.json(
+      { error: error.message || 'Failed to recall products' },
+      { status: 500 }
+    )
+  }
+}
+
+export async function GET(request) {
+  try {
+    // Get current user
+    const user = await getCurrentUser()
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      )
+    }
+
+    if (!hasPermission(user, PERMISSIONS.PRODUCTS.READ)) {
+      return NextResponse.json(
+        { error: 'Insufficient permissions' },
+        { status: 403 }
+      )
+    }
+
+    const { searchParams } = new URL(request.url)
+    const status = searchParams.get('status')
+    const factoryId = searchParams.get('factory_id')
+    const limit = parseInt(searchParams.get('limit')) || 50
+    const offset = parseInt(searchParams.get('offset')) || 0
+
+    let query = supabase
+      .from('product_recalls')
+      .select(`
+        *,
+        factory:factories(id, name)
+      `, { count: 'exact' })
+      .order('created_at', { ascending: false })
+
+    // Filter by factory for non-admin users
+    if (user.profile.role !== 'admin') {
+      query = query.eq('factory_id', user.profile.factory_id)
+    } else if (factoryId) {
+      query = query.eq('factory_id', factoryId)
+    }
+
+    if (status && RECALL_STATUSES.includes(status)) {
+      query = query.eq('status', status)
+    }
+
+    query = query.range(offset, offset + limit - 1)
+
+    const { data: recalls, error, count } = await query
+
+    if (error) {
+      console.error('Product recalls query error:', error)
+      return NextResponse.json(
+        { error: 'Failed to fetch recalls' },
+        { status: 500 }
+      )
+    }
+
+    return NextResponse.json({
+      // Described here so the page does not import the server-side recall helpers
+      recalls: (recalls || []).map(recall => ({ ...recall, criteria: describeRecallCriteria(recall) })),
+      pagination: {
+        total: count || 0,
+        limit,
+        offset,
+        hasMore: (offset + limit) < (count || 0)
+      }
+    })
+
+  } catch (error) {
+    console.error('Product recalls fetch error:', error)
+    return NextResponse.json(
+      { error: error.message || 'Failed to fetch recalls' },
+      { status: 500 }
+    )
+  }
+}
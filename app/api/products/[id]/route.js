@@ -0,0 +1,410 @@
+import { NextResponse } from 'next/server'
+import { getCurrentUser, PERMISSIONS } from '../../../lib/auth'
+import { createClient } from '../../../lib/supabase'
+import { productSchema, productUpdateSchema, formatValidationErrors } from '../../../lib/validation'
+import { PRODUCT_FIELDS } from '../../../lib/batch-columns'
+import { availableTransitions } from '../../../lib/product-workflow'
+import { authorizeProduct } from '../../../lib/product-access'
+import { transitionProductStatus } from '../../../lib/product-status'
+import { getProductMarkers } from '../../../lib/authentication-markers'
+import { deleteImageFromStorage, storagePathFromUrl } from '../../../lib/image-processing'
+
+const supabase = createClient()
+
+/**
+ * Save field changes if the product is unchanged since the client read it.
+ * `expectedUpdatedAt` is the updated_at the client loaded; a mismatch means
+ * someone else saved first and the client must reload.
+ * Returns { product } or { error, status, current }
+ */
+async function saveProductChanges(user, before, updates, expectedUpdatedAt) {
+  const { data: product, error } = await supabase
+    .from('products')
+    .update(updates)
+    .eq('id', before.id)
+    .eq('updated_at', expectedUpdatedAt)
+    .select()
+    .maybeSingle()
+
+  if (error) {
+    console.error('Product update error:', error)
+    return { error: 'Failed to update product', status: 500 }
+  }
+
+  if (!product) {
+    const { data: current } = await supabase
+      .from('products')
+      .select('*')
+      .eq('id', before.id)
+      .maybeSingle()
+
+    return {
+      error: 'Product was changed by someone else; reload it and apply your changes again',
+      status: 409,
+      current
+    }
+  }
+
+  const fields = Object.keys(updates).filter(field =>
+    JSON.stringify(before[field] ?? null) !== JSON.stringify(product[field] ?? null)
+  )
+
+  await supabase
+    .from('audit_logs')
+    .insert([{
+      event_type: 'product',
+      event_name: 'PRODUCT_UPDATED',
+      user_id: user.id,
+      resource_type: 'product',
+      resource_id: product.id,
+      metadata: {
+        fields,
+        before: Object.fromEntries(fields.map(field => [field, before[field] ?? null])),
+        after: Object.fromEntries(fields.map(field => [field, product[field] ?? null]))
+      }
+    }])
+
+  return { product }
+}
+
+/**
+ * Reasons a request body cannot be applied as an edit, or null
+ */
+function checkEditBody(body, product) {
+  if (!body.updated_at) {
+    return { error: 'updated_at is required so concurrent edits are not overwritten', status: 428 }
+  }
+
+  // Status changes go through the approval workflow
+  if (body.status !== undefined && body.status !== product.status) {
+    return { error: `Use /api/products/${product.id}/status to change the status`, status: 400 }
+  }
+
+  if (body.qr_code !== undefined && body.qr_code !== product.qr_code) {
+    return { error: 'The QR code of a product cannot be changed', status: 400 }
+  }
+
+  if (body.factory_id !== undefined && body.factory_id !== product.factory_id) {
+    return { error: 'Products cannot be moved to another factory', status: 400 }
+  }
+
+  return null
+}
+
+function conflictResponse({ error, status, current }) {
+  return NextResponse.json(
+    current ? { error, current } : { error },
+    { status }
+  )
+}
+
+export async function GET(request, { params }) {
+  try {
+    // Get current user
+    const user = await getCurrentUser()
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      )
+    }
+
+    const { product, error: accessError, status } = await authorizeProduct(user, params.id, PERMISSIONS.PRODUCTS.READ, `
+      *,
+      factory:factories(id, name, location),
+      created_by_user:user_profiles!products_created_by_fkey(full_name),
+      product_images(id, image_url, thumbnail_url, image_type, angle_description, is_primary, dimensions, created_at)
+    `)
+    if (accessError) {
+      return NextResponse.json({ error: accessError }, { status })
+    }
+
+    const markers = await getProductMarkers(product.id)
+
+    return NextResponse.json({
+      ...product,
+      authentication_markers: markers,
+      available_actions: availableTransitions(product.status, user.profile.role)
+    })
+
+  } catch (error) {
+    console.error('Product fetch error:', error)
+    return NextResponse.json(
+      { error: error.message || 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
+
+// Replace the editable fields; fields left out are cleared. Metadata keys are merged.
+export async function PUT(request, { params }) {
+  try {
+    // Get current user
+    const user = await getCurrentUser()
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      )
+    }
+
+    const { product: before, error: accessError, status } = await authorizeProduct(user, params.id, PERMISSIONS.PRODUCTS.UPDATE)
+    if (accessError) {
+      return NextResponse.json({ error: accessError }, { status })
+    }
+
+    const body = await request.json()
+
+    const bodyError = checkEditBody(body, before)
+    if (bodyError) {
+      return NextResponse.json({ error: bodyError.error }, { status: bodyError.status })
+    }
+
+    const updates = Object.fromEntries(PRODUCT_FIELDS.map(field => [field, body[field] ?? null]))
+
+    // Validate input
+    try {
+      productSchema.parse({ ...updates, factory_id: before.factory_id, metadata: body.metadata || {} })
+    } catch (validationError) {
+      return NextResponse.json(
+        {
+          error: 'Validation failed',
+          details: formatValidationErrors(validationError)
+        },
+        { status: 400 }
+      )
+    }
+
+    if (body.metadata) {
+      updates.metadata = { ...(before.metadata || {}), ...body.metadata }
+    }
+
+    const result = await saveProductChanges(user, before, updates, body.updated_at)
+    if (result.error) {
+      return conflictResponse(result)
+    }
+
+    return NextResponse.json(result.product)
+
+  } catch (error) {
+    console.error('Product update error:', error)
+    return NextResponse.json(
+      { error: error.message || 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
+
+// Change only the fields sent
+export async function PATCH(request, { params }) {
+  try {
+    // Get current user
+    const user = await getCurrentUser()
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      )
+    }
+
+    const { product: before, error: accessError, status } = await authorizeProduct(user, params.id, PERMISSIONS.PRODUCTS.UPDATE)
+    if (accessError) {
+      return NextResponse.json({ error: accessError }, { status })
+    }
+
+    const body = await request.json()
+
+    const bodyError = checkEditBody(body, before)
+    if (bodyError) {
+      return NextResponse.json({ error: bodyError.error }, { status: bodyError.status })
+    }
+
+    const updates = Object.fromEntries(
+      PRODUCT_FIELDS.filter(field => field in body).map(field => [field, body[field]])
+    )
+
+    // Validate input
+    try {
+      productUpdateSchema.parse(updates)
+    } catch (validationError) {
+      return NextResponse.json(
+        {
+          error: 'Validation failed',
+          details: formatValidationErrors(validationError)
+        },
+        { status: 400 }
+      )
+    }
+
+    // Compare against the stored date when only one of them changes
+    const manufacturingDate = 'manufacturing_date' in updates ? updates.manufacturing_date : before.manufacturing_date
+    const expiryDate = 'expiry_date' in updates ? updates.expiry_date : before.expiry_date
+    if (manufacturingDate && expiryDate && new Date(expiryDate) <= new Date(manufacturingDate)) {
+      return NextResponse.json(
+        {
+          error: 'Validation failed',
+          details: [{ field: 'expiry_date', message: 'Expiry date must be after manufacturing date' }]
+        },
+        { status: 400 }
+      )
+    }
+
+    if (body.metadata && typeof body.metadata === 'object') {
+      updates.metadata = { ...(before.metadata || {}), ...body.metadata }
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return NextResponse.json(
+        { error: 'No changes provided' },
+        { status: 400 }
+      )
+    }
+
+    const result = await saveProductChanges(user, before, updates, body.updated_at)
+    if (result.error) {
+      return conflictResponse(result)
+    }
+
+    return NextResponse.json(result.product)
+
+  } catch (error) {
+    console.error('Product update error:', error)
+    return NextResponse.json(
+      { error: error.message || 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
+
+// Products that have been scanned are archived so scan history and printed labels
+// keep resolving; products nobody has scanned yet are removed with their photos
+export async function DELETE(request, { params }) {
+  try {
+    // Get current user
+    const user = await getCurrentUser()
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      )
+    }
+
+    const { product, error: accessError, status } = await authorizeProduct(user, params.id, PERMISSIONS.PRODUCTS.DELETE)
+    if (accessError) {
+      return NextResponse.json({ error: accessError }, { status })
+    }
+
+    const { count: scanCount, error: scanError } = await supabase
+      .from('qr_scans')
+      .select('id', { count: 'exact', head: true })
+      .eq('product_id', product.id)
+
+    if (scanError) {
+      console.error('Product scan count error:', scanError)
+      return NextResponse.json(
+        { error: 'Failed to check product scans' },
+        { status: 500 }
+      )
+    }
+
+    if (scanCount > 0) {
+      return archiveProduct(user, product, { scan_count: scanCount })
+    }
+
+    const { data: images } = await supabase
+      .from('product_images')
+      .select('image_url, thumbnail_url')
+      .eq('product_id', product.id)
+
+    // Photos removed earlier are kept in storage for the version history
+    const { data: versions } = await supabase
+      .from('product_versions')
+      .select('snapshot')
+      .eq('product_id', product.id)
+
+    const { error: deleteError } = await supabase
+      .from('products')
+      .delete()
+      .eq('id', product.id)
+
+    if (deleteError) {
+      // Rows still referencing the product (e.g. a scan recorded meanwhile) block removal
+      if (deleteError.code === '23503') {
+        return archiveProduct(user, product, { blocked_by: deleteError.details || deleteError.message })
+      }
+
+      console.error('Product deletion error:', deleteError)
+      return NextResponse.json(
+        { error: 'Failed to delete product' },
+        { status: 500 }
+      )
+    }
+
+    // Remove the photos; the product rows are already gone, so failures are only logged
+    const paths = [...new Set(
+      [...(images || []), ...(versions || []).flatMap(version => version.snapshot?.images || [])]
+        .flatMap(image => [image.image_url, image.thumbnail_url])
+        .map(storagePathFromUrl)
+        .filter(Boolean)
+    )]
+
+    for (const path of paths) {
+      try {
+        await deleteImageFromStorage(path)
+      } catch (storageError) {
+        console.error('Storage deletion error:', storageError)
+      }
+    }
+
+    // Log deletion
+    await supabase
+      .from('audit_logs')
+      .insert([{
+        event_type: 'product',
+        event_name: 'PRODUCT_DELETED',
+        user_id: user.id,
+        resource_type: 'product',
+        resource_id: product.id,
+        metadata: {
+          product_name: product.product_name,
+          qr_code: product.qr_code,
+          factory_id: product.factory_id,
+          status: product.status,
+          images_removed: (images || []).length
+        }
+      }])
+
+    return NextResponse.json({ success: true, deleted: true, archived: false })
+
+  } catch (error) {
+    console.error('Product deletion error:', error)
+    return NextResponse.json(
+      { error: error.message || 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
+
+async function archiveProduct(user, product, metadata) {
+  if (product.status === 'archived') {
+    return NextResponse.json({ success: true, deleted: false, archived: true, product })
+  }
+
+  const { product: archived, error, status } = await transitionProductStatus({
+    productId: product.id,
+    action: 'archive',
+    actor: {
+      id: user.id,
+      role: user.profile.role,
+      factoryId: user.profile.factory_id
+    },
+    reason: 'Deleted after being scanned',
+    metadata: { soft_delete: true, ...metadata }
+  })
+
+  if (error) {
+    return NextResponse.json({ error }, { status })
+  }
+
+  return NextResponse.json({ success: true, deleted: false, archived: true, product: archived })
+}
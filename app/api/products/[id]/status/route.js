@@ -0,0 +1,65 @@
+import { NextResponse } from 'next/server'
+import { getCurrentUser, hasPermission, PERMISSIONS } from '../../../../lib/auth'
+import { transitionProductStatus } from '../../../../lib/product-status'
+
+// Move a product through the approval workflow: submit, withdraw, approve, reject, publish, archive or restore
+export async function POST(request, { params }) {
+  try {
+    // Get current user
+    const user = await getCurrentUser()
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      )
+    }
+
+    // Check permissions
+    if (!hasPermission(user, PERMISSIONS.PRODUCTS.UPDATE)) {
+      return NextResponse.json(
+        { error: 'Insufficient permissions' },
+        { status: 403 }
+      )
+    }
+
+    const { action, reason } = await request.json()
+
+    if (!action || typeof action !== 'string') {
+      return NextResponse.json(
+        { error: 'Action is required' },
+        { status: 400 }
+      )
+    }
+
+    if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+      return NextResponse.json(
+        { error: 'Reason must be text' },
+        { status: 400 }
+      )
+    }
+
+    const { product, error, status } = await transitionProductStatus({
+      productId: params.id,
+      action,
+      actor: {
+        id: user.id,
+        role: user.profile.role,
+        factoryId: user.profile.factory_id
+      },
+      reason
+    })
+
+    if (error) {
+      return NextResponse.json({ error }, { status })
+    }
+
+    return NextResponse.json({ success: true, product })
+
+  } catch (error) {
+    console.error('Product status change error:', error)
+    return NextResponse.json(
+      { error: error.message || 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,79 @@
+import { NextResponse } from 'next/server'
+import { getCurrentUser, PERMISSIONS } from '../../../../../../lib/auth'
+import { createClient } from '../../../../../../lib/supabase'
+import { authorizeProduct } from '../../../../../../lib/product-access'
+import { getProductVersion, getLatestVersionNumber, restoreProductVersion } from '../../../../../../lib/product-versions'
+
+const supabase = createClient()
+
+// Bring the product's fields, photos and markers back to an earlier version; unless archived, the product returns to draft
+export async function POST(request, { params }) {
+  try {
+    // Get current user
+    const user = await getCurrentUser()
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      )
+    }
+
+    const { product, error: accessError, status } = await authorizeProduct(user, params.id, PERMISSIONS.PRODUCTS.UPDATE)
+    if (accessError) {
+      return NextResponse.json({ error: accessError }, { status })
+    }
+
+    const versionNumber = parseInt(params.version)
+    const version = Number.isInteger(versionNumber) ? await getProductVersion(product.id, versionNumber) : null
+    if (!version) {
+      return NextResponse.json(
+        { error: 'Version not found' },
+        { status: 404 }
+      )
+    }
+
+    const { updated_at: expectedUpdatedAt } = await request.json()
+    if (!expectedUpdatedAt) {
+      return NextResponse.json(
+        { error: 'updated_at is required so concurrent edits are not overwritten' },
+        { status: 428 }
+      )
+    }
+
+    const previousVersion = await getLatestVersionNumber(product.id)
+    const { version: restoredVersion, error, status: restoreStatus } = await restoreProductVersion(product.id, versionNumber, expectedUpdatedAt, user.id)
+    if (error) {
+      return NextResponse.json({ error }, { status: restoreStatus })
+    }
+
+    // Log restore
+    await supabase
+      .from('audit_logs')
+      .insert([{
+        event_type: 'product',
+        event_name: 'PRODUCT_VERSION_RESTORED',
+        user_id: user.id,
+        resource_type: 'product',
+        resource_id: product.id,
+        metadata: {
+          restored_from: versionNumber,
+          previous_version: previousVersion,
+          new_version: restoredVersion,
+          previous_status: product.status
+        }
+      }])
+
+    return NextResponse.json({
+      success: true,
+      version: restoredVersion ?? previousVersion,
+      unchanged: restoredVersion === null
+    })
+
+  } catch (error) {
+    console.error('Product version restore error:', error)
+    return NextResponse.json(
+      { error: error.message || 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
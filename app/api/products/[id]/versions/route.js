@@ -0,0 +1,53 @@
+import { NextResponse } from 'next/server'
+import { getCurrentUser, PERMISSIONS } from '../../../../lib/auth'
+import { authorizeProduct } from '../../../../lib/product-access'
+import { getProductVersions } from '../../../../lib/product-versions'
+
+const MAX_PAGE_SIZE = 50
+
+export async function GET(request, { params }) {
+  try {
+    // Get current user
+    const user = await getCurrentUser()
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      )
+    }
+
+    const { product, error: accessError, status } = await authorizeProduct(
+      user,
+      params.id,
+      PERMISSIONS.PRODUCTS.READ,
+      'id, factory_id, product_name, qr_code, status, updated_at'
+    )
+    if (accessError) {
+      return NextResponse.json({ error: accessError }, { status })
+    }
+
+    const { searchParams } = new URL(request.url)
+    const limit = Math.min(Math.max(parseInt(searchParams.get('limit')) || 20, 1), MAX_PAGE_SIZE)
+    const offset = Math.max(parseInt(searchParams.get('offset')) || 0, 0)
+
+    const { versions, total } = await getProductVersions(product.id, { limit, offset })
+
+    return NextResponse.json({
+      product,
+      versions,
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasNext: offset + versions.length < total
+      }
+    })
+
+  } catch (error) {
+    console.error('Product versions fetch error:', error)
+    return NextResponse.json(
+      { error: error.message || 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
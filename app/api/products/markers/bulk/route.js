@@ -0,0 +1,91 @@
+import { NextResponse } from 'next/server'
+import { getCurrentUser, PERMISSIONS } from '../../../../lib/auth'
+import { authenticationMarkerSetSchema, formatValidationErrors } from '../../../../lib/validation'
+import { authorizeProduct } from '../../../../lib/product-access'
+import {
+  MARKER_PRODUCT_COLUMNS,
+  markerSnapshot,
+  findForeignImageIds,
+  getProductMarkers,
+  replaceProductMarkers,
+  logMarkerChange
+} from '../../../../lib/authentication-markers'
+
+// Replace a product's whole marker set: entries with an id update that marker,
+// entries without one are created, and markers left out are deleted
+export async function PUT(request) {
+  try {
+    // Get current user
+    const user = await getCurrentUser()
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      )
+    }
+
+    const body = await request.json()
+
+    // Validate input
+    let markerSet
+    try {
+      markerSet = authenticationMarkerSetSchema.parse(body)
+    } catch (validationError) {
+      return NextResponse.json(
+        {
+          error: 'Validation failed',
+          details: formatValidationErrors(validationError)
+        },
+        { status: 400 }
+      )
+    }
+
+    const { product, error: accessError, status } = await authorizeProduct(user, markerSet.product_id, PERMISSIONS.PRODUCTS.UPDATE, MARKER_PRODUCT_COLUMNS)
+    if (accessError) {
+      return NextResponse.json({ error: accessError }, { status })
+    }
+
+    const before = await getProductMarkers(product.id)
+
+    // Ids must name this product's own markers
+    const existingIds = new Set(before.map(marker => marker.id))
+    const unknownIds = markerSet.markers.map(marker => marker.id).filter(id => id && !existingIds.has(id))
+    if (unknownIds.length > 0) {
+      return NextResponse.json(
+        { error: 'Markers do not belong to this product', details: unknownIds },
+        { status: 400 }
+      )
+    }
+
+    const foreignImageIds = await findForeignImageIds(product.id, markerSet.markers.map(marker => marker.image_id))
+    if (foreignImageIds.length > 0) {
+      return NextResponse.json(
+        { error: 'Images do not belong to this product', details: foreignImageIds },
+        { status: 400 }
+      )
+    }
+
+    const markers = await replaceProductMarkers(product.id, markerSet.markers, user.id)
+
+    const keptIds = new Set(markers.map(marker => marker.id))
+    await logMarkerChange(user, 'MARKERS_REPLACED', {
+      productId: product.id,
+      before: before.map(marker => ({ id: marker.id, ...markerSnapshot(marker) })),
+      after: markers.map(marker => ({ id: marker.id, ...markerSnapshot(marker) })),
+      metadata: {
+        created: markers.filter(marker => !existingIds.has(marker.id)).length,
+        updated: markers.filter(marker => existingIds.has(marker.id)).length,
+        deleted: before.filter(marker => !keptIds.has(marker.id)).length
+      }
+    })
+
+    return NextResponse.json({ markers })
+
+  } catch (error) {
+    console.error('Marker replacement error:', error)
+    return NextResponse.json(
+      { error: error.message || 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
@@ -1,10 +1,51 @@
 import { NextResponse } from 'next/server'
-import { getCurrentUser, hasPermission, PERMISSIONS } from '../../../lib/auth'
+import { getCurrentUser, PERMISSIONS } from '../../../lib/auth'
 import { createClient } from '../../../lib/supabase'
-import { authenticationMarkerSchema } from '../../../lib/validation'
+import { authenticationMarkerSchema, authenticationMarkerUpdateSchema, formatValidationErrors } from '../../../lib/validation'
+import { authorizeProduct } from '../../../lib/product-access'
+import {
+  MARKER_FIELDS,
+  MARKER_PRODUCT_COLUMNS,
+  markerSnapshot,
+  findEditableMarker,
+  findForeignImageIds,
+  getProductMarkers,
+  logMarkerChange
+} from '../../../lib/authentication-markers'
 
 const supabase = createClient()
 
+/**
+ * Apply marker changes after checking the photo belongs to the marker's product
+ * Returns { marker } or { error, status }
+ */
+async function updateMarker(user, before, updates) {
+  if (updates.image_id && (await findForeignImageIds(before.product_id, [updates.image_id])).length > 0) {
+    return { error: 'Image does not belong to this product', status: 400 }
+  }
+
+  const { data: marker, error } = await supabase
+    .from('authentication_markers')
+    .update(updates)
+    .eq('id', before.id)
+    .select()
+    .single()
+
+  if (error) {
+    console.error('Marker update error:', error)
+    return { error: 'Failed to update authentication marker', status: 500 }
+  }
+
+  await logMarkerChange(user, 'MARKER_UPDATED', {
+    markerId: marker.id,
+    productId: marker.product_id,
+    before: markerSnapshot(before),
+    after: markerSnapshot(marker)
+  })
+
+  return { marker }
+}
+
 export async function POST(request) {
   try {
     // Get current user
@@ -16,14 +57,6 @@ export async function POST(request) {
       )
     }
 
-    // Check permissions
-    if (!hasPermission(user, PERMISSIONS.PRODUCTS.CREATE)) {
-      return NextResponse.json(
-        { error: 'Insufficient permissions' },
-        { status: 403 }
-      )
-    }
-
     const body = await request.json()
 
     // Validate input
@@ -31,33 +64,25 @@ export async function POST(request) {
       authenticationMarkerSchema.parse(body)
     } catch (validationError) {
       return NextResponse.json(
-        { 
+        {
           error: 'Validation failed',
-          details: validationError.errors 
+          details: formatValidationErrors(validationError)
         },
         { status: 400 }
       )
     }
 
-    // Check if product exists and user has access
-    const { data: product, error: productError } = await supabase
-      .from('products')
-      .select('id, factory_id')
-      .eq('id', body.product_id)
-      .single()
-
-    if (productError || !product) {
-      return NextResponse.json(
-        { error: 'Product not found' },
-        { status: 404 }
-      )
+    // Check the product exists and belongs to the user's factory
+    const { product, error: accessError, status } = await authorizeProduct(user, body.product_id, PERMISSIONS.PRODUCTS.CREATE, MARKER_PRODUCT_COLUMNS)
+    if (accessError) {
+      return NextResponse.json({ error: accessError }, { status })
     }
 
-    // Check factory access for non-admin users
-    if (user.profile.role !== 'admin' && user.profile.factory_id !== product.factory_id) {
+    // Coordinates must refer to one of this product's photos
+    if (body.image_id && (await findForeignImageIds(product.id, [body.image_id])).length > 0) {
       return NextResponse.json(
-        { error: 'Access denied to this product' },
-        { status: 403 }
+        { error: 'Image does not belong to this product' },
+        { status: 400 }
       )
     }
 
@@ -66,6 +91,7 @@ export async function POST(request) {
       .from('authentication_markers')
       .insert([{
         product_id: body.product_id,
+        image_id: body.image_id || null,
         type: body.type,
         position: body.position,
         color: body.color,
@@ -87,20 +113,15 @@ export async function POST(request) {
     }
 
     // Log marker creation
-    await supabase
-      .from('audit_logs')
-      .insert([{
-        event_type: 'product',
-        event_name: 'MARKER_CREATED',
-        user_id: user.id,
-        resource_type: 'authentication_marker',
-        resource_id: marker.id,
-        metadata: {
-          product_id: body.product_id,
-          marker_type: body.type,
-          position: body.position
-        }
-      }])
+    await logMarkerChange(user, 'MARKER_CREATED', {
+      markerId: marker.id,
+      productId: body.product_id,
+      after: markerSnapshot(marker),
+      metadata: {
+        marker_type: body.type,
+        position: body.position
+      }
+    })
 
     return NextResponse.json(marker, { status: 201 })
 
@@ -137,7 +158,7 @@ export async function GET(request) {
     // Check if product exists and user has access
     const { data: product, error: productError } = await supabase
       .from('products')
-      .select('id, factory_id')
+      .select('id, factory_id, product_name, qr_code')
       .eq('id', productId)
       .single()
 
@@ -156,28 +177,197 @@ export async function GET(request) {
       )
     }
 
-    // Get authentication markers
-    const { data: markers, error } = await supabase
-      .from('authentication_markers')
-      .select('*')
+    // Get authentication markers in the order consumers check them
+    const markers = await getProductMarkers(productId)
+
+    // Photos the markers can be placed on
+    const { data: images, error: imagesError } = await supabase
+      .from('product_images')
+      .select('id, image_url, thumbnail_url, angle_description, is_primary, dimensions')
       .eq('product_id', productId)
       .order('created_at', { ascending: true })
 
+    if (imagesError) {
+      console.error('Marker images fetch error:', imagesError)
+    }
+
+    return NextResponse.json({ product, markers, images: images || [] })
+
+  } catch (error) {
+    console.error('Markers fetch error:', error)
+    return NextResponse.json(
+      { error: error.message || 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
+
+// Replace every field of a marker; fields left out are cleared
+export async function PUT(request) {
+  try {
+    // Get current user
+    const user = await getCurrentUser()
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      )
+    }
+
+    const body = await request.json()
+
+    const { marker: before, error: accessError, status } = await findEditableMarker(user, body.id, PERMISSIONS.PRODUCTS.UPDATE)
+    if (accessError) {
+      return NextResponse.json({ error: accessError }, { status })
+    }
+
+    // Markers stay with the product they were created for
+    if (body.product_id && body.product_id !== before.product_id) {
+      return NextResponse.json(
+        { error: 'Markers cannot be moved to another product' },
+        { status: 400 }
+      )
+    }
+
+    // Validate input
+    try {
+      authenticationMarkerSchema.parse({ ...body, product_id: before.product_id })
+    } catch (validationError) {
+      return NextResponse.json(
+        {
+          error: 'Validation failed',
+          details: formatValidationErrors(validationError)
+        },
+        { status: 400 }
+      )
+    }
+
+    const updates = Object.fromEntries(MARKER_FIELDS.map(field => [field, body[field] ?? null]))
+    const { marker, error, status: updateStatus } = await updateMarker(user, before, updates)
     if (error) {
-      console.error('Markers fetch error:', error)
+      return NextResponse.json({ error }, { status: updateStatus })
+    }
+
+    return NextResponse.json(marker)
+
+  } catch (error) {
+    console.error('Marker update error:', error)
+    return NextResponse.json(
+      { error: error.message || 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
+
+// Change only the fields sent
+export async function PATCH(request) {
+  try {
+    // Get current user
+    const user = await getCurrentUser()
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      )
+    }
+
+    const { id, ...changes } = await request.json()
+
+    const { marker: before, error: accessError, status } = await findEditableMarker(user, id, PERMISSIONS.PRODUCTS.UPDATE)
+    if (accessError) {
+      return NextResponse.json({ error: accessError }, { status })
+    }
+
+    if (changes.product_id && changes.product_id !== before.product_id) {
+      return NextResponse.json(
+        { error: 'Markers cannot be moved to another product' },
+        { status: 400 }
+      )
+    }
+
+    // Validate input
+    try {
+      authenticationMarkerUpdateSchema.parse(changes)
+    } catch (validationError) {
+      return NextResponse.json(
+        {
+          error: 'Validation failed',
+          details: formatValidationErrors(validationError)
+        },
+        { status: 400 }
+      )
+    }
+
+    const updates = Object.fromEntries(
+      MARKER_FIELDS.filter(field => field in changes).map(field => [field, changes[field]])
+    )
+    if (Object.keys(updates).length === 0) {
       return NextResponse.json(
-        { error: 'Failed to fetch authentication markers' },
+        { error: 'No changes provided' },
+        { status: 400 }
+      )
+    }
+
+    const { marker, error, status: updateStatus } = await updateMarker(user, before, updates)
+    if (error) {
+      return NextResponse.json({ error }, { status: updateStatus })
+    }
+
+    return NextResponse.json(marker)
+
+  } catch (error) {
+    console.error('Marker update error:', error)
+    return NextResponse.json(
+      { error: error.message || 'Internal server error' },
+      { status: 500 }
+    )
+  }
+}
+
+export async function DELETE(request) {
+  try {
+    // Get current user
+    const user = await getCurrentUser()
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      )
+    }
+
+    const { searchParams } = new URL(request.url)
+    const { marker, error: accessError, status } = await findEditableMarker(user, searchParams.get('id'), PERMISSIONS.PRODUCTS.UPDATE)
+    if (accessError) {
+      return NextResponse.json({ error: accessError }, { status })
+    }
+
+    const { error } = await supabase
+      .from('authentication_markers')
+      .delete()
+      .eq('id', marker.id)
+
+    if (error) {
+      console.error('Marker deletion error:', error)
+      return NextResponse.json(
+        { error: 'Failed to delete authentication marker' },
         { status: 500 }
       )
     }
 
-    return NextResponse.json({ markers })
+    // Log marker deletion
+    await logMarkerChange(user, 'MARKER_DELETED', {
+      markerId: marker.id,
+      productId: marker.product_id,
+      before: markerSnapshot(marker)
+    })
+
+    return NextResponse.json({ success: true })
 
   } catch (error) {
-    console.error('Markers fetch error:', error)
+    console.error('Marker deletion error:', error)
     return NextResponse.json(
       { error: error.message || 'Internal server error' },
       { status: 500 }
     )
   }
-}
\ No newline at end of file
+}
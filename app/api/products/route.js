@@ -1,8 +1,12 @@
 import { NextResponse } from 'next/server'
 import { getCurrentUser, hasPermission, PERMISSIONS } from '../../lib/auth'
 import { createClient } from '../../lib/supabase'
-import { productSchema, productSearchSchema } from '../../lib/validation'
-import { generateUniqueQRCode } from '../../lib/qr-generator'
+import { productSchema, productSearchSchema, formatValidationErrors } from '../../lib/validation'
+import { buildVerificationURL } from '../../lib/qr-generator'
+import { signQRPayload } from '../../lib/qr-signing'
+import { resolveProductQRCode, bindReservation, releaseReservation } from '../../lib/qr-pools'
+import { availableTransitions } from '../../lib/product-workflow'
+import { toPrefixQuery, encodeCursor, decodeCursor, monthRange, getProductFacets } from '../../lib/product-search'
 
 const supabase = createClient()
 
@@ -41,17 +45,28 @@ export async function POST(request) {
       return NextResponse.json(
         { 
           error: 'Validation failed',
-          details: validationError.errors 
+          details: formatValidationErrors(validationError)
         },
         { status: 400 }
       )
     }
 
-    // Generate QR code if not provided
-    if (!productData.qr_code) {
-      productData.qr_code = await generateUniqueQRCode()
+    // Use a reserved code (given directly or taken from a pool), or generate one
+    const resolved = await resolveProductQRCode({
+      factoryId: productData.factory_id,
+      qrCode: productData.qr_code,
+      poolId: body.qr_pool_id
+    })
+
+    if (resolved.error) {
+      return NextResponse.json(
+        { error: resolved.error },
+        { status: resolved.status }
+      )
     }
 
+    productData.qr_code = resolved.qrCode
+
     // Check if QR code is unique
     const { data: existingProduct } = await supabase
       .from('products')
@@ -60,6 +75,9 @@ export async function POST(request) {
       .single()
 
     if (existingProduct) {
+      if (resolved.reservation) {
+        await releaseReservation(resolved.qrCode)
+      }
       return NextResponse.json(
         { error: 'QR code already exists' },
         { status: 409 }
@@ -85,19 +103,26 @@ export async function POST(request) {
       }])
       .select(`
         *,
-        factory:factories(*),
+        factory:factories(id, name, location, country),
         created_by_user:user_profiles!products_created_by_fkey(full_name)
       `)
       .single()
 
     if (error) {
       console.error('Product creation error:', error)
+      if (resolved.reservation) {
+        await releaseReservation(resolved.qrCode)
+      }
       return NextResponse.json(
         { error: 'Failed to create product' },
         { status: 500 }
       )
     }
 
+    if (resolved.reservation) {
+      await bindReservation(product.qr_code, product.id)
+    }
+
     // Log product creation
     await supabase
       .from('audit_logs')
@@ -110,11 +135,29 @@ export async function POST(request) {
         metadata: {
           product_name: product.product_name,
           qr_code: product.qr_code,
-          factory_id: product.factory_id
+          factory_id: product.factory_id,
+          qr_pool_id: resolved.reservation?.pool_id || null
         }
       }])
 
-    return NextResponse.json(product, { status: 201 })
+    // Sign the QR payload so printed labels can be verified
+    let verification = null
+    try {
+      const signature = await signQRPayload({
+        qrCode: product.qr_code,
+        productId: product.id,
+        factoryId: product.factory_id
+      })
+      verification = {
+        url: buildVerificationURL(product.qr_code, signature.token),
+        keyId: signature.keyId,
+        issuedAt: signature.issuedAt
+      }
+    } catch (signingError) {
+      console.error('QR signing error:', signingError)
+    }
+
+    return NextResponse.json({ ...product, verification }, { status: 201 })
 
   } catch (error) {
     console.error('Product creation error:', error)
@@ -153,10 +196,11 @@ export async function GET(request) {
       status: searchParams.get('status') || undefined,
       product_type: searchParams.get('product_type') || undefined,
       batch_id: searchParams.get('batch_id') || undefined,
+      month: searchParams.get('month') || undefined,
       date_from: searchParams.get('date_from') || undefined,
       date_to: searchParams.get('date_to') || undefined,
       limit: parseInt(searchParams.get('limit')) || 20,
-      offset: parseInt(searchParams.get('offset')) || 0
+      cursor: searchParams.get('cursor') || undefined
     }
 
     try {
@@ -165,13 +209,27 @@ export async function GET(request) {
       return NextResponse.json(
         { 
           error: 'Invalid search parameters',
-          details: validationError.errors 
+          details: formatValidationErrors(validationError)
         },
         { status: 400 }
       )
     }
 
-    // Build query
+    const cursor = searchQuery.cursor ? decodeCursor(searchQuery.cursor) : null
+    if (searchQuery.cursor && !cursor) {
+      return NextResponse.json(
+        { error: 'Invalid cursor' },
+        { status: 400 }
+      )
+    }
+
+    // Non-admins only ever see their own factory, whatever factory_id says
+    const scopeFactoryId = user.profile.role === 'admin' ? null : user.profile.factory_id
+    const filters = { ...searchQuery, factory_id: scopeFactoryId ? undefined : searchQuery.factory_id }
+    const tsQuery = toPrefixQuery(searchQuery.query)
+
+    // Build query; the total is only counted on the first page, since the cursor
+    // filter would leave out everything already shown
     let query = supabase
       .from('products')
       .select(`
@@ -180,46 +238,56 @@ export async function GET(request) {
         created_by_user:user_profiles!products_created_by_fkey(full_name),
         product_images(id, image_url, thumbnail_url, is_primary),
         authentication_markers(id, type, position)
-      `, { count: 'exact' })
+      `, cursor ? undefined : { count: 'exact' })
 
-    // Apply factory filter for non-admin users
-    if (user.profile.role !== 'admin') {
-      query = query.eq('factory_id', user.profile.factory_id)
-    } else if (searchQuery.factory_id) {
-      query = query.eq('factory_id', searchQuery.factory_id)
+    if (scopeFactoryId) {
+      query = query.eq('factory_id', scopeFactoryId)
+    } else if (filters.factory_id) {
+      query = query.eq('factory_id', filters.factory_id)
     }
 
     // Apply filters
-    if (searchQuery.query) {
-      query = query.or(`product_name.ilike.%${searchQuery.query}%,qr_code.ilike.%${searchQuery.query}%`)
+    if (tsQuery) {
+      query = query.textSearch('search_vector', tsQuery, { config: 'simple' })
     }
 
-    if (searchQuery.status) {
-      query = query.eq('status', searchQuery.status)
+    if (filters.status) {
+      query = query.eq('status', filters.status)
     }
 
-    if (searchQuery.product_type) {
-      query = query.eq('product_type', searchQuery.product_type)
+    if (filters.product_type) {
+      query = query.eq('product_type', filters.product_type)
     }
 
-    if (searchQuery.batch_id) {
-      query = query.eq('batch_id', searchQuery.batch_id)
+    if (filters.batch_id) {
+      query = query.eq('batch_id', filters.batch_id)
     }
 
-    if (searchQuery.date_from) {
-      query = query.gte('created_at', searchQuery.date_from)
+    if (filters.month) {
+      const { start, end } = monthRange(filters.month)
+      query = query.gte('created_at', start).lt('created_at', end)
     }
 
-    if (searchQuery.date_to) {
-      query = query.lte('created_at', searchQuery.date_to + 'T23:59:59.999Z')
+    if (filters.date_from) {
+      query = query.gte('created_at', filters.date_from)
     }
 
-    // Apply pagination and sorting
+    if (filters.date_to) {
+      query = query.lte('created_at', filters.date_to + 'T23:59:59.999Z')
+    }
+
+    // Keyset pagination: newest first, id breaks ties between equal timestamps
+    if (cursor) {
+      query = query.or(`created_at.lt."${cursor.createdAt}",and(created_at.eq."${cursor.createdAt}",id.lt.${cursor.id})`)
+    }
+
+    // One extra row tells whether another page follows
     query = query
       .order('created_at', { ascending: false })
-      .range(searchQuery.offset, searchQuery.offset + searchQuery.limit - 1)
+      .order('id', { ascending: false })
+      .limit(searchQuery.limit + 1)
 
-    const { data: products, error, count } = await query
+    const { data: rows, error, count } = await query
 
     if (error) {
       console.error('Products query error:', error)
@@ -229,21 +297,27 @@ export async function GET(request) {
       )
     }
 
-    // Calculate pagination info
-    const totalPages = Math.ceil(count / searchQuery.limit)
-    const currentPage = Math.floor(searchQuery.offset / searchQuery.limit) + 1
+    const hasMore = (rows || []).length > searchQuery.limit
+    const products = (rows || []).slice(0, searchQuery.limit)
+
+    const facets = searchParams.get('facets') === 'true'
+      ? await getProductFacets({ scopeFactoryId, tsQuery, filters })
+      : undefined
 
     return NextResponse.json({
-      products,
+      // Workflow actions the current user may take on each product; the search
+      // document is only used for matching
+      products: products.map(({ search_vector, ...product }) => ({
+        ...product,
+        available_actions: availableTransitions(product.status, user.profile.role)
+      })),
       pagination: {
-        total: count,
+        total: cursor ? null : count,
         limit: searchQuery.limit,
-        offset: searchQuery.offset,
-        currentPage,
-        totalPages,
-        hasNext: currentPage < totalPages,
-        hasPrev: currentPage > 1
+        nextCursor: hasMore ? encodeCursor(products[products.length - 1]) : null,
+        hasMore
       },
+      facets,
       filters: searchQuery
     })
 
@@ -5,11 +5,38 @@ import {
   generateBatchQRCodes,
   generatePrintableQRCode,
   generateStyledQRCode,
+  generateQRCodeSVG,
+  generateSignedQRCodeImage,
+  getFactoryLogo,
   saveQRCodeToStorage,
   logQRCodeGeneration
 } from '../../../lib/qr-generator'
+import { inspectQRImage } from '../../../lib/qr-verification'
 import { getCurrentUser } from '../../../lib/auth'
-import { supabase } from '../../../lib/supabase'
+import { createClient } from '../../../lib/supabase'
+
+const supabase = createClient()
+
+/**
+ * Scan generated images back; batch results get a per-code report and a summary
+ */
+async function scanBack(result) {
+  if (!Array.isArray(result.qrCodes)) {
+    return await inspectQRImage(result.svg || result.dataURL, result.verificationURL)
+  }
+
+  for (const qrCode of result.qrCodes) {
+    qrCode.verification = await inspectQRImage(qrCode.dataURL, qrCode.verificationURL)
+  }
+
+  const failed = result.qrCodes.filter(qrCode => !qrCode.verification.passed)
+  return {
+    passed: failed.length === 0,
+    checked: result.qrCodes.length,
+    failed: failed.map(qrCode => qrCode.qrCode),
+    issues: [...new Set(result.qrCodes.flatMap(qrCode => qrCode.verification.issues.map(issue => issue.type)))]
+  }
+}
 
 export async function POST(request) {
   try {
@@ -43,7 +70,7 @@ export async function POST(request) {
 
     switch (type) {
       case 'single':
-        result = await generateSingleQRCode(options, saveToStorage, user)
+        result = await generateSingleQRCode(options, user)
         break
       
       case 'batch':
@@ -58,6 +85,26 @@ export async function POST(request) {
         result = await generateStyledQRCodeHandler(options, user)
         break
       
+      case 'svg':
+        result = await generateSVGQRCodeHandler(options, user)
+        break
+      
+      case 'product':
+        if (!productId) {
+          return NextResponse.json(
+            { error: 'Product ID is required for signed product QR codes' },
+            { status: 400 }
+          )
+        }
+        result = await generateProductQRCodeHandler(productId, options, user)
+        if (result.error) {
+          return NextResponse.json(
+            { error: result.error },
+            { status: result.status }
+          )
+        }
+        break
+      
       default:
         return NextResponse.json(
           { error: 'Invalid QR code type' },
@@ -65,6 +112,23 @@ export async function POST(request) {
         )
     }
 
+    // Reject output that does not scan back to its verification URL
+    const verification = await scanBack(result)
+    if (!verification.passed) {
+      return NextResponse.json(
+        {
+          error: 'Generated QR code failed scan-back verification',
+          verification
+        },
+        { status: 422 }
+      )
+    }
+
+    // Only store images that passed the scan-back check
+    if (['single', 'product'].includes(type)) {
+      result.storage = saveToStorage ? await saveQRCodeToStorage(result.qrCode, result.dataURL) : null
+    }
+
     // Log generation
     await logQRCodeGeneration(
       Array.isArray(result.qrCodes) ? `batch_${result.qrCodes.length}` : result.qrCode,
@@ -75,6 +139,7 @@ export async function POST(request) {
     return NextResponse.json({
       success: true,
       ...result,
+      verification,
       generatedAt: new Date().toISOString(),
       generatedBy: user.profile.full_name
     })
@@ -88,24 +153,18 @@ export async function POST(request) {
   }
 }
 
-async function generateSingleQRCode(options, saveToStorage, user) {
-  const qrCode = await generateUniqueQRCode()
+async function generateSingleQRCode(options, user) {
+  const qrCode = await generateUniqueQRCode({ factoryId: user.profile.factory_id })
   const qrImage = await generateQRCodeImage(qrCode, options)
   
-  let storageInfo = null
-  if (saveToStorage) {
-    storageInfo = await saveQRCodeToStorage(qrCode, qrImage.dataURL)
-  }
-  
   return {
     qrCode,
-    ...qrImage,
-    storage: storageInfo
+    ...qrImage
   }
 }
 
 async function generateBatchQRCodesHandler(count, options, user) {
-  const qrCodes = await generateBatchQRCodes(count, options)
+  const qrCodes = await generateBatchQRCodes(count, { ...options, factoryId: user.profile.factory_id })
   
   return {
     qrCodes,
@@ -115,22 +174,17 @@ async function generateBatchQRCodesHandler(count, options, user) {
 }
 
 async function generatePrintableQRCodeHandler(options, user) {
-  const qrCode = await generateUniqueQRCode()
+  const qrCode = await generateUniqueQRCode({ factoryId: user.profile.factory_id })
   const qrImage = await generatePrintableQRCode(qrCode, options)
   
   return {
     qrCode,
-    ...qrImage,
-    printSpecs: {
-      recommendedSize: '2cm x 2cm',
-      dpi: 300,
-      format: 'PNG'
-    }
+    ...qrImage
   }
 }
 
 async function generateStyledQRCodeHandler(options, user) {
-  const qrCode = await generateUniqueQRCode()
+  const qrCode = await generateUniqueQRCode({ factoryId: user.profile.factory_id })
   const qrImage = await generateStyledQRCode(qrCode, options)
   
   return {
@@ -140,6 +194,44 @@ async function generateStyledQRCodeHandler(options, user) {
   }
 }
 
+async function generateSVGQRCodeHandler(options, user) {
+  const qrCode = await generateUniqueQRCode({ factoryId: user.profile.factory_id })
+  const qrImage = await generateQRCodeSVG(qrCode, options)
+  
+  return {
+    qrCode,
+    ...qrImage
+  }
+}
+
+async function generateProductQRCodeHandler(productId, options, user) {
+  const { data: product, error } = await supabase
+    .from('products')
+    .select('id, qr_code, factory_id')
+    .eq('id', productId)
+    .single()
+
+  if (error || !product) {
+    return { error: 'Product not found', status: 404 }
+  }
+
+  // Check factory access for non-admin users
+  if (user.profile.role !== 'admin' && user.profile.factory_id !== product.factory_id) {
+    return { error: 'Access denied to this product', status: 403 }
+  }
+
+  // `withLogo` embeds the factory's configured QR logo
+  const { withLogo, ...qrOptions } = options
+  const logo = withLogo ? await getFactoryLogo(product.factory_id) : null
+
+  const qrImage = await generateSignedQRCodeImage(product, { ...qrOptions, logo })
+
+  return {
+    qrCode: product.qr_code,
+    ...qrImage
+  }
+}
+
 export async function GET(request) {
   try {
     const { searchParams } = new URL(request.url)
@@ -155,15 +247,29 @@ export async function GET(request) {
     }
 
     // Generate QR code image
-    const qrImage = await generateQRCodeImage(qrCode, { 
-      width: size,
-      type: `image/${format}`
-    })
+    const qrImage = format === 'svg'
+      ? await generateQRCodeSVG(qrCode, { width: size })
+      : await generateQRCodeImage(qrCode, { 
+          width: size,
+          type: `image/${format}`
+        })
+
+    const verification = await inspectQRImage(qrImage.svg || qrImage.dataURL, qrImage.verificationURL)
+    if (!verification.passed) {
+      return NextResponse.json(
+        {
+          error: 'Generated QR code failed scan-back verification',
+          verification
+        },
+        { status: 422 }
+      )
+    }
     
     return NextResponse.json({
       success: true,
       qrCode,
-      ...qrImage
+      ...qrImage,
+      verification
     })
 
   } catch (error) {
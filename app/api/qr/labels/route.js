@@ -0,0 +1,304 @@
+import { NextResponse } from 'next/server'
+import { getCurrentUser, hasPermission, PERMISSIONS } from '../../../lib/auth'
+import { createClient } from '../../../lib/supabase'
+import {
+  buildLabelSheet,
+  LABEL_TEMPLATES,
+  LABEL_FORMATS,
+  LABEL_DPI_OPTIONS,
+  LABEL_SHEET_CONFIG
+} from '../../../lib/label-sheets'
+
+const supabase = createClient()
+
+const MAX_PRODUCTS_PER_REQUEST = 500
+
+// Available label templates, formats and printer resolutions
+export async function GET() {
+  try {
+    // Get current user
+    const user = await getCurrentUser()
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      )
+    }
+
+    return NextResponse.json({
+      templates: Object.entries(LABEL_TEMPLATES).map(([id, template]) => ({
+        id,
+        label: template.label,
+        media: template.media,
+        labelsPerPage: template.media === 'roll' ? 1 : template.columns * template.rows
+      })),
+      formats: Object.entries(LABEL_FORMATS).map(([id, format]) => ({ id, label: format.label })),
+      dpi: LABEL_DPI_OPTIONS
+    })
+
+  } catch (error) {
+    console.error('Label templates error:', error)
+    return NextResponse.json(
+      { error: error.message || 'Failed to fetch label templates' },
+      { status: 500 }
+    )
+  }
+}
+
+function labelResponse(sheet) {
+  return new NextResponse(sheet.buffer, {
+    headers: {
+      'Content-Type': sheet.contentType,
+      'Content-Disposition': `attachment; filename="${sheet.filename}"`,
+      'Content-Length': sheet.buffer.length.toString(),
+      'Cache-Control': 'no-store'
+    }
+  })
+}
+
+/**
+ * Load a pool's available codes in sequence order, ready to pre-print
+ */
+async function loadPoolLabels(poolId, user, { offset, limit }) {
+  const { data: pool, error: poolError } = await supabase
+    .from('qr_code_pools')
+    .select('id, name, factory_id, status')
+    .eq('id', poolId)
+    .single()
+
+  if (poolError || !pool) {
+    return { error: 'QR code pool not found', status: 404 }
+  }
+
+  if (user.profile.role !== 'admin' && user.profile.factory_id !== pool.factory_id) {
+    return { error: 'Access denied to this pool', status: 403 }
+  }
+
+  if (pool.status === 'voided') {
+    return { error: 'QR code pool has been voided', status: 409 }
+  }
+
+  const { data: reservations, error } = await supabase
+    .from('qr_code_reservations')
+    .select('qr_code, factory_id')
+    .eq('pool_id', pool.id)
+    .eq('status', 'available')
+    .order('sequence')
+    .range(offset, offset + limit - 1)
+
+  if (error) {
+    throw new Error(`Pool codes query failed: ${error.message}`)
+  }
+
+  if (reservations.length === 0) {
+    return { error: 'QR code pool has no available codes', status: 409 }
+  }
+
+  return {
+    pool,
+    items: reservations.map(reservation => ({ ...reservation, product_name: pool.name }))
+  }
+}
+
+// Render labels for a list of products, or a pool's reserved codes, as PDF sheets or ZPL
+export async function POST(request) {
+  try {
+    // Get current user
+    const user = await getCurrentUser()
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      )
+    }
+
+    // Check permissions
+    if (!hasPermission(user, PERMISSIONS.PRODUCTS.CREATE)) {
+      return NextResponse.json(
+        { error: 'Insufficient permissions' },
+        { status: 403 }
+      )
+    }
+
+    const {
+      productIds,
+      poolId,
+      poolOffset = 0,
+      poolLimit,
+      template = 'a4-21',
+      format = 'pdf',
+      dpi = 300,
+      copies = 1,
+      startPosition = 0,
+      cropMarks = true
+    } = await request.json()
+
+    if (!poolId && (!Array.isArray(productIds) || productIds.length === 0)) {
+      return NextResponse.json(
+        { error: 'At least one product ID or a pool ID is required' },
+        { status: 400 }
+      )
+    }
+
+    if (!poolId && productIds.length > MAX_PRODUCTS_PER_REQUEST) {
+      return NextResponse.json(
+        { error: `Maximum ${MAX_PRODUCTS_PER_REQUEST} products per request` },
+        { status: 400 }
+      )
+    }
+
+    if (!LABEL_TEMPLATES[template]) {
+      return NextResponse.json(
+        { error: `Template must be one of: ${Object.keys(LABEL_TEMPLATES).join(', ')}` },
+        { status: 400 }
+      )
+    }
+
+    if (!LABEL_FORMATS[format]) {
+      return NextResponse.json(
+        { error: `Format must be one of: ${Object.keys(LABEL_FORMATS).join(', ')}` },
+        { status: 400 }
+      )
+    }
+
+    if (format === 'zpl' && LABEL_TEMPLATES[template].media !== 'roll') {
+      return NextResponse.json(
+        { error: 'ZPL output requires a roll label template' },
+        { status: 400 }
+      )
+    }
+
+    const printDpi = parseInt(dpi)
+    if (!LABEL_DPI_OPTIONS.includes(printDpi)) {
+      return NextResponse.json(
+        { error: `DPI must be one of: ${LABEL_DPI_OPTIONS.join(', ')}` },
+        { status: 400 }
+      )
+    }
+
+    const labelCopies = parseInt(copies)
+    if (!(labelCopies >= 1 && labelCopies <= LABEL_SHEET_CONFIG.maxCopies)) {
+      return NextResponse.json(
+        { error: `Copies must be between 1 and ${LABEL_SHEET_CONFIG.maxCopies}` },
+        { status: 400 }
+      )
+    }
+
+    const labelOptions = {
+      template,
+      format,
+      dpi: printDpi,
+      copies: labelCopies,
+      startPosition: parseInt(startPosition) || 0,
+      cropMarks: cropMarks !== false
+    }
+
+    if (poolId) {
+      const maxCodes = Math.floor(LABEL_SHEET_CONFIG.maxLabels / labelCopies)
+      const { pool, items, error: poolError, status } = await loadPoolLabels(poolId, user, {
+        offset: Math.max(parseInt(poolOffset) || 0, 0),
+        limit: Math.min(parseInt(poolLimit) || maxCodes, maxCodes)
+      })
+
+      if (poolError) {
+        return NextResponse.json({ error: poolError }, { status })
+      }
+
+      const sheet = await buildLabelSheet(items, labelOptions)
+
+      // Log label sheet generation
+      await supabase
+        .from('audit_logs')
+        .insert([{
+          event_type: 'product',
+          event_name: 'QR_LABELS_GENERATED',
+          user_id: user.id,
+          resource_type: 'qr_pool',
+          resource_id: pool.id,
+          metadata: {
+            pool_id: pool.id,
+            first_code: items[0].qr_code,
+            last_code: items[items.length - 1].qr_code,
+            template,
+            format,
+            dpi: printDpi,
+            copies: labelCopies,
+            label_count: sheet.labelCount,
+            page_count: sheet.pageCount
+          }
+        }])
+
+      return labelResponse(sheet)
+    }
+
+    const uniqueIds = [...new Set(productIds)]
+    if (uniqueIds.length * labelCopies > LABEL_SHEET_CONFIG.maxLabels) {
+      return NextResponse.json(
+        { error: `Cannot print more than ${LABEL_SHEET_CONFIG.maxLabels} labels at once` },
+        { status: 400 }
+      )
+    }
+
+    const { data: products, error: productsError } = await supabase
+      .from('products')
+      .select('id, qr_code, factory_id, product_name, serial_number, batch_id')
+      .in('id', uniqueIds)
+
+    if (productsError) {
+      console.error('Label products query error:', productsError)
+      return NextResponse.json(
+        { error: 'Failed to load products' },
+        { status: 500 }
+      )
+    }
+
+    if (products.length !== uniqueIds.length) {
+      return NextResponse.json(
+        { error: 'One or more products were not found' },
+        { status: 404 }
+      )
+    }
+
+    // Check factory access for non-admin users
+    if (user.profile.role !== 'admin' && products.some(product => product.factory_id !== user.profile.factory_id)) {
+      return NextResponse.json(
+        { error: 'Access denied to these products' },
+        { status: 403 }
+      )
+    }
+
+    // Print in the order the products were requested
+    const productsById = new Map(products.map(product => [product.id, product]))
+    const sheet = await buildLabelSheet(uniqueIds.map(id => productsById.get(id)), labelOptions)
+
+    // Log label sheet generation
+    await supabase
+      .from('audit_logs')
+      .insert([{
+        event_type: 'product',
+        event_name: 'QR_LABELS_GENERATED',
+        user_id: user.id,
+        resource_type: 'product',
+        resource_id: uniqueIds.length === 1 ? uniqueIds[0] : null,
+        metadata: {
+          product_ids: uniqueIds,
+          qr_codes: uniqueIds.map(id => productsById.get(id).qr_code),
+          template,
+          format,
+          dpi: printDpi,
+          copies: labelCopies,
+          label_count: sheet.labelCount,
+          page_count: sheet.pageCount
+        }
+      }])
+
+    return labelResponse(sheet)
+
+  } catch (error) {
+    console.error('Label sheet generation error:', error)
+    return NextResponse.json(
+      { error: error.message || 'Label generation failed' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,101 @@
+import { NextResponse } from 'next/server'
+import { getCurrentUser, hasPermission, PERMISSIONS } from '../../../../lib/auth'
+import { createClient } from '../../../../lib/supabase'
+import { QR_RESERVATION_STATUSES } from '../../../../lib/qr-pools'
+
+const supabase = createClient()
+
+// Pool details with its codes, in print order
+export async function GET(request, { params }) {
+  try {
+    // Get current user
+    const user = await getCurrentUser()
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      )
+    }
+
+    if (!hasPermission(user, PERMISSIONS.PRODUCTS.READ)) {
+      return NextResponse.json(
+        { error: 'Insufficient permissions' },
+        { status: 403 }
+      )
+    }
+
+    const { data: pool, error: poolError } = await supabase
+      .from('qr_code_pools')
+      .select(`
+        *,
+        factory:factories(id, name)
+      `)
+      .eq('id', params.id)
+      .single()
+
+    if (poolError || !pool) {
+      return NextResponse.json(
+        { error: 'QR code pool not found' },
+        { status: 404 }
+      )
+    }
+
+    // Check factory access for non-admin users
+    if (user.profile.role !== 'admin' && user.profile.factory_id !== pool.factory_id) {
+      return NextResponse.json(
+        { error: 'Access denied to this pool' },
+        { status: 403 }
+      )
+    }
+
+    const { searchParams } = new URL(request.url)
+    const status = searchParams.get('status')
+    const limit = parseInt(searchParams.get('limit')) || 100
+    const offset = parseInt(searchParams.get('offset')) || 0
+
+    let query = supabase
+      .from('qr_code_reservations')
+      .select(`
+        qr_code,
+        sequence,
+        status,
+        assigned_at,
+        voided_at,
+        product:products(id, product_name, serial_number)
+      `, { count: 'exact' })
+      .eq('pool_id', pool.id)
+      .order('sequence')
+
+    if (status && QR_RESERVATION_STATUSES.includes(status)) {
+      query = query.eq('status', status)
+    }
+
+    const { data: codes, error, count } = await query.range(offset, offset + limit - 1)
+
+    if (error) {
+      console.error('QR pool codes query error:', error)
+      return NextResponse.json(
+        { error: 'Failed to fetch pool codes' },
+        { status: 500 }
+      )
+    }
+
+    return NextResponse.json({
+      pool,
+      codes: codes || [],
+      pagination: {
+        total: count || 0,
+        limit,
+        offset,
+        hasMore: (offset + limit) < (count || 0)
+      }
+    })
+
+  } catch (error) {
+    console.error('QR pool fetch error:', error)
+    return NextResponse.json(
+      { error: error.message || 'Failed to fetch QR code pool' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,100 @@
+import { NextResponse } from 'next/server'
+import { getCurrentUser, hasPermission, PERMISSIONS } from '../../../../../lib/auth'
+import { createClient } from '../../../../../lib/supabase'
+import { voidQRCodes } from '../../../../../lib/qr-pools'
+
+const supabase = createClient()
+
+// Void unassigned codes (lost or damaged labels), or the whole pool when no codes are listed
+export async function POST(request, { params }) {
+  try {
+    // Get current user
+    const user = await getCurrentUser()
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      )
+    }
+
+    // Check permissions
+    if (!hasPermission(user, PERMISSIONS.PRODUCTS.CREATE)) {
+      return NextResponse.json(
+        { error: 'Insufficient permissions' },
+        { status: 403 }
+      )
+    }
+
+    const { reason, codes } = await request.json()
+
+    if (codes !== undefined && (!Array.isArray(codes) || codes.length === 0)) {
+      return NextResponse.json(
+        { error: 'Codes must be a non-empty list when given' },
+        { status: 400 }
+      )
+    }
+
+    const { data: pool, error: poolError } = await supabase
+      .from('qr_code_pools')
+      .select('id, factory_id, status')
+      .eq('id', params.id)
+      .single()
+
+    if (poolError || !pool) {
+      return NextResponse.json(
+        { error: 'QR code pool not found' },
+        { status: 404 }
+      )
+    }
+
+    // Check factory access for non-admin users
+    if (user.profile.role !== 'admin' && user.profile.factory_id !== pool.factory_id) {
+      return NextResponse.json(
+        { error: 'Access denied to this pool' },
+        { status: 403 }
+      )
+    }
+
+    if (pool.status === 'voided') {
+      return NextResponse.json(
+        { error: 'QR code pool is already voided' },
+        { status: 409 }
+      )
+    }
+
+    const updated = await voidQRCodes(pool.id, {
+      codes: codes || null,
+      voidedBy: user.id,
+      reason: reason || null
+    })
+
+    // Log voiding
+    await supabase
+      .from('audit_logs')
+      .insert([{
+        event_type: 'product',
+        event_name: codes ? 'QR_CODES_VOIDED' : 'QR_POOL_VOIDED',
+        user_id: user.id,
+        resource_type: 'qr_pool',
+        resource_id: pool.id,
+        metadata: {
+          factory_id: pool.factory_id,
+          codes: codes || null,
+          reason: reason || null,
+          voided_count: updated.voided_count
+        }
+      }])
+
+    return NextResponse.json({
+      success: true,
+      pool: updated
+    })
+
+  } catch (error) {
+    console.error('QR pool void error:', error)
+    return NextResponse.json(
+      { error: error.message || 'Failed to void QR codes' },
+      { status: 500 }
+    )
+  }
+}
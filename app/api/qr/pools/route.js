@@ -0,0 +1,160 @@
+import { NextResponse } from 'next/server'
+import { getCurrentUser, hasPermission, PERMISSIONS } from '../../../lib/auth'
+import { createClient } from '../../../lib/supabase'
+import { reserveQRCodePool, QR_POOL_CONFIG, QR_POOL_STATUSES } from '../../../lib/qr-pools'
+
+const supabase = createClient()
+
+// Reserve a pool of codes for later binding to products
+export async function POST(request) {
+  try {
+    // Get current user
+    const user = await getCurrentUser()
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      )
+    }
+
+    // Check permissions
+    if (!hasPermission(user, PERMISSIONS.PRODUCTS.CREATE)) {
+      return NextResponse.json(
+        { error: 'Insufficient permissions' },
+        { status: 403 }
+      )
+    }
+
+    const { count, name, factoryId } = await request.json()
+
+    // Admins reserve on behalf of a factory; everyone else for their own
+    const poolFactoryId = user.profile.role === 'admin' ? factoryId : user.profile.factory_id
+    if (!poolFactoryId) {
+      return NextResponse.json(
+        { error: 'Factory ID is required' },
+        { status: 400 }
+      )
+    }
+
+    const codeCount = parseInt(count)
+    if (!(codeCount >= 1 && codeCount <= QR_POOL_CONFIG.maxCodesPerPool)) {
+      return NextResponse.json(
+        { error: `Count must be between 1 and ${QR_POOL_CONFIG.maxCodesPerPool}` },
+        { status: 400 }
+      )
+    }
+
+    const poolName = typeof name === 'string' && name.trim()
+      ? name.trim().slice(0, QR_POOL_CONFIG.maxNameLength)
+      : `Pool of ${codeCount} - ${new Date().toISOString().slice(0, 10)}`
+
+    const pool = await reserveQRCodePool({
+      factoryId: poolFactoryId,
+      count: codeCount,
+      name: poolName,
+      createdBy: user.id
+    })
+
+    // Log reservation
+    await supabase
+      .from('audit_logs')
+      .insert([{
+        event_type: 'product',
+        event_name: 'QR_POOL_RESERVED',
+        user_id: user.id,
+        resource_type: 'qr_pool',
+        resource_id: pool.id,
+        metadata: {
+          factory_id: pool.factory_id,
+          name: pool.name,
+          count: pool.available_count
+        }
+      }])
+
+    return NextResponse.json({
+      success: true,
+      pool
+    }, { status: 201 })
+
+  } catch (error) {
+    console.error('QR pool reservation error:', error)
+    return NextResponse.json(
+      { error: error.message || 'Failed to reserve QR codes' },
+      { status: 500 }
+    )
+  }
+}
+
+export async function GET(request) {
+  try {
+    // Get current user
+    const user = await getCurrentUser()
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      )
+    }
+
+    if (!hasPermission(user, PERMISSIONS.PRODUCTS.READ)) {
+      return NextResponse.json(
+        { error: 'Insufficient permissions' },
+        { status: 403 }
+      )
+    }
+
+    const { searchParams } = new URL(request.url)
+    const status = searchParams.get('status')
+    const factoryId = searchParams.get('factory_id')
+    const limit = parseInt(searchParams.get('limit')) || 50
+    const offset = parseInt(searchParams.get('offset')) || 0
+
+    let query = supabase
+      .from('qr_code_pools')
+      .select(`
+        *,
+        factory:factories(id, name)
+      `, { count: 'exact' })
+      .order('created_at', { ascending: false })
+
+    // Filter by factory for non-admin users
+    if (user.profile.role !== 'admin') {
+      query = query.eq('factory_id', user.profile.factory_id)
+    } else if (factoryId) {
+      query = query.eq('factory_id', factoryId)
+    }
+
+    if (status && QR_POOL_STATUSES.includes(status)) {
+      query = query.eq('status', status)
+    }
+
+    query = query.range(offset, offset + limit - 1)
+
+    const { data: pools, error, count } = await query
+
+    if (error) {
+      console.error('QR pools query error:', error)
+      return NextResponse.json(
+        { error: 'Failed to fetch QR code pools' },
+        { status: 500 }
+      )
+    }
+
+    return NextResponse.json({
+      pools: pools || [],
+      pagination: {
+        total: count || 0,
+        limit,
+        offset,
+        hasMore: (offset + limit) < (count || 0)
+      }
+    })
+
+  } catch (error) {
+    console.error('QR pools fetch error:', error)
+    return NextResponse.json(
+      { error: error.message || 'Failed to fetch QR code pools' },
+      { status: 500 }
+    )
+  }
+}
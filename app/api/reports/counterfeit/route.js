@@ -0,0 +1,189 @@
+import { randomUUID } from 'crypto'
+import { NextResponse } from 'next/server'
+import { createClient } from '../../../lib/supabase'
+import { processImage, uploadImageToStorage, deleteImageFromStorage, validateImageFile } from '../../../lib/image-processing'
+import { counterfeitReportSchema, formatValidationErrors, sanitizeInput } from '../../../lib/validation'
+import { getScanContext } from '../../../lib/scan-tracking'
+import { lookupLocation } from '../../../lib/geoip'
+
+const supabase = createClient()
+
+const MAX_REPORT_PHOTOS = 4
+
+const REPORT_FIELDS = [
+  'qr_code',
+  'purchase_location',
+  'purchase_date',
+  'seller',
+  'description',
+  'contact_name',
+  'contact_email',
+  'contact_phone'
+]
+
+/**
+ * Remove photos stored for a report that was not saved; failures are only logged
+ */
+async function removeUploadedPhotos(photos) {
+  for (const photo of photos) {
+    try {
+      await deleteImageFromStorage(photo.path, 'counterfeit-reports')
+    } catch (storageError) {
+      console.error('Counterfeit photo cleanup error:', storageError)
+    }
+  }
+}
+
+// Public endpoint: consumers report suspected counterfeits without signing in
+export async function POST(request) {
+  try {
+    const formData = await request.formData()
+
+    const fields = {}
+    REPORT_FIELDS.forEach(field => {
+      const value = formData.get(field)
+      fields[field] = typeof value === 'string' ? sanitizeInput(value) : null
+    })
+
+    const validation = counterfeitReportSchema.safeParse(fields)
+    if (!validation.success) {
+      return NextResponse.json(
+        {
+          error: 'Invalid report',
+          validationErrors: formatValidationErrors(validation.error)
+        },
+        { status: 400 }
+      )
+    }
+
+    const report = validation.data
+    const photos = formData.getAll('photos').filter(file => file && file.size > 0)
+
+    if (photos.length > MAX_REPORT_PHOTOS) {
+      return NextResponse.json(
+        { error: `Maximum ${MAX_REPORT_PHOTOS} photos allowed per report` },
+        { status: 400 }
+      )
+    }
+
+    // Validate each photo
+    const photoErrors = []
+    photos.forEach((file, index) => {
+      const fileValidation = validateImageFile(file)
+      if (!fileValidation.isValid) {
+        photoErrors.push({
+          fileIndex: index,
+          fileName: file.name,
+          errors: fileValidation.errors
+        })
+      }
+    })
+
+    if (photoErrors.length > 0) {
+      return NextResponse.json(
+        {
+          error: 'Photo validation failed',
+          validationErrors: photoErrors
+        },
+        { status: 400 }
+      )
+    }
+
+    // Link the report to a product when the code is registered
+    const { data: product } = await supabase
+      .from('products')
+      .select('id, factory_id')
+      .eq('qr_code', report.qr_code)
+      .single()
+
+    const reportId = randomUUID()
+    const context = getScanContext(request.headers)
+    const location = await lookupLocation(context.ipAddress)
+
+    // Strip metadata and re-encode photos before storing them. Consumers cannot
+    // update a report after inserting it, so photos go first and are removed again
+    // if the report is not saved.
+    const uploadedPhotos = []
+    try {
+      for (const [index, file] of photos.entries()) {
+        const buffer = Buffer.from(await file.arrayBuffer())
+        const processed = await processImage(buffer)
+        const upload = await uploadImageToStorage(
+          processed.buffer,
+          `photo-${index + 1}.jpg`,
+          'counterfeit-reports',
+          reportId
+        )
+
+        // The bucket is private; admins get signed URLs when triaging
+        uploadedPhotos.push({
+          path: upload.path,
+          width: processed.metadata.width,
+          height: processed.metadata.height,
+          size: processed.metadata.size
+        })
+      }
+    } catch (uploadError) {
+      await removeUploadedPhotos(uploadedPhotos)
+      throw uploadError
+    }
+
+    const { error: insertError } = await supabase
+      .from('counterfeit_reports')
+      .insert([{
+        id: reportId,
+        qr_code: report.qr_code,
+        product_id: product?.id || null,
+        purchase_location: report.purchase_location,
+        purchase_date: report.purchase_date || null,
+        seller: report.seller || null,
+        description: report.description || null,
+        photos: uploadedPhotos,
+        contact_name: report.contact_name || null,
+        contact_email: report.contact_email || null,
+        contact_phone: report.contact_phone || null,
+        ip_address: context.ipAddress,
+        country: location.country,
+        city: location.city
+      }])
+
+    if (insertError) {
+      console.error('Counterfeit report insert error:', insertError)
+      await removeUploadedPhotos(uploadedPhotos)
+      return NextResponse.json(
+        { error: 'Failed to submit report' },
+        { status: 500 }
+      )
+    }
+
+    // Log report submission
+    await supabase
+      .from('audit_logs')
+      .insert([{
+        event_type: 'product',
+        event_name: 'COUNTERFEIT_REPORTED',
+        resource_type: 'counterfeit_report',
+        resource_id: reportId,
+        ip_address: context.ipAddress,
+        user_agent: context.userAgent,
+        metadata: {
+          qr_code: report.qr_code,
+          product_id: product?.id || null,
+          factory_id: product?.factory_id || null,
+          photo_count: uploadedPhotos.length
+        }
+      }])
+
+    return NextResponse.json(
+      { success: true, id: reportId, status: 'new' },
+      { status: 201 }
+    )
+
+  } catch (error) {
+    console.error('Counterfeit report error:', error)
+    return NextResponse.json(
+      { error: error.message || 'Failed to submit report' },
+      { status: 500 }
+    )
+  }
+}
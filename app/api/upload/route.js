@@ -291,27 +291,8 @@ export async function DELETE(request) {
       )
     }
 
-    // Delete from storage
-    try {
-      // Extract file paths from URLs
-      const mainImagePath = extractStoragePath(image.image_url)
-      const thumbnailPath = extractStoragePath(image.thumbnail_url)
-
-      if (mainImagePath) {
-        await supabase.storage
-          .from('product-images')
-          .remove([mainImagePath])
-      }
-
-      if (thumbnailPath) {
-        await supabase.storage
-          .from('product-images')
-          .remove([thumbnailPath])
-      }
-    } catch (storageError) {
-      console.error('Storage deletion error:', storageError)
-      // Continue with database deletion even if storage deletion fails
-    }
+    // The files stay in storage: earlier product versions still show this photo
+    // and can restore it. They are removed when the product itself is deleted.
 
     // Delete from database
     const { error: deleteError } = await supabase
@@ -355,19 +336,3 @@ export async function DELETE(request) {
     )
   }
 }
-
-function extractStoragePath(url) {
-  try {
-    const urlObj = new URL(url)
-    const pathParts = urlObj.pathname.split('/')
-    // Remove the first few parts to get the storage path
-    // Expected format: /storage/v1/object/public/bucket-name/path
-    const bucketIndex = pathParts.indexOf('product-images')
-    if (bucketIndex !== -1 && bucketIndex < pathParts.length - 1) {
-      return pathParts.slice(bucketIndex + 1).join('/')
-    }
-    return null
-  } catch (error) {
-    return null
-  }
-}
\ No newline at end of file
@@ -0,0 +1,280 @@
+'use client'
+import { useState } from 'react'
+import { useForm } from 'react-hook-form'
+import { zodResolver } from '@hookform/resolvers/zod'
+import { Flag, Camera, X, Loader2, CheckCircle, AlertCircle } from 'lucide-react'
+import { counterfeitReportSchema } from '../../lib/validation'
+
+const MAX_PHOTOS = 4
+
+export default function CounterfeitReportForm({ qrCode, buttonLabel = 'Report Possible Counterfeit' }) {
+  const [isOpen, setIsOpen] = useState(false)
+  const [photos, setPhotos] = useState([])
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [submitError, setSubmitError] = useState(null)
+  const [submitted, setSubmitted] = useState(false)
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors }
+  } = useForm({
+    resolver: zodResolver(counterfeitReportSchema),
+    defaultValues: {
+      qr_code: qrCode || '',
+      purchase_location: '',
+      purchase_date: '',
+      seller: '',
+      description: '',
+      contact_name: '',
+      contact_email: '',
+      contact_phone: ''
+    }
+  })
+
+  const handlePhotoSelect = (event) => {
+    const files = Array.from(event.target.files || [])
+    setPhotos(prev => [...prev, ...files].slice(0, MAX_PHOTOS))
+    event.target.value = ''
+  }
+
+  const removePhoto = (index) => {
+    setPhotos(prev => prev.filter((_, i) => i !== index))
+  }
+
+  const onFormSubmit = async (data) => {
+    setIsSubmitting(true)
+    setSubmitError(null)
+
+    try {
+      const formData = new FormData()
+      Object.entries(data).forEach(([key, value]) => {
+        if (value) {
+          formData.append(key, value)
+        }
+      })
+      photos.forEach(file => formData.append('photos', file))
+
+      const response = await fetch('/api/reports/counterfeit', {
+        method: 'POST',
+        body: formData
+      })
+
+      if (!response.ok) {
+        const result = await response.json().catch(() => ({}))
+        throw new Error(result.error || 'Failed to submit report')
+      }
+
+      setSubmitted(true)
+    } catch (error) {
+      console.error('Counterfeit report error:', error)
+      setSubmitError(error.message)
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  if (submitted) {
+    return (
+      <div className="bg-green-50 border border-green-200 rounded-lg p-4 flex items-start text-left">
+        <CheckCircle className="h-5 w-5 text-confirmsure-green mr-3 flex-shrink-0 mt-0.5" />
+        <div>
+          <p className="font-medium text-green-800">Thank you, your report has been sent</p>
+          <p className="text-sm text-green-700 mt-1">
+            Our team reviews every report. If you left contact details we may get in touch for more information.
+          </p>
+        </div>
+      </div>
+    )
+  }
+
+  if (!isOpen) {
+    return (
+      <button
+        type="button"
+        onClick={() => setIsOpen(true)}
+        className="w-full bg-red-600 hover:bg-red-700 text-white font-medium py-3 px-4 rounded-lg flex items-center justify-center gap-2"
+      >
+        <Flag className="h-5 w-5" />
+        <span>{buttonLabel}</span>
+      </button>
+    )
+  }
+
+  return (
+    <form onSubmit={handleSubmit(onFormSubmit)} className="space-y-4 text-left">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          Scanned Code *
+        </label>
+        <input
+          {...register('qr_code')}
+          readOnly={Boolean(qrCode)}
+          className="w-full px-4 py-2 border border-gray-300 rounded-lg bg-gray-50 font-mono focus:ring-2 focus:ring-confirmsure-blue focus:border-transparent"
+        />
+        {errors.qr_code && (
+          <p className="mt-1 text-sm text-red-600">{errors.qr_code.message}</p>
+        )}
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Where did you buy it? *
+          </label>
+          <input
+            {...register('purchase_location')}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-confirmsure-blue focus:border-transparent"
+            placeholder="Shop, market or website"
+          />
+          {errors.purchase_location && (
+            <p className="mt-1 text-sm text-red-600">{errors.purchase_location.message}</p>
+          )}
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Purchase Date
+          </label>
+          <input
+            type="date"
+            {...register('purchase_date')}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-confirmsure-blue focus:border-transparent"
+          />
+          {errors.purchase_date && (
+            <p className="mt-1 text-sm text-red-600">{errors.purchase_date.message}</p>
+          )}
+        </div>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          Seller
+        </label>
+        <input
+          {...register('seller')}
+          className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-confirmsure-blue focus:border-transparent"
+          placeholder="Seller or store name"
+        />
+        {errors.seller && (
+          <p className="mt-1 text-sm text-red-600">{errors.seller.message}</p>
+        )}
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          What looks wrong?
+        </label>
+        <textarea
+          {...register('description')}
+          rows={3}
+          className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-confirmsure-blue focus:border-transparent"
+          placeholder="Packaging, markers, price or anything else that seemed off"
+        />
+        {errors.description && (
+          <p className="mt-1 text-sm text-red-600">{errors.description.message}</p>
+        )}
+      </div>
+
+      {/* Photos */}
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          Photos ({photos.length}/{MAX_PHOTOS})
+        </label>
+        <div className="flex flex-wrap gap-2">
+          {photos.map((file, index) => (
+            <div key={`${file.name}-${index}`} className="flex items-center bg-gray-100 rounded-lg px-3 py-1 text-sm text-gray-700">
+              <span className="max-w-[10rem] truncate">{file.name}</span>
+              <button
+                type="button"
+                onClick={() => removePhoto(index)}
+                className="ml-2 text-gray-400 hover:text-gray-600"
+              >
+                <X className="h-4 w-4" />
+              </button>
+            </div>
+          ))}
+          {photos.length < MAX_PHOTOS && (
+            <label className="flex items-center gap-2 border border-dashed border-gray-300 rounded-lg px-3 py-1 text-sm text-gray-600 cursor-pointer hover:border-confirmsure-blue">
+              <Camera className="h-4 w-4" />
+              <span>Add photo</span>
+              <input
+                type="file"
+                accept="image/jpeg,image/png,image/webp"
+                multiple
+                onChange={handlePhotoSelect}
+                className="hidden"
+              />
+            </label>
+          )}
+        </div>
+      </div>
+
+      {/* Optional contact details */}
+      <div className="border-t pt-4">
+        <p className="text-sm text-gray-600 mb-3">
+          Contact details are optional. Leave them if you are happy for us to follow up.
+        </p>
+        <div className="grid md:grid-cols-3 gap-4">
+          <div>
+            <input
+              {...register('contact_name')}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-confirmsure-blue focus:border-transparent"
+              placeholder="Name"
+            />
+            {errors.contact_name && (
+              <p className="mt-1 text-sm text-red-600">{errors.contact_name.message}</p>
+            )}
+          </div>
+          <div>
+            <input
+              type="email"
+              {...register('contact_email')}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-confirmsure-blue focus:border-transparent"
+              placeholder="Email"
+            />
+            {errors.contact_email && (
+              <p className="mt-1 text-sm text-red-600">{errors.contact_email.message}</p>
+            )}
+          </div>
+          <div>
+            <input
+              type="tel"
+              {...register('contact_phone')}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-confirmsure-blue focus:border-transparent"
+              placeholder="Phone"
+            />
+            {errors.contact_phone && (
+              <p className="mt-1 text-sm text-red-600">{errors.contact_phone.message}</p>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {submitError && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-3 flex items-center text-sm text-red-700">
+          <AlertCircle className="h-4 w-4 mr-2 flex-shrink-0" />
+          {submitError}
+        </div>
+      )}
+
+      <div className="flex items-center gap-3">
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="flex-1 bg-red-600 hover:bg-red-700 disabled:opacity-50 text-white font-medium py-3 px-4 rounded-lg flex items-center justify-center gap-2"
+        >
+          {isSubmitting ? <Loader2 className="h-5 w-5 animate-spin" /> : <Flag className="h-5 w-5" />}
+          <span>{isSubmitting ? 'Sending...' : 'Send Report'}</span>
+        </button>
+        <button
+          type="button"
+          onClick={() => setIsOpen(false)}
+          className="px-4 py-3 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  )
+}
@@ -0,0 +1,170 @@
+'use client'
+import { CheckCircle, XCircle, HelpCircle, ChevronLeft, X, RotateCcw, Flag } from 'lucide-react'
+import { markerBounds, MARKER_TYPE_LABELS } from '../../lib/markers'
+
+const ANSWERS = [
+  { id: 'match', label: 'It matches', icon: CheckCircle, className: 'bg-confirmsure-green text-white hover:bg-green-600' },
+  { id: 'mismatch', label: 'It doesn’t match', icon: XCircle, className: 'bg-red-600 text-white hover:bg-red-700' },
+  { id: 'unsure', label: 'Can’t tell', icon: HelpCircle, className: 'border border-gray-300 text-gray-700 bg-white hover:bg-gray-50' }
+]
+
+/**
+ * Marker details for the consumer: what to look for and how to check it
+ */
+export function MarkerDetails({ marker, number }) {
+  return (
+    <div>
+      <h3 className="font-semibold text-gray-900">
+        <span className="inline-flex items-center justify-center w-6 h-6 rounded-full bg-confirmsure-blue text-white text-xs font-bold mr-2">
+          {number}
+        </span>
+        {MARKER_TYPE_LABELS[marker.type] || marker.type}
+      </h3>
+      <p className="text-gray-600 mt-2">Position: {marker.position}</p>
+      {marker.color && <p className="text-gray-600">Color: {marker.color}</p>}
+      {marker.pattern && <p className="text-gray-600">Pattern: {marker.pattern}</p>}
+      {marker.size_mm && <p className="text-gray-600">Size: {marker.size_mm} mm</p>}
+      {marker.description && <p className="text-gray-600 mt-2">{marker.description}</p>}
+      {marker.verification_instructions && (
+        <div className="mt-3 bg-green-50 border border-green-200 rounded-lg p-3">
+          <p className="text-sm font-medium text-green-800">How to check</p>
+          <p className="text-sm text-green-700 mt-1 whitespace-pre-line">{marker.verification_instructions}</p>
+        </div>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Step-by-step marker check. The parent moves the photo to each step's marker;
+ * this panel shows what to compare and records the consumer's answer.
+ */
+export default function GuidedMarkerCheck({ markers, step, results, onAnswer, onBack, onRestart, onExit }) {
+  const total = markers.length
+  const isFinished = step >= total
+
+  if (isFinished) {
+    const mismatched = markers.filter(({ marker }) => results[marker.id] === 'mismatch')
+    const unsure = markers.filter(({ marker }) => results[marker.id] === 'unsure')
+
+    return (
+      <div className="border-2 border-confirmsure-blue rounded-lg p-4" role="status">
+        <div className="flex items-start justify-between">
+          <h3 className="font-semibold text-gray-900">Marker check complete</h3>
+          <button type="button" onClick={onExit} aria-label="Close marker check" className="text-gray-400 hover:text-gray-600">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        {mismatched.length > 0 ? (
+          <div className="mt-3 bg-red-50 border border-red-200 rounded-lg p-3">
+            <p className="font-medium text-red-800">
+              {mismatched.length === 1 ? '1 marker did' : `${mismatched.length} markers did`} not match:{' '}
+              {mismatched.map(({ number }) => `#${number}`).join(', ')}
+            </p>
+            <p className="text-sm text-red-700 mt-1">
+              Your product may not be genuine. Please report it so the manufacturer can investigate.
+            </p>
+            <a href="#report" className="mt-3 inline-flex items-center text-sm font-medium text-red-700 underline">
+              <Flag className="h-4 w-4 mr-1" />
+              Report this product
+            </a>
+          </div>
+        ) : unsure.length > 0 ? (
+          <div className="mt-3 bg-yellow-50 border border-yellow-200 rounded-lg p-3">
+            <p className="font-medium text-yellow-800">
+              {unsure.length === 1 ? '1 marker' : `${unsure.length} markers`} could not be checked:{' '}
+              {unsure.map(({ number }) => `#${number}`).join(', ')}
+            </p>
+            <p className="text-sm text-yellow-700 mt-1">
+              Try again in better light, or contact the manufacturer if you are unsure.
+            </p>
+          </div>
+        ) : (
+          <div className="mt-3 bg-green-50 border border-green-200 rounded-lg p-3">
+            <p className="font-medium text-green-800">
+              All {total} {total === 1 ? 'marker matches' : 'markers match'} the manufacturer&apos;s photos
+            </p>
+          </div>
+        )}
+
+        <button
+          type="button"
+          onClick={onRestart}
+          className="mt-4 px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 inline-flex items-center"
+        >
+          <RotateCcw className="h-4 w-4 mr-1" />
+          Check again
+        </button>
+      </div>
+    )
+  }
+
+  const { marker, number } = markers[step]
+  const isPlaced = Boolean(markerBounds(marker.coordinates))
+
+  return (
+    <div className="border-2 border-confirmsure-blue rounded-lg p-4">
+      <div className="flex items-center justify-between mb-3">
+        <p className="text-sm font-medium text-confirmsure-blue" aria-live="polite">
+          Check marker {step + 1} of {total}
+        </p>
+        <button type="button" onClick={onExit} aria-label="Close marker check" className="text-gray-400 hover:text-gray-600">
+          <X className="h-5 w-5" />
+        </button>
+      </div>
+
+      {/* Progress */}
+      <div className="flex gap-1 mb-4">
+        {markers.map((entry, index) => (
+          <div
+            key={entry.marker.id}
+            className={`h-1.5 flex-1 rounded-full ${
+              results[entry.marker.id] === 'mismatch'
+                ? 'bg-red-500'
+                : results[entry.marker.id]
+                  ? 'bg-confirmsure-green'
+                  : index === step ? 'bg-confirmsure-blue' : 'bg-gray-200'
+            }`}
+          />
+        ))}
+      </div>
+
+      <MarkerDetails marker={marker} number={number} />
+
+      <p className="text-sm text-gray-500 mt-3">
+        {isPlaced
+          ? 'Find the highlighted spot on your product and compare it with the photo.'
+          : 'This marker is not pinpointed on a photo. Use the description above to find it on your product.'}
+      </p>
+
+      <div className="mt-4 flex flex-wrap gap-2">
+        {ANSWERS.map(answer => {
+          const AnswerIcon = answer.icon
+          return (
+            <button
+              key={answer.id}
+              type="button"
+              onClick={() => onAnswer(marker.id, answer.id)}
+              aria-pressed={results[marker.id] === answer.id}
+              className={`px-3 py-2 rounded-md text-sm font-medium inline-flex items-center ${answer.className}`}
+            >
+              <AnswerIcon className="h-4 w-4 mr-1" />
+              {answer.label}
+            </button>
+          )
+        })}
+        {step > 0 && (
+          <button
+            type="button"
+            onClick={onBack}
+            className="px-3 py-2 text-sm font-medium text-gray-600 hover:text-gray-900 inline-flex items-center"
+          >
+            <ChevronLeft className="h-4 w-4 mr-1" />
+            Back
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,339 @@
+'use client'
+import { useState, useEffect, useRef, useCallback } from 'react'
+import Image from 'next/image'
+import { ZoomIn, ZoomOut, Maximize2 } from 'lucide-react'
+import { markerBounds, markerCenter, MARKER_TYPE_LABELS } from '../../lib/markers'
+
+const MAX_SCALE = 5
+const ZOOM_STEP = 1.5
+// Zooming to a marker sizes its box to about this share of the viewport
+const FOCUS_FILL = 0.5
+const POINT_FOCUS_SCALE = 2.5
+
+const INITIAL_VIEW = { scale: 1, x: 0, y: 0 }
+
+// Largest box with the photo's aspect ratio that fits the viewport
+function fitImage(viewport, aspectRatio) {
+  if (!viewport.width || !viewport.height) {
+    return { width: 0, height: 0 }
+  }
+
+  if (viewport.width / viewport.height > aspectRatio) {
+    return { width: viewport.height * aspectRatio, height: viewport.height }
+  }
+  return { width: viewport.width, height: viewport.width / aspectRatio }
+}
+
+// Keep the zoom in range and stop the photo being dragged out of view.
+// x/y offset the photo's centre from the viewport's centre, in pixels.
+function clampView(view, layout) {
+  const scale = Math.min(MAX_SCALE, Math.max(1, view.scale))
+  const maxX = Math.max(0, (layout.fit.width * scale - layout.viewport.width) / 2)
+  const maxY = Math.max(0, (layout.fit.height * scale - layout.viewport.height) / 2)
+
+  return {
+    scale,
+    x: Math.min(maxX, Math.max(-maxX, view.x)),
+    y: Math.min(maxY, Math.max(-maxY, view.y))
+  }
+}
+
+// Zoom so the point `anchor` (relative to the viewport centre) stays put
+function zoomAround(view, scale, anchor, layout) {
+  const next = Math.min(MAX_SCALE, Math.max(1, scale))
+  return clampView({
+    scale: next,
+    x: anchor.x - (anchor.x - view.x) * (next / view.scale),
+    y: anchor.y - (anchor.y - view.y) * (next / view.scale)
+  }, layout)
+}
+
+function focusView(bounds, layout) {
+  const { fit, viewport } = layout
+  const scale = bounds.isPoint
+    ? POINT_FOCUS_SCALE
+    : Math.max(1, FOCUS_FILL * Math.min(
+      viewport.width / Math.max(bounds.width * fit.width, 1),
+      viewport.height / Math.max(bounds.height * fit.height, 1)
+    ))
+  const center = markerCenter(bounds)
+  const clamped = Math.min(MAX_SCALE, scale)
+
+  return clampView({
+    scale: clamped,
+    x: -clamped * (center.x - 0.5) * fit.width,
+    y: -clamped * (center.y - 0.5) * fit.height
+  }, layout)
+}
+
+/**
+ * Product photo with authentication markers drawn as tappable hotspots.
+ * Supports pinch, ctrl+wheel and button zoom, drag to pan, and zooming to a
+ * marker when `focus` changes ({ markerId }; pass a new object to refocus).
+ * `markers` are { marker, number } entries placed on this photo. Key the
+ * viewer by the photo's URL so each photo starts unzoomed.
+ */
+export default function MarkerImageViewer({
+  image,
+  alt,
+  markers = [],
+  activeMarkerId = null,
+  focus = null,
+  onSelectMarker,
+  priority = false,
+  children
+}) {
+  const viewportRef = useRef(null)
+  const pointers = useRef(new Map())
+  const [viewport, setViewport] = useState({ width: 0, height: 0 })
+  const [aspectRatio, setAspectRatio] = useState(
+    image?.dimensions?.width && image?.dimensions?.height
+      ? image.dimensions.width / image.dimensions.height
+      : 4 / 3
+  )
+  const [view, setView] = useState(INITIAL_VIEW)
+
+  const fit = fitImage(viewport, aspectRatio)
+  const layoutRef = useRef({ viewport, fit })
+  layoutRef.current = { viewport, fit }
+  // Read when `focus` changes, so new marker props alone don't move the view
+  const markersRef = useRef(markers)
+  markersRef.current = markers
+
+  // Track the viewport size so the photo and hotspots stay aligned
+  useEffect(() => {
+    const element = viewportRef.current
+    if (!element) return
+
+    const measure = () => setViewport({ width: element.clientWidth, height: element.clientHeight })
+    measure()
+
+    const observer = new ResizeObserver(measure)
+    observer.observe(element)
+    return () => observer.disconnect()
+  }, [])
+
+  // Zoom to the focused marker, or re-clamp after a resize
+  useEffect(() => {
+    if (!fit.width) return
+
+    const target = focus && markersRef.current.find(entry => entry.marker.id === focus.markerId)
+    const bounds = target && markerBounds(target.marker.coordinates)
+    setView(prev => bounds ? focusView(bounds, layoutRef.current) : clampView(prev, layoutRef.current))
+  }, [focus, fit.width, fit.height])
+
+  // Trackpad pinches arrive as ctrl+wheel; plain wheel keeps scrolling the page
+  useEffect(() => {
+    const element = viewportRef.current
+    if (!element) return
+
+    const handleWheel = (e) => {
+      if (!e.ctrlKey) return
+      e.preventDefault()
+
+      const rect = element.getBoundingClientRect()
+      const anchor = {
+        x: e.clientX - rect.left - rect.width / 2,
+        y: e.clientY - rect.top - rect.height / 2
+      }
+      setView(prev => zoomAround(prev, prev.scale * Math.exp(-e.deltaY / 100), anchor, layoutRef.current))
+    }
+
+    element.addEventListener('wheel', handleWheel, { passive: false })
+    return () => element.removeEventListener('wheel', handleWheel)
+  }, [])
+
+  const relativeToCenter = (point) => {
+    const rect = viewportRef.current.getBoundingClientRect()
+    return {
+      x: point.x - rect.left - rect.width / 2,
+      y: point.y - rect.top - rect.height / 2
+    }
+  }
+
+  const handlePointerDown = (e) => {
+    // Hotspots and controls keep their own clicks
+    if (e.target.closest('button')) return
+
+    pointers.current.set(e.pointerId, { x: e.clientX, y: e.clientY })
+    e.currentTarget.setPointerCapture(e.pointerId)
+  }
+
+  const handlePointerMove = (e) => {
+    const previous = pointers.current.get(e.pointerId)
+    if (!previous) return
+
+    const current = { x: e.clientX, y: e.clientY }
+    const others = [...pointers.current.entries()].filter(([id]) => id !== e.pointerId).map(([, point]) => point)
+    pointers.current.set(e.pointerId, current)
+
+    if (others.length === 0) {
+      // One finger or the mouse pans a zoomed photo
+      setView(prev => prev.scale > 1
+        ? clampView({ ...prev, x: prev.x + current.x - previous.x, y: prev.y + current.y - previous.y }, layoutRef.current)
+        : prev)
+      return
+    }
+
+    // Two fingers pinch around their midpoint
+    const other = others[0]
+    const before = Math.hypot(previous.x - other.x, previous.y - other.y)
+    const after = Math.hypot(current.x - other.x, current.y - other.y)
+    if (!before) return
+
+    const anchor = relativeToCenter({ x: (current.x + other.x) / 2, y: (current.y + other.y) / 2 })
+    setView(prev => zoomAround(prev, prev.scale * (after / before), anchor, layoutRef.current))
+  }
+
+  const handlePointerUp = (e) => {
+    pointers.current.delete(e.pointerId)
+  }
+
+  const zoomBy = useCallback((factor) => {
+    setView(prev => zoomAround(prev, prev.scale * factor, { x: 0, y: 0 }, layoutRef.current))
+  }, [])
+
+  if (!image) {
+    return null
+  }
+
+  const isZoomed = view.scale > 1
+
+  return (
+    <div
+      ref={viewportRef}
+      className={`aspect-square md:aspect-video relative bg-gray-100 overflow-hidden select-none ${isZoomed ? 'cursor-grab' : ''}`}
+      // Leave vertical swipes to the page until the photo is zoomed
+      style={{ touchAction: isZoomed ? 'none' : 'pan-y' }}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+    >
+      <div
+        className="absolute left-1/2 top-1/2"
+        style={{
+          width: fit.width,
+          height: fit.height,
+          transform: `translate(-50%, -50%) translate(${view.x}px, ${view.y}px) scale(${view.scale})`,
+          transition: pointers.current.size > 0 ? 'none' : 'transform 200ms ease-out'
+        }}
+      >
+        <Image
+          src={image.image_url}
+          alt={alt}
+          fill
+          className="object-fill pointer-events-none"
+          priority={priority}
+          draggable={false}
+          onLoad={(e) => {
+            const { naturalWidth, naturalHeight } = e.currentTarget
+            if (naturalWidth && naturalHeight) {
+              setAspectRatio(naturalWidth / naturalHeight)
+            }
+          }}
+          sizes="(max-width: 768px) 100vw, 900px"
+        />
+
+        {markers.map(({ marker, number }) => {
+          const bounds = markerBounds(marker.coordinates)
+          if (!bounds) return null
+
+          const isActive = marker.id === activeMarkerId
+          const label = `Marker ${number}: ${MARKER_TYPE_LABELS[marker.type] || marker.type}`
+          // Numbers and dots keep their on-screen size while the photo zooms
+          const counterScale = `scale(${1 / view.scale})`
+
+          if (bounds.isPoint) {
+            return (
+              <button
+                key={marker.id}
+                type="button"
+                aria-label={label}
+                aria-pressed={isActive}
+                onClick={() => onSelectMarker?.(marker)}
+                className={`absolute flex items-center justify-center w-8 h-8 rounded-full border-2 text-xs font-bold shadow-lg transition-colors ${
+                  isActive
+                    ? 'bg-yellow-400 border-white text-gray-900 ring-4 ring-yellow-300/60'
+                    : 'bg-confirmsure-blue border-white text-white animate-pulse'
+                }`}
+                style={{
+                  left: `${bounds.x * 100}%`,
+                  top: `${bounds.y * 100}%`,
+                  transform: `translate(-50%, -50%) ${counterScale}`
+                }}
+              >
+                {number}
+              </button>
+            )
+          }
+
+          return (
+            <button
+              key={marker.id}
+              type="button"
+              aria-label={label}
+              aria-pressed={isActive}
+              onClick={() => onSelectMarker?.(marker)}
+              className={`absolute rounded-md border-2 transition-colors ${
+                isActive
+                  ? 'border-yellow-400 bg-yellow-300/20 ring-4 ring-yellow-300/50'
+                  : 'border-white bg-confirmsure-blue/20 hover:bg-confirmsure-blue/30 shadow-[0_0_0_1px_rgba(0,0,0,0.4)]'
+              }`}
+              style={{
+                left: `${bounds.x * 100}%`,
+                top: `${bounds.y * 100}%`,
+                width: `${bounds.width * 100}%`,
+                height: `${bounds.height * 100}%`,
+                borderWidth: 2 / view.scale
+              }}
+            >
+              <span
+                className={`absolute -top-3 -left-3 flex items-center justify-center w-6 h-6 rounded-full text-xs font-bold shadow ${
+                  isActive ? 'bg-yellow-400 text-gray-900' : 'bg-confirmsure-blue text-white'
+                }`}
+                style={{ transform: counterScale, transformOrigin: 'bottom right' }}
+              >
+                {number}
+              </span>
+            </button>
+          )
+        })}
+      </div>
+
+      {/* Zoom controls */}
+      <div className="absolute top-4 right-4 flex flex-col gap-2">
+        <button
+          type="button"
+          onClick={() => zoomBy(ZOOM_STEP)}
+          disabled={view.scale >= MAX_SCALE}
+          aria-label="Zoom in"
+          className="bg-black bg-opacity-50 text-white p-2 rounded-full hover:bg-opacity-75 disabled:opacity-30 transition-all"
+        >
+          <ZoomIn className="h-5 w-5" />
+        </button>
+        <button
+          type="button"
+          onClick={() => zoomBy(1 / ZOOM_STEP)}
+          disabled={!isZoomed}
+          aria-label="Zoom out"
+          className="bg-black bg-opacity-50 text-white p-2 rounded-full hover:bg-opacity-75 disabled:opacity-30 transition-all"
+        >
+          <ZoomOut className="h-5 w-5" />
+        </button>
+        {isZoomed && (
+          <button
+            type="button"
+            onClick={() => setView(INITIAL_VIEW)}
+            aria-label="Reset zoom"
+            className="bg-black bg-opacity-50 text-white p-2 rounded-full hover:bg-opacity-75 transition-all"
+          >
+            <Maximize2 className="h-5 w-5" />
+          </button>
+        )}
+      </div>
+
+      {children}
+    </div>
+  )
+}
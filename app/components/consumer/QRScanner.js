@@ -0,0 +1,140 @@
+'use client'
+import { useEffect, useRef, useState } from 'react'
+import { Loader2, CameraOff } from 'lucide-react'
+
+// Decode a few frames per second; phones heat up decoding every frame
+const SCAN_INTERVAL_MS = 150
+// Frames are scaled down before decoding; QR labels stay readable at this size
+const MAX_SCAN_WIDTH = 640
+
+function describeCameraError(error) {
+  switch (error?.name) {
+    case 'NotAllowedError':
+    case 'SecurityError':
+      return 'Camera access was blocked. Allow camera access in your browser settings, or type the code instead.'
+    case 'NotFoundError':
+    case 'OverconstrainedError':
+      return 'No camera was found on this device. Type the code printed on the label instead.'
+    case 'NotReadableError':
+      return 'The camera is being used by another app. Close it and try again.'
+    default:
+      return 'The camera could not be started. Type the code printed on the label instead.'
+  }
+}
+
+/**
+ * Camera QR scanner; calls onScan with the decoded text of the first code
+ * it reads, and onError when the camera cannot be used
+ */
+export default function QRScanner({ onScan, onError }) {
+  const videoRef = useRef(null)
+  const canvasRef = useRef(null)
+  const [status, setStatus] = useState('starting')
+  const [cameraError, setCameraError] = useState(null)
+
+  useEffect(() => {
+    let stream = null
+    let timer = null
+    let stopped = false
+
+    const fail = (error) => {
+      const message = describeCameraError(error)
+      setCameraError(message)
+      setStatus('error')
+      onError?.(message)
+    }
+
+    const start = async () => {
+      if (!window.isSecureContext || !navigator.mediaDevices?.getUserMedia) {
+        fail({ name: 'SecurityError' })
+        return
+      }
+
+      try {
+        const [{ default: jsQR }, mediaStream] = await Promise.all([
+          import('jsqr'),
+          navigator.mediaDevices.getUserMedia({
+            video: { facingMode: { ideal: 'environment' } },
+            audio: false
+          })
+        ])
+
+        stream = mediaStream
+        if (stopped) {
+          stream.getTracks().forEach(track => track.stop())
+          return
+        }
+
+        const video = videoRef.current
+        video.srcObject = stream
+        await video.play()
+        setStatus('scanning')
+
+        const scanFrame = () => {
+          if (stopped) return
+
+          const canvas = canvasRef.current
+          if (video.readyState === video.HAVE_ENOUGH_DATA && video.videoWidth > 0) {
+            const scale = Math.min(1, MAX_SCAN_WIDTH / video.videoWidth)
+            canvas.width = Math.round(video.videoWidth * scale)
+            canvas.height = Math.round(video.videoHeight * scale)
+
+            const context = canvas.getContext('2d', { willReadFrequently: true })
+            context.drawImage(video, 0, 0, canvas.width, canvas.height)
+            const frame = context.getImageData(0, 0, canvas.width, canvas.height)
+            const result = jsQR(frame.data, frame.width, frame.height, { inversionAttempts: 'dontInvert' })
+
+            if (result?.data) {
+              stopped = true
+              stream.getTracks().forEach(track => track.stop())
+              onScan(result.data)
+              return
+            }
+          }
+
+          timer = setTimeout(scanFrame, SCAN_INTERVAL_MS)
+        }
+
+        scanFrame()
+      } catch (error) {
+        if (!stopped) {
+          fail(error)
+        }
+      }
+    }
+
+    start()
+
+    return () => {
+      stopped = true
+      clearTimeout(timer)
+      stream?.getTracks().forEach(track => track.stop())
+    }
+  }, [onScan, onError])
+
+  if (status === 'error') {
+    return (
+      <div className="bg-gray-100 rounded-lg p-6 text-center">
+        <CameraOff className="h-10 w-10 text-gray-400 mx-auto mb-3" />
+        <p className="text-sm text-gray-700">{cameraError}</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="relative bg-black rounded-lg overflow-hidden aspect-square max-w-sm mx-auto">
+      <video ref={videoRef} className="w-full h-full object-cover" playsInline muted />
+      <canvas ref={canvasRef} className="hidden" />
+
+      {/* Aiming frame */}
+      <div className="absolute inset-10 border-2 border-white/80 rounded-lg pointer-events-none" />
+
+      {status === 'starting' && (
+        <div className="absolute inset-0 flex items-center justify-center text-white text-sm">
+          <Loader2 className="h-5 w-5 animate-spin mr-2" />
+          Starting camera...
+        </div>
+      )}
+    </div>
+  )
+}
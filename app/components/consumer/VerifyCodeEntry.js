@@ -0,0 +1,130 @@
+'use client'
+import { useState, useCallback } from 'react'
+import { useRouter } from 'next/navigation'
+import { Search, Camera, X, AlertCircle } from 'lucide-react'
+import QRScanner from './QRScanner'
+import {
+  extractQRPayloadFromURL,
+  validateQRCodeFormat,
+  normalizeQRCode,
+  describeQRCodeError
+} from '../../lib/qr-code-format'
+
+function productPath({ qrCode, token }) {
+  return `/product/${encodeURIComponent(qrCode)}${token ? `?t=${encodeURIComponent(token)}` : ''}`
+}
+
+/**
+ * Verification entry point: type the printed code or scan the label with the camera
+ */
+export default function VerifyCodeEntry() {
+  const router = useRouter()
+  const [code, setCode] = useState('')
+  const [scanning, setScanning] = useState(false)
+  const [error, setError] = useState(null)
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+
+    // People sometimes paste the whole link from a label
+    const payload = /^https?:\/\//i.test(code.trim())
+      ? extractQRPayloadFromURL(code.trim())
+      : null
+    if (payload) {
+      router.push(productPath(payload))
+      return
+    }
+
+    const message = describeQRCodeError(code)
+    if (message) {
+      setError(message)
+      return
+    }
+
+    router.push(productPath({ qrCode: normalizeQRCode(code) }))
+  }
+
+  const handleScan = useCallback((text) => {
+    setScanning(false)
+
+    // Labels carry the verification URL; some older labels carry the bare code
+    const payload = extractQRPayloadFromURL(text)
+      || (validateQRCodeFormat(normalizeQRCode(text)) ? { qrCode: normalizeQRCode(text) } : null)
+
+    if (!payload) {
+      setError('This QR code is not a ConfirmSure product code. Type the code printed on the label instead.')
+      return
+    }
+
+    setError(null)
+    router.push(productPath(payload))
+  }, [router])
+
+  const handleScanError = useCallback((message) => {
+    setError(message)
+  }, [])
+
+  return (
+    <div className="bg-white rounded-2xl shadow-lg p-6 max-w-xl mx-auto text-left">
+      <h3 className="text-xl font-semibold text-gray-900 mb-1">Verify a product</h3>
+      <p className="text-sm text-gray-600 mb-4">
+        Scan the QR code on the label, or type the code printed next to it.
+      </p>
+
+      <form onSubmit={handleSubmit} className="flex gap-2">
+        <input
+          type="text"
+          value={code}
+          onChange={(e) => {
+            setCode(e.target.value)
+            setError(null)
+          }}
+          placeholder="e.g. CS-7K3M-9QX2-D"
+          autoCapitalize="characters"
+          autoComplete="off"
+          spellCheck={false}
+          aria-label="Product code"
+          aria-invalid={Boolean(error)}
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-md font-mono uppercase focus:outline-none focus:ring-2 focus:ring-confirmsure-blue"
+        />
+        <button type="submit" className="btn-primary inline-flex items-center">
+          <Search className="h-4 w-4 mr-2" />
+          Verify
+        </button>
+      </form>
+
+      {error && (
+        <div className="mt-3 flex items-start text-sm text-red-700" role="alert">
+          <AlertCircle className="h-4 w-4 mr-2 mt-0.5 flex-shrink-0" />
+          {error}
+        </div>
+      )}
+
+      <div className="mt-4">
+        {scanning ? (
+          <div>
+            <QRScanner onScan={handleScan} onError={handleScanError} />
+            <button
+              onClick={() => setScanning(false)}
+              className="mt-3 w-full px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 inline-flex items-center justify-center"
+            >
+              <X className="h-4 w-4 mr-1" />
+              Stop scanning
+            </button>
+          </div>
+        ) : (
+          <button
+            onClick={() => {
+              setError(null)
+              setScanning(true)
+            }}
+            className="w-full px-3 py-2 border-2 border-confirmsure-blue text-confirmsure-blue rounded-md text-sm font-medium hover:bg-blue-50 inline-flex items-center justify-center"
+          >
+            <Camera className="h-4 w-4 mr-2" />
+            Scan with camera
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
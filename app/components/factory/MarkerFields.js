@@ -0,0 +1,135 @@
+'use client'
+import { X, Crosshair, MapPin } from 'lucide-react'
+
+export const MARKER_TYPES = [
+  { value: 'color_dot', label: 'Color Dot', description: 'Small colored marking' },
+  { value: 'pattern', label: 'Pattern', description: 'Geometric or text pattern' },
+  { value: 'texture', label: 'Texture', description: 'Surface texture variation' },
+  { value: 'hologram', label: 'Hologram', description: 'Holographic element' },
+  { value: 'uv_mark', label: 'UV Mark', description: 'UV-visible marking' },
+  { value: 'microprint', label: 'Microprint', description: 'Tiny printed text' }
+]
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-confirmsure-blue focus:border-transparent'
+
+/**
+ * Editable fields for one authentication marker, with its placement status
+ */
+export default function MarkerFields({ marker, number, isActive, onChange, onSelect, onRemove, actions }) {
+  return (
+    <div className={`p-4 rounded-lg ${isActive ? 'bg-yellow-50 ring-2 ring-yellow-300' : 'bg-gray-50'}`}>
+      <div className="flex items-center justify-between mb-4">
+        <h4 className="font-medium text-gray-900 flex items-center">
+          <span className="inline-flex items-center justify-center w-6 h-6 rounded-full bg-confirmsure-blue text-white text-xs font-bold mr-2">
+            {number}
+          </span>
+          Marker {number}
+        </h4>
+        <div className="flex items-center gap-3">
+          <button
+            type="button"
+            onClick={onSelect}
+            aria-pressed={isActive}
+            className={`inline-flex items-center text-sm font-medium ${
+              isActive ? 'text-yellow-700' : 'text-confirmsure-blue hover:text-blue-700'
+            }`}
+          >
+            {marker.coordinates ? <MapPin className="w-4 h-4 mr-1" /> : <Crosshair className="w-4 h-4 mr-1" />}
+            {isActive ? 'Placing on photo' : marker.coordinates ? 'Move on photo' : 'Place on photo'}
+          </button>
+          {actions}
+          <button
+            type="button"
+            onClick={onRemove}
+            aria-label={`Remove marker ${number}`}
+            className="text-red-500 hover:text-red-700"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Marker Type
+          </label>
+          <select
+            value={marker.type}
+            onChange={(e) => onChange('type', e.target.value)}
+            className={inputClass}
+          >
+            {MARKER_TYPES.map(type => (
+              <option key={type.value} value={type.value}>
+                {type.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Position
+          </label>
+          <input
+            value={marker.position || ''}
+            onChange={(e) => onChange('position', e.target.value)}
+            className={inputClass}
+            placeholder="e.g., Bottom left corner"
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Color
+          </label>
+          <input
+            value={marker.color || ''}
+            onChange={(e) => onChange('color', e.target.value)}
+            className={inputClass}
+            placeholder="e.g., Blue, Red, etc."
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Size (mm)
+          </label>
+          <input
+            type="number"
+            value={marker.size_mm ?? ''}
+            onChange={(e) => onChange('size_mm', e.target.value)}
+            className={inputClass}
+            placeholder="5"
+          />
+        </div>
+      </div>
+
+      <div className="mt-4">
+        <label className="block text-sm font-medium text-gray-700 mb-2">
+          Description
+        </label>
+        <textarea
+          value={marker.description || ''}
+          onChange={(e) => onChange('description', e.target.value)}
+          rows={2}
+          className={inputClass}
+          placeholder="Detailed description of the marker"
+        />
+      </div>
+
+      <div className="mt-4">
+        <label className="block text-sm font-medium text-gray-700 mb-2">
+          Verification Instructions
+        </label>
+        <textarea
+          value={marker.verification_instructions || ''}
+          onChange={(e) => onChange('verification_instructions', e.target.value)}
+          rows={2}
+          className={inputClass}
+          placeholder="Shown to consumers when they check this marker, e.g. Tilt under light: the logo should shift from gold to green"
+        />
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,253 @@
+'use client'
+import { useState, useRef } from 'react'
+import Image from 'next/image'
+import { Square, Circle, Eraser, MousePointerClick } from 'lucide-react'
+import { markerBounds } from '../../lib/markers'
+
+// Boxes smaller than this (as a share of the photo) are treated as a click
+const MIN_BOX_SIZE = 0.01
+
+const TOOLS = [
+  { id: 'box', label: 'Draw box', icon: Square },
+  { id: 'dot', label: 'Place dot', icon: Circle }
+]
+
+const clamp = (value) => Math.min(1, Math.max(0, value))
+const round = (value) => Math.round(value * 10000) / 10000
+
+/**
+ * Build normalised coordinates from two corners of a drag, or a single point
+ */
+function toCoordinates(start, end, tool) {
+  const width = Math.abs(end.x - start.x)
+  const height = Math.abs(end.y - start.y)
+
+  if (tool === 'dot' || (width < MIN_BOX_SIZE && height < MIN_BOX_SIZE)) {
+    return { x: round(end.x), y: round(end.y) }
+  }
+
+  return {
+    x: round(Math.min(start.x, end.x)),
+    y: round(Math.min(start.y, end.y)),
+    width: round(width),
+    height: round(height)
+  }
+}
+
+/**
+ * Place authentication markers on product photos.
+ * `images` are { key, src, label }; `markers` carry a local `id`, an
+ * `image_key` naming the photo they sit on, and normalised `coordinates`.
+ * Select a marker, then drag a box or click a dot on the photo to place it.
+ */
+export default function MarkerPlacementEditor({ images, markers, activeMarkerId, onPlace }) {
+  const surfaceRef = useRef(null)
+  const [currentKey, setCurrentKey] = useState(images[0]?.key || null)
+  const [followedMarkerId, setFollowedMarkerId] = useState(activeMarkerId)
+  const [tool, setTool] = useState('box')
+  const [draft, setDraft] = useState(null)
+  const [aspectRatios, setAspectRatios] = useState({})
+
+  const activeIndex = markers.findIndex(marker => marker.id === activeMarkerId)
+  const activeMarker = activeIndex !== -1 ? markers[activeIndex] : null
+
+  // Follow a newly selected marker to its photo, adjusting state during render
+  // so the photo switches without an extra paint
+  if (activeMarkerId !== followedMarkerId) {
+    setFollowedMarkerId(activeMarkerId)
+    if (activeMarker?.image_key && images.some(image => image.key === activeMarker.image_key)) {
+      setCurrentKey(activeMarker.image_key)
+    }
+  }
+
+  // Falls back to the first photo when the current one is removed
+  const currentImage = images.find(image => image.key === currentKey) || images[0]
+
+  if (!currentImage) {
+    return (
+      <div className="bg-gray-50 border-2 border-dashed border-gray-300 rounded-lg p-6 text-center text-sm text-gray-600">
+        Add product images to place markers on them
+      </div>
+    )
+  }
+
+  const pointFromEvent = (e) => {
+    const rect = surfaceRef.current.getBoundingClientRect()
+    return {
+      x: clamp((e.clientX - rect.left) / rect.width),
+      y: clamp((e.clientY - rect.top) / rect.height)
+    }
+  }
+
+  const handlePointerDown = (e) => {
+    if (!activeMarker) return
+    e.preventDefault()
+    e.currentTarget.setPointerCapture(e.pointerId)
+    const point = pointFromEvent(e)
+    setDraft({ start: point, end: point })
+  }
+
+  const handlePointerMove = (e) => {
+    if (!draft) return
+    setDraft({ ...draft, end: pointFromEvent(e) })
+  }
+
+  const handlePointerUp = (e) => {
+    if (!draft) return
+    const coordinates = toCoordinates(draft.start, pointFromEvent(e), tool)
+    setDraft(null)
+    onPlace(activeMarker.id, { image_key: currentImage.key, coordinates })
+  }
+
+  const draftBounds = draft && markerBounds(toCoordinates(draft.start, draft.end, tool))
+  const placedHere = markers
+    .map((marker, index) => ({ marker, number: index + 1, bounds: markerBounds(marker.coordinates) }))
+    .filter(({ marker, bounds }) => bounds && marker.image_key === currentImage.key)
+
+  return (
+    <div className="space-y-3">
+      {/* Toolbar */}
+      <div className="flex flex-wrap items-center gap-2">
+        {TOOLS.map(option => {
+          const ToolIcon = option.icon
+          return (
+            <button
+              key={option.id}
+              type="button"
+              onClick={() => setTool(option.id)}
+              aria-pressed={tool === option.id}
+              className={`px-3 py-1.5 rounded-md text-sm font-medium inline-flex items-center border ${
+                tool === option.id
+                  ? 'border-confirmsure-blue bg-blue-50 text-confirmsure-blue'
+                  : 'border-gray-300 text-gray-700 bg-white hover:bg-gray-50'
+              }`}
+            >
+              <ToolIcon className="h-4 w-4 mr-1" />
+              {option.label}
+            </button>
+          )
+        })}
+        {activeMarker?.coordinates && (
+          <button
+            type="button"
+            onClick={() => onPlace(activeMarker.id, { image_key: null, coordinates: null })}
+            className="px-3 py-1.5 rounded-md text-sm font-medium inline-flex items-center border border-gray-300 text-gray-700 bg-white hover:bg-gray-50"
+          >
+            <Eraser className="h-4 w-4 mr-1" />
+            Clear placement
+          </button>
+        )}
+        <span className="text-sm text-gray-500 flex items-center">
+          <MousePointerClick className="h-4 w-4 mr-1" />
+          {activeMarker
+            ? tool === 'box'
+              ? `Drag on the photo to draw a box around marker ${activeIndex + 1}`
+              : `Click the photo where marker ${activeIndex + 1} is`
+            : 'Select a marker below, then place it on a photo'}
+        </span>
+      </div>
+
+      {/* Photo */}
+      <div
+        ref={surfaceRef}
+        className={`relative w-full bg-gray-100 rounded-lg overflow-hidden select-none touch-none ${
+          activeMarker ? 'cursor-crosshair' : 'cursor-default'
+        }`}
+        style={{ aspectRatio: aspectRatios[currentImage.key] || 4 / 3 }}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={() => setDraft(null)}
+      >
+        <Image
+          src={currentImage.src}
+          alt={currentImage.label}
+          fill
+          className="object-fill pointer-events-none"
+          draggable={false}
+          onLoad={(e) => {
+            const { naturalWidth, naturalHeight } = e.currentTarget
+            if (naturalWidth && naturalHeight) {
+              setAspectRatios(prev => ({ ...prev, [currentImage.key]: naturalWidth / naturalHeight }))
+            }
+          }}
+          sizes="(max-width: 768px) 100vw, 900px"
+        />
+
+        {placedHere.map(({ marker, number, bounds }) => {
+          const isActive = marker.id === activeMarkerId
+          const colors = isActive
+            ? 'border-yellow-400 bg-yellow-300/20'
+            : 'border-white bg-confirmsure-blue/20'
+
+          return bounds.isPoint ? (
+            <div
+              key={marker.id}
+              className={`absolute w-7 h-7 -translate-x-1/2 -translate-y-1/2 rounded-full border-2 flex items-center justify-center text-xs font-bold pointer-events-none ${
+                isActive ? 'bg-yellow-400 border-white text-gray-900' : 'bg-confirmsure-blue border-white text-white'
+              }`}
+              style={{ left: `${bounds.x * 100}%`, top: `${bounds.y * 100}%` }}
+            >
+              {number}
+            </div>
+          ) : (
+            <div
+              key={marker.id}
+              className={`absolute rounded-md border-2 pointer-events-none ${colors}`}
+              style={{
+                left: `${bounds.x * 100}%`,
+                top: `${bounds.y * 100}%`,
+                width: `${bounds.width * 100}%`,
+                height: `${bounds.height * 100}%`
+              }}
+            >
+              <span className={`absolute -top-3 -left-3 w-6 h-6 rounded-full flex items-center justify-center text-xs font-bold ${
+                isActive ? 'bg-yellow-400 text-gray-900' : 'bg-confirmsure-blue text-white'
+              }`}>
+                {number}
+              </span>
+            </div>
+          )
+        })}
+
+        {draftBounds && !draftBounds.isPoint && (
+          <div
+            className="absolute border-2 border-dashed border-yellow-400 bg-yellow-300/20 pointer-events-none"
+            style={{
+              left: `${draftBounds.x * 100}%`,
+              top: `${draftBounds.y * 100}%`,
+              width: `${draftBounds.width * 100}%`,
+              height: `${draftBounds.height * 100}%`
+            }}
+          />
+        )}
+      </div>
+
+      {/* Photo picker */}
+      {images.length > 1 && (
+        <div className="flex space-x-2 overflow-x-auto">
+          {images.map(image => {
+            const count = markers.filter(marker => marker.coordinates && marker.image_key === image.key).length
+            return (
+              <button
+                key={image.key}
+                type="button"
+                onClick={() => setCurrentKey(image.key)}
+                className={`relative flex-shrink-0 w-16 h-16 rounded-lg overflow-hidden border-2 ${
+                  image.key === currentImage.key ? 'border-confirmsure-blue' : 'border-gray-200'
+                }`}
+              >
+                <Image src={image.src} alt={image.label} width={64} height={64} className="w-full h-full object-cover" />
+                {count > 0 && (
+                  <span className="absolute top-0.5 right-0.5 bg-confirmsure-blue text-white text-xs font-bold rounded-full px-1.5">
+                    {count}
+                  </span>
+                )}
+              </button>
+            )
+          })}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -16,15 +16,8 @@ import {
   Loader2
 } from 'lucide-react'
 import { productSchema, authenticationMarkerSchema } from '../../lib/validation'
-
-const MARKER_TYPES = [
-  { value: 'color_dot', label: 'Color Dot', description: 'Small colored marking' },
-  { value: 'pattern', label: 'Pattern', description: 'Geometric or text pattern' },
-  { value: 'texture', label: 'Texture', description: 'Surface texture variation' },
-  { value: 'hologram', label: 'Hologram', description: 'Holographic element' },
-  { value: 'uv_mark', label: 'UV Mark', description: 'UV-visible marking' },
-  { value: 'microprint', label: 'Microprint', description: 'Tiny printed text' }
-]
+import MarkerPlacementEditor from './MarkerPlacementEditor'
+import MarkerFields from './MarkerFields'
 
 export default function ProductForm({ 
   initialData = null, 
@@ -34,7 +27,11 @@ export default function ProductForm({
 }) {
   const [currentStep, setCurrentStep] = useState(1)
   const [uploadedImages, setUploadedImages] = useState([])
-  const [markers, setMarkers] = useState(initialData?.markers || [])
+  // Saved markers are placed on photos by image id; new uploads by their local key
+  const [markers, setMarkers] = useState(
+    (initialData?.markers || []).map(marker => ({ ...marker, image_key: marker.image_id || null }))
+  )
+  const [activeMarkerId, setActiveMarkerId] = useState(null)
   const [isSubmitting, setIsSubmitting] = useState(false)
   const [qrCode, setQrCode] = useState(initialData?.qr_code || null)
   const [previewMode, setPreviewMode] = useState(false)
@@ -83,6 +80,7 @@ export default function ProductForm({
         return new Promise((resolve) => {
           const reader = new FileReader()
           reader.onload = (e) => resolve({
+            key: `upload-${Date.now()}-${Math.random().toString(36).slice(2)}`,
             file,
             preview: e.target.result,
             name: file.name,
@@ -101,9 +99,28 @@ export default function ProductForm({
 
   // Remove uploaded image
   const removeImage = (index) => {
+    const removedKey = uploadedImages[index]?.key
     setUploadedImages(prev => prev.filter((_, i) => i !== index))
+    // Markers placed on the removed photo need placing again
+    setMarkers(prev => prev.map(marker =>
+      marker.image_key === removedKey ? { ...marker, image_key: null, coordinates: null } : marker
+    ))
   }
 
+  // Photos markers can be placed on: saved images first, then new uploads
+  const markerImages = [
+    ...(initialData?.product_images || []).map((image, index) => ({
+      key: image.id,
+      src: image.image_url,
+      label: image.angle_description || `Saved image ${index + 1}`
+    })),
+    ...uploadedImages.map((image, index) => ({
+      key: image.key,
+      src: image.preview,
+      label: image.name || `Image ${index + 1}`
+    }))
+  ]
+
   // Add authentication marker
   const addMarker = () => {
     const newMarker = {
@@ -114,9 +131,12 @@ export default function ProductForm({
       pattern: '',
       size_mm: '',
       description: '',
-      verification_instructions: ''
+      verification_instructions: '',
+      image_key: null,
+      coordinates: null
     }
     setMarkers(prev => [...prev, newMarker])
+    setActiveMarkerId(newMarker.id)
   }
 
   // Update marker
@@ -126,8 +146,18 @@ export default function ProductForm({
     ))
   }
 
+  // Place marker on a photo
+  const placeMarker = (id, placement) => {
+    setMarkers(prev => prev.map(marker =>
+      marker.id === id ? { ...marker, ...placement } : marker
+    ))
+  }
+
   // Remove marker
   const removeMarker = (index) => {
+    if (markers[index]?.id === activeMarkerId) {
+      setActiveMarkerId(null)
+    }
     setMarkers(prev => prev.filter((_, i) => i !== index))
   }
 
@@ -158,7 +188,18 @@ export default function ProductForm({
         ...data,
         qr_code: qrCode,
         images: uploadedImages,
-        markers: markers.filter(m => m.position && m.type)
+        // image_id for saved photos, image_index into `images` for new uploads
+        markers: markers
+          .filter(m => m.position && m.type)
+          .map(({ image_key, ...marker }) => {
+            const uploadIndex = uploadedImages.findIndex(image => image.key === image_key)
+            return {
+              ...marker,
+              image_id: uploadIndex === -1 ? image_key : null,
+              image_index: uploadIndex === -1 ? null : uploadIndex,
+              coordinates: image_key ? marker.coordinates : null
+            }
+          })
       }
 
       await onSubmit(submitData)
@@ -458,92 +499,28 @@ export default function ProductForm({
               <h3 className="text-lg font-medium text-gray-900 mb-4">Authentication Markers</h3>
               <p className="text-gray-600 mb-6">
                 Define visual markers that customers can use to verify product authenticity.
-                Add specific details about colors, positions, patterns, or special features.
+                Add specific details about colors, positions, patterns, or special features,
+                then mark each one on a photo so customers can see exactly where to look.
               </p>
             </div>
 
-            {markers.map((marker, index) => (
-              <div key={marker.id} className="bg-gray-50 p-4 rounded-lg">
-                <div className="flex items-center justify-between mb-4">
-                  <h4 className="font-medium text-gray-900">Marker {index + 1}</h4>
-                  <button
-                    type="button"
-                    onClick={() => removeMarker(index)}
-                    className="text-red-500 hover:text-red-700"
-                  >
-                    <X className="w-5 h-5" />
-                  </button>
-                </div>
-
-                <div className="grid md:grid-cols-2 gap-4">
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-2">
-                      Marker Type
-                    </label>
-                    <select
-                      value={marker.type}
-                      onChange={(e) => updateMarker(index, 'type', e.target.value)}
-                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-confirmsure-blue focus:border-transparent"
-                    >
-                      {MARKER_TYPES.map(type => (
-                        <option key={type.value} value={type.value}>
-                          {type.label}
-                        </option>
-                      ))}
-                    </select>
-                  </div>
+            <MarkerPlacementEditor
+              images={markerImages}
+              markers={markers}
+              activeMarkerId={activeMarkerId}
+              onPlace={placeMarker}
+            />
 
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-2">
-                      Position
-                    </label>
-                    <input
-                      value={marker.position}
-                      onChange={(e) => updateMarker(index, 'position', e.target.value)}
-                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-confirmsure-blue focus:border-transparent"
-                      placeholder="e.g., Bottom left corner"
-                    />
-                  </div>
-
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-2">
-                      Color
-                    </label>
-                    <input
-                      value={marker.color}
-                      onChange={(e) => updateMarker(index, 'color', e.target.value)}
-                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-confirmsure-blue focus:border-transparent"
-                      placeholder="e.g., Blue, Red, etc."
-                    />
-                  </div>
-
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-2">
-                      Size (mm)
-                    </label>
-                    <input
-                      type="number"
-                      value={marker.size_mm}
-                      onChange={(e) => updateMarker(index, 'size_mm', e.target.value)}
-                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-confirmsure-blue focus:border-transparent"
-                      placeholder="5"
-                    />
-                  </div>
-                </div>
-
-                <div className="mt-4">
-                  <label className="block text-sm font-medium text-gray-700 mb-2">
-                    Description
-                  </label>
-                  <textarea
-                    value={marker.description}
-                    onChange={(e) => updateMarker(index, 'description', e.target.value)}
-                    rows={2}
-                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-confirmsure-blue focus:border-transparent"
-                    placeholder="Detailed description of the marker"
-                  />
-                </div>
-              </div>
+            {markers.map((marker, index) => (
+              <MarkerFields
+                key={marker.id}
+                marker={marker}
+                number={index + 1}
+                isActive={marker.id === activeMarkerId}
+                onChange={(field, value) => updateMarker(index, field, value)}
+                onSelect={() => setActiveMarkerId(marker.id === activeMarkerId ? null : marker.id)}
+                onRemove={() => removeMarker(index)}
+              />
             ))}
 
             <button
@@ -627,6 +604,9 @@ export default function ProductForm({
                       {marker.color && (
                         <div className="text-sm text-gray-600">Color: {marker.color}</div>
                       )}
+                      <div className="text-sm text-gray-600">
+                        {marker.coordinates ? 'Marked on photo' : 'Not marked on a photo'}
+                      </div>
                     </div>
                   ))}
                 </div>
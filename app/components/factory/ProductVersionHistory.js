@@ -0,0 +1,338 @@
+'use client'
+import { useState, useEffect, useCallback } from 'react'
+import Image from 'next/image'
+import { History, RotateCcw, Loader2, AlertCircle, Plus, Minus } from 'lucide-react'
+import { diffVersions, isEmptyDiff, summarizeDiff } from '../../lib/version-diff'
+import { MARKER_TYPE_LABELS, markerBounds } from '../../lib/markers'
+
+const PAGE_SIZE = 20
+
+function formatValue(field, value, snapshot) {
+  if (value === null || value === undefined || value === '') return '—'
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No'
+  if (field === 'type' && MARKER_TYPE_LABELS[value]) return MARKER_TYPE_LABELS[value]
+
+  if (field === 'image_id') {
+    const index = (snapshot?.images || []).findIndex(image => image.id === value)
+    return index === -1 ? 'Removed photo' : `Photo ${index + 1}`
+  }
+
+  if (field === 'coordinates') {
+    const bounds = markerBounds(value)
+    if (!bounds) return '—'
+    const at = `${Math.round(bounds.x * 100)}%, ${Math.round(bounds.y * 100)}%`
+    return bounds.isPoint ? `Point at ${at}` : `Box at ${at}, ${Math.round(bounds.width * 100)}% × ${Math.round(bounds.height * 100)}%`
+  }
+
+  return String(value)
+}
+
+const markerName = (marker) => `${MARKER_TYPE_LABELS[marker.type] || marker.type} · ${marker.position}`
+
+function FieldChanges({ fields, older, newer }) {
+  return (
+    <table className="w-full text-sm">
+      <tbody className="divide-y divide-gray-100">
+        {fields.map(change => (
+          <tr key={change.field}>
+            <td className="py-2 pr-4 font-medium text-gray-700 align-top w-40">{change.label}</td>
+            <td className="py-2 pr-4 text-red-700 align-top line-through decoration-red-300 break-words">
+              {change.field === 'image_url' ? 'Previous file' : formatValue(change.field, change.before, older)}
+            </td>
+            <td className="py-2 text-green-700 align-top break-words">
+              {change.field === 'image_url' ? 'New file' : formatValue(change.field, change.after, newer)}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  )
+}
+
+function PhotoThumb({ image, tone }) {
+  return (
+    <div className={`relative w-20 h-20 rounded-lg overflow-hidden border-2 ${tone}`}>
+      <Image
+        src={image.thumbnail_url || image.image_url}
+        alt={image.angle_description || 'Product photo'}
+        fill
+        sizes="80px"
+        className="object-cover"
+      />
+    </div>
+  )
+}
+
+function VersionDiff({ older, newer }) {
+  const diff = diffVersions(older?.snapshot, newer.snapshot)
+
+  if (isEmptyDiff(diff)) {
+    return <p className="text-sm text-gray-500">No differences between these versions.</p>
+  }
+
+  const { images, markers } = diff
+
+  return (
+    <div className="space-y-6">
+      {diff.product.length > 0 && (
+        <section>
+          <h3 className="font-semibold text-gray-900 mb-2">Product details</h3>
+          <FieldChanges fields={diff.product} older={older?.snapshot} newer={newer.snapshot} />
+        </section>
+      )}
+
+      {(images.added.length > 0 || images.removed.length > 0 || images.changed.length > 0) && (
+        <section>
+          <h3 className="font-semibold text-gray-900 mb-2">Photos</h3>
+          <div className="flex flex-wrap gap-3 mb-3">
+            {images.added.map(image => (
+              <div key={image.id} className="text-center">
+                <PhotoThumb image={image} tone="border-green-400" />
+                <span className="text-xs text-green-700 inline-flex items-center mt-1"><Plus className="h-3 w-3 mr-0.5" />Added</span>
+              </div>
+            ))}
+            {images.removed.map(image => (
+              <div key={image.id} className="text-center">
+                <PhotoThumb image={image} tone="border-red-400 opacity-60" />
+                <span className="text-xs text-red-700 inline-flex items-center mt-1"><Minus className="h-3 w-3 mr-0.5" />Removed</span>
+              </div>
+            ))}
+          </div>
+          {images.changed.map(change => (
+            <div key={change.id} className="flex gap-4 items-start border-t border-gray-100 pt-3">
+              <PhotoThumb image={change.after} tone="border-yellow-400" />
+              <div className="flex-1">
+                <FieldChanges fields={change.fields} older={older?.snapshot} newer={newer.snapshot} />
+              </div>
+            </div>
+          ))}
+        </section>
+      )}
+
+      {(markers.added.length > 0 || markers.removed.length > 0 || markers.changed.length > 0) && (
+        <section>
+          <h3 className="font-semibold text-gray-900 mb-2">Authentication markers</h3>
+          <ul className="space-y-1 text-sm mb-3">
+            {markers.added.map(marker => (
+              <li key={marker.id} className="text-green-700 flex items-center">
+                <Plus className="h-4 w-4 mr-1" />{markerName(marker)}
+              </li>
+            ))}
+            {markers.removed.map(marker => (
+              <li key={marker.id} className="text-red-700 flex items-center">
+                <Minus className="h-4 w-4 mr-1" />{markerName(marker)}
+              </li>
+            ))}
+          </ul>
+          {markers.changed.map(change => (
+            <div key={change.id} className="border-t border-gray-100 pt-3">
+              <p className="text-sm font-medium text-gray-900 mb-1">{markerName(change.after)}</p>
+              <FieldChanges fields={change.fields} older={older?.snapshot} newer={newer.snapshot} />
+            </div>
+          ))}
+        </section>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Version list with field-level diffs and restore, shared by the factory and admin pages
+ */
+export default function ProductVersionHistory({ productId }) {
+  const [product, setProduct] = useState(null)
+  const [versions, setVersions] = useState([])
+  const [hasMore, setHasMore] = useState(false)
+  const [selected, setSelected] = useState(null)
+  const [compareTo, setCompareTo] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [restoring, setRestoring] = useState(false)
+  const [error, setError] = useState(null)
+
+  const loadVersions = useCallback(async (offset = 0) => {
+    try {
+      setLoading(true)
+      const response = await fetch(`/api/products/${productId}/versions?limit=${PAGE_SIZE}&offset=${offset}`)
+      const data = await response.json()
+      if (!response.ok) {
+        setError(data.error || 'Failed to load version history')
+        return
+      }
+
+      setProduct(data.product)
+      setVersions(prev => offset === 0 ? data.versions : [...prev, ...data.versions])
+      setHasMore(data.pagination.hasNext)
+      if (offset === 0) {
+        setSelected(data.versions[0]?.version_number ?? null)
+        setCompareTo(data.versions[1]?.version_number ?? null)
+      }
+    } catch (error) {
+      console.error('Failed to load version history:', error)
+      setError('Failed to load version history')
+    } finally {
+      setLoading(false)
+    }
+  }, [productId])
+
+  useEffect(() => {
+    loadVersions()
+  }, [loadVersions])
+
+  const byNumber = (number) => versions.find(version => version.version_number === number) || null
+  const selectedVersion = byNumber(selected)
+  const compareVersion = byNumber(compareTo)
+  const latestNumber = versions[0]?.version_number
+
+  const selectVersion = (number) => {
+    setSelected(number)
+    // Compare with the version before it by default
+    const previous = versions.find(version => version.version_number < number)
+    setCompareTo(previous?.version_number ?? null)
+  }
+
+  const restore = async () => {
+    if (!confirm(`Restore version ${selected}? The product's details, photos and markers go back to how they were; unless it is archived, the product goes back to draft for approval.`)) return
+
+    try {
+      setRestoring(true)
+      setError(null)
+      const response = await fetch(`/api/products/${productId}/versions/${selected}/restore`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ updated_at: product.updated_at })
+      })
+
+      const data = await response.json()
+      if (!response.ok) {
+        setError(data.error || 'Restore failed')
+        return
+      }
+
+      await loadVersions()
+    } catch (error) {
+      console.error('Version restore error:', error)
+      setError('Restore failed')
+    } finally {
+      setRestoring(false)
+    }
+  }
+
+  if (loading && versions.length === 0) {
+    return (
+      <div className="animate-pulse grid md:grid-cols-3 gap-6">
+        <div className="h-96 bg-gray-200 rounded-lg"></div>
+        <div className="md:col-span-2 h-96 bg-gray-200 rounded-lg"></div>
+      </div>
+    )
+  }
+
+  return (
+    <div>
+      {product && (
+        <p className="text-gray-600 mb-4">{product.product_name} · <span className="font-mono">{product.qr_code}</span> · {product.status}</p>
+      )}
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6 flex items-center text-sm text-red-700">
+          <AlertCircle className="h-4 w-4 mr-2" />
+          {error}
+        </div>
+      )}
+
+      {versions.length === 0 ? (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-100 p-12 text-center">
+          <History className="h-12 w-12 text-gray-300 mx-auto mb-3" />
+          <p className="text-gray-600">No versions recorded for this product yet.</p>
+        </div>
+      ) : (
+        <div className="grid md:grid-cols-3 gap-6">
+          {/* Version list */}
+          <div className="bg-white rounded-lg shadow-sm border border-gray-100 divide-y divide-gray-100 self-start">
+            {versions.map((version, index) => {
+              const previous = versions[index + 1]
+              const summary = previous
+                ? summarizeDiff(diffVersions(previous.snapshot, version.snapshot))
+                : version.version_number === 1 ? ['Product created'] : []
+
+              return (
+                <button
+                  key={version.id}
+                  onClick={() => selectVersion(version.version_number)}
+                  className={`w-full text-left p-4 hover:bg-gray-50 ${version.version_number === selected ? 'bg-confirmsure-blue/10' : ''}`}
+                >
+                  <div className="flex items-center justify-between">
+                    <span className="font-medium text-gray-900">
+                      Version {version.version_number}
+                      {version.version_number === latestNumber && <span className="ml-2 text-xs text-confirmsure-green">Current</span>}
+                    </span>
+                    <span className="text-xs text-gray-500">{new Date(version.created_at).toLocaleString()}</span>
+                  </div>
+                  {version.created_by_name && (
+                    <p className="text-xs text-gray-500">by {version.created_by_name}</p>
+                  )}
+                  {version.restored_from && (
+                    <p className="text-xs text-confirmsure-blue">Restored from version {version.restored_from}</p>
+                  )}
+                  {summary.length > 0 && (
+                    <p className="text-xs text-gray-600 mt-1">{summary.join(' · ')}</p>
+                  )}
+                </button>
+              )
+            })}
+            {hasMore && (
+              <button
+                onClick={() => loadVersions(versions.length)}
+                disabled={loading}
+                className="w-full p-3 text-sm text-confirmsure-blue hover:bg-gray-50 disabled:opacity-50"
+              >
+                {loading ? 'Loading...' : 'Load older versions'}
+              </button>
+            )}
+          </div>
+
+          {/* Diff */}
+          <div className="md:col-span-2 bg-white rounded-lg shadow-sm border border-gray-100 p-6">
+            {selectedVersion && (
+              <>
+                <div className="flex flex-wrap items-center justify-between gap-3 mb-6">
+                  <div className="flex items-center gap-2 text-sm">
+                    <span className="text-gray-600">Version {selectedVersion.version_number} compared with</span>
+                    <select
+                      value={compareTo ?? ''}
+                      onChange={(e) => setCompareTo(e.target.value ? parseInt(e.target.value) : null)}
+                      className="px-2 py-1 border border-gray-300 rounded-md focus:ring-2 focus:ring-confirmsure-blue"
+                    >
+                      <option value="">Nothing (show everything)</option>
+                      {versions
+                        .filter(version => version.version_number !== selected)
+                        .map(version => (
+                          <option key={version.id} value={version.version_number}>Version {version.version_number}</option>
+                        ))}
+                    </select>
+                  </div>
+                  {selectedVersion.version_number !== latestNumber && (
+                    <button
+                      onClick={restore}
+                      disabled={restoring}
+                      className="px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 inline-flex items-center"
+                    >
+                      {restoring ? <Loader2 className="h-4 w-4 mr-1 animate-spin" /> : <RotateCcw className="h-4 w-4 mr-1" />}
+                      Restore this version
+                    </button>
+                  )}
+                </div>
+
+                {/* Diffs always run from the older version to the newer one */}
+                {compareVersion && compareVersion.version_number > selectedVersion.version_number ? (
+                  <VersionDiff older={selectedVersion} newer={compareVersion} />
+                ) : (
+                  <VersionDiff older={compareVersion} newer={selectedVersion} />
+                )}
+              </>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -13,7 +13,9 @@ import {
   FileText,
   Trash2,
   Eye,
-  Plus
+  Plus,
+  Ban,
+  RotateCcw
 } from 'lucide-react'
 
 export default function BatchOperations() {
@@ -21,15 +23,26 @@ export default function BatchOperations() {
   const [loading, setLoading] = useState(true)
   const [selectedOperation, setSelectedOperation] = useState(null)
   const [uploadFile, setUploadFile] = useState(null)
+  const [uploadError, setUploadError] = useState(null)
+  const [preview, setPreview] = useState(null)
+  const [validating, setValidating] = useState(false)
   const [operationType, setOperationType] = useState('create_products')
 
   useEffect(() => {
     loadBatchOperations()
   }, [])
 
+  // Poll while the worker is processing an operation
+  const hasRunningOperation = operations.some(operation => operation.status === 'running')
+  useEffect(() => {
+    if (!hasRunningOperation) return
+
+    const interval = setInterval(loadBatchOperations, 5000)
+    return () => clearInterval(interval)
+  }, [hasRunningOperation])
+
   const loadBatchOperations = async () => {
     try {
-      setLoading(true)
       const response = await fetch('/api/factory/batch')
       if (response.ok) {
         const data = await response.json()
@@ -42,58 +55,95 @@ export default function BatchOperations() {
     }
   }
 
-  const handleFileUpload = async (file, type) => {
-    if (!file) return
-
+  const buildUploadForm = (file, type, options = {}) => {
     const formData = new FormData()
     formData.append('file', file)
     formData.append('operation_type', type)
+    Object.entries(options).forEach(([key, value]) => formData.append(key, String(value)))
+    return formData
+  }
+
+  const resetUpload = () => {
+    setUploadError(null)
+    setPreview(null)
+  }
+
+  // Dry run: validate every row and show the report before anything is imported
+  const validateFile = async (file, type) => {
+    if (!file) return
+
+    resetUpload()
+    setValidating(true)
 
     try {
       const response = await fetch('/api/factory/batch', {
         method: 'POST',
-        body: formData
+        body: buildUploadForm(file, type, { dry_run: true })
       })
+      const result = await response.json()
 
       if (response.ok) {
-        const result = await response.json()
-        setOperations(prev => [result.operation, ...prev])
-        setUploadFile(null)
+        setPreview(result.report)
       } else {
-        const error = await response.json()
-        alert(`Upload failed: ${error.error}`)
+        setUploadError({ message: result.error })
       }
     } catch (error) {
-      console.error('Upload error:', error)
-      alert('Upload failed. Please try again.')
+      console.error('Validation error:', error)
+      alert('Validation failed. Please try again.')
+    } finally {
+      setValidating(false)
     }
   }
 
-  const startOperation = async (operationId) => {
+  const handleFileUpload = async (file, type, { validOnly = false } = {}) => {
+    if (!file) return
+
+    setUploadError(null)
+
     try {
-      const response = await fetch(`/api/factory/batch/${operationId}/start`, {
-        method: 'POST'
+      const response = await fetch('/api/factory/batch', {
+        method: 'POST',
+        body: buildUploadForm(file, type, { valid_only: validOnly })
       })
 
       if (response.ok) {
-        loadBatchOperations()
+        const result = await response.json()
+        setOperations(prev => [result.operation, ...prev])
+        setUploadFile(null)
+        setPreview(null)
+      } else {
+        const error = await response.json()
+        setUploadError({ message: error.error })
+        if (error.report) {
+          setPreview(error.report)
+        }
       }
     } catch (error) {
-      console.error('Failed to start operation:', error)
+      console.error('Upload error:', error)
+      alert('Upload failed. Please try again.')
     }
   }
 
-  const pauseOperation = async (operationId) => {
+  const runOperationAction = async (operationId, action) => {
     try {
-      const response = await fetch(`/api/factory/batch/${operationId}/pause`, {
+      const response = await fetch(`/api/factory/batch/${operationId}/${action}`, {
         method: 'POST'
       })
 
       if (response.ok) {
         loadBatchOperations()
+      } else {
+        const error = await response.json()
+        alert(`Action failed: ${error.error}`)
       }
     } catch (error) {
-      console.error('Failed to pause operation:', error)
+      console.error(`Failed to ${action} operation:`, error)
+    }
+  }
+
+  const cancelOperation = (operationId) => {
+    if (confirm('Cancel this batch operation? Items that have not been processed will be skipped.')) {
+      runOperationAction(operationId, 'cancel')
     }
   }
 
@@ -103,6 +153,7 @@ export default function BatchOperations() {
       case 'failed': return XCircle
       case 'running': return Play
       case 'paused': return Pause
+      case 'cancelled': return Ban
       case 'pending': return Clock
       default: return Clock
     }
@@ -114,6 +165,7 @@ export default function BatchOperations() {
       case 'failed': return 'text-red-600 bg-red-100'
       case 'running': return 'text-blue-600 bg-blue-100'
       case 'paused': return 'text-yellow-600 bg-yellow-100'
+      case 'cancelled': return 'text-gray-500 bg-gray-100'
       case 'pending': return 'text-gray-600 bg-gray-100'
       default: return 'text-gray-600 bg-gray-100'
     }
@@ -125,10 +177,10 @@ export default function BatchOperations() {
   }
 
   const operationTypes = [
-    { value: 'create_products', label: 'Create Products', description: 'Bulk create products from CSV' },
-    { value: 'update_products', label: 'Update Products', description: 'Update existing products' },
-    { value: 'generate_qr_codes', label: 'Generate QR Codes', description: 'Generate QR codes for products' },
-    { value: 'upload_images', label: 'Upload Images', description: 'Bulk upload product images' }
+    { value: 'create_products', label: 'Create Products', description: 'Bulk create products from CSV', template: 'Product Creation Template' },
+    { value: 'update_products', label: 'Update Products', description: 'Update existing products', template: 'Product Update Template' },
+    { value: 'generate_qr_codes', label: 'Generate QR Codes', description: 'Generate QR codes for products', template: 'QR Generation Template' },
+    { value: 'upload_images', label: 'Upload Images', description: 'Bulk upload product images', template: 'Image Upload Template' }
   ]
 
   if (loading) {
@@ -176,7 +228,10 @@ export default function BatchOperations() {
               </label>
               <select
                 value={operationType}
-                onChange={(e) => setOperationType(e.target.value)}
+                onChange={(e) => {
+                  setOperationType(e.target.value)
+                  resetUpload()
+                }}
                 className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-confirmsure-blue focus:border-transparent"
               >
                 {operationTypes.map(type => (
@@ -198,8 +253,11 @@ export default function BatchOperations() {
                 <input
                   type="file"
                   id="file-upload"
-                  accept=".csv,.xlsx,.xls"
-                  onChange={(e) => setUploadFile(e.target.files[0])}
+                  accept=".csv,.xlsx"
+                  onChange={(e) => {
+                    setUploadFile(e.target.files[0])
+                    resetUpload()
+                  }}
                   className="hidden"
                 />
                 <label htmlFor="file-upload" className="cursor-pointer">
@@ -209,33 +267,128 @@ export default function BatchOperations() {
                   </p>
                 </label>
               </div>
-              {uploadFile && (
+              {uploadFile && !preview && (
                 <button
-                  onClick={() => handleFileUpload(uploadFile, operationType)}
-                  className="w-full mt-3 btn-primary"
+                  onClick={() => validateFile(uploadFile, operationType)}
+                  disabled={validating}
+                  className="w-full mt-3 btn-primary disabled:opacity-50"
                 >
-                  Upload and Process
+                  {validating ? 'Validating...' : 'Validate File'}
                 </button>
               )}
+              {uploadError && (
+                <div className="mt-3 p-3 bg-red-50 border border-red-200 rounded-lg">
+                  <div className="flex items-center">
+                    <AlertTriangle className="w-4 h-4 text-red-500 mr-2 flex-shrink-0" />
+                    <span className="text-sm text-red-700">{uploadError.message}</span>
+                  </div>
+                </div>
+              )}
             </div>
           </div>
 
+          {/* Validation Preview */}
+          {preview && uploadFile && (
+            <div className="mt-6 border-t pt-6">
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="text-sm font-medium text-gray-700">Validation Preview</h3>
+                <div className="flex items-center space-x-3 text-sm">
+                  <span className="px-2 py-1 rounded-full text-green-700 bg-green-100">
+                    {preview.summary.valid} valid
+                  </span>
+                  <span className={`px-2 py-1 rounded-full ${preview.summary.invalid > 0 ? 'text-red-700 bg-red-100' : 'text-gray-600 bg-gray-100'}`}>
+                    {preview.summary.invalid} with errors
+                  </span>
+                </div>
+              </div>
+
+              {preview.summary.invalid > 0 ? (
+                <div className="border border-gray-200 rounded-lg max-h-64 overflow-y-auto">
+                  <table className="w-full text-sm">
+                    <thead className="bg-gray-50 text-left text-gray-500 sticky top-0">
+                      <tr>
+                        <th className="px-4 py-2 font-medium">Row</th>
+                        <th className="px-4 py-2 font-medium">Errors</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                      {preview.rows.filter(entry => !entry.valid).map(entry => (
+                        <tr key={entry.row}>
+                          <td className="px-4 py-2 text-gray-900 align-top">{entry.row}</td>
+                          <td className="px-4 py-2 text-red-700">
+                            {entry.errors.map((error, index) => (
+                              <div key={index}>
+                                {error.field && <span className="font-medium">{error.field}: </span>}
+                                {error.message}
+                              </div>
+                            ))}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              ) : (
+                <div className="flex items-center p-3 bg-green-50 border border-green-200 rounded-lg text-sm text-green-700">
+                  <CheckCircle className="w-4 h-4 mr-2" />
+                  All {preview.summary.total} rows passed validation
+                </div>
+              )}
+
+              <div className="flex items-center justify-end space-x-3 mt-4">
+                <button
+                  onClick={() => {
+                    setUploadFile(null)
+                    resetUpload()
+                  }}
+                  className="px-4 py-2 border border-gray-300 rounded-lg text-sm hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+                {preview.summary.invalid === 0 ? (
+                  <button
+                    onClick={() => handleFileUpload(uploadFile, operationType)}
+                    className="btn-primary"
+                  >
+                    Import {preview.summary.total} Rows
+                  </button>
+                ) : (
+                  <button
+                    onClick={() => handleFileUpload(uploadFile, operationType, { validOnly: true })}
+                    disabled={preview.summary.valid === 0}
+                    className="btn-primary disabled:opacity-50"
+                  >
+                    Import {preview.summary.valid} Valid Rows
+                  </button>
+                )}
+              </div>
+            </div>
+          )}
+
           {/* Template Downloads */}
           <div className="mt-6 border-t pt-6">
             <h3 className="text-sm font-medium text-gray-700 mb-3">Download Templates</h3>
             <div className="flex flex-wrap gap-3">
-              <button className="flex items-center px-3 py-2 border border-gray-300 rounded-lg text-sm hover:bg-gray-50">
-                <Download className="w-4 h-4 mr-2" />
-                Product Creation Template
-              </button>
-              <button className="flex items-center px-3 py-2 border border-gray-300 rounded-lg text-sm hover:bg-gray-50">
-                <Download className="w-4 h-4 mr-2" />
-                Product Update Template
-              </button>
-              <button className="flex items-center px-3 py-2 border border-gray-300 rounded-lg text-sm hover:bg-gray-50">
-                <Download className="w-4 h-4 mr-2" />
-                QR Generation Template
-              </button>
+              {operationTypes.map(type => (
+                <div key={type.value} className="flex items-center border border-gray-300 rounded-lg text-sm">
+                  <span className="flex items-center px-3 py-2 text-gray-700">
+                    <Download className="w-4 h-4 mr-2" />
+                    {type.template}
+                  </span>
+                  <a
+                    href={`/api/factory/batch/templates?type=${type.value}&format=csv`}
+                    className="px-3 py-2 border-l border-gray-300 hover:bg-gray-50 text-confirmsure-blue"
+                  >
+                    CSV
+                  </a>
+                  <a
+                    href={`/api/factory/batch/templates?type=${type.value}&format=xlsx`}
+                    className="px-3 py-2 border-l border-gray-300 hover:bg-gray-50 text-confirmsure-blue rounded-r-lg"
+                  >
+                    Excel
+                  </a>
+                </div>
+              ))}
             </div>
           </div>
         </div>
@@ -287,7 +440,7 @@ export default function BatchOperations() {
                         <div className="flex items-center space-x-2">
                           {operation.status === 'pending' && (
                             <button
-                              onClick={() => startOperation(operation.id)}
+                              onClick={() => runOperationAction(operation.id, 'start')}
                               className="p-2 text-green-600 hover:bg-green-50 rounded-lg"
                               title="Start operation"
                             >
@@ -297,13 +450,43 @@ export default function BatchOperations() {
                           
                           {operation.status === 'running' && (
                             <button
-                              onClick={() => pauseOperation(operation.id)}
+                              onClick={() => runOperationAction(operation.id, 'pause')}
                               className="p-2 text-yellow-600 hover:bg-yellow-50 rounded-lg"
                               title="Pause operation"
                             >
                               <Pause className="w-4 h-4" />
                             </button>
                           )}
+
+                          {operation.status === 'paused' && (
+                            <button
+                              onClick={() => runOperationAction(operation.id, 'resume')}
+                              className="p-2 text-green-600 hover:bg-green-50 rounded-lg"
+                              title="Resume operation"
+                            >
+                              <Play className="w-4 h-4" />
+                            </button>
+                          )}
+
+                          {['completed', 'failed'].includes(operation.status) && operation.failed_items > 0 && (
+                            <button
+                              onClick={() => runOperationAction(operation.id, 'retry-failed')}
+                              className="p-2 text-confirmsure-blue hover:bg-blue-50 rounded-lg"
+                              title="Retry failed items"
+                            >
+                              <RotateCcw className="w-4 h-4" />
+                            </button>
+                          )}
+
+                          {['pending', 'running', 'paused'].includes(operation.status) && (
+                            <button
+                              onClick={() => cancelOperation(operation.id)}
+                              className="p-2 text-red-600 hover:bg-red-50 rounded-lg"
+                              title="Cancel operation"
+                            >
+                              <Ban className="w-4 h-4" />
+                            </button>
+                          )}
                           
                           <button
                             onClick={() => setSelectedOperation(operation)}
@@ -383,6 +566,10 @@ export default function BatchOperations() {
                   <label className="text-sm font-medium text-gray-500">Processed</label>
                   <p className="text-lg text-gray-900">{selectedOperation.processed_items}</p>
                 </div>
+                <div>
+                  <label className="text-sm font-medium text-gray-500">Failed</label>
+                  <p className="text-lg text-gray-900">{selectedOperation.failed_items}</p>
+                </div>
               </div>
 
               {selectedOperation.error_details && selectedOperation.error_details.length > 0 && (
@@ -78,7 +78,7 @@ export default function FactoryDashboard() {
     },
     {
       title: 'Generate QR Codes',
-      description: 'Bulk QR generation',
+      description: 'Reserve and print code pools',
       icon: QrCode,
       href: '/factory/qr-codes',
       color: 'bg-confirmsure-green',
@@ -0,0 +1,189 @@
+'use client'
+import { useState, useEffect, useCallback } from 'react'
+import { useRouter } from 'next/navigation'
+import Link from 'next/link'
+import { ArrowLeft, AlertCircle, RefreshCw } from 'lucide-react'
+import ProductForm from '../../../../components/factory/ProductForm'
+import { PRODUCT_FIELDS } from '../../../../lib/batch-columns'
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+export default function EditProductPage({ params }) {
+  const router = useRouter()
+  const [product, setProduct] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [conflict, setConflict] = useState(false)
+  // Remount the form after a reload so it picks up the saved values
+  const [formKey, setFormKey] = useState(0)
+
+  const loadProduct = useCallback(async () => {
+    try {
+      setLoading(true)
+      const response = await fetch(`/api/products/${params.id}`)
+      const data = await response.json()
+      if (!response.ok) {
+        setError(data.error || 'Failed to load product')
+        return
+      }
+
+      setProduct(data)
+      setConflict(false)
+      setError(null)
+      setFormKey(prev => prev + 1)
+    } catch (error) {
+      console.error('Failed to load product:', error)
+      setError('Failed to load product')
+    } finally {
+      setLoading(false)
+    }
+  }, [params.id])
+
+  useEffect(() => {
+    loadProduct()
+  }, [loadProduct])
+
+  const handleSubmit = async (productData) => {
+    setError(null)
+
+    try {
+      // Blank inputs clear the field
+      const fields = Object.fromEntries(PRODUCT_FIELDS.map(field => [field, productData[field] || null]))
+
+      const productResponse = await fetch(`/api/products/${params.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...fields, updated_at: product.updated_at })
+      })
+
+      const saved = await productResponse.json()
+      if (productResponse.status === 409) {
+        setConflict(true)
+        throw new Error(saved.error)
+      }
+      if (!productResponse.ok) {
+        throw new Error(saved.details?.[0]?.message || saved.error || 'Failed to update product')
+      }
+
+      setProduct(prev => ({ ...prev, ...saved }))
+
+      // Upload new images; saved image ids by upload position link markers to their photo
+      const uploadedImageIds = []
+      if (productData.images && productData.images.length > 0) {
+        const formData = new FormData()
+        productData.images.forEach(image => {
+          formData.append('files', image.file)
+        })
+        formData.append('productId', params.id)
+        formData.append('imageType', 'product')
+        formData.append('addWatermark', 'true')
+
+        const imageResponse = await fetch('/api/upload', {
+          method: 'POST',
+          body: formData
+        })
+
+        if (!imageResponse.ok) {
+          throw new Error('Product saved, but the new images failed to upload')
+        }
+
+        const uploaded = await imageResponse.json()
+        const records = uploaded.image ? [uploaded.image] : uploaded.images || []
+        records.forEach(image => {
+          uploadedImageIds[image.metadata?.batchIndex ?? 0] = image.id
+        })
+      }
+
+      // Replace the marker set so removed markers are deleted and the order is kept
+      const markerResponse = await fetch('/api/products/markers/bulk', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          product_id: params.id,
+          markers: (productData.markers || []).map(marker => ({
+            id: UUID_REGEX.test(String(marker.id)) ? marker.id : undefined,
+            type: marker.type,
+            position: marker.position,
+            color: marker.color || null,
+            pattern: marker.pattern || null,
+            size_mm: marker.size_mm ? parseFloat(marker.size_mm) : null,
+            image_id: marker.image_id || uploadedImageIds[marker.image_index] || null,
+            coordinates: marker.coordinates || null,
+            description: marker.description || null,
+            verification_instructions: marker.verification_instructions || null
+          }))
+        })
+      })
+
+      if (!markerResponse.ok) {
+        const markerData = await markerResponse.json()
+        throw new Error(`Product saved, but markers were not: ${markerData.error || 'unknown error'}`)
+      }
+
+      router.push('/factory/products')
+    } catch (error) {
+      console.error('Product update error:', error)
+      setError(error.message)
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-white shadow-sm border-b">
+        <div className="container mx-auto px-4 py-4">
+          <div className="flex items-center">
+            <Link
+              href="/factory/products"
+              className="flex items-center text-gray-600 hover:text-confirmsure-blue mr-4"
+            >
+              <ArrowLeft className="w-5 h-5 mr-1" />
+              Back to Products
+            </Link>
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900">Edit Product</h1>
+              {product && (
+                <p className="text-gray-600">{product.product_name} · {product.qr_code}</p>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="container mx-auto px-4 py-8">
+        {error && (
+          <div className="mb-6 bg-red-50 border border-red-200 rounded-lg p-4 flex items-center justify-between">
+            <div className="flex items-center">
+              <AlertCircle className="w-5 h-5 text-red-500 mr-2" />
+              <span className="text-red-700">{error}</span>
+            </div>
+            {conflict && (
+              <button
+                onClick={loadProduct}
+                className="px-3 py-1 border border-red-300 rounded-md text-sm font-medium text-red-700 hover:bg-red-100 inline-flex items-center"
+              >
+                <RefreshCw className="w-4 h-4 mr-1" />
+                Reload latest
+              </button>
+            )}
+          </div>
+        )}
+
+        {loading ? (
+          <div className="max-w-4xl mx-auto animate-pulse space-y-4">
+            <div className="h-24 bg-gray-200 rounded-lg"></div>
+            <div className="h-96 bg-gray-200 rounded-lg"></div>
+          </div>
+        ) : product && (
+          <ProductForm
+            key={formKey}
+            initialData={{ ...product, markers: product.authentication_markers }}
+            onSubmit={handleSubmit}
+            onCancel={() => router.push('/factory/products')}
+            isEditing
+          />
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,25 @@
+'use client'
+import Link from 'next/link'
+import { ArrowLeft } from 'lucide-react'
+import ProductVersionHistory from '../../../../components/factory/ProductVersionHistory'
+
+export default function ProductHistoryPage({ params }) {
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-white shadow-sm border-b">
+        <div className="container mx-auto px-4 py-6">
+          <Link href="/factory/products" className="inline-flex items-center text-sm text-gray-600 hover:text-gray-900 mb-2">
+            <ArrowLeft className="h-4 w-4 mr-1" />
+            Back to Products
+          </Link>
+          <h1 className="text-3xl font-bold text-gray-900">Version History</h1>
+        </div>
+      </div>
+
+      <div className="container mx-auto px-4 py-8">
+        <ProductVersionHistory productId={params.id} />
+      </div>
+    </div>
+  )
+}
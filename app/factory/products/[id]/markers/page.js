@@ -0,0 +1,246 @@
+'use client'
+import { useState, useEffect, useCallback } from 'react'
+import Link from 'next/link'
+import { ArrowLeft, Plus, Save, Eye, AlertCircle, Loader2 } from 'lucide-react'
+import MarkerPlacementEditor from '../../../../components/factory/MarkerPlacementEditor'
+import MarkerFields from '../../../../components/factory/MarkerFields'
+
+// Markers not yet saved carry a local id until the API assigns one
+const isNewMarker = (marker) => String(marker.id).startsWith('new-')
+
+const toEditable = (marker) => ({ ...marker, image_key: marker.image_id || null })
+
+export default function ProductMarkersPage({ params }) {
+  const [product, setProduct] = useState(null)
+  const [images, setImages] = useState([])
+  const [markers, setMarkers] = useState([])
+  const [dirtyIds, setDirtyIds] = useState([])
+  const [activeMarkerId, setActiveMarkerId] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [savingId, setSavingId] = useState(null)
+  const [error, setError] = useState(null)
+
+  const loadMarkers = useCallback(async () => {
+    try {
+      setLoading(true)
+      const response = await fetch(`/api/products/markers?product_id=${params.id}`)
+      const data = await response.json()
+      if (!response.ok) {
+        setError(data.error || 'Failed to load markers')
+        return
+      }
+
+      setProduct(data.product)
+      setImages(data.images || [])
+      setMarkers((data.markers || []).map(toEditable))
+      setDirtyIds([])
+    } catch (error) {
+      console.error('Failed to load markers:', error)
+      setError('Failed to load markers')
+    } finally {
+      setLoading(false)
+    }
+  }, [params.id])
+
+  useEffect(() => {
+    loadMarkers()
+  }, [loadMarkers])
+
+  const markDirty = (id) => {
+    setDirtyIds(prev => prev.includes(id) ? prev : [...prev, id])
+  }
+
+  const updateMarker = (id, changes) => {
+    setMarkers(prev => prev.map(marker => marker.id === id ? { ...marker, ...changes } : marker))
+    markDirty(id)
+  }
+
+  const addMarker = () => {
+    const marker = {
+      id: `new-${Date.now()}`,
+      type: 'color_dot',
+      position: '',
+      color: '',
+      pattern: '',
+      size_mm: '',
+      description: '',
+      verification_instructions: '',
+      image_key: null,
+      coordinates: null
+    }
+    setMarkers(prev => [...prev, marker])
+    setActiveMarkerId(marker.id)
+    markDirty(marker.id)
+  }
+
+  const saveMarker = async (marker) => {
+    const body = {
+      product_id: params.id,
+      image_id: marker.coordinates ? marker.image_key : null,
+      coordinates: marker.image_key ? marker.coordinates : null,
+      type: marker.type,
+      position: marker.position,
+      color: marker.color || null,
+      pattern: marker.pattern || null,
+      size_mm: marker.size_mm ? parseFloat(marker.size_mm) : null,
+      description: marker.description || null,
+      verification_instructions: marker.verification_instructions || null
+    }
+
+    const response = await fetch('/api/products/markers', {
+      method: isNewMarker(marker) ? 'POST' : 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(isNewMarker(marker) ? body : { ...body, id: marker.id })
+    })
+
+    const data = await response.json()
+    if (!response.ok) {
+      throw new Error(data.details?.[0]?.message || data.error || 'Failed to save marker')
+    }
+
+    setMarkers(prev => prev.map(m => m.id === marker.id ? toEditable(data) : m))
+    setDirtyIds(prev => prev.filter(id => id !== marker.id))
+    setActiveMarkerId(prev => prev === marker.id ? data.id : prev)
+  }
+
+  const saveAll = async () => {
+    setError(null)
+    for (const marker of markers.filter(m => dirtyIds.includes(m.id))) {
+      try {
+        setSavingId(marker.id)
+        await saveMarker(marker)
+      } catch (error) {
+        console.error('Failed to save marker:', error)
+        setError(`Marker ${markers.indexOf(marker) + 1}: ${error.message}`)
+        break
+      } finally {
+        setSavingId(null)
+      }
+    }
+  }
+
+  const removeMarker = async (marker, number) => {
+    if (!isNewMarker(marker)) {
+      if (!confirm(`Delete marker ${number}? Consumers will no longer be asked to check it.`)) return
+
+      try {
+        setSavingId(marker.id)
+        setError(null)
+        const response = await fetch(`/api/products/markers?id=${marker.id}`, { method: 'DELETE' })
+        if (!response.ok) {
+          const data = await response.json()
+          setError(data.error || 'Failed to delete marker')
+          return
+        }
+      } catch (error) {
+        console.error('Failed to delete marker:', error)
+        setError('Failed to delete marker')
+        return
+      } finally {
+        setSavingId(null)
+      }
+    }
+
+    setMarkers(prev => prev.filter(m => m.id !== marker.id))
+    setDirtyIds(prev => prev.filter(id => id !== marker.id))
+    if (activeMarkerId === marker.id) {
+      setActiveMarkerId(null)
+    }
+  }
+
+  const editorImages = images.map((image, index) => ({
+    key: image.id,
+    src: image.image_url,
+    label: image.angle_description || `Image ${index + 1}`
+  }))
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-white shadow-sm border-b">
+        <div className="container mx-auto px-4 py-6 flex items-center justify-between">
+          <div>
+            <Link href="/factory/products" className="inline-flex items-center text-sm text-gray-600 hover:text-gray-900 mb-2">
+              <ArrowLeft className="h-4 w-4 mr-1" />
+              Back to Products
+            </Link>
+            <h1 className="text-3xl font-bold text-gray-900">Authentication Markers</h1>
+            {product && (
+              <p className="text-gray-600 mt-1">{product.product_name} · {product.qr_code}</p>
+            )}
+          </div>
+          <div className="flex items-center gap-2">
+            {product && (
+              <Link
+                href={`/product/${product.qr_code}`}
+                className="px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 inline-flex items-center"
+              >
+                <Eye className="h-4 w-4 mr-1" />
+                Consumer view
+              </Link>
+            )}
+            <button
+              onClick={saveAll}
+              disabled={dirtyIds.length === 0 || Boolean(savingId)}
+              className="btn-primary inline-flex items-center disabled:opacity-50"
+            >
+              {savingId ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Save className="h-4 w-4 mr-2" />}
+              Save Changes{dirtyIds.length > 0 && ` (${dirtyIds.length})`}
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <div className="container mx-auto px-4 py-8 max-w-4xl">
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6 flex items-center text-sm text-red-700">
+            <AlertCircle className="h-4 w-4 mr-2" />
+            {error}
+          </div>
+        )}
+
+        {loading ? (
+          <div className="animate-pulse space-y-4">
+            <div className="h-96 bg-gray-200 rounded-lg"></div>
+            <div className="h-40 bg-gray-200 rounded-lg"></div>
+          </div>
+        ) : product && (
+          <div className="bg-white rounded-lg shadow-sm border border-gray-100 p-6 space-y-6">
+            <MarkerPlacementEditor
+              images={editorImages}
+              markers={markers}
+              activeMarkerId={activeMarkerId}
+              onPlace={updateMarker}
+            />
+
+            {markers.map((marker, index) => (
+              <MarkerFields
+                key={marker.id}
+                marker={marker}
+                number={index + 1}
+                isActive={marker.id === activeMarkerId}
+                onChange={(field, value) => updateMarker(marker.id, { [field]: value })}
+                onSelect={() => setActiveMarkerId(marker.id === activeMarkerId ? null : marker.id)}
+                onRemove={() => removeMarker(marker, index + 1)}
+                actions={dirtyIds.includes(marker.id) && (
+                  <span className="text-xs font-medium text-yellow-700">
+                    {savingId === marker.id ? 'Saving...' : 'Unsaved'}
+                  </span>
+                )}
+              />
+            ))}
+
+            <button
+              type="button"
+              onClick={addMarker}
+              className="w-full py-3 border-2 border-dashed border-gray-300 rounded-lg text-gray-600 hover:border-confirmsure-blue hover:text-confirmsure-blue transition-colors"
+            >
+              <Plus className="w-5 h-5 mx-auto mb-1" />
+              Add Authentication Marker
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
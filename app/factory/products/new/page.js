@@ -42,6 +42,8 @@ export default function NewProductPage() {
       const product = await productResponse.json()
 
       // Upload images if any
+      // Saved image ids by upload position, so markers can be linked to their photo
+      const uploadedImageIds = []
       if (productData.images && productData.images.length > 0) {
         const formData = new FormData()
         
@@ -64,6 +66,12 @@ export default function NewProductPage() {
 
         if (!imageResponse.ok) {
           console.error('Image upload failed, but product was created')
+        } else {
+          const uploaded = await imageResponse.json()
+          const records = uploaded.image ? [uploaded.image] : uploaded.images || []
+          records.forEach(image => {
+            uploadedImageIds[image.metadata?.batchIndex ?? 0] = image.id
+          })
         }
       }
 
@@ -82,6 +90,8 @@ export default function NewProductPage() {
               color: marker.color,
               pattern: marker.pattern,
               size_mm: marker.size_mm ? parseFloat(marker.size_mm) : null,
+              image_id: marker.image_id || uploadedImageIds[marker.image_index] || null,
+              coordinates: marker.coordinates || null,
               description: marker.description,
               verification_instructions: marker.verification_instructions
             })
@@ -1,5 +1,6 @@
 'use client'
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useCallback, useRef } from 'react'
+import { useRouter, usePathname, useSearchParams } from 'next/navigation'
 import Link from 'next/link'
 import Image from 'next/image'
 import { 
@@ -16,45 +17,290 @@ import {
   Building2,
   CheckCircle,
   Clock,
-  AlertCircle
+  AlertCircle,
+  Printer,
+  Crosshair,
+  History,
+  Megaphone,
+  X
 } from 'lucide-react'
+import { PRODUCT_TRANSITIONS } from '../../lib/product-workflow'
+import { PRODUCT_STATUSES } from '../../lib/validation'
+
+// Button styles for workflow actions; anything not listed uses the neutral style
+const ACTION_STYLES = {
+  approve: 'border-green-300 text-green-700 hover:bg-green-50',
+  publish: 'border-green-300 text-green-700 hover:bg-green-50',
+  reject: 'border-red-300 text-red-700 hover:bg-red-50',
+  archive: 'border-red-300 text-red-700 hover:bg-red-50'
+}
+
+// Search filters kept in the page URL, so searches can be bookmarked and shared
+const FILTER_PARAMS = ['query', 'status', 'product_type', 'factory_id', 'month']
+
+const PAGE_SIZE = 20
+
+const facetCount = (facet, value) => facet?.find(entry => entry.value === value)?.count || 0
+
+const formatMonth = (month) => new Date(`${month}-01T00:00:00`).toLocaleDateString(undefined, { year: 'numeric', month: 'long' })
 
 export default function ProductsManagement() {
+  const router = useRouter()
+  const pathname = usePathname()
+  const searchParams = useSearchParams()
   const [products, setProducts] = useState([])
   const [loading, setLoading] = useState(true)
-  const [searchTerm, setSearchTerm] = useState('')
-  const [filterStatus, setFilterStatus] = useState('')
-  const [filterType, setFilterType] = useState('')
+  const [loadingMore, setLoadingMore] = useState(false)
+  const [pagination, setPagination] = useState({ total: 0, nextCursor: null, hasMore: false })
+  const [facets, setFacets] = useState(null)
+  const [searchTerm, setSearchTerm] = useState(searchParams.get('query') || '')
+  const filters = Object.fromEntries(FILTER_PARAMS.map(key => [key, searchParams.get(key) || '']))
+  const hasFilters = FILTER_PARAMS.some(key => filters[key])
   const [viewMode, setViewMode] = useState('list') // 'list' or 'grid'
+  const [selectedIds, setSelectedIds] = useState([])
+  const [showLabelDialog, setShowLabelDialog] = useState(false)
+  const [labelOptions, setLabelOptions] = useState(null)
+  const [labelSettings, setLabelSettings] = useState({ template: 'a4-21', format: 'pdf', dpi: 300, copies: 1, startPosition: 0 })
+  const [printingLabels, setPrintingLabels] = useState(false)
+  const [labelError, setLabelError] = useState(null)
+  const [busyProductId, setBusyProductId] = useState(null)
+  const [actionError, setActionError] = useState(null)
+
+  const filterQuery = searchParams.toString()
+  const filterQueryRef = useRef(filterQuery)
+  filterQueryRef.current = filterQuery
+  const requestRef = useRef(null)
+
+  // First page with facet counts, or the page after `cursor` appended to the list.
+  // Each load cancels the one before it, so a slow response for an earlier search
+  // never replaces or extends the results for the current one.
+  const loadProducts = useCallback(async (cursor = null) => {
+    requestRef.current?.abort()
+    const controller = new AbortController()
+    requestRef.current = controller
+
+    const params = new URLSearchParams(filterQuery)
+    params.set('limit', PAGE_SIZE)
+    if (cursor) {
+      params.set('cursor', cursor)
+    } else {
+      params.set('facets', 'true')
+    }
+
+    try {
+      cursor ? setLoadingMore(true) : setLoading(true)
+      const response = await fetch(`/api/products?${params}`, { signal: controller.signal })
+      const data = await response.json()
+      if (controller.signal.aborted || filterQueryRef.current !== filterQuery) {
+        return
+      }
+
+      if (!response.ok) {
+        setActionError(data.details?.[0]?.message || data.error || 'Failed to load products')
+        return
+      }
+
+      setProducts(prev => cursor ? [...prev, ...data.products] : data.products)
+      // Later pages carry no total; keep the one from the first page
+      setPagination(prev => cursor ? { ...data.pagination, total: prev.total } : data.pagination)
+      if (!cursor) {
+        setFacets(data.facets)
+      }
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('Failed to load products:', error)
+      }
+    } finally {
+      // A newer load owns the loading state now
+      if (requestRef.current === controller) {
+        setLoading(false)
+        setLoadingMore(false)
+      }
+    }
+  }, [filterQuery])
 
   useEffect(() => {
     loadProducts()
-  }, [])
+    return () => requestRef.current?.abort()
+  }, [loadProducts])
+
+  const updateFilters = useCallback((changes) => {
+    const params = new URLSearchParams(filterQuery)
+    Object.entries(changes).forEach(([key, value]) => {
+      value ? params.set(key, value) : params.delete(key)
+    })
+    const query = params.toString()
+    router.replace(query ? `${pathname}?${query}` : pathname, { scroll: false })
+  }, [filterQuery, pathname, router])
+
+  // Keep the search box in step when the URL changes (back and forward navigation)
+  const urlQuery = searchParams.get('query') || ''
+  useEffect(() => {
+    setSearchTerm(prev => prev.trim() === urlQuery ? prev : urlQuery)
+  }, [urlQuery])
+
+  // Search as the user types, once they pause
+  useEffect(() => {
+    if (searchTerm.trim() === urlQuery) return
+    const timer = setTimeout(() => updateFilters({ query: searchTerm.trim() }), 300)
+    return () => clearTimeout(timer)
+  }, [searchTerm, urlQuery, updateFilters])
+
+  const clearFilters = () => {
+    setSearchTerm('')
+    updateFilters(Object.fromEntries(FILTER_PARAMS.map(key => [key, null])))
+  }
+
+  const statusTotal = (facets?.status || []).reduce((sum, entry) => sum + entry.count, 0)
+
+  const toggleSelected = (productId) => {
+    setSelectedIds(prev => prev.includes(productId)
+      ? prev.filter(id => id !== productId)
+      : [...prev, productId])
+  }
+
+  const allSelected = products.length > 0 &&
+    products.every(product => selectedIds.includes(product.id))
+
+  const toggleAll = () => {
+    setSelectedIds(allSelected ? [] : products.map(product => product.id))
+  }
+
+  const openLabelDialog = async () => {
+    setLabelError(null)
+    setShowLabelDialog(true)
+    if (labelOptions) return
 
-  const loadProducts = async () => {
     try {
-      setLoading(true)
-      const response = await fetch('/api/products')
+      const response = await fetch('/api/qr/labels')
       if (response.ok) {
+        setLabelOptions(await response.json())
+      }
+    } catch (error) {
+      console.error('Failed to load label templates:', error)
+    }
+  }
+
+  const updateLabelSetting = (key, value) => {
+    setLabelSettings(prev => {
+      const next = { ...prev, [key]: value }
+      // Thermal (ZPL) output only fits roll templates
+      const template = labelOptions?.templates.find(t => t.id === next.template)
+      if (next.format === 'zpl' && template?.media !== 'roll') {
+        next.template = labelOptions.templates.find(t => t.media === 'roll')?.id || next.template
+      }
+      return next
+    })
+  }
+
+  const printLabels = async () => {
+    try {
+      setPrintingLabels(true)
+      setLabelError(null)
+      const response = await fetch('/api/qr/labels', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ productIds: selectedIds, ...labelSettings })
+      })
+
+      if (!response.ok) {
+        const data = await response.json()
+        setLabelError(data.error || 'Label generation failed')
+        return
+      }
+
+      const blob = await response.blob()
+      const filename = response.headers.get('Content-Disposition')?.match(/filename="([^"]+)"/)?.[1] || `labels.${labelSettings.format}`
+      const url = window.URL.createObjectURL(blob)
+      const a = document.createElement('a')
+      a.href = url
+      a.download = filename
+      document.body.appendChild(a)
+      a.click()
+      document.body.removeChild(a)
+      window.URL.revokeObjectURL(url)
+      setShowLabelDialog(false)
+    } catch (error) {
+      console.error('Label generation error:', error)
+      setLabelError('Label generation failed')
+    } finally {
+      setPrintingLabels(false)
+    }
+  }
+
+  const changeStatus = async (product, action) => {
+    const transition = PRODUCT_TRANSITIONS[action]
+    let reason = null
+
+    if (transition.requiresReason) {
+      reason = window.prompt(`Why are you rejecting "${product.product_name}"? The reason is shown to the team.`)
+      if (reason === null) return
+      if (!reason.trim()) {
+        setActionError('A reason is required to reject a product')
+        return
+      }
+    } else if (action === 'archive' && !window.confirm(`Archive "${product.product_name}"? It will no longer verify as published.`)) {
+      return
+    }
+
+    try {
+      setBusyProductId(product.id)
+      setActionError(null)
+      const response = await fetch(`/api/products/${product.id}/status`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action, reason })
+      })
+
+      if (!response.ok) {
         const data = await response.json()
-        setProducts(data.products || [])
+        setActionError(`${product.product_name}: ${data.error || 'Status change failed'}`)
+        return
       }
+
+      await loadProducts()
     } catch (error) {
-      console.error('Failed to load products:', error)
+      console.error('Status change error:', error)
+      setActionError('Status change failed')
     } finally {
-      setLoading(false)
+      setBusyProductId(null)
     }
   }
 
-  const filteredProducts = products.filter(product => {
-    const matchesSearch = product.product_name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                         product.qr_code.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                         (product.batch_id && product.batch_id.toLowerCase().includes(searchTerm.toLowerCase()))
-    const matchesStatus = !filterStatus || product.status === filterStatus
-    const matchesType = !filterType || product.product_type === filterType
-    
-    return matchesSearch && matchesStatus && matchesType
-  })
+  const deleteProduct = async (product) => {
+    if (!window.confirm(`Delete "${product.product_name}"? Products that have been scanned are archived instead.`)) return
+
+    try {
+      setBusyProductId(product.id)
+      setActionError(null)
+      const response = await fetch(`/api/products/${product.id}`, { method: 'DELETE' })
+
+      if (!response.ok) {
+        const data = await response.json()
+        setActionError(`${product.product_name}: ${data.error || 'Delete failed'}`)
+        return
+      }
+
+      setSelectedIds(prev => prev.filter(id => id !== product.id))
+      await loadProducts()
+    } catch (error) {
+      console.error('Product delete error:', error)
+      setActionError('Delete failed')
+    } finally {
+      setBusyProductId(null)
+    }
+  }
+
+  const renderStatusActions = (product) => (product.available_actions || []).map(action => (
+    <button
+      key={action}
+      onClick={() => changeStatus(product, action)}
+      disabled={busyProductId === product.id}
+      className={`px-2 py-1 border rounded text-xs font-medium disabled:opacity-50 ${ACTION_STYLES[action] || 'border-gray-300 text-gray-700 hover:bg-gray-50'}`}
+    >
+      {PRODUCT_TRANSITIONS[action].label}
+    </button>
+  ))
 
   const getStatusColor = (status) => {
     switch (status) {
@@ -78,7 +324,8 @@ export default function ProductsManagement() {
     }
   }
 
-  if (loading) {
+  // Skeleton only before the first results; later searches keep the page (and search box) in place
+  if (loading && !facets) {
     return (
       <div className="min-h-screen bg-gray-50">
         <div className="container mx-auto px-4 py-8">
@@ -108,6 +355,21 @@ export default function ProductsManagement() {
               </p>
             </div>
             <div className="flex items-center space-x-3">
+              <Link
+                href="/factory/recalls"
+                className="px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 inline-flex items-center"
+              >
+                <Megaphone className="w-4 h-4 mr-2" />
+                Recalls
+              </Link>
+              <button
+                onClick={openLabelDialog}
+                disabled={selectedIds.length === 0}
+                className="px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 inline-flex items-center"
+              >
+                <Printer className="w-4 h-4 mr-2" />
+                Print Labels{selectedIds.length > 0 && ` (${selectedIds.length})`}
+              </button>
               <Link
                 href="/factory/products/new"
                 className="btn-primary"
@@ -127,7 +389,7 @@ export default function ProductsManagement() {
             <div className="flex items-center justify-between">
               <div>
                 <p className="text-sm font-medium text-gray-600">Total Products</p>
-                <p className="text-2xl font-bold text-gray-900">{products.length}</p>
+                <p className="text-2xl font-bold text-gray-900">{statusTotal}</p>
               </div>
               <Package className="h-8 w-8 text-confirmsure-blue" />
             </div>
@@ -138,7 +400,7 @@ export default function ProductsManagement() {
               <div>
                 <p className="text-sm font-medium text-gray-600">Published</p>
                 <p className="text-2xl font-bold text-confirmsure-green">
-                  {products.filter(p => p.status === 'published').length}
+                  {facetCount(facets?.status, 'published')}
                 </p>
               </div>
               <CheckCircle className="h-8 w-8 text-confirmsure-green" />
@@ -150,7 +412,7 @@ export default function ProductsManagement() {
               <div>
                 <p className="text-sm font-medium text-gray-600">Pending</p>
                 <p className="text-2xl font-bold text-yellow-600">
-                  {products.filter(p => p.status === 'pending').length}
+                  {facetCount(facets?.status, 'pending')}
                 </p>
               </div>
               <Clock className="h-8 w-8 text-yellow-600" />
@@ -162,7 +424,7 @@ export default function ProductsManagement() {
               <div>
                 <p className="text-sm font-medium text-gray-600">Drafts</p>
                 <p className="text-2xl font-bold text-gray-600">
-                  {products.filter(p => p.status === 'draft').length}
+                  {facetCount(facets?.status, 'draft')}
                 </p>
               </div>
               <Edit className="h-8 w-8 text-gray-600" />
@@ -178,7 +440,7 @@ export default function ProductsManagement() {
                 <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 h-4 w-4" />
                 <input
                   type="text"
-                  placeholder="Search products..."
+                  placeholder="Search name, type, code, serial, batch or description"
                   value={searchTerm}
                   onChange={(e) => setSearchTerm(e.target.value)}
                   className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-confirmsure-blue focus:border-transparent"
@@ -186,33 +448,66 @@ export default function ProductsManagement() {
               </div>
             </div>
             
-            <div className="flex items-center space-x-3">
+            <div className="flex flex-wrap items-center gap-3">
               <select
-                value={filterStatus}
-                onChange={(e) => setFilterStatus(e.target.value)}
+                value={filters.status}
+                onChange={(e) => updateFilters({ status: e.target.value })}
                 className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-confirmsure-blue focus:border-transparent"
               >
                 <option value="">All Status</option>
-                <option value="published">Published</option>
-                <option value="approved">Approved</option>
-                <option value="pending">Pending</option>
-                <option value="draft">Draft</option>
-                <option value="archived">Archived</option>
+                {PRODUCT_STATUSES.map(status => (
+                  <option key={status} value={status}>
+                    {status.charAt(0).toUpperCase() + status.slice(1)} ({facetCount(facets?.status, status)})
+                  </option>
+                ))}
               </select>
               
               <select
-                value={filterType}
-                onChange={(e) => setFilterType(e.target.value)}
+                value={filters.product_type}
+                onChange={(e) => updateFilters({ product_type: e.target.value })}
                 className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-confirmsure-blue focus:border-transparent"
               >
                 <option value="">All Types</option>
-                <option value="Electronics">Electronics</option>
-                <option value="Clothing">Clothing</option>
-                <option value="Accessories">Accessories</option>
-                <option value="Food">Food</option>
-                <option value="Pharmaceutical">Pharmaceutical</option>
+                {(facets?.product_type || []).map(entry => (
+                  <option key={entry.value} value={entry.value}>{entry.value} ({entry.count})</option>
+                ))}
+              </select>
+
+              {/* Only admins see products from more than one factory */}
+              {(facets?.factory || []).length > 1 && (
+                <select
+                  value={filters.factory_id}
+                  onChange={(e) => updateFilters({ factory_id: e.target.value })}
+                  className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-confirmsure-blue focus:border-transparent"
+                >
+                  <option value="">All Factories</option>
+                  {facets.factory.map(entry => (
+                    <option key={entry.value} value={entry.value}>{entry.label} ({entry.count})</option>
+                  ))}
+                </select>
+              )}
+
+              <select
+                value={filters.month}
+                onChange={(e) => updateFilters({ month: e.target.value })}
+                className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-confirmsure-blue focus:border-transparent"
+              >
+                <option value="">Any Month</option>
+                {(facets?.month || []).map(entry => (
+                  <option key={entry.value} value={entry.value}>{formatMonth(entry.value)} ({entry.count})</option>
+                ))}
               </select>
 
+              {hasFilters && (
+                <button
+                  onClick={clearFilters}
+                  className="px-3 py-2 text-sm text-gray-600 hover:text-confirmsure-blue inline-flex items-center"
+                >
+                  <X className="w-4 h-4 mr-1" />
+                  Clear
+                </button>
+              )}
+
               <div className="flex border border-gray-300 rounded-lg">
                 <button
                   onClick={() => setViewMode('list')}
@@ -231,6 +526,15 @@ export default function ProductsManagement() {
           </div>
         </div>
 
+        {actionError && (
+          <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg flex items-start justify-between">
+            <p className="text-sm text-red-800">{actionError}</p>
+            <button onClick={() => setActionError(null)} className="text-red-400 hover:text-red-600">
+              <X className="h-4 w-4" />
+            </button>
+          </div>
+        )}
+
         {/* Products Display */}
         {viewMode === 'list' ? (
           <div className="bg-white rounded-lg shadow-sm border border-gray-100 overflow-hidden">
@@ -238,6 +542,14 @@ export default function ProductsManagement() {
               <table className="w-full">
                 <thead className="bg-gray-50 border-b border-gray-200">
                   <tr>
+                    <th className="pl-6 py-3 text-left">
+                      <input
+                        type="checkbox"
+                        checked={allSelected}
+                        onChange={toggleAll}
+                        className="h-4 w-4 text-confirmsure-blue border-gray-300 rounded focus:ring-confirmsure-blue"
+                      />
+                    </th>
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                       Product
                     </th>
@@ -259,10 +571,18 @@ export default function ProductsManagement() {
                   </tr>
                 </thead>
                 <tbody className="bg-white divide-y divide-gray-200">
-                  {filteredProducts.map((product) => {
+                  {products.map((product) => {
                     const StatusIcon = getStatusIcon(product.status)
                     return (
                       <tr key={product.id} className="hover:bg-gray-50">
+                        <td className="pl-6 py-4">
+                          <input
+                            type="checkbox"
+                            checked={selectedIds.includes(product.id)}
+                            onChange={() => toggleSelected(product.id)}
+                            className="h-4 w-4 text-confirmsure-blue border-gray-300 rounded focus:ring-confirmsure-blue"
+                          />
+                        </td>
                         <td className="px-6 py-4 whitespace-nowrap">
                           <div className="flex items-center">
                             <div className="flex-shrink-0 h-12 w-12">
@@ -311,6 +631,11 @@ export default function ProductsManagement() {
                               {product.status}
                             </span>
                           </div>
+                          {product.status === 'draft' && product.rejection_reason && (
+                            <p className="mt-1 text-xs text-red-600 max-w-xs truncate" title={product.rejection_reason}>
+                              Rejected: {product.rejection_reason}
+                            </p>
+                          )}
                         </td>
                         
                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
@@ -334,12 +659,32 @@ export default function ProductsManagement() {
                             >
                               <Edit className="h-4 w-4" />
                             </Link>
-                            <button className="text-red-400 hover:text-red-600">
+                            <Link
+                              href={`/factory/products/${product.id}/markers`}
+                              title="Authentication markers"
+                              className="text-gray-400 hover:text-gray-600"
+                            >
+                              <Crosshair className="h-4 w-4" />
+                            </Link>
+                            <Link
+                              href={`/factory/products/${product.id}/history`}
+                              title="Version history"
+                              className="text-gray-400 hover:text-gray-600"
+                            >
+                              <History className="h-4 w-4" />
+                            </Link>
+                            <button
+                              onClick={() => deleteProduct(product)}
+                              disabled={busyProductId === product.id}
+                              title="Delete product"
+                              className="text-red-400 hover:text-red-600 disabled:opacity-50"
+                            >
                               <Trash2 className="h-4 w-4" />
                             </button>
                             <button className="text-gray-400 hover:text-gray-600">
                               <MoreVertical className="h-4 w-4" />
                             </button>
+                            {renderStatusActions(product)}
                           </div>
                         </td>
                       </tr>
@@ -351,7 +696,7 @@ export default function ProductsManagement() {
           </div>
         ) : (
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
-            {filteredProducts.map((product) => {
+            {products.map((product) => {
               const StatusIcon = getStatusIcon(product.status)
               return (
                 <div key={product.id} className="bg-white rounded-lg shadow-sm border border-gray-100 overflow-hidden hover:shadow-md transition-shadow">
@@ -368,6 +713,14 @@ export default function ProductsManagement() {
                         <Package className="h-16 w-16 text-gray-300" />
                       </div>
                     )}
+                    <div className="absolute top-2 left-2">
+                      <input
+                        type="checkbox"
+                        checked={selectedIds.includes(product.id)}
+                        onChange={() => toggleSelected(product.id)}
+                        className="h-4 w-4 text-confirmsure-blue border-gray-300 rounded focus:ring-confirmsure-blue"
+                      />
+                    </div>
                     <div className="absolute top-2 right-2">
                       <span className={`inline-flex px-2 py-1 text-xs font-medium rounded-full ${getStatusColor(product.status)}`}>
                         {product.status}
@@ -405,8 +758,34 @@ export default function ProductsManagement() {
                         >
                           <Edit className="h-4 w-4" />
                         </Link>
+                        <Link
+                          href={`/factory/products/${product.id}/markers`}
+                          title="Authentication markers"
+                          className="p-1 text-gray-400 hover:text-gray-600"
+                        >
+                          <Crosshair className="h-4 w-4" />
+                        </Link>
+                        <Link
+                          href={`/factory/products/${product.id}/history`}
+                          title="Version history"
+                          className="p-1 text-gray-400 hover:text-gray-600"
+                        >
+                          <History className="h-4 w-4" />
+                        </Link>
                       </div>
                     </div>
+
+                    {product.status === 'draft' && product.rejection_reason && (
+                      <p className="mt-2 text-xs text-red-600 truncate" title={product.rejection_reason}>
+                        Rejected: {product.rejection_reason}
+                      </p>
+                    )}
+
+                    {product.available_actions?.length > 0 && (
+                      <div className="mt-3 flex flex-wrap gap-1">
+                        {renderStatusActions(product)}
+                      </div>
+                    )}
                   </div>
                 </div>
               )
@@ -414,11 +793,11 @@ export default function ProductsManagement() {
           </div>
         )}
 
-        {filteredProducts.length === 0 && (
+        {products.length === 0 && (
           <div className="bg-white rounded-lg shadow-sm border border-gray-100 p-12 text-center">
             <Package className="h-16 w-16 text-gray-300 mx-auto mb-4" />
             <p className="text-gray-600 mb-4">
-              {searchTerm || filterStatus || filterType ? 'No products match your filters' : 'No products found'}
+              {hasFilters ? 'No products match your filters' : 'No products found'}
             </p>
             <Link
               href="/factory/products/new"
@@ -431,22 +810,147 @@ export default function ProductsManagement() {
         )}
 
         {/* Pagination */}
-        {filteredProducts.length > 0 && (
+        {products.length > 0 && (
           <div className="flex items-center justify-between mt-6">
             <div className="text-sm text-gray-700">
-              Showing {filteredProducts.length} of {products.length} products
+              Showing {products.length} of {pagination.total} products
             </div>
-            <div className="flex items-center space-x-2">
-              <button className="px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50">
-                Previous
-              </button>
-              <button className="px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50">
-                Next
+            {pagination.hasMore && (
+              <button
+                onClick={() => loadProducts(pagination.nextCursor)}
+                disabled={loadingMore}
+                className="px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+              >
+                {loadingMore ? 'Loading...' : 'Load more'}
               </button>
-            </div>
+            )}
           </div>
         )}
       </div>
+
+      {/* Print Labels Dialog */}
+      {showLabelDialog && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg shadow-xl max-w-md w-full mx-4">
+            <div className="p-6 border-b border-gray-200">
+              <div className="flex items-center justify-between">
+                <h2 className="text-xl font-bold text-gray-900">Print Labels</h2>
+                <button
+                  onClick={() => setShowLabelDialog(false)}
+                  className="text-gray-400 hover:text-gray-600"
+                >
+                  <X className="h-5 w-5" />
+                </button>
+              </div>
+              <p className="text-sm text-gray-600 mt-1">
+                {selectedIds.length} product{selectedIds.length === 1 ? '' : 's'} selected
+              </p>
+            </div>
+
+            <div className="p-6 space-y-4">
+              {!labelOptions ? (
+                <div className="animate-pulse space-y-3">
+                  {[...Array(3)].map((_, i) => (
+                    <div key={i} className="h-10 bg-gray-200 rounded"></div>
+                  ))}
+                </div>
+              ) : (
+                <>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Output</label>
+                    <select
+                      value={labelSettings.format}
+                      onChange={(e) => updateLabelSetting('format', e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-confirmsure-blue focus:border-transparent"
+                    >
+                      {labelOptions.formats.map(format => (
+                        <option key={format.id} value={format.id}>{format.label}</option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Label Template</label>
+                    <select
+                      value={labelSettings.template}
+                      onChange={(e) => updateLabelSetting('template', e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-confirmsure-blue focus:border-transparent"
+                    >
+                      {labelOptions.templates
+                        .filter(template => labelSettings.format !== 'zpl' || template.media === 'roll')
+                        .map(template => (
+                          <option key={template.id} value={template.id}>{template.label}</option>
+                        ))}
+                    </select>
+                  </div>
+
+                  <div className="grid grid-cols-3 gap-3">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Printer DPI</label>
+                      <select
+                        value={labelSettings.dpi}
+                        onChange={(e) => updateLabelSetting('dpi', parseInt(e.target.value))}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-confirmsure-blue focus:border-transparent"
+                      >
+                        {labelOptions.dpi.map(dpi => (
+                          <option key={dpi} value={dpi}>{dpi}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Copies</label>
+                      <input
+                        type="number"
+                        min="1"
+                        value={labelSettings.copies}
+                        onChange={(e) => updateLabelSetting('copies', parseInt(e.target.value) || 1)}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-confirmsure-blue focus:border-transparent"
+                      />
+                    </div>
+                    {labelOptions.templates.find(t => t.id === labelSettings.template)?.media === 'sheet' && (
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Skip Labels</label>
+                        <input
+                          type="number"
+                          min="0"
+                          value={labelSettings.startPosition}
+                          onChange={(e) => updateLabelSetting('startPosition', parseInt(e.target.value) || 0)}
+                          title="Unused labels to skip on a partly used first sheet"
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-confirmsure-blue focus:border-transparent"
+                        />
+                      </div>
+                    )}
+                  </div>
+                </>
+              )}
+
+              {labelError && (
+                <div className="flex items-center text-sm text-red-700 bg-red-50 border border-red-200 rounded-lg p-3">
+                  <AlertCircle className="h-4 w-4 mr-2 flex-shrink-0" />
+                  {labelError}
+                </div>
+              )}
+            </div>
+
+            <div className="p-6 border-t border-gray-200 flex justify-end space-x-3">
+              <button
+                onClick={() => setShowLabelDialog(false)}
+                className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={printLabels}
+                disabled={!labelOptions || printingLabels}
+                className="btn-primary disabled:opacity-50"
+              >
+                <Printer className="w-4 h-4 mr-2" />
+                {printingLabels ? 'Generating...' : 'Download Labels'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   )
 }
\ No newline at end of file
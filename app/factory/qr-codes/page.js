@@ -0,0 +1,253 @@
+'use client'
+import { useState, useEffect, useCallback } from 'react'
+import {
+  QrCode,
+  Plus,
+  Printer,
+  Ban,
+  AlertCircle,
+  Loader2
+} from 'lucide-react'
+
+const STATUS_STYLES = {
+  active: 'bg-green-100 text-green-800',
+  exhausted: 'bg-gray-100 text-gray-800',
+  voided: 'bg-red-100 text-red-800'
+}
+
+// Label output offered for pre-printing a pool
+const PRINT_OPTIONS = [
+  { id: 'pdf', label: 'PDF (A4 sheets)', template: 'a4-21' },
+  { id: 'zpl', label: 'ZPL (50x30mm roll)', template: 'roll-50x30' }
+]
+
+export default function QRCodePools() {
+  const [pools, setPools] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [reserving, setReserving] = useState(false)
+  const [updatingId, setUpdatingId] = useState(null)
+  const [form, setForm] = useState({ name: '', count: 100 })
+  const [error, setError] = useState(null)
+
+  const loadPools = useCallback(async () => {
+    try {
+      setLoading(true)
+      const response = await fetch('/api/qr/pools')
+      if (response.ok) {
+        const data = await response.json()
+        setPools(data.pools || [])
+      }
+    } catch (error) {
+      console.error('Failed to load QR code pools:', error)
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    loadPools()
+  }, [loadPools])
+
+  const reservePool = async (e) => {
+    e.preventDefault()
+    try {
+      setReserving(true)
+      setError(null)
+      const response = await fetch('/api/qr/pools', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(form)
+      })
+
+      const data = await response.json()
+      if (!response.ok) {
+        setError(data.error || 'Failed to reserve QR codes')
+        return
+      }
+
+      setForm({ name: '', count: form.count })
+      await loadPools()
+    } catch (error) {
+      console.error('Failed to reserve QR codes:', error)
+      setError('Failed to reserve QR codes')
+    } finally {
+      setReserving(false)
+    }
+  }
+
+  const printPool = async (pool, option) => {
+    try {
+      setUpdatingId(pool.id)
+      setError(null)
+      const response = await fetch('/api/qr/labels', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ poolId: pool.id, format: option.id, template: option.template, dpi: 300 })
+      })
+
+      if (!response.ok) {
+        const data = await response.json()
+        setError(data.error || 'Failed to generate labels')
+        return
+      }
+
+      const filename = response.headers.get('Content-Disposition')?.match(/filename="(.+)"/)?.[1] || `labels.${option.id}`
+      const url = URL.createObjectURL(await response.blob())
+      const link = document.createElement('a')
+      link.href = url
+      link.download = filename
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (error) {
+      console.error('Failed to generate labels:', error)
+      setError('Failed to generate labels')
+    } finally {
+      setUpdatingId(null)
+    }
+  }
+
+  const voidPool = async (pool) => {
+    const reason = prompt(`Void the ${pool.available_count} unassigned codes in "${pool.name}"? Enter a reason:`)
+    if (reason === null) return
+
+    try {
+      setUpdatingId(pool.id)
+      setError(null)
+      const response = await fetch(`/api/qr/pools/${pool.id}/void`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ reason })
+      })
+
+      const data = await response.json()
+      if (!response.ok) {
+        setError(data.error || 'Failed to void pool')
+        return
+      }
+      await loadPools()
+    } catch (error) {
+      console.error('Failed to void pool:', error)
+      setError('Failed to void pool')
+    } finally {
+      setUpdatingId(null)
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-white shadow-sm border-b">
+        <div className="container mx-auto px-4 py-6">
+          <h1 className="text-3xl font-bold text-gray-900">QR Code Pools</h1>
+          <p className="text-gray-600 mt-1">
+            Reserve codes up front to pre-print label rolls; each code is bound when a product is registered
+          </p>
+        </div>
+      </div>
+
+      <div className="container mx-auto px-4 py-8">
+        <form onSubmit={reservePool} className="bg-white rounded-lg shadow-sm border border-gray-100 p-6 mb-6 flex flex-wrap items-end gap-4">
+          <div className="flex-1 min-w-[200px]">
+            <label className="block text-sm font-medium text-gray-700 mb-1">Pool name</label>
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              placeholder="e.g. Line 2 - March roll"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-confirmsure-blue"
+            />
+          </div>
+          <div className="w-40">
+            <label className="block text-sm font-medium text-gray-700 mb-1">Codes</label>
+            <input
+              type="number"
+              min="1"
+              max="10000"
+              value={form.count}
+              onChange={(e) => setForm({ ...form, count: parseInt(e.target.value) || 1 })}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-confirmsure-blue"
+            />
+          </div>
+          <button type="submit" disabled={reserving} className="btn-primary inline-flex items-center disabled:opacity-50">
+            {reserving ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Plus className="h-4 w-4 mr-2" />}
+            Reserve Codes
+          </button>
+        </form>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6 flex items-center text-sm text-red-700">
+            <AlertCircle className="h-4 w-4 mr-2" />
+            {error}
+          </div>
+        )}
+
+        {loading ? (
+          <div className="animate-pulse space-y-4">
+            {[...Array(3)].map((_, i) => (
+              <div key={i} className="h-24 bg-gray-200 rounded-lg"></div>
+            ))}
+          </div>
+        ) : pools.length === 0 ? (
+          <div className="bg-white rounded-lg shadow-sm border border-gray-100 text-center py-12">
+            <QrCode className="h-12 w-12 text-gray-300 mx-auto mb-4" />
+            <p className="text-gray-600">No QR code pools reserved yet</p>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {pools.map((pool) => (
+              <div key={pool.id} className="bg-white rounded-lg shadow-sm border border-gray-100 p-6 flex items-start justify-between">
+                <div>
+                  <div className="flex items-center gap-3">
+                    <span className="text-lg font-semibold text-gray-900">{pool.name}</span>
+                    <span className={`inline-flex px-2 py-1 text-xs font-medium rounded-full ${STATUS_STYLES[pool.status]}`}>
+                      {pool.status}
+                    </span>
+                  </div>
+                  <p className="text-sm text-gray-500 mt-1">
+                    {pool.factory?.name && `${pool.factory.name} · `}
+                    Reserved {new Date(pool.created_at).toLocaleString()}
+                  </p>
+                  <p className="text-sm text-gray-700 mt-2">
+                    <span className="font-medium">{pool.available_count}</span> available
+                    {' · '}<span className="font-medium">{pool.assigned_count}</span> assigned
+                    {pool.voided_count > 0 && <>{' · '}<span className="font-medium">{pool.voided_count}</span> voided</>}
+                    {' of '}{pool.requested_count}
+                  </p>
+                  {pool.void_reason && (
+                    <p className="text-sm text-red-600 mt-1">Voided: {pool.void_reason}</p>
+                  )}
+                </div>
+                <div className="flex items-center gap-2">
+                  {updatingId === pool.id && <Loader2 className="h-4 w-4 animate-spin text-gray-400" />}
+                  {pool.status === 'active' && (
+                    <>
+                      {PRINT_OPTIONS.map(option => (
+                        <button
+                          key={option.id}
+                          onClick={() => printPool(pool, option)}
+                          disabled={updatingId === pool.id}
+                          className="px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 inline-flex items-center"
+                        >
+                          <Printer className="h-4 w-4 mr-1" />
+                          {option.label}
+                        </button>
+                      ))}
+                      <button
+                        onClick={() => voidPool(pool)}
+                        disabled={updatingId === pool.id}
+                        className="px-3 py-2 border border-red-300 rounded-md text-sm font-medium text-red-700 bg-white hover:bg-red-50 disabled:opacity-50 inline-flex items-center"
+                      >
+                        <Ban className="h-4 w-4 mr-1" />
+                        Void
+                      </button>
+                    </>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,340 @@
+'use client'
+import { useState, useEffect, useCallback } from 'react'
+import Link from 'next/link'
+import {
+  ArrowLeft,
+  Megaphone,
+  Download,
+  Undo2,
+  AlertCircle,
+  Loader2
+} from 'lucide-react'
+
+const STATUS_STYLES = {
+  active: 'bg-red-100 text-red-800',
+  lifted: 'bg-gray-100 text-gray-800'
+}
+
+const ACTION_OPTIONS = [
+  { id: 'flag', label: 'Flag only', description: 'Products stay live and show the recall notice when scanned' },
+  { id: 'archive', label: 'Archive', description: 'Products are also withdrawn; lifting the recall restores them' }
+]
+
+const EMPTY_FORM = {
+  title: '',
+  notice: '',
+  action: 'flag',
+  batch_id: '',
+  manufactured_from: '',
+  manufactured_to: ''
+}
+
+// Formats the recall report can be downloaded in (see REPORT_FORMATS)
+const REPORT_DOWNLOADS = ['csv', 'xlsx', 'pdf']
+
+export default function ProductRecalls() {
+  const [recalls, setRecalls] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [creating, setCreating] = useState(false)
+  const [updatingId, setUpdatingId] = useState(null)
+  const [form, setForm] = useState(EMPTY_FORM)
+  const [error, setError] = useState(null)
+
+  const loadRecalls = useCallback(async () => {
+    try {
+      setLoading(true)
+      const response = await fetch('/api/factory/recalls')
+      if (response.ok) {
+        const data = await response.json()
+        setRecalls(data.recalls || [])
+      }
+    } catch (error) {
+      console.error('Failed to load recalls:', error)
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    loadRecalls()
+  }, [loadRecalls])
+
+  const postRecall = (body) => fetch('/api/factory/recalls', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  })
+
+  const createRecall = async (e) => {
+    e.preventDefault()
+    try {
+      setCreating(true)
+      setError(null)
+
+      // Show how many products are affected before anything changes
+      const previewResponse = await postRecall({ ...form, preview: true })
+      const preview = await previewResponse.json()
+      if (!previewResponse.ok) {
+        setError(preview.details?.[0]?.message || preview.error || 'Failed to check affected products')
+        return
+      }
+
+      if (preview.product_count === 0) {
+        setError('No products match this batch and date range')
+        return
+      }
+
+      const verb = form.action === 'archive' ? 'Archive and recall' : 'Recall'
+      if (!confirm(`${verb} ${preview.product_count} product${preview.product_count === 1 ? '' : 's'}? Consumers scanning them will see the notice.`)) {
+        return
+      }
+
+      const response = await postRecall(form)
+      const data = await response.json()
+      if (!response.ok) {
+        setError(data.details?.[0]?.message || data.error || 'Failed to recall products')
+        return
+      }
+
+      setForm(EMPTY_FORM)
+      await loadRecalls()
+    } catch (error) {
+      console.error('Failed to recall products:', error)
+      setError('Failed to recall products')
+    } finally {
+      setCreating(false)
+    }
+  }
+
+  const downloadReport = async (recall, format) => {
+    try {
+      setUpdatingId(recall.id)
+      setError(null)
+      const response = await fetch(`/api/factory/recalls/${recall.id}/report?format=${format}`)
+
+      if (!response.ok) {
+        const data = await response.json()
+        setError(data.error || 'Failed to build recall report')
+        return
+      }
+
+      const filename = response.headers.get('Content-Disposition')?.match(/filename="(.+)"/)?.[1] || `recall.${format}`
+      const url = URL.createObjectURL(await response.blob())
+      const link = document.createElement('a')
+      link.href = url
+      link.download = filename
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (error) {
+      console.error('Failed to build recall report:', error)
+      setError('Failed to build recall report')
+    } finally {
+      setUpdatingId(null)
+    }
+  }
+
+  const liftRecall = async (recall) => {
+    const reason = prompt(`Lift the recall "${recall.title}"? The consumer notice will be removed. Enter a reason:`)
+    if (reason === null) return
+
+    try {
+      setUpdatingId(recall.id)
+      setError(null)
+      const response = await fetch(`/api/factory/recalls/${recall.id}/lift`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ reason })
+      })
+
+      const data = await response.json()
+      if (!response.ok) {
+        setError(data.error || 'Failed to lift recall')
+        return
+      }
+      await loadRecalls()
+    } catch (error) {
+      console.error('Failed to lift recall:', error)
+      setError('Failed to lift recall')
+    } finally {
+      setUpdatingId(null)
+    }
+  }
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-confirmsure-blue'
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-white shadow-sm border-b">
+        <div className="container mx-auto px-4 py-6">
+          <Link
+            href="/factory/products"
+            className="inline-flex items-center text-sm text-gray-600 hover:text-confirmsure-blue mb-2"
+          >
+            <ArrowLeft className="w-4 h-4 mr-1" />
+            Back to Products
+          </Link>
+          <h1 className="text-3xl font-bold text-gray-900">Product Recalls</h1>
+          <p className="text-gray-600 mt-1">
+            Recall a whole batch or production period; consumers who scan an affected code see your notice
+          </p>
+        </div>
+      </div>
+
+      <div className="container mx-auto px-4 py-8">
+        <form onSubmit={createRecall} className="bg-white rounded-lg shadow-sm border border-gray-100 p-6 mb-6 space-y-4">
+          <div className="grid md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Batch ID</label>
+              <input
+                type="text"
+                value={form.batch_id}
+                onChange={(e) => setForm({ ...form, batch_id: e.target.value })}
+                placeholder="e.g. B-2024-03"
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Manufactured from</label>
+              <input
+                type="date"
+                value={form.manufactured_from}
+                onChange={(e) => setForm({ ...form, manufactured_from: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Manufactured to</label>
+              <input
+                type="date"
+                value={form.manufactured_to}
+                onChange={(e) => setForm({ ...form, manufactured_to: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Title</label>
+            <input
+              type="text"
+              required
+              value={form.title}
+              onChange={(e) => setForm({ ...form, title: e.target.value })}
+              placeholder="e.g. Faulty seal on March production"
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Notice for consumers</label>
+            <textarea
+              required
+              rows={3}
+              value={form.notice}
+              onChange={(e) => setForm({ ...form, notice: e.target.value })}
+              placeholder="What is wrong and what should people who bought this product do?"
+              className={inputClass}
+            />
+          </div>
+          <div className="flex flex-wrap items-end justify-between gap-4">
+            <div className="flex flex-wrap gap-4">
+              {ACTION_OPTIONS.map(option => (
+                <label key={option.id} className="flex items-start text-sm text-gray-700 max-w-xs">
+                  <input
+                    type="radio"
+                    name="action"
+                    value={option.id}
+                    checked={form.action === option.id}
+                    onChange={() => setForm({ ...form, action: option.id })}
+                    className="mt-1 mr-2"
+                  />
+                  <span>
+                    <span className="font-medium">{option.label}</span>
+                    <span className="block text-gray-500">{option.description}</span>
+                  </span>
+                </label>
+              ))}
+            </div>
+            <button type="submit" disabled={creating} className="btn-primary inline-flex items-center disabled:opacity-50">
+              {creating ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Megaphone className="h-4 w-4 mr-2" />}
+              Recall Products
+            </button>
+          </div>
+        </form>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6 flex items-center text-sm text-red-700">
+            <AlertCircle className="h-4 w-4 mr-2" />
+            {error}
+          </div>
+        )}
+
+        {loading ? (
+          <div className="animate-pulse space-y-4">
+            {[...Array(3)].map((_, i) => (
+              <div key={i} className="h-24 bg-gray-200 rounded-lg"></div>
+            ))}
+          </div>
+        ) : recalls.length === 0 ? (
+          <div className="bg-white rounded-lg shadow-sm border border-gray-100 text-center py-12">
+            <Megaphone className="h-12 w-12 text-gray-300 mx-auto mb-4" />
+            <p className="text-gray-600">No recalls issued</p>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {recalls.map((recall) => (
+              <div key={recall.id} className="bg-white rounded-lg shadow-sm border border-gray-100 p-6 flex items-start justify-between gap-4">
+                <div className="min-w-0">
+                  <div className="flex items-center gap-3">
+                    <span className="text-lg font-semibold text-gray-900">{recall.title}</span>
+                    <span className={`inline-flex px-2 py-1 text-xs font-medium rounded-full ${STATUS_STYLES[recall.status]}`}>
+                      {recall.status}
+                    </span>
+                  </div>
+                  <p className="text-sm text-gray-500 mt-1">
+                    {recall.factory?.name && `${recall.factory.name} · `}
+                    {recall.criteria}
+                    {' · '}Issued {new Date(recall.created_at).toLocaleString()}
+                  </p>
+                  <p className="text-sm text-gray-700 mt-2">
+                    <span className="font-medium">{recall.product_count}</span> products
+                    {' '}{recall.action === 'archive' ? 'archived' : 'flagged'}
+                  </p>
+                  <p className="text-sm text-gray-600 mt-1 whitespace-pre-line">{recall.notice}</p>
+                  {recall.lift_reason && (
+                    <p className="text-sm text-gray-500 mt-1">
+                      Lifted {new Date(recall.lifted_at).toLocaleDateString()}: {recall.lift_reason}
+                    </p>
+                  )}
+                </div>
+                <div className="flex flex-wrap items-center justify-end gap-2">
+                  {updatingId === recall.id && <Loader2 className="h-4 w-4 animate-spin text-gray-400" />}
+                  {REPORT_DOWNLOADS.map(format => (
+                    <button
+                      key={format}
+                      onClick={() => downloadReport(recall, format)}
+                      disabled={updatingId === recall.id}
+                      className="px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 inline-flex items-center"
+                    >
+                      <Download className="h-4 w-4 mr-1" />
+                      {format.toUpperCase()}
+                    </button>
+                  ))}
+                  {recall.status === 'active' && (
+                    <button
+                      onClick={() => liftRecall(recall)}
+                      disabled={updatingId === recall.id}
+                      className="px-3 py-2 border border-red-300 rounded-md text-sm font-medium text-red-700 bg-white hover:bg-red-50 disabled:opacity-50 inline-flex items-center"
+                    >
+                      <Undo2 className="h-4 w-4 mr-1" />
+                      Lift
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -2,6 +2,9 @@ import { createClient } from './supabase'
 
 const supabase = createClient()
 
+// Factory columns loaded with a user's profile; the device key fields stay out
+const PROFILE_FACTORY_COLUMNS = 'id, name, location, country, is_active'
+
 // User roles and permissions
 export const ROLES = {
   ADMIN: 'admin',
@@ -82,7 +85,7 @@ export async function signIn(email, password, expectedRole = null) {
     // Get user profile with role information
     const { data: profile, error: profileError } = await supabase
       .from('user_profiles')
-      .select('*, factory:factories(*)')
+      .select(`*, factory:factories(${PROFILE_FACTORY_COLUMNS})`)
       .eq('user_id', authData.user.id)
       .single()
 
@@ -160,7 +163,7 @@ export async function getCurrentUser() {
     // Get user profile
     const { data: profile, error: profileError } = await supabase
       .from('user_profiles')
-      .select('*, factory:factories(*)')
+      .select(`*, factory:factories(${PROFILE_FACTORY_COLUMNS})`)
       .eq('user_id', user.id)
       .single()
 
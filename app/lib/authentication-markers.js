@@ -0,0 +1,146 @@
+import { createClient, getServiceClient } from './supabase'
+import { authorizeProduct } from './product-access'
+
+const supabase = createClient()
+
+// Marker columns set from operator input; the order is only changed by replacing the set
+export const MARKER_FIELDS = [
+  'image_id',
+  'type',
+  'position',
+  'color',
+  'pattern',
+  'size_mm',
+  'coordinates',
+  'description',
+  'verification_instructions'
+]
+
+/**
+ * The editable values of a marker, for audit before/after records
+ */
+export function markerSnapshot(marker) {
+  if (!marker) {
+    return null
+  }
+
+  return {
+    ...Object.fromEntries(MARKER_FIELDS.map(field => [field, marker[field] ?? null])),
+    sort_order: marker.sort_order ?? null
+  }
+}
+
+// Columns the marker routes need from the product they act on
+export const MARKER_PRODUCT_COLUMNS = 'id, factory_id, product_name, qr_code'
+
+/**
+ * Load a marker the user may change
+ * Returns { marker } or { error, status }
+ */
+export async function findEditableMarker(user, markerId, permission) {
+  if (!markerId) {
+    return { error: 'Marker ID is required', status: 400 }
+  }
+
+  const { data: marker, error } = await supabase
+    .from('authentication_markers')
+    .select('*')
+    .eq('id', markerId)
+    .maybeSingle()
+
+  if (error || !marker) {
+    return { error: 'Marker not found', status: 404 }
+  }
+
+  const access = await authorizeProduct(user, marker.product_id, permission, MARKER_PRODUCT_COLUMNS)
+  if (access.error) {
+    return access
+  }
+
+  return { marker }
+}
+
+/**
+ * Image ids that are not photos of the product; markers may only be placed on its own photos
+ */
+export async function findForeignImageIds(productId, imageIds) {
+  const ids = [...new Set(imageIds.filter(Boolean))]
+  if (ids.length === 0) {
+    return []
+  }
+
+  const { data: images, error } = await supabase
+    .from('product_images')
+    .select('id')
+    .eq('product_id', productId)
+    .in('id', ids)
+
+  if (error) {
+    throw new Error(`Image lookup failed: ${error.message}`)
+  }
+
+  const found = new Set((images || []).map(image => image.id))
+  return ids.filter(id => !found.has(id))
+}
+
+export async function getProductMarkers(productId) {
+  const { data: markers, error } = await supabase
+    .from('authentication_markers')
+    .select('*')
+    .eq('product_id', productId)
+    .order('sort_order', { ascending: true, nullsFirst: false })
+    .order('created_at', { ascending: true })
+
+  if (error) {
+    throw new Error(`Marker lookup failed: ${error.message}`)
+  }
+
+  return markers || []
+}
+
+/**
+ * Replace a product's marker set in one transaction; entries with an id
+ * update that marker, the rest are created and omitted markers are deleted.
+ * `actorId` is recorded as the author of the resulting product version.
+ */
+export async function replaceProductMarkers(productId, markers, actorId) {
+  const { data, error } = await getServiceClient().rpc('replace_authentication_markers', {
+    p_product_id: productId,
+    p_actor: actorId,
+    p_markers: markers.map(marker => ({
+      id: marker.id || null,
+      ...Object.fromEntries(MARKER_FIELDS.map(field => [field, marker[field] ?? null]))
+    }))
+  })
+
+  if (error) {
+    throw new Error(`Marker replacement failed: ${error.message}`)
+  }
+
+  return data || []
+}
+
+/**
+ * Record a marker change with the values before and after it
+ */
+export async function logMarkerChange(user, eventName, { markerId = null, productId, before = null, after = null, metadata = {} }) {
+  const { error } = await supabase
+    .from('audit_logs')
+    .insert([{
+      event_type: 'product',
+      event_name: eventName,
+      user_id: user.id,
+      resource_type: markerId ? 'authentication_marker' : 'product',
+      resource_id: markerId || productId,
+      metadata: {
+        product_id: productId,
+        before,
+        after,
+        ...metadata
+      }
+    }])
+
+  if (error) {
+    console.error('Marker audit log error:', error)
+  }
+}
@@ -0,0 +1,158 @@
+import { productSchema, imageUploadSchema, PRODUCT_STATUSES } from './validation'
+
+// Product columns a spreadsheet row may set
+export const PRODUCT_FIELDS = [
+  'product_name',
+  'product_type',
+  'description',
+  'batch_id',
+  'serial_number',
+  'manufacturing_date',
+  'expiry_date'
+]
+
+// Columns that must be filled in on every row, per operation type
+export const BATCH_REQUIRED_FIELDS = {
+  create_products: ['product_name', 'product_type'],
+  update_products: ['id', 'product_name'],
+  generate_qr_codes: ['product_id'],
+  upload_images: ['product_id', 'image_url']
+}
+
+// Columns read by each operation, in template order
+export const BATCH_OPERATION_COLUMNS = {
+  create_products: [...PRODUCT_FIELDS, 'qr_code'],
+  update_products: ['id', ...PRODUCT_FIELDS, 'status'],
+  generate_qr_codes: ['product_id'],
+  upload_images: ['product_id', 'image_url', 'image_type', 'angle_description', 'is_primary']
+}
+
+export const BATCH_OPERATION_LABELS = {
+  create_products: 'Product Creation',
+  update_products: 'Product Update',
+  generate_qr_codes: 'QR Generation',
+  upload_images: 'Image Upload'
+}
+
+/**
+ * Copy product columns from a row, turning blank cells into null
+ */
+export function pickProductFields(item, { skipBlank = false } = {}) {
+  const fields = {}
+
+  PRODUCT_FIELDS.forEach(field => {
+    const value = typeof item[field] === 'string' ? item[field].trim() : item[field]
+    const isBlank = value === undefined || value === null || value === ''
+
+    if (isBlank && skipBlank) {
+      return
+    }
+    fields[field] = isBlank ? null : value
+  })
+
+  return fields
+}
+
+const DATE_FORMAT = 'YYYY-MM-DD'
+
+// Help text and sample values for each column
+const COLUMN_DETAILS = {
+  id: {
+    description: 'ID of the product to update',
+    examples: ['3f1c2b7e-8a4d-4e21-9c55-0b6f7d2e1a90', '9b2e4d61-15f3-4c7a-a8e2-6d0c3f5b7e14']
+  },
+  product_id: {
+    description: 'ID of an existing product in your factory',
+    examples: ['3f1c2b7e-8a4d-4e21-9c55-0b6f7d2e1a90', '9b2e4d61-15f3-4c7a-a8e2-6d0c3f5b7e14']
+  },
+  product_name: {
+    description: 'Letters, numbers, spaces and & . , ( ) -',
+    examples: ['Premium Leather Wallet', 'Steel Water Bottle (750ml)']
+  },
+  product_type: {
+    description: 'Product category',
+    examples: ['Accessories', 'Drinkware']
+  },
+  description: {
+    description: 'Free text shown on the verification page',
+    examples: ['Hand-stitched full grain leather', '']
+  },
+  batch_id: {
+    description: 'Letters, numbers, - and _',
+    examples: ['LW-2024-03', 'WB-2024-11']
+  },
+  serial_number: {
+    description: 'Letters, numbers, - and _',
+    examples: ['LW000123', 'WB004567']
+  },
+  manufacturing_date: {
+    description: `Date as ${DATE_FORMAT}`,
+    examples: ['2024-03-15', '2024-11-02']
+  },
+  expiry_date: {
+    description: `Date as ${DATE_FORMAT}, after the manufacturing date`,
+    examples: ['', '2029-11-02']
+  },
+  qr_code: {
+    description: 'Pre-printed code from the label (e.g. CS-104233 or CS-7K3M-9QX2-D); leave blank to generate one',
+    examples: ['', 'CS-104233']
+  },
+  status: {
+    description: 'New product status; leave blank to keep the current one',
+    allowedValues: PRODUCT_STATUSES,
+    examples: ['', 'pending']
+  },
+  image_url: {
+    description: 'Public https URL of a JPEG, PNG or WebP image',
+    examples: ['https://example.com/images/wallet-front.jpg', 'https://example.com/images/bottle.png']
+  },
+  image_type: {
+    description: 'Kind of image; defaults to product',
+    examples: ['product', 'packaging']
+  },
+  angle_description: {
+    description: 'Short note on the angle shown',
+    examples: ['Front view', '']
+  },
+  is_primary: {
+    description: 'Use as the main product photo',
+    allowedValues: ['true', 'false'],
+    examples: ['true', 'false']
+  }
+}
+
+/**
+ * Strip optional/nullable/default wrappers to reach the underlying zod schema
+ */
+function unwrapSchema(schema) {
+  let inner = schema
+  while (inner && typeof inner.unwrap === 'function') {
+    inner = inner.unwrap()
+  }
+  return inner
+}
+
+function getColumnSchema(name) {
+  return productSchema.shape[name] || imageUploadSchema.shape[name] || null
+}
+
+/**
+ * Describe the columns of an operation: required flag, limits, allowed values, help text and examples
+ */
+export function describeBatchColumns(operationType) {
+  const required = BATCH_REQUIRED_FIELDS[operationType] || []
+
+  return (BATCH_OPERATION_COLUMNS[operationType] || []).map(name => {
+    const details = COLUMN_DETAILS[name] || {}
+    const schema = unwrapSchema(getColumnSchema(name))
+
+    return {
+      name,
+      required: required.includes(name),
+      maxLength: schema?.maxLength ?? null,
+      allowedValues: details.allowedValues || schema?.options || null,
+      description: details.description || '',
+      examples: details.examples || []
+    }
+  })
+}
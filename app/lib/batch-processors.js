@@ -0,0 +1,400 @@
+import { request as httpsRequest } from 'https'
+import { lookup as dnsLookup } from 'dns'
+import { BlockList, isIP } from 'net'
+import { createClient } from './supabase'
+import { productSchema, productUpdateSchema, formatValidationErrors, PRODUCT_STATUSES } from './validation'
+import {
+  generateSignedQRCodeImage,
+  saveQRCodeToStorage,
+  logQRCodeGeneration
+} from './qr-generator'
+import { processAndUploadImage, validateImageFile } from './image-processing'
+import { pickProductFields } from './batch-columns'
+import { resolveProductQRCode, bindReservation, releaseReservation } from './qr-pools'
+import { validateQRCodeFormat, normalizeQRCode } from './qr-code-format'
+import { findTransitionAction } from './product-workflow'
+import { transitionProductStatus } from './product-status'
+
+const supabase = createClient()
+
+const IMAGE_TYPES = ['product', 'marker', 'packaging']
+const IMAGE_FETCH_TIMEOUT_MS = 15000
+const IMAGE_FETCH_MAX_BYTES = 10 * 1024 * 1024
+
+// Addresses remote image downloads may not reach: private, loopback, link-local and reserved ranges
+const BLOCKED_ADDRESSES = new BlockList()
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4')
+}
+for (const [network, prefix] of [
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6')
+}
+
+function describeValidationError(error) {
+  return formatValidationErrors(error)
+    .map(issue => `${issue.field}: ${issue.message}`)
+    .join('; ')
+}
+
+/**
+ * Load a product and make sure it belongs to the operation's factory
+ */
+async function getFactoryProduct(productId, operation) {
+  const { data: product, error } = await supabase
+    .from('products')
+    .select('*')
+    .eq('id', productId)
+    .single()
+
+  if (error || !product) {
+    throw new Error(`Product ${productId} not found`)
+  }
+
+  if (product.factory_id !== operation.factory_id) {
+    throw new Error(`Product ${productId} belongs to another factory`)
+  }
+
+  return product
+}
+
+async function createProduct(item, operation, batchItem) {
+  // A product inserted by an interrupted run is reused instead of duplicated
+  const { data: existing } = await supabase
+    .from('products')
+    .select('id, qr_code')
+    .eq('metadata->>batch_item_id', batchItem.id)
+    .single()
+
+  if (existing) {
+    return { productId: existing.id, result: { qr_code: existing.qr_code } }
+  }
+
+  const productData = {
+    ...pickProductFields(item),
+    factory_id: operation.factory_id
+  }
+
+  const validation = productSchema.safeParse(productData)
+  if (!validation.success) {
+    throw new Error(describeValidationError(validation.error))
+  }
+
+  // Rows may carry a pre-printed code, claimed from its pool when reserved;
+  // otherwise a new one is generated
+  const qrCode = typeof item.qr_code === 'string' ? normalizeQRCode(item.qr_code) : ''
+  if (qrCode && !validateQRCodeFormat(qrCode)) {
+    throw new Error('qr_code: Invalid QR code format')
+  }
+
+  const resolved = await resolveProductQRCode({ factoryId: operation.factory_id, qrCode: qrCode || null })
+  if (resolved.error) {
+    throw new Error(`qr_code: ${resolved.error}`)
+  }
+
+  const { data: product, error } = await supabase
+    .from('products')
+    .insert([{
+      ...productData,
+      qr_code: resolved.qrCode,
+      created_by: operation.created_by,
+      status: 'draft',
+      metadata: {
+        batch_operation_id: operation.id,
+        batch_item_id: batchItem.id
+      }
+    }])
+    .select('id, qr_code, product_name')
+    .single()
+
+  if (error) {
+    if (resolved.reservation) {
+      await releaseReservation(resolved.qrCode)
+    }
+    throw new Error(`Product creation failed: ${error.message}`)
+  }
+
+  if (resolved.reservation) {
+    await bindReservation(product.qr_code, product.id)
+  }
+
+  await supabase
+    .from('audit_logs')
+    .insert([{
+      event_type: 'product',
+      event_name: 'PRODUCT_CREATED',
+      user_id: operation.created_by,
+      resource_type: 'product',
+      resource_id: product.id,
+      metadata: {
+        product_name: product.product_name,
+        qr_code: product.qr_code,
+        factory_id: operation.factory_id,
+        batch_operation_id: operation.id
+      }
+    }])
+
+  return { productId: product.id, result: { qr_code: product.qr_code } }
+}
+
+async function updateProduct(item, operation) {
+  const product = await getFactoryProduct(item.id, operation)
+  const updates = pickProductFields(item, { skipBlank: true })
+
+  const validation = productUpdateSchema.safeParse(updates)
+  if (!validation.success) {
+    throw new Error(describeValidationError(validation.error))
+  }
+
+  const status = typeof item.status === 'string' ? item.status.trim() : ''
+  if (status && !PRODUCT_STATUSES.includes(status)) {
+    throw new Error(`status: must be one of ${PRODUCT_STATUSES.join(', ')}`)
+  }
+
+  const statusAction = status && status !== product.status ? findTransitionAction(product.status, status) : null
+  if (status && status !== product.status && !statusAction) {
+    throw new Error(`status: cannot move a ${product.status} product to ${status}`)
+  }
+
+  const fields = Object.keys(updates)
+  if (fields.length > 0) {
+    const { error } = await supabase
+      .from('products')
+      .update(updates)
+      .eq('id', product.id)
+
+    if (error) {
+      throw new Error(`Product update failed: ${error.message}`)
+    }
+
+    await supabase
+      .from('audit_logs')
+      .insert([{
+        event_type: 'product',
+        event_name: 'PRODUCT_UPDATED',
+        user_id: operation.created_by,
+        resource_type: 'product',
+        resource_id: product.id,
+        metadata: {
+          fields,
+          batch_operation_id: operation.id
+        }
+      }])
+  }
+
+  // Status changes go through the approval workflow with the uploader's role
+  if (statusAction) {
+    await changeProductStatus(product, statusAction, operation)
+    fields.push('status')
+  }
+
+  return { productId: product.id, result: { fields } }
+}
+
+async function changeProductStatus(product, action, operation) {
+  const { data: profile } = await supabase
+    .from('user_profiles')
+    .select('role, factory_id')
+    .eq('user_id', operation.created_by)
+    .single()
+
+  if (!profile) {
+    throw new Error('status: uploader profile not found')
+  }
+
+  const { error } = await transitionProductStatus({
+    productId: product.id,
+    action,
+    actor: {
+      id: operation.created_by,
+      role: profile.role,
+      factoryId: profile.factory_id
+    },
+    metadata: { batch_operation_id: operation.id }
+  })
+
+  if (error) {
+    throw new Error(`status: ${error}`)
+  }
+}
+
+async function generateQRCode(item, operation) {
+  const product = await getFactoryProduct(item.product_id, operation)
+
+  const qrImage = await generateSignedQRCodeImage(product, { width: 512, margin: 4 })
+  const storage = await saveQRCodeToStorage(product.qr_code, qrImage.dataURL)
+
+  await logQRCodeGeneration(product.qr_code, operation.created_by, {
+    product_id: product.id,
+    batch_operation_id: operation.id,
+    key_id: qrImage.signature.keyId
+  })
+
+  return {
+    productId: product.id,
+    result: { qr_code: product.qr_code, url: storage.publicUrl }
+  }
+}
+
+/**
+ * Whether an IP address is on the public internet
+ */
+function isPublicAddress(address) {
+  const family = isIP(address)
+  if (family === 0) return false
+
+  // IPv4-mapped IPv6 addresses are checked as the IPv4 address they carry
+  const mapped = family === 6 && address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i)
+  if (mapped) {
+    return !BLOCKED_ADDRESSES.check(mapped[1], 'ipv4')
+  }
+
+  return !BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4')
+}
+
+// DNS lookup for image downloads that refuses hosts resolving to a non-public address.
+// Checking at connect time means a host cannot pass the check and then resolve elsewhere.
+function publicLookup(hostname, options, callback) {
+  dnsLookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      callback(error)
+      return
+    }
+
+    if (addresses.length === 0 || addresses.some(({ address }) => !isPublicAddress(address))) {
+      callback(new Error(`Image host ${hostname} does not resolve to a public address`))
+      return
+    }
+
+    if (options.all) {
+      callback(null, addresses)
+    } else {
+      callback(null, addresses[0].address, addresses[0].family)
+    }
+  })
+}
+
+/**
+ * Download a remote image for upload_images rows. Only public https hosts are
+ * reached, redirects are not followed and the body is capped at IMAGE_FETCH_MAX_BYTES.
+ */
+async function fetchRemoteImage(imageUrl) {
+  let url
+  try {
+    url = new URL(imageUrl)
+  } catch (error) {
+    throw new Error(`Invalid image URL: ${imageUrl}`)
+  }
+
+  if (url.protocol !== 'https:') {
+    throw new Error('Image URLs must use https')
+  }
+
+  // Literal addresses skip the DNS lookup, so check them here
+  const literalHost = url.hostname.replace(/^\[|\]$/g, '')
+  if (isIP(literalHost) && !isPublicAddress(literalHost)) {
+    throw new Error(`Image host ${url.hostname} is not a public address`)
+  }
+
+  const { body, contentType } = await new Promise((resolve, reject) => {
+    const request = httpsRequest(url, {
+      lookup: publicLookup,
+      signal: AbortSignal.timeout(IMAGE_FETCH_TIMEOUT_MS)
+    }, (response) => {
+      if (response.statusCode !== 200) {
+        response.resume()
+        reject(new Error(`Image download failed with status ${response.statusCode}`))
+        return
+      }
+
+      const tooLarge = new Error(`Image exceeds ${IMAGE_FETCH_MAX_BYTES / 1024 / 1024}MB limit`)
+      if (Number(response.headers['content-length']) > IMAGE_FETCH_MAX_BYTES) {
+        request.destroy()
+        reject(tooLarge)
+        return
+      }
+
+      const chunks = []
+      let received = 0
+      response.on('data', (chunk) => {
+        received += chunk.length
+        if (received > IMAGE_FETCH_MAX_BYTES) {
+          request.destroy()
+          reject(tooLarge)
+          return
+        }
+        chunks.push(chunk)
+      })
+      response.on('end', () => resolve({
+        body: Buffer.concat(chunks),
+        contentType: (response.headers['content-type'] || '').split(';')[0].trim()
+      }))
+      response.on('error', reject)
+    })
+
+    request.on('error', reject)
+    request.end()
+  })
+
+  const fileName = url.pathname.split('/').pop() || 'image'
+  const file = new File([body], fileName, { type: contentType })
+
+  const validation = validateImageFile(file)
+  if (!validation.isValid) {
+    throw new Error(validation.errors.join(', '))
+  }
+
+  return file
+}
+
+async function uploadImage(item, operation) {
+  const product = await getFactoryProduct(item.product_id, operation)
+  const imageType = IMAGE_TYPES.includes(item.image_type) ? item.image_type : 'product'
+  const isPrimary = String(item.is_primary).toLowerCase() === 'true'
+
+  const file = await fetchRemoteImage(item.image_url)
+  const upload = await processAndUploadImage(file, product.id, { isPrimary })
+
+  const { data: image, error } = await supabase
+    .from('product_images')
+    .insert([{
+      product_id: product.id,
+      image_url: upload.main.publicUrl,
+      thumbnail_url: upload.thumbnail.publicUrl,
+      image_type: imageType,
+      angle_description: item.angle_description || null,
+      is_primary: isPrimary,
+      file_size: upload.processing.processedSize,
+      dimensions: {
+        width: upload.main.metadata.width,
+        height: upload.main.metadata.height
+      },
+      metadata: {
+        originalSize: upload.processing.originalSize,
+        compressionRatio: upload.main.metadata.compressionRatio,
+        processed: true,
+        sourceUrl: item.image_url,
+        batch_operation_id: operation.id
+      }
+    }])
+    .select('id')
+    .single()
+
+  if (error) {
+    throw new Error(`Failed to save image record: ${error.message}`)
+  }
+
+  return { productId: product.id, result: { image_id: image.id } }
+}
+
+// Item processors keyed by batch_operations.operation_type; each returns { productId, result }
+export const BATCH_PROCESSORS = {
+  create_products: createProduct,
+  update_products: updateProduct,
+  generate_qr_codes: generateQRCode,
+  upload_images: uploadImage
+}
@@ -0,0 +1,333 @@
+import { randomUUID } from 'crypto'
+import { createClient, getServiceClient } from './supabase'
+import { BATCH_PROCESSORS } from './batch-processors'
+
+const supabase = createClient()
+
+// Batch worker settings
+const BATCH_CONFIG = {
+  leaseSeconds: 60,
+  chunkSize: 25,
+  maxAttempts: 3,
+  maxErrorDetails: 100,
+  timeBudgetMs: 50000
+}
+
+// Allowed status transitions for operator actions
+export const BATCH_ACTIONS = {
+  start: { from: ['pending'], to: 'running' },
+  pause: { from: ['running'], to: 'paused' },
+  resume: { from: ['paused'], to: 'running' },
+  cancel: { from: ['pending', 'running', 'paused'], to: 'cancelled' },
+  'retry-failed': { from: ['completed', 'failed'], to: 'running' }
+}
+
+/**
+ * Extend the worker's lease; returns false once the operation is no longer running
+ */
+async function renewLease(operationId, workerId) {
+  const { data, error } = await supabase
+    .from('batch_operations')
+    .update({ lease_expires_at: new Date(Date.now() + BATCH_CONFIG.leaseSeconds * 1000).toISOString() })
+    .eq('id', operationId)
+    .eq('lease_owner', workerId)
+    .eq('status', 'running')
+    .select('id')
+
+  if (error) {
+    throw new Error(`Lease renewal failed: ${error.message}`)
+  }
+
+  return data.length > 0
+}
+
+async function releaseLease(operationId, workerId) {
+  await supabase
+    .from('batch_operations')
+    .update({ lease_owner: null, lease_expires_at: null })
+    .eq('id', operationId)
+    .eq('lease_owner', workerId)
+}
+
+async function countItems(operationId, status) {
+  const { count, error } = await supabase
+    .from('batch_operation_items')
+    .select('id', { count: 'exact', head: true })
+    .eq('batch_operation_id', operationId)
+    .eq('status', status)
+
+  if (error) {
+    throw new Error(`Batch item count failed: ${error.message}`)
+  }
+
+  return count || 0
+}
+
+/**
+ * Recompute progress counters and error details from the item rows
+ */
+async function refreshProgress(operationId) {
+  const [pending, completed, failed] = await Promise.all([
+    countItems(operationId, 'pending'),
+    countItems(operationId, 'completed'),
+    countItems(operationId, 'failed')
+  ])
+
+  const { data: failedItems } = await supabase
+    .from('batch_operation_items')
+    .select('row_number, error_message')
+    .eq('batch_operation_id', operationId)
+    .eq('status', 'failed')
+    .order('row_number', { ascending: true })
+    .limit(BATCH_CONFIG.maxErrorDetails)
+
+  const progress = {
+    processed_items: completed + failed,
+    failed_items: failed,
+    error_details: (failedItems || []).map(item => ({
+      row: item.row_number,
+      message: item.error_message
+    }))
+  }
+
+  await supabase
+    .from('batch_operations')
+    .update(progress)
+    .eq('id', operationId)
+
+  return { ...progress, pending, completed }
+}
+
+/**
+ * Return items left in 'processing' by a worker that died mid-item
+ */
+async function recoverInterruptedItems(operationId) {
+  await supabase
+    .from('batch_operation_items')
+    .update({
+      status: 'failed',
+      error_message: 'Processing was interrupted too many times',
+      processed_at: new Date().toISOString()
+    })
+    .eq('batch_operation_id', operationId)
+    .eq('status', 'processing')
+    .gte('attempts', BATCH_CONFIG.maxAttempts)
+
+  await supabase
+    .from('batch_operation_items')
+    .update({ status: 'pending' })
+    .eq('batch_operation_id', operationId)
+    .eq('status', 'processing')
+}
+
+async function processItem(item, operation, processor) {
+  await supabase
+    .from('batch_operation_items')
+    .update({ status: 'processing', attempts: (item.attempts || 0) + 1 })
+    .eq('id', item.id)
+
+  try {
+    const { productId, result } = await processor(item.item_data, operation, item)
+
+    await supabase
+      .from('batch_operation_items')
+      .update({
+        status: 'completed',
+        product_id: productId || null,
+        result: result || {},
+        error_message: null,
+        processed_at: new Date().toISOString()
+      })
+      .eq('id', item.id)
+  } catch (error) {
+    await supabase
+      .from('batch_operation_items')
+      .update({
+        status: 'failed',
+        error_message: error.message || 'Item processing failed',
+        processed_at: new Date().toISOString()
+      })
+      .eq('id', item.id)
+  }
+}
+
+/**
+ * Work through the pending items of an operation this worker holds the lease for
+ */
+async function runClaimedOperation(operation, { workerId, deadline }) {
+  try {
+    const processor = BATCH_PROCESSORS[operation.operation_type]
+    if (!processor) {
+      await supabase
+        .from('batch_operations')
+        .update({
+          status: 'failed',
+          error_details: [{ row: null, message: `Unsupported operation type: ${operation.operation_type}` }],
+          completed_at: new Date().toISOString()
+        })
+        .eq('id', operation.id)
+
+      return { id: operation.id, status: 'failed' }
+    }
+
+    await recoverInterruptedItems(operation.id)
+
+    let active = true
+    while (active && Date.now() < deadline) {
+      const { data: items, error } = await supabase
+        .from('batch_operation_items')
+        .select('*')
+        .eq('batch_operation_id', operation.id)
+        .eq('status', 'pending')
+        .order('row_number', { ascending: true })
+        .limit(BATCH_CONFIG.chunkSize)
+
+      if (error) {
+        throw new Error(`Batch item fetch failed: ${error.message}`)
+      }
+
+      if (!items || items.length === 0) {
+        break
+      }
+
+      for (const item of items) {
+        // Pause and cancel take effect between items
+        active = Date.now() < deadline && await renewLease(operation.id, workerId)
+        if (!active) {
+          break
+        }
+
+        await processItem(item, operation, processor)
+      }
+
+      await refreshProgress(operation.id)
+    }
+
+    const progress = await refreshProgress(operation.id)
+    let status = 'running'
+
+    if (progress.pending === 0) {
+      status = progress.completed === 0 && progress.failed_items > 0 ? 'failed' : 'completed'
+
+      const { data: finished } = await supabase
+        .from('batch_operations')
+        .update({ status, completed_at: new Date().toISOString() })
+        .eq('id', operation.id)
+        .eq('status', 'running')
+        .select('id')
+
+      if (!finished || finished.length === 0) {
+        status = null
+      }
+    }
+
+    return {
+      id: operation.id,
+      status,
+      processed_items: progress.processed_items,
+      failed_items: progress.failed_items,
+      total_items: operation.total_items
+    }
+  } finally {
+    await releaseLease(operation.id, workerId)
+  }
+}
+
+/**
+ * Claim running batch operations and process them until the time budget runs out
+ */
+export async function processBatchOperations({
+  operationId = null,
+  timeBudgetMs = BATCH_CONFIG.timeBudgetMs,
+  workerId = randomUUID()
+} = {}) {
+  const deadline = Date.now() + timeBudgetMs
+  const results = []
+
+  while (Date.now() < deadline) {
+    const { data: operation, error } = await getServiceClient().rpc('claim_batch_operation', {
+      p_worker_id: workerId,
+      p_lease_seconds: BATCH_CONFIG.leaseSeconds,
+      p_operation_id: operationId
+    })
+
+    if (error) {
+      throw new Error(`Batch claim failed: ${error.message}`)
+    }
+
+    // An empty claim comes back as a row of nulls
+    if (!operation?.id) {
+      break
+    }
+
+    results.push(await runClaimedOperation(operation, { workerId, deadline }))
+
+    if (operationId) {
+      break
+    }
+  }
+
+  return results
+}
+
+/**
+ * Apply an operator action; returns the updated operation, or null if its status changed meanwhile
+ */
+export async function applyBatchAction(operation, action) {
+  const transition = BATCH_ACTIONS[action]
+  const now = new Date().toISOString()
+  const updates = { status: transition.to }
+
+  if (action === 'start') {
+    updates.started_at = now
+  }
+
+  if (action === 'cancel') {
+    updates.completed_at = now
+    updates.lease_owner = null
+    updates.lease_expires_at = null
+  }
+
+  if (action === 'retry-failed') {
+    updates.completed_at = null
+
+    const { error: resetError } = await supabase
+      .from('batch_operation_items')
+      .update({ status: 'pending', error_message: null, attempts: 0 })
+      .eq('batch_operation_id', operation.id)
+      .eq('status', 'failed')
+
+    if (resetError) {
+      throw new Error(`Batch retry failed: ${resetError.message}`)
+    }
+  }
+
+  const { data: updated, error } = await supabase
+    .from('batch_operations')
+    .update(updates)
+    .eq('id', operation.id)
+    .in('status', transition.from)
+    .select()
+
+  if (error) {
+    throw new Error(`Batch ${action} failed: ${error.message}`)
+  }
+
+  if (!updated || updated.length === 0) {
+    return null
+  }
+
+  if (action === 'cancel') {
+    await supabase
+      .from('batch_operation_items')
+      .update({ status: 'cancelled' })
+      .eq('batch_operation_id', operation.id)
+      .eq('status', 'pending')
+  }
+
+  if (action === 'retry-failed') {
+    await refreshProgress(operation.id)
+  }
+
+  return updated[0]
+}
@@ -0,0 +1,149 @@
+import ExcelJS from 'exceljs'
+import { escapeCSV } from './report-renderers'
+import { BATCH_OPERATION_LABELS, describeBatchColumns } from './batch-columns'
+
+export const TEMPLATE_FORMATS = {
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+}
+
+// Rows covered by dropdown validation in the Excel template
+const XLSX_VALIDATION_ROWS = 1000
+
+/**
+ * One-line help for a column, as used in CSV comments and Excel notes
+ */
+function describeColumn(column) {
+  const parts = [column.required ? 'Required' : 'Optional']
+
+  if (column.description) {
+    parts.push(column.description)
+  }
+  if (column.allowedValues) {
+    parts.push(`One of: ${column.allowedValues.join(' | ')}`)
+  }
+  if (column.maxLength) {
+    parts.push(`Max ${column.maxLength} characters`)
+  }
+
+  return parts.join('. ')
+}
+
+function getExampleRows(columns) {
+  const count = Math.max(...columns.map(column => column.examples.length), 0)
+
+  return Array.from({ length: count }, (_, index) =>
+    columns.map(column => column.examples[index] ?? '')
+  )
+}
+
+/**
+ * CSV template: # comment lines (ignored on import), the header row, then example rows
+ */
+export function renderCSVTemplate(operationType) {
+  const columns = describeBatchColumns(operationType)
+
+  const comments = [
+    `# ConfirmSure ${BATCH_OPERATION_LABELS[operationType]} template`,
+    '# Lines starting with # above the header row are ignored on import. Replace the example rows with your own data.',
+    ...columns.map(column => `# ${column.name}: ${describeColumn(column)}`)
+  ]
+
+  const lines = [
+    ...comments.map(escapeCSV),
+    columns.map(column => column.name).join(','),
+    ...getExampleRows(columns).map(row => row.map(escapeCSV).join(','))
+  ]
+
+  return Buffer.from(`\uFEFF${lines.join('\r\n')}\r\n`, 'utf8')
+}
+
+/**
+ * XLSX template: a Data sheet with notes and dropdowns on the header, plus an Instructions sheet
+ */
+export async function renderXLSXTemplate(operationType) {
+  const columns = describeBatchColumns(operationType)
+  const workbook = new ExcelJS.Workbook()
+  workbook.creator = 'ConfirmSure'
+
+  // The importer reads the first worksheet, so Data must come first
+  const sheet = workbook.addWorksheet('Data', {
+    views: [{ state: 'frozen', ySplit: 1 }]
+  })
+
+  sheet.columns = columns.map(column => ({
+    header: column.name,
+    key: column.name,
+    width: Math.max(column.name.length + 4, 18)
+  }))
+
+  const headerRow = sheet.getRow(1)
+  headerRow.font = { bold: true, color: { argb: 'FFFFFFFF' } }
+  headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF1E40AF' } }
+
+  columns.forEach((column, index) => {
+    const headerCell = headerRow.getCell(index + 1)
+    headerCell.note = describeColumn(column)
+
+    if (column.allowedValues) {
+      const letter = sheet.getColumn(index + 1).letter
+      sheet.dataValidations.add(`${letter}2:${letter}${XLSX_VALIDATION_ROWS + 1}`, {
+        type: 'list',
+        allowBlank: !column.required,
+        formulae: [`"${column.allowedValues.join(',')}"`],
+        showErrorMessage: true,
+        error: `Choose one of: ${column.allowedValues.join(', ')}`
+      })
+    }
+
+    // Keep dates and IDs as text so Excel doesn't reformat them
+    sheet.getColumn(index + 1).numFmt = '@'
+  })
+
+  getExampleRows(columns).forEach(row => sheet.addRow(row))
+
+  const instructions = workbook.addWorksheet('Instructions')
+  instructions.columns = [
+    { header: 'Column', key: 'name', width: 22 },
+    { header: 'Required', key: 'required', width: 10 },
+    { header: 'Allowed values', key: 'allowedValues', width: 36 },
+    { header: 'Notes', key: 'description', width: 60 }
+  ]
+  instructions.getRow(1).font = { bold: true }
+
+  columns.forEach(column => {
+    instructions.addRow({
+      name: column.name,
+      required: column.required ? 'Yes' : 'No',
+      allowedValues: column.allowedValues ? column.allowedValues.join(', ') : '',
+      description: [column.description, column.maxLength ? `Max ${column.maxLength} characters` : null]
+        .filter(Boolean)
+        .join('. ')
+    })
+  })
+
+  instructions.addRow([])
+  instructions.addRow(['Fill in the Data sheet and upload the workbook. Example rows should be replaced with your own data.'])
+
+  return Buffer.from(await workbook.xlsx.writeBuffer())
+}
+
+/**
+ * Build a template file for an operation type; returns { buffer, filename, contentType }
+ */
+export async function buildBatchTemplate(operationType, format = 'csv') {
+  const templateFormat = TEMPLATE_FORMATS[format]
+  if (!templateFormat || !BATCH_OPERATION_LABELS[operationType]) {
+    throw new Error(`Unsupported template: ${operationType} (${format})`)
+  }
+
+  const buffer = format === 'xlsx'
+    ? await renderXLSXTemplate(operationType)
+    : renderCSVTemplate(operationType)
+
+  return {
+    buffer,
+    filename: `confirmsure-${operationType.replace(/_/g, '-')}-template.${templateFormat.extension}`,
+    contentType: templateFormat.contentType
+  }
+}
@@ -0,0 +1,306 @@
+import { createClient } from './supabase'
+import { productSchema, productUpdateSchema, formatValidationErrors, isCalendarDate, PRODUCT_STATUSES } from './validation'
+import { validateQRCodeFormat, normalizeQRCode } from './qr-code-format'
+import { BATCH_REQUIRED_FIELDS, pickProductFields } from './batch-columns'
+import { findTransitionAction } from './product-workflow'
+
+const supabase = createClient()
+
+// Values per .in() lookup, to keep request URLs short
+const LOOKUP_CHUNK_SIZE = 200
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+const IMAGE_TYPES = ['product', 'marker', 'packaging']
+const BOOLEAN_VALUES = ['true', 'false']
+
+function cell(data, field) {
+  return typeof data[field] === 'string' ? data[field].trim() : (data[field] ?? '')
+}
+
+/**
+ * Fetch rows whose column matches any of the given values, in chunks
+ */
+async function lookupByValues(table, column, values, select, applyFilters = query => query) {
+  const unique = [...new Set(values.filter(Boolean))]
+  const rows = []
+
+  for (let i = 0; i < unique.length; i += LOOKUP_CHUNK_SIZE) {
+    const { data, error } = await applyFilters(
+      supabase
+        .from(table)
+        .select(select)
+        .in(column, unique.slice(i, i + LOOKUP_CHUNK_SIZE))
+    )
+
+    if (error) {
+      throw new Error(`Batch validation lookup failed: ${error.message}`)
+    }
+
+    rows.push(...(data || []))
+  }
+
+  return rows
+}
+
+/**
+ * Flag rows that repeat a value already used by an earlier row
+ */
+function findDuplicates(rows, field, addError) {
+  const firstRow = new Map()
+
+  rows.forEach(({ row, data }) => {
+    const value = cell(data, field)
+    if (!value) {
+      return
+    }
+
+    const key = value.toLowerCase()
+    if (firstRow.has(key)) {
+      addError(row, field, `Duplicate of row ${firstRow.get(key)}`)
+    } else {
+      firstRow.set(key, row)
+    }
+  })
+}
+
+function checkDates(fields, row, addError) {
+  ['manufacturing_date', 'expiry_date'].forEach(field => {
+    if (fields[field] && /^\d{4}-\d{2}-\d{2}$/.test(fields[field]) && !isCalendarDate(fields[field])) {
+      addError(row, field, 'Not a valid calendar date')
+    }
+  })
+
+  if (fields.manufacturing_date && fields.expiry_date &&
+      isCalendarDate(fields.manufacturing_date) && isCalendarDate(fields.expiry_date) &&
+      fields.expiry_date <= fields.manufacturing_date) {
+    addError(row, 'expiry_date', 'Expiry date must be after manufacturing date')
+  }
+}
+
+/**
+ * Load products referenced by a column and flag rows pointing at missing or foreign products
+ */
+async function checkProductReferences(rows, field, factoryId, addError) {
+  const ids = rows.map(({ data }) => cell(data, field)).filter(id => UUID_REGEX.test(id))
+  const products = await lookupByValues(
+    'products',
+    'id',
+    ids,
+    'id, factory_id, status, serial_number, manufacturing_date, expiry_date'
+  )
+  const productsById = new Map(products.map(product => [product.id, product]))
+
+  rows.forEach(({ row, data }) => {
+    const id = cell(data, field)
+    if (!id) {
+      return
+    }
+
+    if (!UUID_REGEX.test(id)) {
+      addError(row, field, 'Must be a product ID')
+      return
+    }
+
+    const product = productsById.get(id)
+    if (!product) {
+      addError(row, field, 'Product not found')
+    } else if (product.factory_id !== factoryId) {
+      addError(row, field, 'Product belongs to another factory')
+    }
+  })
+
+  return productsById
+}
+
+/**
+ * Flag serial numbers already used by other products in the factory
+ */
+async function checkExistingSerials(rows, factoryId, addError, { ignoreOwnId = false } = {}) {
+  const existing = await lookupByValues(
+    'products',
+    'serial_number',
+    rows.map(({ data }) => cell(data, 'serial_number')),
+    'id, serial_number',
+    query => query.eq('factory_id', factoryId)
+  )
+
+  rows.forEach(({ row, data }) => {
+    const serial = cell(data, 'serial_number')
+    const match = serial && existing.find(product =>
+      product.serial_number === serial && !(ignoreOwnId && product.id === cell(data, 'id'))
+    )
+
+    if (match) {
+      addError(row, 'serial_number', 'Serial number is already used by another product')
+    }
+  })
+}
+
+async function validateCreateRows(rows, factoryId, addError) {
+  rows.forEach(({ row, data }) => {
+    const fields = pickProductFields(data)
+    const validation = productSchema.safeParse({ ...fields, factory_id: factoryId })
+
+    if (!validation.success) {
+      formatValidationErrors(validation.error).forEach(issue => addError(row, issue.field, issue.message))
+    }
+    checkDates(fields, row, addError)
+  })
+
+  // Codes typed from labels are checked in their canonical form
+  const codeRows = rows.map(({ row, data }) => ({ row, data: { qr_code: normalizeQRCode(cell(data, 'qr_code')) } }))
+
+  codeRows.forEach(({ row, data }) => {
+    if (data.qr_code && !validateQRCodeFormat(data.qr_code)) {
+      addError(row, 'qr_code', 'Invalid QR code format')
+    }
+  })
+
+  findDuplicates(rows, 'serial_number', addError)
+  findDuplicates(codeRows, 'qr_code', addError)
+  await checkExistingSerials(rows, factoryId, addError)
+
+  const codes = codeRows.map(({ data }) => data.qr_code).filter(validateQRCodeFormat)
+  const takenCodes = await lookupByValues('products', 'qr_code', codes, 'qr_code')
+  const taken = new Set(takenCodes.map(product => product.qr_code))
+
+  // Pre-printed codes from a pool must be this factory's and still available
+  const reservations = await lookupByValues(
+    'qr_code_reservations',
+    'qr_code',
+    codes,
+    'qr_code, factory_id, status, qr_code_pools(status)'
+  )
+  const reservationsByCode = new Map(reservations.map(reservation => [reservation.qr_code, reservation]))
+
+  codeRows.forEach(({ row, data }) => {
+    const qrCode = data.qr_code
+    const reservation = reservationsByCode.get(qrCode)
+
+    if (taken.has(qrCode)) {
+      addError(row, 'qr_code', 'QR code is already assigned to a product')
+    } else if (reservation && reservation.factory_id !== factoryId) {
+      addError(row, 'qr_code', 'QR code is reserved for another factory')
+    } else if (reservation && (reservation.status !== 'available' || reservation.qr_code_pools?.status !== 'active')) {
+      addError(row, 'qr_code', `QR code is ${reservation.status === 'available' ? 'in an inactive pool' : reservation.status}`)
+    }
+  })
+}
+
+async function validateUpdateRows(rows, factoryId, addError) {
+  const productsById = await checkProductReferences(rows, 'id', factoryId, addError)
+
+  rows.forEach(({ row, data }) => {
+    const fields = pickProductFields(data, { skipBlank: true })
+    const validation = productUpdateSchema.safeParse(fields)
+
+    if (!validation.success) {
+      formatValidationErrors(validation.error).forEach(issue => addError(row, issue.field, issue.message))
+    }
+
+    // Compare against stored dates when the row only changes one of them
+    const current = productsById.get(cell(data, 'id')) || {}
+    checkDates({
+      manufacturing_date: fields.manufacturing_date || current.manufacturing_date,
+      expiry_date: fields.expiry_date || current.expiry_date
+    }, row, addError)
+
+    const status = cell(data, 'status')
+    if (status && !PRODUCT_STATUSES.includes(status)) {
+      addError(row, 'status', `Must be one of: ${PRODUCT_STATUSES.join(', ')}`)
+    } else if (status && current.status && status !== current.status && !findTransitionAction(current.status, status)) {
+      addError(row, 'status', `Cannot move a ${current.status} product to ${status}`)
+    }
+  })
+
+  findDuplicates(rows, 'id', addError)
+  findDuplicates(rows, 'serial_number', addError)
+  await checkExistingSerials(rows, factoryId, addError, { ignoreOwnId: true })
+}
+
+async function validateQRCodeRows(rows, factoryId, addError) {
+  await checkProductReferences(rows, 'product_id', factoryId, addError)
+  findDuplicates(rows, 'product_id', addError)
+}
+
+async function validateImageRows(rows, factoryId, addError) {
+  await checkProductReferences(rows, 'product_id', factoryId, addError)
+
+  rows.forEach(({ row, data }) => {
+    const imageUrl = cell(data, 'image_url')
+    if (imageUrl) {
+      let url = null
+      try {
+        url = new URL(imageUrl)
+      } catch (error) {
+        addError(row, 'image_url', 'Not a valid URL')
+      }
+      if (url && url.protocol !== 'https:') {
+        addError(row, 'image_url', 'Image URLs must use https')
+      }
+    }
+
+    const imageType = cell(data, 'image_type')
+    if (imageType && !IMAGE_TYPES.includes(imageType)) {
+      addError(row, 'image_type', `Must be one of: ${IMAGE_TYPES.join(', ')}`)
+    }
+
+    const isPrimary = String(cell(data, 'is_primary')).toLowerCase()
+    if (isPrimary && !BOOLEAN_VALUES.includes(isPrimary)) {
+      addError(row, 'is_primary', 'Must be true or false')
+    }
+  })
+}
+
+const ROW_VALIDATORS = {
+  create_products: validateCreateRows,
+  update_products: validateUpdateRows,
+  generate_qr_codes: validateQRCodeRows,
+  upload_images: validateImageRows
+}
+
+/**
+ * Validate every parsed row of a batch file for an operation and factory.
+ * Returns { summary: { total, valid, invalid }, rows: [{ row, valid, errors: [{ field, message }] }] }
+ */
+export async function validateBatchRows(rows, operationType, { factoryId, parseErrors = [] }) {
+  const validateRows = ROW_VALIDATORS[operationType]
+  if (!validateRows) {
+    throw new Error(`Invalid operation type: ${operationType}`)
+  }
+
+  const errorsByRow = new Map()
+  const addError = (row, field, message) => {
+    const errors = errorsByRow.get(row) || []
+    // One message per field once it is known to be missing
+    const repeated = errors.some(error =>
+      error.field === field && (error.message === message || error.message === 'Required')
+    )
+    if (!repeated) {
+      errors.push({ field, message })
+    }
+    errorsByRow.set(row, errors)
+  }
+
+  rows.forEach(({ row, data }) => {
+    BATCH_REQUIRED_FIELDS[operationType].forEach(field => {
+      if (!cell(data, field)) {
+        addError(row, field, 'Required')
+      }
+    })
+  })
+
+  await validateRows(rows, factoryId, addError)
+
+  const report = [
+    ...rows.map(({ row }) => ({ row, valid: !errorsByRow.has(row), errors: errorsByRow.get(row) || [] })),
+    ...parseErrors.map(({ row, message }) => ({ row, valid: false, errors: [{ field: null, message }] }))
+  ].sort((a, b) => a.row - b.row)
+
+  const valid = report.filter(entry => entry.valid).length
+
+  return {
+    summary: { total: report.length, valid, invalid: report.length - valid },
+    rows: report
+  }
+}
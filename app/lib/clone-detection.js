@@ -0,0 +1,194 @@
+import { createClient, getServiceClient } from './supabase'
+
+const supabase = createClient()
+
+// Defaults used when system_settings.clone_detection is missing or partial
+const DEFAULT_DETECTION_SETTINGS = {
+  travel_window_hours: 24,
+  max_travel_speed_kmh: 900, // Roughly commercial flight speed
+  min_travel_distance_km: 150, // Ignore GeoIP jitter between nearby cities
+  default_max_scans: 50,
+  max_scans_by_product_type: {}
+}
+
+export const CLONE_SIGNALS = {
+  IMPOSSIBLE_TRAVEL: 'impossible_travel',
+  EXCESSIVE_SCANS: 'excessive_scans',
+  PRE_PUBLICATION_SCAN: 'pre_publication_scan'
+}
+
+/**
+ * Load detection thresholds from system_settings
+ */
+export async function getDetectionSettings() {
+  const { data } = await supabase
+    .from('system_settings')
+    .select('value')
+    .eq('key', 'clone_detection')
+    .single()
+
+  return { ...DEFAULT_DETECTION_SETTINGS, ...(data?.value || {}) }
+}
+
+/**
+ * Great-circle distance between two coordinates in kilometres
+ */
+function haversineKm(from, to) {
+  const toRadians = (degrees) => degrees * Math.PI / 180
+  const earthRadiusKm = 6371
+
+  const dLat = toRadians(to.latitude - from.latitude)
+  const dLon = toRadians(to.longitude - from.longitude)
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2
+
+  return 2 * earthRadiusKm * Math.asin(Math.sqrt(a))
+}
+
+function hasCoordinates(point) {
+  return point && Number.isFinite(point.latitude) && Number.isFinite(point.longitude)
+}
+
+/**
+ * Find the previous scan that would require the fastest travel to reach this one
+ */
+function detectImpossibleTravel(recentScans, location, scannedAt, settings) {
+  if (!hasCoordinates(location)) {
+    return null
+  }
+
+  let worst = null
+
+  for (const scan of recentScans) {
+    const previous = {
+      latitude: scan.metadata?.latitude,
+      longitude: scan.metadata?.longitude
+    }
+
+    if (!hasCoordinates(previous)) {
+      continue
+    }
+
+    const distanceKm = haversineKm(previous, location)
+    if (distanceKm < settings.min_travel_distance_km) {
+      continue
+    }
+
+    // Floor at one minute so back-to-back scans don't divide by zero
+    const elapsedHours = Math.max((scannedAt - new Date(scan.scanned_at)) / 3600000, 1 / 60)
+    const speedKmh = distanceKm / elapsedHours
+
+    if (speedKmh > settings.max_travel_speed_kmh && (!worst || speedKmh > worst.speed_kmh)) {
+      worst = {
+        previous_scan_id: scan.id,
+        previous_location: { country: scan.country, city: scan.city },
+        current_location: { country: location.country, city: location.city },
+        distance_km: Math.round(distanceKm),
+        elapsed_minutes: Math.round(elapsedHours * 60),
+        speed_kmh: Math.round(speedKmh)
+      }
+    }
+  }
+
+  return worst
+}
+
+/**
+ * Evaluate a scan that is about to be recorded for counterfeit signals
+ */
+export async function detectCloneSignals({ product, location, scannedAt = new Date() }) {
+  if (!product) {
+    return []
+  }
+
+  try {
+    const settings = await getDetectionSettings()
+    const signals = []
+
+    // Scans made before the product was released cannot come from genuine consumers
+    if (product.status !== 'published' && product.status !== 'archived') {
+      signals.push({
+        reason: CLONE_SIGNALS.PRE_PUBLICATION_SCAN,
+        severity: 'medium',
+        details: { product_status: product.status }
+      })
+    }
+
+    const windowStart = new Date(scannedAt.getTime() - settings.travel_window_hours * 60 * 60 * 1000)
+
+    // Runs for anonymous scanners, who may not read other people's scans
+    const { data: recentScans } = await getServiceClient()
+      .from('qr_scans')
+      .select('id, scanned_at, country, city, metadata')
+      .eq('product_id', product.id)
+      .gte('scanned_at', windowStart.toISOString())
+      .order('scanned_at', { ascending: false })
+      .limit(200)
+
+    const travel = detectImpossibleTravel(recentScans || [], location, scannedAt, settings)
+    if (travel) {
+      signals.push({
+        reason: CLONE_SIGNALS.IMPOSSIBLE_TRAVEL,
+        severity: 'high',
+        details: travel
+      })
+    }
+
+    const { count: totalScans } = await getServiceClient()
+      .from('qr_scans')
+      .select('*', { count: 'exact', head: true })
+      .eq('product_id', product.id)
+
+    const maxScans = settings.max_scans_by_product_type[product.product_type] || settings.default_max_scans
+    const scanCount = (totalScans || 0) + 1
+
+    if (scanCount > maxScans) {
+      signals.push({
+        reason: CLONE_SIGNALS.EXCESSIVE_SCANS,
+        severity: 'high',
+        details: { scan_count: scanCount, expected_max: maxScans, product_type: product.product_type }
+      })
+    }
+
+    return signals
+  } catch (error) {
+    console.error('Clone detection error:', error)
+    return []
+  }
+}
+
+/**
+ * Store detected signals; repeated signals bump the existing open flag
+ */
+export async function flagSuspiciousScan({ product, scanId, signals }) {
+  for (const signal of signals) {
+    const { error } = await getServiceClient().rpc('flag_suspicious_scan', {
+      p_product_id: product.id,
+      p_scan_id: scanId,
+      p_qr_code: product.qr_code,
+      p_reason: signal.reason,
+      p_severity: signal.severity,
+      p_details: signal.details
+    })
+
+    if (error) {
+      console.error('Failed to flag suspicious scan:', error)
+    }
+  }
+}
+
+/**
+ * Count unresolved high-severity clone flags for a product (open or confirmed)
+ */
+export async function countActiveCloneFlags(productId) {
+  const { data, error } = await supabase.rpc('count_active_clone_flags', {
+    p_product_id: productId
+  })
+
+  if (error) {
+    console.error('Failed to count clone flags:', error)
+    return 0
+  }
+
+  return data || 0
+}
@@ -0,0 +1,180 @@
+import { createHash, randomUUID } from 'crypto'
+import { createClient } from './supabase'
+import { getScanContext } from './scan-tracking'
+
+const supabase = createClient()
+
+// Scopes a factory device API key can be granted
+export const DEVICE_SCOPES = {
+  PRODUCTS_REGISTER: 'products:register',
+  IMAGES_UPLOAD: 'images:upload',
+  LABELS_PRINT: 'labels:print'
+}
+
+export const DEVICE_SCOPE_LABELS = {
+  [DEVICE_SCOPES.PRODUCTS_REGISTER]: 'Register products',
+  [DEVICE_SCOPES.IMAGES_UPLOAD]: 'Upload capture images',
+  [DEVICE_SCOPES.LABELS_PRINT]: 'Print labels'
+}
+
+const API_KEY_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+const DEVICE_ID_REGEX = /^[a-zA-Z0-9._-]{1,64}$/
+
+// Keys are stored as SHA-256 hashes; the key itself is only known when issued
+function hashApiKey(apiKey) {
+  return createHash('sha256').update(apiKey.toLowerCase()).digest('hex')
+}
+
+/**
+ * Read the API key (Bearer token or X-API-Key) and station name (X-Device-Id) from a request
+ */
+export function getDeviceCredentials(request) {
+  const authorization = request.headers.get('authorization') || ''
+  const apiKey = authorization.match(/^Bearer\s+(.+)$/i)?.[1]?.trim() ||
+    request.headers.get('x-api-key')?.trim() ||
+    null
+  const deviceId = request.headers.get('x-device-id')?.trim() || null
+
+  return {
+    apiKey,
+    deviceId: deviceId && DEVICE_ID_REGEX.test(deviceId) ? deviceId : null
+  }
+}
+
+/**
+ * Record a device request in the audit log
+ */
+export async function logDeviceEvent(request, device, eventName, { resourceType = 'factory', resourceId = null, metadata = {} } = {}) {
+  const context = getScanContext(request.headers)
+
+  await supabase
+    .from('audit_logs')
+    .insert([{
+      event_type: 'factory',
+      event_name: eventName,
+      user_id: null,
+      resource_type: resourceType,
+      resource_id: resourceId || device?.factoryId || null,
+      ip_address: context.ipAddress,
+      user_agent: context.userAgent,
+      metadata: {
+        factory_id: device?.factoryId || null,
+        device_id: device?.deviceId || null,
+        path: new URL(request.url).pathname,
+        ...metadata
+      }
+    }])
+}
+
+/**
+ * Authenticate a factory device and check it holds the scope for the endpoint.
+ * Returns { device } or { error, status }.
+ */
+export async function authenticateDevice(request, scope) {
+  const { apiKey, deviceId } = getDeviceCredentials(request)
+
+  if (!apiKey || !API_KEY_REGEX.test(apiKey)) {
+    return { error: 'Valid API key required', status: 401 }
+  }
+
+  const { data, error } = await supabase.rpc('authenticate_factory_api_key', { p_api_key_hash: hashApiKey(apiKey) })
+
+  if (error) {
+    throw new Error(`Device authentication failed: ${error.message}`)
+  }
+
+  const match = Array.isArray(data) ? data[0] : data
+  if (!match?.factory_id) {
+    await logDeviceEvent(request, { deviceId }, 'DEVICE_AUTH_FAILED', {
+      metadata: { reason: 'invalid_key', scope }
+    })
+    return { error: 'Invalid or revoked API key', status: 401 }
+  }
+
+  const device = {
+    factoryId: match.factory_id,
+    factoryName: match.factory_name,
+    scopes: match.scopes || [],
+    issuedBy: match.issued_by,
+    deviceId
+  }
+
+  if (!device.scopes.includes(scope)) {
+    await logDeviceEvent(request, device, 'DEVICE_AUTH_FAILED', {
+      metadata: { reason: 'missing_scope', scope }
+    })
+    return { error: `API key is not allowed to use ${scope}`, status: 403 }
+  }
+
+  return { device }
+}
+
+/**
+ * Issue a new API key for a factory, replacing any existing key. Only its hash
+ * is stored, so the returned key cannot be shown again.
+ */
+export async function rotateFactoryApiKey(factoryId, userId) {
+  const apiKey = randomUUID()
+
+  const { data: factory, error } = await supabase
+    .from('factories')
+    .update({
+      api_key_hash: hashApiKey(apiKey),
+      api_key_hint: apiKey.slice(-4),
+      api_key_issued_by: userId,
+      api_key_issued_at: new Date().toISOString()
+    })
+    .eq('id', factoryId)
+    .select('id, name, api_key_scopes, api_key_issued_at')
+    .single()
+
+  if (error) {
+    throw new Error(`API key rotation failed: ${error.message}`)
+  }
+
+  return { factory, apiKey }
+}
+
+/**
+ * Revoke a factory's API key; devices using it stop authenticating immediately
+ */
+export async function revokeFactoryApiKey(factoryId) {
+  const { data: factory, error } = await supabase
+    .from('factories')
+    .update({
+      api_key_hash: null,
+      api_key_hint: null,
+      api_key_issued_by: null,
+      api_key_issued_at: null
+    })
+    .eq('id', factoryId)
+    .select('id, name')
+    .single()
+
+  if (error) {
+    throw new Error(`API key revocation failed: ${error.message}`)
+  }
+
+  return factory
+}
+
+export async function updateFactoryApiKeyScopes(factoryId, scopes) {
+  const allowed = Object.values(DEVICE_SCOPES)
+  const invalid = scopes.filter(scope => !allowed.includes(scope))
+  if (invalid.length > 0) {
+    throw new Error(`Unknown scopes: ${invalid.join(', ')}`)
+  }
+
+  const { data: factory, error } = await supabase
+    .from('factories')
+    .update({ api_key_scopes: [...new Set(scopes)] })
+    .eq('id', factoryId)
+    .select('id, name, api_key_scopes')
+    .single()
+
+  if (error) {
+    throw new Error(`API key scope update failed: ${error.message}`)
+  }
+
+  return factory
+}
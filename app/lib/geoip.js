@@ -0,0 +1,62 @@
+import { isIP } from 'net'
+import maxmind from 'maxmind'
+
+// Offline GeoIP configuration (MaxMind GeoLite2-City / GeoIP2-City .mmdb file)
+const GEOIP_CONFIG = {
+  databasePath: process.env.GEOIP_DATABASE_PATH,
+  locale: 'en'
+}
+
+let readerPromise = null
+
+/**
+ * Open the GeoIP database once and reuse the reader
+ */
+async function getReader() {
+  if (!GEOIP_CONFIG.databasePath) {
+    return null
+  }
+
+  if (!readerPromise) {
+    readerPromise = maxmind.open(GEOIP_CONFIG.databasePath).catch((error) => {
+      console.error('Failed to open GeoIP database:', error)
+      readerPromise = null
+      return null
+    })
+  }
+
+  return readerPromise
+}
+
+/**
+ * Resolve a coarse country/city location for an IP address
+ */
+export async function lookupLocation(ipAddress) {
+  const emptyLocation = { country: null, city: null, latitude: null, longitude: null }
+
+  if (!ipAddress || !isIP(ipAddress)) {
+    return emptyLocation
+  }
+
+  try {
+    const reader = await getReader()
+    if (!reader) {
+      return emptyLocation
+    }
+
+    const result = reader.get(ipAddress)
+    if (!result) {
+      return emptyLocation
+    }
+
+    return {
+      country: result.country?.iso_code || result.registered_country?.iso_code || null,
+      city: result.city?.names?.[GEOIP_CONFIG.locale] || null,
+      latitude: result.location?.latitude ?? null,
+      longitude: result.location?.longitude ?? null
+    }
+  } catch (error) {
+    console.error('GeoIP lookup error:', error)
+    return emptyLocation
+  }
+}
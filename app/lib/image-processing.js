@@ -347,6 +347,23 @@ export async function batchProcessImages(files, productId, options = {}) {
   }
 }
 
+/**
+ * Storage path of a public image URL, or null when the URL is not in the bucket
+ * Expected format: /storage/v1/object/public/<bucket>/<path>
+ */
+export function storagePathFromUrl(url, bucket = 'product-images') {
+  try {
+    const pathParts = new URL(url).pathname.split('/')
+    const bucketIndex = pathParts.indexOf(bucket)
+    if (bucketIndex !== -1 && bucketIndex < pathParts.length - 1) {
+      return pathParts.slice(bucketIndex + 1).join('/')
+    }
+    return null
+  } catch (error) {
+    return null
+  }
+}
+
 /**
  * Delete image from storage
  */
@@ -0,0 +1,119 @@
+import { createClient, getServiceClient } from './supabase'
+import { generateSignedQRCodeImage } from './qr-generator'
+
+const supabase = createClient()
+
+// Label print queue settings
+export const LABEL_JOB_CONFIG = {
+  maxCopies: 20,
+  maxAttempts: 3,
+  staleSeconds: 300, // Printing jobs not reported back within this time are handed out again
+  qrWidth: 600
+}
+
+export const LABEL_JOB_STATUSES = ['queued', 'printing', 'printed', 'failed', 'cancelled']
+
+export function clampCopies(copies) {
+  return Math.min(Math.max(parseInt(copies) || 1, 1), LABEL_JOB_CONFIG.maxCopies)
+}
+
+/**
+ * Queue one label job per product
+ */
+export async function queueLabelPrintJobs({ factoryId, productIds, copies = 1, requestedBy = null }) {
+  const { data: jobs, error } = await supabase
+    .from('label_print_jobs')
+    .insert(productIds.map(productId => ({
+      factory_id: factoryId,
+      product_id: productId,
+      copies: clampCopies(copies),
+      requested_by: requestedBy
+    })))
+    .select('id, product_id, copies, status, created_at')
+
+  if (error) {
+    throw new Error(`Label queueing failed: ${error.message}`)
+  }
+
+  return jobs
+}
+
+/**
+ * Claim the factory's next label and build everything a printer needs to print it
+ */
+export async function claimNextLabelJob(factoryId, deviceId) {
+  const { data: job, error } = await getServiceClient().rpc('claim_label_print_job', {
+    p_factory_id: factoryId,
+    p_device_id: deviceId || 'unknown',
+    p_stale_seconds: LABEL_JOB_CONFIG.staleSeconds
+  })
+
+  if (error) {
+    throw new Error(`Label claim failed: ${error.message}`)
+  }
+
+  // An empty claim comes back as a row of nulls
+  if (!job?.id) {
+    return null
+  }
+
+  const { data: product, error: productError } = await supabase
+    .from('products')
+    .select('id, qr_code, factory_id, product_name, product_type, batch_id, serial_number, manufacturing_date, expiry_date')
+    .eq('id', job.product_id)
+    .single()
+
+  if (productError || !product) {
+    await supabase
+      .from('label_print_jobs')
+      .update({ status: 'failed', error_message: 'Product not found' })
+      .eq('id', job.id)
+
+    throw new Error(`Label job ${job.id} references a missing product`)
+  }
+
+  const qrImage = await generateSignedQRCodeImage(product, { width: LABEL_JOB_CONFIG.qrWidth, margin: 4 })
+
+  return {
+    id: job.id,
+    copies: job.copies,
+    attempt: job.attempts,
+    product: {
+      id: product.id,
+      product_name: product.product_name,
+      product_type: product.product_type,
+      batch_id: product.batch_id,
+      serial_number: product.serial_number,
+      manufacturing_date: product.manufacturing_date,
+      expiry_date: product.expiry_date
+    },
+    qrCode: product.qr_code,
+    verificationUrl: qrImage.verificationURL,
+    qrImage: qrImage.dataURL
+  }
+}
+
+/**
+ * Record a printer's result; failures are re-queued until maxAttempts is reached
+ */
+export async function reportLabelJobResult(job, { status, errorMessage = null }) {
+  const updates = status === 'printed'
+    ? { status: 'printed', printed_at: new Date().toISOString(), error_message: null }
+    : {
+        status: job.attempts < LABEL_JOB_CONFIG.maxAttempts ? 'queued' : 'failed',
+        error_message: errorMessage || 'Printing failed'
+      }
+
+  const { data: updated, error } = await supabase
+    .from('label_print_jobs')
+    .update(updates)
+    .eq('id', job.id)
+    .eq('status', 'printing')
+    .select()
+
+  if (error) {
+    throw new Error(`Label status update failed: ${error.message}`)
+  }
+
+  return updated?.[0] || null
+}
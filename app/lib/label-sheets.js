@@ -0,0 +1,461 @@
+import PDFDocument from 'pdfkit'
+import QRCode from 'qrcode'
+import { buildSignedVerificationURL } from './qr-generator'
+import { formatQRCodeForDisplay } from './qr-code-format'
+
+const MM_PER_INCH = 25.4
+const POINTS_PER_INCH = 72
+
+// Sheet and roll layouts, all dimensions in millimetres
+export const LABEL_TEMPLATES = {
+  'a4-21': {
+    label: 'A4 sheet, 21 labels (63.5 x 38.1 mm)',
+    media: 'sheet',
+    pageWidth: 210,
+    pageHeight: 297,
+    labelWidth: 63.5,
+    labelHeight: 38.1,
+    columns: 3,
+    rows: 7,
+    marginTop: 15.15,
+    marginLeft: 7.25,
+    columnGap: 2.5,
+    rowGap: 0
+  },
+  'a4-24': {
+    label: 'A4 sheet, 24 labels (63.5 x 33.9 mm)',
+    media: 'sheet',
+    pageWidth: 210,
+    pageHeight: 297,
+    labelWidth: 63.5,
+    labelHeight: 33.9,
+    columns: 3,
+    rows: 8,
+    marginTop: 12.9,
+    marginLeft: 7.25,
+    columnGap: 2.5,
+    rowGap: 0
+  },
+  'letter-30': {
+    label: 'Letter sheet, 30 labels (2.625 x 1 in)',
+    media: 'sheet',
+    pageWidth: 215.9,
+    pageHeight: 279.4,
+    labelWidth: 66.675,
+    labelHeight: 25.4,
+    columns: 3,
+    rows: 10,
+    marginTop: 12.7,
+    marginLeft: 4.7625,
+    columnGap: 3.175,
+    rowGap: 0
+  },
+  'letter-10': {
+    label: 'Letter sheet, 10 labels (4 x 2 in)',
+    media: 'sheet',
+    pageWidth: 215.9,
+    pageHeight: 279.4,
+    labelWidth: 101.6,
+    labelHeight: 50.8,
+    columns: 2,
+    rows: 5,
+    marginTop: 12.7,
+    marginLeft: 3.96875,
+    columnGap: 4.7625,
+    rowGap: 0
+  },
+  'roll-50x30': {
+    label: 'Roll, 50 x 30 mm',
+    media: 'roll',
+    labelWidth: 50,
+    labelHeight: 30
+  },
+  'roll-4x2': {
+    label: 'Roll, 4 x 2 in',
+    media: 'roll',
+    labelWidth: 101.6,
+    labelHeight: 50.8
+  }
+}
+
+export const LABEL_FORMATS = {
+  pdf: { label: 'PDF', extension: 'pdf', contentType: 'application/pdf' },
+  zpl: { label: 'ZPL (thermal printers)', extension: 'zpl', contentType: 'text/plain; charset=utf-8' }
+}
+
+// Printer resolutions we lay out for; 203 and 300 cover most thermal printers
+export const LABEL_DPI_OPTIONS = [203, 300, 600]
+
+// Label content layout and limits
+export const LABEL_SHEET_CONFIG = {
+  padding: 2,
+  quietZoneModules: 4,
+  errorCorrectionLevel: 'M',
+  cropMarkLength: 2,
+  maxFontSize: 8, // points
+  maxCopies: 100,
+  maxLabels: 1000
+}
+
+function mmToPoints(mm) {
+  return (mm / MM_PER_INCH) * POINTS_PER_INCH
+}
+
+function mmToDots(mm, dpi) {
+  return Math.round((mm / MM_PER_INCH) * dpi)
+}
+
+/**
+ * Fit a QR matrix into a square box, snapping modules to whole printer dots
+ * so every module prints at the same size
+ */
+function planQRCode(matrixSize, boxMm, dpi) {
+  const totalModules = matrixSize + LABEL_SHEET_CONFIG.quietZoneModules * 2
+  const moduleDots = Math.floor(mmToDots(boxMm, dpi) / totalModules)
+
+  if (moduleDots < 1) {
+    throw new Error(`Label is too small to print a ${matrixSize}x${matrixSize} QR code at ${dpi} DPI`)
+  }
+
+  const moduleMm = (moduleDots / dpi) * MM_PER_INCH
+  return {
+    moduleDots,
+    moduleMm,
+    quietZoneMm: moduleMm * LABEL_SHEET_CONFIG.quietZoneModules,
+    sizeMm: moduleMm * totalModules
+  }
+}
+
+/**
+ * Position the QR code and text block inside a label
+ */
+function layoutLabel(template) {
+  const { labelWidth, labelHeight } = template
+  const padding = Math.min(LABEL_SHEET_CONFIG.padding, labelHeight * 0.06)
+  // Keep at least half of narrow roll labels for the text
+  const qrBox = Math.min(labelHeight - padding * 2, labelWidth * 0.45)
+  const textX = padding + qrBox + padding
+  const textWidth = labelWidth - textX - padding
+  const textHeight = labelHeight - padding * 2
+
+  // Four text lines with 25% leading
+  const fontSize = Math.min(LABEL_SHEET_CONFIG.maxFontSize, mmToPoints(textHeight / 5))
+
+  return { padding, qrBox, textX, textWidth, textHeight, fontSize }
+}
+
+function labelLines(label) {
+  // The code is grouped so consumers can type it if the symbol will not scan
+  const code = { text: formatQRCodeForDisplay(label.qrCode), mono: true }
+
+  // Reserved pool codes print before their product exists: pool name and code only
+  if (label.reserved) {
+    return [{ text: label.productName, bold: true }, code]
+  }
+
+  return [
+    { text: label.productName, bold: true },
+    { text: `Serial: ${label.serialNumber || 'N/A'}` },
+    { text: `Batch: ${label.batchId || 'N/A'}` },
+    code
+  ]
+}
+
+/**
+ * Sign each product's verification URL and build its QR matrix
+ * Entries without an `id` are reserved pool codes
+ */
+async function prepareLabels(products) {
+  const labels = []
+
+  for (const product of products) {
+    const { verificationURL } = await buildSignedVerificationURL(product)
+    const qr = QRCode.create(verificationURL, { errorCorrectionLevel: LABEL_SHEET_CONFIG.errorCorrectionLevel })
+
+    labels.push({
+      productId: product.id || null,
+      reserved: !product.id,
+      productName: product.product_name,
+      serialNumber: product.serial_number,
+      batchId: product.batch_id,
+      qrCode: product.qr_code,
+      verificationURL,
+      modules: qr.modules
+    })
+  }
+
+  return labels
+}
+
+/**
+ * Draw one label with its top-left corner at (x, y) millimetres
+ */
+function drawPDFLabel(doc, label, x, y, template, dpi, cropMarks) {
+  const layout = layoutLabel(template)
+  const qr = planQRCode(label.modules.size, layout.qrBox, dpi)
+  const qrX = x + layout.padding + (layout.qrBox - qr.sizeMm) / 2 + qr.quietZoneMm
+  const qrY = y + (template.labelHeight - qr.sizeMm) / 2 + qr.quietZoneMm
+  const { size, data } = label.modules
+
+  // QR modules as vector rectangles at their exact physical size
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      if (data[row * size + col]) {
+        doc.rect(
+          mmToPoints(qrX + col * qr.moduleMm),
+          mmToPoints(qrY + row * qr.moduleMm),
+          mmToPoints(qr.moduleMm),
+          mmToPoints(qr.moduleMm)
+        )
+      }
+    }
+  }
+  doc.fillColor('#000000').fill()
+
+  const lineHeight = layout.fontSize * 1.25
+  const textLines = labelLines(label)
+  let textY = mmToPoints(y + layout.padding) + (mmToPoints(layout.textHeight) - lineHeight * textLines.length) / 2
+
+  for (const line of textLines) {
+    doc
+      .font(line.mono ? 'Courier-Bold' : line.bold ? 'Helvetica-Bold' : 'Helvetica')
+      .fontSize(layout.fontSize)
+      .text(line.text, mmToPoints(x + layout.textX), textY, {
+        width: mmToPoints(layout.textWidth),
+        height: lineHeight,
+        lineBreak: false,
+        ellipsis: true
+      })
+    textY += lineHeight
+  }
+
+  if (cropMarks) {
+    drawPDFCropMarks(doc, x, y, template)
+  }
+}
+
+/**
+ * Corner marks inside the label edge, used as a cutting guide on plain stock
+ */
+function drawPDFCropMarks(doc, x, y, template) {
+  const length = LABEL_SHEET_CONFIG.cropMarkLength
+  const right = x + template.labelWidth
+  const bottom = y + template.labelHeight
+  const corners = [
+    [x, y, 1, 1],
+    [right, y, -1, 1],
+    [x, bottom, 1, -1],
+    [right, bottom, -1, -1]
+  ]
+
+  doc.lineWidth(0.25).strokeColor('#000000')
+  for (const [cx, cy, dx, dy] of corners) {
+    doc
+      .moveTo(mmToPoints(cx + dx * length), mmToPoints(cy))
+      .lineTo(mmToPoints(cx), mmToPoints(cy))
+      .lineTo(mmToPoints(cx), mmToPoints(cy + dy * length))
+      .stroke()
+  }
+}
+
+/**
+ * Lay labels out on sheets (or one label per page for rolls) as a PDF
+ */
+function renderLabelPDF(labels, template, { dpi, startPosition, cropMarks }) {
+  const isRoll = template.media === 'roll'
+  const pageSize = isRoll
+    ? [mmToPoints(template.labelWidth), mmToPoints(template.labelHeight)]
+    : [mmToPoints(template.pageWidth), mmToPoints(template.pageHeight)]
+  const perPage = isRoll ? 1 : template.columns * template.rows
+
+  const doc = new PDFDocument({ size: pageSize, margin: 0, autoFirstPage: false })
+  const chunks = []
+  doc.on('data', chunk => chunks.push(chunk))
+
+  let pageCount = 0
+  labels.forEach((label, index) => {
+    const position = index + (isRoll ? 0 : startPosition)
+    const slot = position % perPage
+
+    if (slot === 0 || index === 0) {
+      doc.addPage({ size: pageSize, margin: 0 })
+      pageCount++
+    }
+
+    if (isRoll) {
+      drawPDFLabel(doc, label, 0, 0, template, dpi, cropMarks)
+      return
+    }
+
+    const column = slot % template.columns
+    const row = Math.floor(slot / template.columns)
+    drawPDFLabel(
+      doc,
+      label,
+      template.marginLeft + column * (template.labelWidth + template.columnGap),
+      template.marginTop + row * (template.labelHeight + template.rowGap),
+      template,
+      dpi,
+      cropMarks
+    )
+  })
+
+  doc.end()
+
+  return new Promise((resolve, reject) => {
+    doc.on('end', () => resolve({ buffer: Buffer.concat(chunks), pageCount }))
+    doc.on('error', reject)
+  })
+}
+
+/**
+ * Escape ZPL control characters for use with ^FH
+ */
+function escapeZPL(text) {
+  return String(text ?? '').replace(/[_^~]/g, char => `_${char.charCodeAt(0).toString(16).toUpperCase()}`)
+}
+
+/**
+ * QR modules as a ^GFA graphic field, one bit per printer dot
+ */
+function zplGraphicField(modules, moduleDots) {
+  const { size, data } = modules
+  const widthDots = size * moduleDots
+  const bytesPerRow = Math.ceil(widthDots / 8)
+  const rows = []
+
+  for (let row = 0; row < size; row++) {
+    const bytes = Buffer.alloc(bytesPerRow)
+    for (let col = 0; col < size; col++) {
+      if (!data[row * size + col]) continue
+      for (let dot = col * moduleDots; dot < (col + 1) * moduleDots; dot++) {
+        bytes[dot >> 3] |= 0x80 >> (dot & 7)
+      }
+    }
+    const hex = bytes.toString('hex').toUpperCase()
+    for (let i = 0; i < moduleDots; i++) {
+      rows.push(hex)
+    }
+  }
+
+  const totalBytes = bytesPerRow * rows.length
+  return `^GFA,${totalBytes},${totalBytes},${bytesPerRow},${rows.join('')}`
+}
+
+/**
+ * Render one ZPL label per product for thermal roll printers
+ */
+function renderLabelZPL(labels, template, { dpi, copies, cropMarks }) {
+  const layout = layoutLabel(template)
+  const widthDots = mmToDots(template.labelWidth, dpi)
+  const heightDots = mmToDots(template.labelHeight, dpi)
+  const fontDots = Math.max(mmToDots((layout.fontSize / POINTS_PER_INCH) * MM_PER_INCH, dpi), 10)
+  const lineDots = Math.round(fontDots * 1.25)
+  const textX = mmToDots(layout.textX, dpi)
+  const textWidthDots = mmToDots(layout.textWidth, dpi)
+  // Font 0 averages a little over half its height per character
+  const maxChars = Math.max(Math.floor(textWidthDots / (fontDots * 0.55)), 4)
+  const markDots = mmToDots(LABEL_SHEET_CONFIG.cropMarkLength, dpi)
+  const markWeight = Math.max(Math.round(dpi / 150), 1)
+
+  const output = labels.map(label => {
+    const qr = planQRCode(label.modules.size, layout.qrBox, dpi)
+    const qrX = mmToDots(layout.padding + (layout.qrBox - qr.sizeMm) / 2 + qr.quietZoneMm, dpi)
+    const qrY = mmToDots((template.labelHeight - qr.sizeMm) / 2 + qr.quietZoneMm, dpi)
+    const textLines = labelLines(label)
+    const textTop = mmToDots(layout.padding, dpi) + Math.round((mmToDots(layout.textHeight, dpi) - lineDots * textLines.length) / 2)
+
+    const lines = [
+      '^XA',
+      '^CI28',
+      `^PW${widthDots}`,
+      `^LL${heightDots}`,
+      `^FO${qrX},${qrY}${zplGraphicField(label.modules, qr.moduleDots)}^FS`
+    ]
+
+    textLines.forEach((line, index) => {
+      const text = line.text && line.text.length > maxChars
+        ? `${line.text.slice(0, maxChars - 3)}...`
+        : line.text
+      lines.push(`^FO${textX},${textTop + index * lineDots}^A0N,${fontDots},${fontDots}^FH^FD${escapeZPL(text)}^FS`)
+    })
+
+    if (cropMarks) {
+      // A horizontal and a vertical bar at each corner
+      for (const [right, bottom] of [[false, false], [true, false], [false, true], [true, true]]) {
+        lines.push(`^FO${right ? widthDots - markDots : 0},${bottom ? heightDots - markWeight : 0}^GB${markDots},${markWeight},${markWeight}^FS`)
+        lines.push(`^FO${right ? widthDots - markWeight : 0},${bottom ? heightDots - markDots : 0}^GB${markWeight},${markDots},${markWeight}^FS`)
+      }
+    }
+
+    lines.push(`^PQ${copies}`, '^XZ')
+    return lines.join('\n')
+  })
+
+  return Buffer.from(`${output.join('\n')}\n`, 'utf8')
+}
+
+/**
+ * Build a printable label file for a list of products
+ */
+export async function buildLabelSheet(products, options = {}) {
+  const {
+    template: templateId = 'a4-21',
+    format = 'pdf',
+    dpi = 300,
+    copies = 1,
+    startPosition = 0,
+    cropMarks = true
+  } = options
+
+  const template = LABEL_TEMPLATES[templateId]
+  if (!template) {
+    throw new Error(`Unknown label template: ${templateId}`)
+  }
+
+  if (!LABEL_FORMATS[format]) {
+    throw new Error(`Unknown label format: ${format}`)
+  }
+
+  if (format === 'zpl' && template.media !== 'roll') {
+    throw new Error('ZPL output requires a roll label template')
+  }
+
+  if (!LABEL_DPI_OPTIONS.includes(dpi)) {
+    throw new Error(`DPI must be one of: ${LABEL_DPI_OPTIONS.join(', ')}`)
+  }
+
+  const labelCount = products.length * copies
+  if (labelCount > LABEL_SHEET_CONFIG.maxLabels) {
+    throw new Error(`Cannot print more than ${LABEL_SHEET_CONFIG.maxLabels} labels at once`)
+  }
+
+  const labels = await prepareLabels(products)
+  const filename = `labels-${templateId}-${new Date().toISOString().slice(0, 10)}.${LABEL_FORMATS[format].extension}`
+
+  if (format === 'zpl') {
+    // Thermal printers repeat each label themselves with ^PQ
+    return {
+      buffer: renderLabelZPL(labels, template, { dpi, copies, cropMarks }),
+      filename,
+      contentType: LABEL_FORMATS.zpl.contentType,
+      labelCount,
+      pageCount: labelCount
+    }
+  }
+
+  const perPage = template.media === 'roll' ? 1 : template.columns * template.rows
+  const { buffer, pageCount } = await renderLabelPDF(
+    labels.flatMap(label => Array(copies).fill(label)),
+    template,
+    { dpi, startPosition: Math.min(Math.max(startPosition, 0), perPage - 1), cropMarks }
+  )
+
+  return {
+    buffer,
+    filename,
+    contentType: LABEL_FORMATS.pdf.contentType,
+    labelCount,
+    pageCount
+  }
+}
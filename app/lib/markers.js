@@ -0,0 +1,74 @@
+// Authentication marker helpers shared by the factory editor and the public
+// product page. No server dependencies, so client components can import it.
+
+export const MARKER_TYPE_LABELS = {
+  color_dot: 'Color dot',
+  pattern: 'Pattern',
+  texture: 'Texture',
+  hologram: 'Hologram',
+  uv_mark: 'UV mark',
+  microprint: 'Microprint'
+}
+
+/**
+ * Markers in the order consumers check them: the saved order, then any
+ * markers added since in the order they were created
+ */
+export function sortMarkers(markers = []) {
+  const rank = (marker) => marker.sort_order ?? Number.MAX_SAFE_INTEGER
+  return [...markers].sort((a, b) =>
+    rank(a) - rank(b) || String(a.created_at || '').localeCompare(String(b.created_at || ''))
+  )
+}
+
+/**
+ * Normalised bounds of a marker's coordinates, or null when it has none.
+ * Points (no width/height) are reported with isPoint so they can be drawn as dots.
+ */
+export function markerBounds(coordinates) {
+  if (!coordinates || typeof coordinates.x !== 'number' || typeof coordinates.y !== 'number') {
+    return null
+  }
+
+  const clamp = (value) => Math.min(1, Math.max(0, value))
+  const x = clamp(coordinates.x)
+  const y = clamp(coordinates.y)
+  const width = clamp(coordinates.width || 0)
+  const height = clamp(coordinates.height || 0)
+
+  return {
+    x,
+    y,
+    width: Math.min(width, 1 - x),
+    height: Math.min(height, 1 - y),
+    isPoint: !width || !height
+  }
+}
+
+/**
+ * Centre of a marker in normalised image coordinates
+ */
+export function markerCenter(bounds) {
+  return {
+    x: bounds.x + bounds.width / 2,
+    y: bounds.y + bounds.height / 2
+  }
+}
+
+/**
+ * Index of the photo a marker is placed on. Markers saved before photos could be
+ * linked fall back to the primary (or first) photo.
+ */
+export function markerImageIndex(marker, images = []) {
+  if (images.length === 0) {
+    return -1
+  }
+
+  const linked = marker.image_id ? images.findIndex(image => image.id === marker.image_id) : -1
+  if (linked !== -1) {
+    return linked
+  }
+
+  const primary = images.findIndex(image => image.is_primary)
+  return primary !== -1 ? primary : 0
+}
@@ -0,0 +1,30 @@
+import { createClient } from './supabase'
+import { hasPermission } from './auth'
+
+const supabase = createClient()
+
+/**
+ * Load a product the user may act on with `permission`; admins reach every factory
+ * Returns { product } or { error, status }
+ */
+export async function authorizeProduct(user, productId, permission, columns = '*') {
+  if (!hasPermission(user, permission)) {
+    return { error: 'Insufficient permissions', status: 403 }
+  }
+
+  const { data: product, error } = await supabase
+    .from('products')
+    .select(columns)
+    .eq('id', productId)
+    .maybeSingle()
+
+  if (error || !product) {
+    return { error: 'Product not found', status: 404 }
+  }
+
+  if (user.profile.role !== 'admin' && user.profile.factory_id !== product.factory_id) {
+    return { error: 'Access denied to this product', status: 403 }
+  }
+
+  return { product }
+}
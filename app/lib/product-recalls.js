@@ -0,0 +1,157 @@
+import { createClient, getServiceClient } from './supabase'
+
+const supabase = createClient()
+
+export const RECALL_STATUSES = ['active', 'lifted']
+
+// Columns of the recall report (one row per recalled code)
+const RECALL_REPORT_COLUMNS = [
+  { key: 'qr_code', header: 'QR Code', width: 18 },
+  { key: 'product_name', header: 'Product', width: 30 },
+  { key: 'batch_id', header: 'Batch', width: 14 },
+  { key: 'manufacturing_date', header: 'Manufactured', width: 14 },
+  { key: 'previous_status', header: 'Status Before Recall', width: 18 },
+  { key: 'status', header: 'Current Status', width: 14 },
+  { key: 'scan_count', header: 'Scans', width: 8 },
+  { key: 'last_scanned_at', header: 'Last Scanned', type: 'date', width: 18 },
+  { key: 'last_city', header: 'Last City', width: 18 },
+  { key: 'last_country', header: 'Last Country', width: 14 }
+]
+
+/**
+ * Human-readable description of what a recall covers, e.g. "Batch B-12, made 2024-01-01 to 2024-01-31"
+ */
+export function describeRecallCriteria(recall) {
+  const parts = []
+  if (recall.batch_id) {
+    parts.push(`Batch ${recall.batch_id}`)
+  }
+  if (recall.manufactured_from && recall.manufactured_to) {
+    parts.push(`made ${recall.manufactured_from} to ${recall.manufactured_to}`)
+  } else if (recall.manufactured_from) {
+    parts.push(`made from ${recall.manufactured_from}`)
+  } else if (recall.manufactured_to) {
+    parts.push(`made until ${recall.manufactured_to}`)
+  }
+  return parts.join(', ')
+}
+
+/**
+ * Number of the factory's products a recall with these criteria would cover
+ */
+export async function countRecallProducts(factoryId, { batchId = null, manufacturedFrom = null, manufacturedTo = null }) {
+  let query = supabase
+    .from('products')
+    .select('id', { count: 'exact', head: true })
+    .eq('factory_id', factoryId)
+
+  if (batchId) query = query.eq('batch_id', batchId)
+  if (manufacturedFrom) query = query.gte('manufacturing_date', manufacturedFrom)
+  if (manufacturedTo) query = query.lte('manufacturing_date', manufacturedTo)
+
+  const { count, error } = await query
+
+  if (error) {
+    throw new Error(`Recall product count failed: ${error.message}`)
+  }
+
+  return count || 0
+}
+
+/**
+ * Recall the matching products in one transaction (see create_product_recall).
+ * Returns { recall } or { error, status }
+ */
+export async function createProductRecall({ factoryId, title, notice, action, batchId = null, manufacturedFrom = null, manufacturedTo = null, createdBy = null }) {
+  const { data: recall, error } = await getServiceClient().rpc('create_product_recall', {
+    p_factory_id: factoryId,
+    p_title: title,
+    p_notice: notice,
+    p_action: action,
+    p_batch_id: batchId,
+    p_manufactured_from: manufacturedFrom,
+    p_manufactured_to: manufacturedTo,
+    p_created_by: createdBy
+  })
+
+  if (error?.message?.includes('NO_MATCHING_PRODUCTS')) {
+    return { error: 'No products match this batch and date range', status: 422 }
+  }
+
+  if (error) {
+    throw new Error(`Product recall failed: ${error.message}`)
+  }
+
+  return { recall }
+}
+
+/**
+ * End an active recall; products it archived go back to their earlier status.
+ * Returns { recall } or { error, status }
+ */
+export async function liftProductRecall(recallId, { liftedBy = null, reason = null } = {}) {
+  const { data: recall, error } = await getServiceClient().rpc('lift_product_recall', {
+    p_recall_id: recallId,
+    p_lifted_by: liftedBy,
+    p_reason: reason
+  })
+
+  if (error?.message?.includes('RECALL_NOT_ACTIVE')) {
+    return { error: 'Recall is not active', status: 409 }
+  }
+
+  if (error) {
+    throw new Error(`Recall lift failed: ${error.message}`)
+  }
+
+  return { recall }
+}
+
+/**
+ * The newest active recall covering a product, or null; used by the public page,
+ * so lookup failures are logged rather than thrown
+ */
+export async function getActiveRecall(productId) {
+  const { data, error } = await supabase.rpc('active_product_recall', {
+    p_product_id: productId
+  })
+
+  if (error) {
+    console.error('Active recall lookup error:', error)
+    return null
+  }
+
+  return data?.[0] || null
+}
+
+/**
+ * Report of every code a recall covers and where each was last scanned, in the
+ * shape renderReport() expects
+ */
+export async function buildRecallReport(recall) {
+  const { data: rows, error } = await supabase.rpc('recall_scan_report', {
+    p_recall_id: recall.id
+  })
+
+  if (error) {
+    throw new Error(`Recall report failed: ${error.message}`)
+  }
+
+  const scannedRows = (rows || []).filter(row => row.scan_count > 0)
+  const countries = new Set(scannedRows.map(row => row.last_country).filter(Boolean))
+
+  return {
+    title: `Recall: ${recall.title}`,
+    subtitle: [describeRecallCriteria(recall), recall.action === 'archive' ? 'Products archived' : 'Products flagged'].join(' | '),
+    generatedAt: new Date().toISOString(),
+    columns: RECALL_REPORT_COLUMNS,
+    rows: rows || [],
+    summary: [
+      { label: 'Recalled codes', value: (rows || []).length },
+      { label: 'Codes scanned at least once', value: scannedRows.length },
+      { label: 'Countries last scanned in', value: countries.size },
+      { label: 'Recall status', value: recall.status },
+      { label: 'Recalled on', value: new Date(recall.created_at).toISOString().slice(0, 10) }
+    ]
+  }
+}
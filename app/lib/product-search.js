@@ -0,0 +1,76 @@
+import { createClient } from './supabase'
+
+const supabase = createClient()
+
+// Longest search text turned into a full-text query, in terms
+const MAX_QUERY_TERMS = 8
+
+/**
+ * Turn typed search text into a to_tsquery('simple', ...) expression where every
+ * term must match as a prefix, e.g. "Blue cs-7K" -> "blue:* & cs:* & 7k:*".
+ * Returns null when the text has nothing searchable.
+ */
+export function toPrefixQuery(text) {
+  const terms = String(text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .slice(0, MAX_QUERY_TERMS)
+
+  return terms.length > 0 ? terms.map(term => `${term}:*`).join(' & ') : null
+}
+
+/**
+ * Opaque position after `product` in newest-first order
+ */
+export function encodeCursor(product) {
+  return Buffer.from(JSON.stringify([product.created_at, product.id])).toString('base64url')
+}
+
+/**
+ * { createdAt, id } from a cursor, or null when it is malformed
+ */
+export function decodeCursor(cursor) {
+  try {
+    const [createdAt, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'))
+    if (typeof createdAt !== 'string' || isNaN(Date.parse(createdAt)) || !/^[0-9a-f-]{36}$/i.test(id)) {
+      return null
+    }
+    return { createdAt, id }
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * First day of a YYYY-MM month and of the month after it
+ */
+export function monthRange(month) {
+  const [year, monthIndex] = month.split('-').map(Number)
+  const next = monthIndex === 12 ? `${year + 1}-01` : `${year}-${String(monthIndex + 1).padStart(2, '0')}`
+  return { start: `${month}-01`, end: `${next}-01` }
+}
+
+/**
+ * Counts per status, type, factory and month for the products matching the
+ * search (see product_search_facets). `scopeFactoryId` limits non-admins to their factory.
+ */
+export async function getProductFacets({ scopeFactoryId = null, tsQuery = null, filters = {} }) {
+  const { data, error } = await supabase.rpc('product_search_facets', {
+    p_scope_factory_id: scopeFactoryId,
+    p_query: tsQuery,
+    p_factory_id: filters.factory_id || null,
+    p_status: filters.status || null,
+    p_product_type: filters.product_type || null,
+    p_month: filters.month || null,
+    p_batch_id: filters.batch_id || null,
+    p_date_from: filters.date_from || null,
+    p_date_to: filters.date_to || null
+  })
+
+  if (error) {
+    throw new Error(`Product facet lookup failed: ${error.message}`)
+  }
+
+  return data
+}
@@ -0,0 +1,133 @@
+import { createClient } from './supabase'
+import { PRODUCT_TRANSITIONS, checkTransition } from './product-workflow'
+
+const supabase = createClient()
+
+/**
+ * What a product still needs before it can be published
+ */
+async function findMissingContent(productId) {
+  const [images, markers] = await Promise.all([
+    supabase
+      .from('product_images')
+      .select('id', { count: 'exact', head: true })
+      .eq('product_id', productId),
+    supabase
+      .from('authentication_markers')
+      .select('id', { count: 'exact', head: true })
+      .eq('product_id', productId)
+  ])
+
+  if (images.error || markers.error) {
+    throw new Error(`Content check failed: ${(images.error || markers.error).message}`)
+  }
+
+  const missing = []
+  if (!images.count) {
+    missing.push('at least one image')
+  }
+  if (!markers.count) {
+    missing.push('at least one authentication marker')
+  }
+  return missing
+}
+
+/**
+ * Move a product through the approval workflow and audit the change.
+ * `actor` is { id, role, factoryId }; admins may act on any factory's products.
+ * Returns { product } or { error, status }
+ */
+export async function transitionProductStatus({ productId, action, actor, reason, metadata = {} }) {
+  const { data: product, error: productError } = await supabase
+    .from('products')
+    .select('id, factory_id, product_name, qr_code, status')
+    .eq('id', productId)
+    .maybeSingle()
+
+  if (productError || !product) {
+    return { error: 'Product not found', status: 404 }
+  }
+
+  if (actor.role !== 'admin' && actor.factoryId !== product.factory_id) {
+    return { error: 'Access denied to this product', status: 403 }
+  }
+
+  const ruleError = checkTransition({ status: product.status, action, role: actor.role, reason })
+  if (ruleError) {
+    return ruleError
+  }
+
+  const transition = PRODUCT_TRANSITIONS[action]
+
+  if (transition.requiresContent) {
+    const missing = await findMissingContent(product.id)
+    if (missing.length > 0) {
+      return { error: `Publishing requires ${missing.join(' and ')}`, status: 422 }
+    }
+  }
+
+  const now = new Date().toISOString()
+  const trimmedReason = reason?.trim() || null
+  const updates = { status: transition.to }
+
+  if (action === 'approve') {
+    Object.assign(updates, {
+      approved_by: actor.id,
+      approved_at: now,
+      rejected_by: null,
+      rejected_at: null,
+      rejection_reason: null
+    })
+  } else if (action === 'reject') {
+    Object.assign(updates, {
+      rejected_by: actor.id,
+      rejected_at: now,
+      rejection_reason: trimmedReason
+    })
+  } else if (transition.to === 'draft') {
+    // A product back in draft needs a fresh approval
+    Object.assign(updates, { approved_by: null, approved_at: null })
+  }
+
+  // Only update if nobody else moved the product in the meantime
+  const { data: updated, error: updateError } = await supabase
+    .from('products')
+    .update(updates)
+    .eq('id', product.id)
+    .eq('status', product.status)
+    .select()
+    .maybeSingle()
+
+  if (updateError) {
+    console.error('Product status update error:', updateError)
+    return { error: 'Failed to update product status', status: 500 }
+  }
+
+  if (!updated) {
+    return { error: 'Product status changed while you were editing; reload and try again', status: 409 }
+  }
+
+  const { error: auditError } = await supabase
+    .from('audit_logs')
+    .insert([{
+      event_type: 'product',
+      event_name: 'PRODUCT_STATUS_CHANGED',
+      user_id: actor.id,
+      resource_type: 'product',
+      resource_id: product.id,
+      metadata: {
+        action,
+        from_status: product.status,
+        to_status: transition.to,
+        reason: trimmedReason,
+        qr_code: product.qr_code,
+        ...metadata
+      }
+    }])
+
+  if (auditError) {
+    console.error('Product status audit log error:', auditError)
+  }
+
+  return { product: updated }
+}
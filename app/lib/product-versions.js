@@ -0,0 +1,101 @@
+import { createClient, getServiceClient } from './supabase'
+
+const supabase = createClient()
+
+/**
+ * A product's versions, newest first, with the name of whoever made each change
+ */
+export async function getProductVersions(productId, { limit = 20, offset = 0 } = {}) {
+  const { data: versions, error, count } = await supabase
+    .from('product_versions')
+    .select('id, version_number, snapshot, restored_from, created_by, created_at', { count: 'exact' })
+    .eq('product_id', productId)
+    .order('version_number', { ascending: false })
+    .range(offset, offset + limit - 1)
+
+  if (error) {
+    throw new Error(`Version lookup failed: ${error.message}`)
+  }
+
+  const userIds = [...new Set((versions || []).map(version => version.created_by).filter(Boolean))]
+  let names = new Map()
+  if (userIds.length > 0) {
+    const { data: profiles } = await supabase
+      .from('user_profiles')
+      .select('user_id, full_name')
+      .in('user_id', userIds)
+    names = new Map((profiles || []).map(profile => [profile.user_id, profile.full_name]))
+  }
+
+  return {
+    versions: (versions || []).map(version => ({
+      ...version,
+      created_by_name: names.get(version.created_by) || null
+    })),
+    total: count || 0
+  }
+}
+
+/**
+ * The snapshot a version number refers to, or null
+ */
+export async function getProductVersion(productId, versionNumber) {
+  const { data: version, error } = await supabase
+    .from('product_versions')
+    .select('id, version_number, snapshot, restored_from, created_by, created_at')
+    .eq('product_id', productId)
+    .eq('version_number', versionNumber)
+    .maybeSingle()
+
+  if (error) {
+    throw new Error(`Version lookup failed: ${error.message}`)
+  }
+
+  return version
+}
+
+/**
+ * Number of the product's current version; null before the first change is recorded
+ */
+export async function getLatestVersionNumber(productId) {
+  const { data, error } = await supabase
+    .from('product_versions')
+    .select('version_number')
+    .eq('product_id', productId)
+    .order('version_number', { ascending: false })
+    .limit(1)
+    .maybeSingle()
+
+  if (error) {
+    console.error('Latest version lookup error:', error)
+    return null
+  }
+
+  return data?.version_number ?? null
+}
+
+/**
+ * Put the product's fields, photos and markers back to an earlier version if the
+ * product is unchanged since the client read `expectedUpdatedAt`. Products that are
+ * not archived go back to draft, so the restored content is approved again.
+ * `actorId` is recorded as the author of the restored version.
+ * Returns { version } (null when the product already matched) or { error, status }
+ */
+export async function restoreProductVersion(productId, versionNumber, expectedUpdatedAt, actorId) {
+  const { data, error } = await getServiceClient().rpc('restore_product_version', {
+    p_product_id: productId,
+    p_version_number: versionNumber,
+    p_expected_updated_at: expectedUpdatedAt,
+    p_actor: actorId
+  })
+
+  if (error?.message?.includes('PRODUCT_CHANGED')) {
+    return { error: 'Product was changed by someone else; reload the history and try again', status: 409 }
+  }
+
+  if (error) {
+    throw new Error(`Version restore failed: ${error.message}`)
+  }
+
+  return { version: data }
+}
@@ -0,0 +1,105 @@
+// Product approval workflow. No server dependencies, so the products page can
+// offer only the actions the API will accept.
+
+const ALL_ROLES = ['admin', 'factory_manager', 'factory_operator']
+const APPROVER_ROLES = ['admin', 'factory_manager']
+
+// Allowed status changes: the statuses each action starts from, where it leads and who may take it
+export const PRODUCT_TRANSITIONS = {
+  submit: {
+    label: 'Submit for approval',
+    from: ['draft'],
+    to: 'pending',
+    roles: ALL_ROLES
+  },
+  withdraw: {
+    label: 'Withdraw',
+    from: ['pending'],
+    to: 'draft',
+    roles: ALL_ROLES
+  },
+  approve: {
+    label: 'Approve',
+    from: ['pending'],
+    to: 'approved',
+    roles: APPROVER_ROLES
+  },
+  reject: {
+    label: 'Reject',
+    from: ['pending'],
+    to: 'draft',
+    roles: APPROVER_ROLES,
+    requiresReason: true
+  },
+  publish: {
+    label: 'Publish',
+    from: ['approved'],
+    to: 'published',
+    roles: APPROVER_ROLES,
+    requiresContent: true // At least one image and one authentication marker
+  },
+  archive: {
+    label: 'Archive',
+    from: ['draft', 'pending', 'approved', 'published'],
+    to: 'archived',
+    roles: APPROVER_ROLES
+  },
+  restore: {
+    label: 'Restore to draft',
+    from: ['archived'],
+    to: 'draft',
+    roles: APPROVER_ROLES
+  }
+}
+
+export const STATUS_REASON_MAX_LENGTH = 500
+
+/**
+ * Actions the role can take on a product in the given status
+ */
+export function availableTransitions(status, role) {
+  return Object.entries(PRODUCT_TRANSITIONS)
+    .filter(([, transition]) => transition.from.includes(status) && transition.roles.includes(role))
+    .map(([action]) => action)
+}
+
+/**
+ * The action that moves a product between two statuses, if the workflow allows it.
+ * Where two actions share an edge (withdraw and reject), the first listed wins.
+ */
+export function findTransitionAction(from, to) {
+  const match = Object.entries(PRODUCT_TRANSITIONS)
+    .find(([, transition]) => transition.from.includes(from) && transition.to === to)
+
+  return match ? match[0] : null
+}
+
+/**
+ * Check an action against the workflow rules that need no database access
+ * Returns null when allowed, or { error, status }
+ */
+export function checkTransition({ status, action, role, reason }) {
+  const transition = PRODUCT_TRANSITIONS[action]
+  if (!transition) {
+    return { error: `Unknown action: ${action}`, status: 400 }
+  }
+
+  if (!transition.roles.includes(role)) {
+    return { error: `Your role cannot ${action} products`, status: 403 }
+  }
+
+  if (!transition.from.includes(status)) {
+    return { error: `Cannot ${action} a product that is ${status}`, status: 409 }
+  }
+
+  const trimmed = typeof reason === 'string' ? reason.trim() : ''
+  if (transition.requiresReason && !trimmed) {
+    return { error: 'A reason is required', status: 400 }
+  }
+
+  if (trimmed.length > STATUS_REASON_MAX_LENGTH) {
+    return { error: `Reason must be ${STATUS_REASON_MAX_LENGTH} characters or fewer`, status: 400 }
+  }
+
+  return null
+}
@@ -0,0 +1,221 @@
+// QR code formats. This module has no server dependencies so client forms
+// and server validators share the same rules.
+
+// Crockford base32: no I, L, O or U, so codes survive being read aloud and typed
+export const QR_CODE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ'
+
+export const QR_CODE_FORMATS = {
+  legacy: { label: 'Legacy (CS-123456)' },
+  base32: { label: 'Base32 with check character (CS-7K3M9QX2D)' }
+}
+
+export const QR_CODE_FORMAT_LIMITS = {
+  minLength: 6,
+  maxLength: 12,
+  prefixPattern: /^[A-Z][A-Z0-9]{1,5}$/
+}
+
+export const DEFAULT_QR_CODE_FORMAT = {
+  format: 'legacy',
+  prefix: 'CS',
+  length: 8 // Base32 characters before the check character
+}
+
+const LEGACY_CODE_REGEX = /^[A-Z][A-Z0-9]{1,5}-\d{6}$/
+const BASE32_CODE_REGEX = new RegExp(
+  `^[A-Z][A-Z0-9]{1,5}-[${QR_CODE_ALPHABET}]{${QR_CODE_FORMAT_LIMITS.minLength + 1},${QR_CODE_FORMAT_LIMITS.maxLength + 1}}$`
+)
+
+// Characters commonly typed in place of Crockford symbols
+const TYPO_MAP = { I: '1', L: '1', O: '0' }
+
+/**
+ * Merge format settings (system default first, factory override last),
+ * ignoring values that are not valid
+ */
+export function resolveQRCodeFormat(...layers) {
+  const config = { ...DEFAULT_QR_CODE_FORMAT }
+
+  for (const layer of layers) {
+    if (!layer) continue
+
+    if (QR_CODE_FORMATS[layer.format]) {
+      config.format = layer.format
+    }
+    if (typeof layer.prefix === 'string' && QR_CODE_FORMAT_LIMITS.prefixPattern.test(layer.prefix)) {
+      config.prefix = layer.prefix
+    }
+    const length = parseInt(layer.length)
+    if (length >= QR_CODE_FORMAT_LIMITS.minLength && length <= QR_CODE_FORMAT_LIMITS.maxLength) {
+      config.length = length
+    }
+  }
+
+  return config
+}
+
+/**
+ * Luhn mod 32 check character; catches every single-character typo and
+ * every swap of adjacent characters except 0 and Z
+ */
+export function computeCheckCharacter(body) {
+  let sum = 0
+  let factor = 2
+
+  for (let i = body.length - 1; i >= 0; i--) {
+    const addend = factor * QR_CODE_ALPHABET.indexOf(body[i])
+    sum += Math.floor(addend / 32) + (addend % 32)
+    factor = factor === 2 ? 1 : 2
+  }
+
+  return QR_CODE_ALPHABET[(32 - (sum % 32)) % 32]
+}
+
+/**
+ * Build a random code in the given format; `randomIndex(n)` returns an
+ * integer in [0, n) and should come from a CSPRNG
+ */
+export function generateQRCodeCandidate(config, randomIndex) {
+  if (config.format === 'legacy') {
+    return `${config.prefix}-${100000 + randomIndex(900000)}`
+  }
+
+  let body = ''
+  for (let i = 0; i < config.length; i++) {
+    body += QR_CODE_ALPHABET[randomIndex(32)]
+  }
+
+  return `${config.prefix}-${body}${computeCheckCharacter(body)}`
+}
+
+/**
+ * Check a code has a known shape and, for base32 codes, a valid check character
+ */
+export function validateQRCodeFormat(qrCode) {
+  if (typeof qrCode !== 'string') {
+    return false
+  }
+
+  if (LEGACY_CODE_REGEX.test(qrCode)) {
+    return true
+  }
+
+  if (!BASE32_CODE_REGEX.test(qrCode)) {
+    return false
+  }
+
+  const value = qrCode.slice(qrCode.indexOf('-') + 1)
+  return computeCheckCharacter(value.slice(0, -1)) === value.slice(-1)
+}
+
+/**
+ * Possible canonical readings of a typed code: separators and spaces removed,
+ * I/L/O read as 1/0, and the prefix split off where a separator marks it (or
+ * at each possible prefix length when none was typed)
+ */
+function readTypedCode(cleaned) {
+  const compact = cleaned.replace(/[\s\-_.]/g, '')
+  const separator = cleaned.search(/[\s\-_.]/)
+  const prefixLengths = separator > 0 ? [separator] : [2, 3, 4, 5, 6]
+
+  return prefixLengths.map(prefixLength =>
+    `${compact.slice(0, prefixLength)}-${compact.slice(prefixLength).replace(/[ILO]/g, char => TYPO_MAP[char])}`
+  )
+}
+
+/**
+ * Turn a code as a person typed it into its canonical form
+ * Returns the input upper-cased when no valid reading is found
+ */
+export function normalizeQRCode(input) {
+  if (typeof input !== 'string') {
+    return ''
+  }
+
+  const cleaned = input.trim().toUpperCase()
+  if (validateQRCodeFormat(cleaned)) {
+    return cleaned
+  }
+
+  return readTypedCode(cleaned).find(validateQRCodeFormat) || cleaned
+}
+
+// Extract QR code from verification URL
+export function extractQRCodeFromURL(url) {
+  return extractQRPayloadFromURL(url)?.qrCode || null
+}
+
+// Extract QR code and signed token from verification URL
+export function extractQRPayloadFromURL(url) {
+  try {
+    const urlObj = new URL(url)
+    const pathParts = urlObj.pathname.split('/')
+    
+    // Expected format: /product/<code>[?t=<token>]
+    // Legacy labels carry no token and still resolve
+    if (pathParts.length >= 3 && pathParts[1] === 'product') {
+      const qrCode = normalizeQRCode(decodeURIComponent(pathParts[2]))
+      
+      if (validateQRCodeFormat(qrCode)) {
+        return {
+          qrCode,
+          token: urlObj.searchParams.get('t') || null
+        }
+      }
+    }
+    
+    return null
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Explain why a typed code is not valid, or return null when it is
+ */
+export function describeQRCodeError(input) {
+  const cleaned = typeof input === 'string' ? input.trim() : ''
+  if (!cleaned) {
+    return 'Enter the code printed next to the QR symbol'
+  }
+
+  if (!/^[A-Za-z0-9\s\-_.]+$/.test(cleaned)) {
+    return 'Codes only contain letters, numbers and dashes'
+  }
+
+  if (validateQRCodeFormat(normalizeQRCode(cleaned))) {
+    return null
+  }
+
+  // Right shape but wrong check character: almost certainly a typo
+  if (readTypedCode(cleaned.toUpperCase()).some(reading => BASE32_CODE_REGEX.test(reading))) {
+    return 'This code contains a typo. Check each character against the label'
+  }
+
+  return `Codes look like ${describeQRCodeFormat()} or ${formatQRCodeForDisplay(describeQRCodeFormat({ ...DEFAULT_QR_CODE_FORMAT, format: 'base32' }))}`
+}
+
+/**
+ * Group a code for printing next to the QR symbol so it is easier to type
+ * e.g. CS-7K3M9QX2D -> CS-7K3M-9QX2-D
+ */
+export function formatQRCodeForDisplay(qrCode) {
+  if (!validateQRCodeFormat(qrCode) || LEGACY_CODE_REGEX.test(qrCode)) {
+    return qrCode
+  }
+
+  const separator = qrCode.indexOf('-')
+  return [qrCode.slice(0, separator), ...qrCode.slice(separator + 1).match(/.{1,4}/g)].join('-')
+}
+
+/**
+ * Example code for help text and error messages
+ */
+export function describeQRCodeFormat(config = DEFAULT_QR_CODE_FORMAT) {
+  if (config.format === 'legacy') {
+    return `${config.prefix}-123456`
+  }
+
+  const body = '7K3M9QX2T6VB'.slice(0, config.length)
+  return `${config.prefix}-${body}${computeCheckCharacter(body)}`
+}
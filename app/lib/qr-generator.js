@@ -1,5 +1,16 @@
 import QRCode from 'qrcode'
+import sharp from 'sharp'
+import { randomInt } from 'crypto'
 import { createClient } from './supabase'
+import { signQRPayload } from './qr-signing'
+import { verifyQRImage, mapQRCodewords, countDamagedCodewords } from './qr-verification'
+import {
+  resolveQRCodeFormat,
+  generateQRCodeCandidate,
+  validateQRCodeFormat,
+  extractQRCodeFromURL,
+  extractQRPayloadFromURL
+} from './qr-code-format'
 
 const supabase = createClient()
 
@@ -8,7 +19,7 @@ const QR_CONFIG = {
   errorCorrectionLevel: 'M', // Medium error correction
   type: 'image/png',
   quality: 0.92,
-  margin: 2,
+  margin: 4, // Full quiet zone (ISO/IEC 18004), so scan checks pass by default
   color: {
     dark: '#000000',
     light: '#FFFFFF'
@@ -16,45 +27,177 @@ const QR_CONFIG = {
   width: 256 // Default size
 }
 
-// Generate unique QR code with format CS-XXXXXX
-export async function generateUniqueQRCode() {
-  const maxAttempts = 100
-  let attempts = 0
-  
-  while (attempts < maxAttempts) {
-    // Generate 6-digit random number
-    const randomNum = Math.floor(Math.random() * 900000) + 100000
-    const qrCode = `CS-${randomNum}`
-    
-    // Check if QR code already exists
-    const { data, error } = await supabase
-      .from('products')
-      .select('qr_code')
-      .eq('qr_code', qrCode)
-      .single()
-    
-    if (error && error.code === 'PGRST116') {
-      // No matching row found - QR code is unique
-      return qrCode
-    }
-    
+// Logo embedding limits
+export const LOGO_CONFIG = {
+  bucket: 'factory-logos',
+  maxSize: 0.3, // Largest logo side as a share of the symbol side
+  minModules: 5,
+  capacityShare: 0.6, // Share of each block's error correction the logo may use; the rest absorbs print and scan damage
+  padding: 1 // Light modules around the logo
+}
+
+// Candidate codes checked per uniqueness query
+const UNIQUENESS_CHECK_CHUNK = 200
+
+const QR_FORMAT_SETTINGS_CACHE_MS = 60 * 1000
+let formatSettingsCache = null
+
+// System-wide code format; the older `qr_code_prefix` setting still supplies the prefix
+async function getSystemQRCodeFormat() {
+  if (formatSettingsCache && Date.now() - formatSettingsCache.loadedAt < QR_FORMAT_SETTINGS_CACHE_MS) {
+    return formatSettingsCache.format
+  }
+
+  const { data, error } = await supabase
+    .from('system_settings')
+    .select('key, value')
+    .in('key', ['qr_code_format', 'qr_code_prefix'])
+
+  if (error) {
+    throw new Error(`Failed to load QR code format: ${error.message}`)
+  }
+
+  const settings = Object.fromEntries((data || []).map(row => [row.key, row.value]))
+  const format = resolveQRCodeFormat(
+    typeof settings.qr_code_prefix === 'string' ? { prefix: settings.qr_code_prefix } : null,
+    settings.qr_code_format
+  )
+
+  formatSettingsCache = { format, loadedAt: Date.now() }
+  return format
+}
+
+// Code format for a factory: the system format with the factory's overrides applied
+export async function getQRCodeFormat(factoryId = null) {
+  const systemFormat = await getSystemQRCodeFormat()
+  if (!factoryId) {
+    return systemFormat
+  }
+
+  const { data: factory, error } = await supabase
+    .from('factories')
+    .select('settings')
+    .eq('id', factoryId)
+    .single()
+
+  if (error) {
+    throw new Error(`Factory lookup failed: ${error.message}`)
+  }
+
+  return resolveQRCodeFormat(systemFormat, factory?.settings?.qr_code_format)
+}
+
+// Store a factory's code format override in factories.settings; null clears it
+export async function saveFactoryQRCodeFormat(factoryId, format, userId) {
+  const { data: factory, error: factoryError } = await supabase
+    .from('factories')
+    .select('settings')
+    .eq('id', factoryId)
+    .single()
+
+  if (factoryError) {
+    throw new Error(`Factory lookup failed: ${factoryError.message}`)
+  }
+
+  const { qr_code_format: previous, ...rest } = factory.settings || {}
+  const settings = format
+    ? {
+        ...rest,
+        qr_code_format: {
+          ...format,
+          updated_at: new Date().toISOString(),
+          updated_by: userId
+        }
+      }
+    : rest
+
+  const { error: updateError } = await supabase
+    .from('factories')
+    .update({ settings })
+    .eq('id', factoryId)
+
+  if (updateError) {
+    throw new Error(`Factory settings update failed: ${updateError.message}`)
+  }
+
+  return { previous: previous || null, current: settings.qr_code_format || null }
+}
+
+// Codes already used by a product or reserved in a pool
+async function findTakenQRCodes(candidates) {
+  const taken = new Set()
+
+  for (let i = 0; i < candidates.length; i += UNIQUENESS_CHECK_CHUNK) {
+    const chunk = candidates.slice(i, i + UNIQUENESS_CHECK_CHUNK)
+
+    const [products, reservations] = await Promise.all([
+      supabase.from('products').select('qr_code').in('qr_code', chunk),
+      supabase.from('qr_code_reservations').select('qr_code').in('qr_code', chunk)
+    ])
+
+    const error = products.error || reservations.error
     if (error) {
       throw new Error(`Database error checking QR code uniqueness: ${error.message}`)
     }
-    
-    attempts++
+
+    for (const row of [...products.data, ...reservations.data]) {
+      taken.add(row.qr_code)
+    }
   }
-  
-  throw new Error(`Unable to generate unique QR code after ${maxAttempts} attempts`)
+
+  return taken
+}
+
+// Generate `count` unique QR codes in the factory's format, checking candidates in bulk
+export async function generateUniqueQRCodes(count, { factoryId = null } = {}) {
+  const maxRounds = 10
+  const codes = new Set()
+  const format = await getQRCodeFormat(factoryId)
+
+  for (let round = 0; round < maxRounds && codes.size < count; round++) {
+    const candidates = new Set()
+    while (candidates.size < count - codes.size) {
+      const qrCode = generateQRCodeCandidate(format, randomInt)
+      if (!codes.has(qrCode)) {
+        candidates.add(qrCode)
+      }
+    }
+
+    const taken = await findTakenQRCodes([...candidates])
+    for (const qrCode of candidates) {
+      if (!taken.has(qrCode)) {
+        codes.add(qrCode)
+      }
+    }
+  }
+
+  if (codes.size < count) {
+    throw new Error(`Unable to generate ${count} unique QR codes after ${maxRounds} rounds`)
+  }
+
+  return [...codes]
+}
+
+// Generate a unique QR code in the factory's format
+export async function generateUniqueQRCode(options = {}) {
+  const [qrCode] = await generateUniqueQRCodes(1, options)
+  return qrCode
+}
+
+// Build the verification page URL, carrying the signed token when present
+export function buildVerificationURL(qrCode, token = null) {
+  const baseURL = `${process.env.NEXT_PUBLIC_APP_URL || 'https://confirmsure.com'}/product/${qrCode}`
+  return token ? `${baseURL}?t=${encodeURIComponent(token)}` : baseURL
 }
 
 // Generate QR code image data URL
 export async function generateQRCodeImage(qrCode, options = {}) {
   try {
-    const config = { ...QR_CONFIG, ...options }
+    const { token, ...qrOptions } = options
+    const config = { ...QR_CONFIG, ...qrOptions }
     
     // The QR code will link to the product verification page
-    const verificationURL = `${process.env.NEXT_PUBLIC_APP_URL || 'https://confirmsure.com'}/product/${qrCode}`
+    const verificationURL = buildVerificationURL(qrCode, token)
     
     // Generate QR code as data URL
     const qrDataURL = await QRCode.toDataURL(verificationURL, config)
@@ -70,62 +213,169 @@ export async function generateQRCodeImage(qrCode, options = {}) {
   }
 }
 
-// Generate QR code with custom logo
-export async function generateQRCodeWithLogo(qrCode, logoPath, options = {}) {
+/**
+ * Logo box sizes (in modules, centred) whose covered codewords stay within
+ * the error correction budget of every block, largest first
+ */
+function getLogoSizes(qr) {
+  const { size } = qr.modules
+  const codewordMap = mapQRCodewords(qr)
+  const budget = Math.floor(codewordMap.correctablePerBlock * LOGO_CONFIG.capacityShare)
+  const sizes = []
+
+  // Same parity as the symbol so the box sits exactly in the centre
+  let boxSize = Math.floor(size * LOGO_CONFIG.maxSize)
+  if (boxSize % 2 !== size % 2) boxSize--
+
+  for (; boxSize >= LOGO_CONFIG.minModules; boxSize -= 2) {
+    const offset = (size - boxSize) / 2
+    const damage = countDamagedCodewords(qr, { x: offset, y: offset, size: boxSize }, codewordMap)
+    if (damage.worstBlock <= budget) {
+      sizes.push(boxSize)
+    }
+  }
+
+  return sizes
+}
+
+/**
+ * Paint a light box over the centre of the code and place the logo inside it
+ */
+async function compositeLogo(qrBuffer, logoBuffer, { boxSize, symbolSize, margin, scale, lightColor }) {
+  const boxPixels = boxSize * scale
+  const paddingPixels = LOGO_CONFIG.padding * scale
+  const offset = (margin + (symbolSize - boxSize) / 2) * scale
+
+  const background = await sharp({
+    create: { width: boxPixels, height: boxPixels, channels: 4, background: lightColor }
+  }).png().toBuffer()
+
+  const logo = await sharp(logoBuffer)
+    .resize(boxPixels - paddingPixels * 2, boxPixels - paddingPixels * 2, {
+      fit: 'contain',
+      background: { r: 0, g: 0, b: 0, alpha: 0 }
+    })
+    .png()
+    .toBuffer()
+
+  return await sharp(qrBuffer)
+    .composite([
+      { input: background, left: offset, top: offset },
+      { input: logo, left: offset + paddingPixels, top: offset + paddingPixels }
+    ])
+    .png()
+    .toBuffer()
+}
+
+// Widen the quiet zone so a whole-pixel render fills the requested width
+async function padToWidth(buffer, renderedSize, width, lightColor) {
+  if (renderedSize >= width) {
+    return buffer
+  }
+
+  const before = Math.floor((width - renderedSize) / 2)
+  const after = width - renderedSize - before
+
+  return await sharp(buffer)
+    .extend({ top: before, bottom: after, left: before, right: after, background: lightColor })
+    .png()
+    .toBuffer()
+}
+
+// Generate QR code with a logo in the centre, `width` pixels square (or larger
+// when the code needs more than one pixel per module at that width)
+// `logo` is an image buffer or a path in the factory logo bucket
+export async function generateQRCodeWithLogo(qrCode, logo, options = {}) {
   try {
+    const { token, ...qrOptions } = options
     const config = {
       ...QR_CONFIG,
-      ...options,
+      ...qrOptions,
       errorCorrectionLevel: 'H' // High error correction for logo overlay
     }
     
-    const verificationURL = `${process.env.NEXT_PUBLIC_APP_URL || 'https://confirmsure.com'}/product/${qrCode}`
+    const verificationURL = buildVerificationURL(qrCode, token)
+    const qr = QRCode.create(verificationURL, { errorCorrectionLevel: config.errorCorrectionLevel })
+
+    // Whole pixels per module so the logo box lines up with the module grid
+    const scale = Math.max(Math.floor(config.width / (qr.modules.size + config.margin * 2)), 1)
+    const { width, ...renderConfig } = config
     
-    // Generate base QR code
+    // Generate base QR code, pinned to the analysed version and mask
     const qrBuffer = await QRCode.toBuffer(verificationURL, {
-      ...config,
-      type: 'png'
+      ...renderConfig,
+      type: 'png',
+      scale,
+      version: qr.version,
+      maskPattern: qr.maskPattern
     })
+    const renderedSize = (qr.modules.size + config.margin * 2) * scale
+    const size = Math.max(renderedSize, width)
+
+    const plainResult = async (extra = {}) => ({
+      dataURL: `data:image/png;base64,${(await padToWidth(qrBuffer, renderedSize, width, config.color.light)).toString('base64')}`,
+      verificationURL,
+      format: 'png',
+      size,
+      hasLogo: false,
+      ...extra
+    })
+
+    const logoBuffer = typeof logo === 'string' ? await downloadLogo(logo) : logo
     
     // If no logo provided, return basic QR code
-    if (!logoPath) {
-      const dataURL = `data:image/png;base64,${qrBuffer.toString('base64')}`
-      return {
-        dataURL,
-        verificationURL,
-        format: 'png',
-        size: config.width
-      }
+    if (!logoBuffer) {
+      return await plainResult()
     }
     
-    // This would require additional image processing with Sharp
-    // For now, returning basic QR code
-    const dataURL = `data:image/png;base64,${qrBuffer.toString('base64')}`
-    
-    return {
-      dataURL,
-      verificationURL,
-      format: 'png',
-      size: config.width,
-      hasLogo: false
+    // Try the largest logo the error correction budget allows, shrinking
+    // until the composited code still decodes to the same URL
+    for (const boxSize of getLogoSizes(qr)) {
+      const composited = await compositeLogo(qrBuffer, logoBuffer, {
+        boxSize,
+        symbolSize: qr.modules.size,
+        margin: config.margin,
+        scale,
+        lightColor: config.color.light
+      })
+
+      const check = await verifyQRImage(composited, verificationURL)
+      if (check.matches) {
+        const padded = await padToWidth(composited, renderedSize, width, config.color.light)
+        return {
+          dataURL: `data:image/png;base64,${padded.toString('base64')}`,
+          verificationURL,
+          format: 'png',
+          size,
+          hasLogo: true,
+          logo: {
+            modules: boxSize,
+            coverage: Number(((boxSize * boxSize) / (qr.modules.size * qr.modules.size)).toFixed(3)),
+            decodeVerified: true
+          }
+        }
+      }
     }
+    
+    return await plainResult({ logoWarning: 'Logo could not be embedded without breaking decoding' })
   } catch (error) {
     throw new Error(`QR code with logo generation failed: ${error.message}`)
   }
 }
 
-// Generate multiple QR codes for batch operations
+// Generate multiple QR codes for batch operations, in `factoryId`'s code format
 export async function generateBatchQRCodes(count, options = {}) {
   try {
     if (count > 1000) {
       throw new Error('Batch size cannot exceed 1000 QR codes')
     }
     
+    const { factoryId = null, ...imageOptions } = options
     const qrCodes = []
-    const config = { ...QR_CONFIG, ...options }
+    const config = { ...QR_CONFIG, ...imageOptions }
+    const uniqueCodes = await generateUniqueQRCodes(count, { factoryId })
     
-    for (let i = 0; i < count; i++) {
-      const qrCode = await generateUniqueQRCode()
+    for (const [i, qrCode] of uniqueCodes.entries()) {
       const qrImage = await generateQRCodeImage(qrCode, config)
       
       qrCodes.push({
@@ -141,43 +391,68 @@ export async function generateBatchQRCodes(count, options = {}) {
   }
 }
 
-// Validate QR code format
-export function validateQRCodeFormat(qrCode) {
-  const qrCodeRegex = /^CS-\d{6}$/
-  return qrCodeRegex.test(qrCode)
+// Validation and URL parsing live in the client-safe format module
+export { validateQRCodeFormat, extractQRCodeFromURL, extractQRPayloadFromURL }
+
+// Build the signed verification URL for an existing product, or for a
+// reserved code (no `id`) that is printed before its product exists
+export async function buildSignedVerificationURL(product) {
+  const signature = await signQRPayload({
+    qrCode: product.qr_code,
+    productId: product.id,
+    factoryId: product.factory_id
+  })
+
+  return {
+    verificationURL: buildVerificationURL(product.qr_code, signature.token),
+    signature
+  }
 }
 
-// Extract QR code from verification URL
-export function extractQRCodeFromURL(url) {
-  try {
-    const urlObj = new URL(url)
-    const pathParts = urlObj.pathname.split('/')
-    
-    // Expected format: /product/CS-XXXXXX
-    if (pathParts.length >= 3 && pathParts[1] === 'product') {
-      const qrCode = pathParts[2]
-      
-      if (validateQRCodeFormat(qrCode)) {
-        return qrCode
-      }
+// Generate QR code image carrying a signed payload for an existing product
+// Pass `logo` (a buffer or factory logo path) to embed a logo
+export async function generateSignedQRCodeImage(product, options = {}) {
+  const { logo, ...qrOptions } = options
+  const signature = await signQRPayload({
+    qrCode: product.qr_code,
+    productId: product.id,
+    factoryId: product.factory_id
+  })
+
+  const qrImage = logo
+    ? await generateQRCodeWithLogo(product.qr_code, logo, { ...qrOptions, token: signature.token })
+    : await generateQRCodeImage(product.qr_code, { ...qrOptions, token: signature.token })
+
+  return {
+    ...qrImage,
+    signature: {
+      keyId: signature.keyId,
+      issuedAt: signature.issuedAt
     }
-    
-    return null
-  } catch (error) {
-    return null
   }
 }
 
-// Generate QR code for printing (higher resolution)
+// Generate QR code for printing at a physical size and printer resolution
 export async function generatePrintableQRCode(qrCode, options = {}) {
+  const { sizeMm = 20, dpi = 300, ...qrOptions } = options
   const printConfig = {
     ...QR_CONFIG,
-    width: 512, // Higher resolution for printing
-    margin: 4, // Larger margin for printing
-    ...options
+    margin: 4, // Full quiet zone for printing
+    ...qrOptions,
+    width: Math.round((sizeMm / 25.4) * dpi)
   }
   
-  return await generateQRCodeImage(qrCode, printConfig)
+  const qrImage = await generateQRCodeImage(qrCode, printConfig)
+
+  return {
+    ...qrImage,
+    printSpecs: {
+      sizeMm,
+      dpi,
+      pixels: printConfig.width,
+      format: 'PNG'
+    }
+  }
 }
 
 // Generate QR code with custom styling
@@ -189,7 +464,7 @@ export async function generateStyledQRCode(qrCode, style = {}) {
       light: style.lightColor || '#FFFFFF'
     },
     width: style.size || 256,
-    margin: style.margin || 2,
+    margin: style.margin ?? QR_CONFIG.margin,
     ...style
   }
   
@@ -199,8 +474,9 @@ export async function generateStyledQRCode(qrCode, style = {}) {
 // Generate QR code as SVG (vector format)
 export async function generateQRCodeSVG(qrCode, options = {}) {
   try {
-    const config = { ...QR_CONFIG, ...options }
-    const verificationURL = `${process.env.NEXT_PUBLIC_APP_URL || 'https://confirmsure.com'}/product/${qrCode}`
+    const { token, ...qrOptions } = options
+    const config = { ...QR_CONFIG, ...qrOptions }
+    const verificationURL = buildVerificationURL(qrCode, token)
     
     const svgString = await QRCode.toString(verificationURL, {
       type: 'svg',
@@ -258,6 +534,115 @@ export async function saveQRCodeToStorage(qrCode, imageData, bucket = 'qr-codes'
   }
 }
 
+// Download a logo from the factory logo bucket
+async function downloadLogo(path) {
+  const { data, error } = await supabase.storage
+    .from(LOGO_CONFIG.bucket)
+    .download(path)
+
+  if (error) {
+    throw new Error(`Logo download failed: ${error.message}`)
+  }
+
+  return Buffer.from(await data.arrayBuffer())
+}
+
+// Load the QR logo configured in a factory's settings, if any
+export async function getFactoryLogo(factoryId) {
+  const { data: factory, error } = await supabase
+    .from('factories')
+    .select('settings')
+    .eq('id', factoryId)
+    .single()
+
+  if (error) {
+    throw new Error(`Factory lookup failed: ${error.message}`)
+  }
+
+  const path = factory?.settings?.qr_logo?.path
+  return path ? await downloadLogo(path) : null
+}
+
+// Store a factory's QR logo (normalised to PNG) and record it in factories.settings
+export async function saveFactoryLogo(factoryId, buffer, userId) {
+  const { data: factory, error: factoryError } = await supabase
+    .from('factories')
+    .select('settings')
+    .eq('id', factoryId)
+    .single()
+
+  if (factoryError) {
+    throw new Error(`Factory lookup failed: ${factoryError.message}`)
+  }
+
+  // Keep transparency; the logo is scaled down to a fraction of the code anyway
+  const logo = await sharp(buffer)
+    .rotate()
+    .resize(512, 512, { fit: 'inside', withoutEnlargement: true })
+    .png()
+    .toBuffer()
+
+  const path = `${factoryId}/qr-logo.png`
+  const { error: uploadError } = await supabase.storage
+    .from(LOGO_CONFIG.bucket)
+    .upload(path, logo, { contentType: 'image/png', upsert: true })
+
+  if (uploadError) {
+    throw new Error(`Logo upload failed: ${uploadError.message}`)
+  }
+
+  const settings = {
+    ...(factory.settings || {}),
+    qr_logo: {
+      path,
+      updated_at: new Date().toISOString(),
+      updated_by: userId
+    }
+  }
+
+  const { error: updateError } = await supabase
+    .from('factories')
+    .update({ settings })
+    .eq('id', factoryId)
+
+  if (updateError) {
+    throw new Error(`Factory settings update failed: ${updateError.message}`)
+  }
+
+  return { buffer: logo, settings: settings.qr_logo }
+}
+
+// Remove a factory's QR logo from storage and settings
+export async function removeFactoryLogo(factoryId) {
+  const { data: factory, error: factoryError } = await supabase
+    .from('factories')
+    .select('settings')
+    .eq('id', factoryId)
+    .single()
+
+  if (factoryError) {
+    throw new Error(`Factory lookup failed: ${factoryError.message}`)
+  }
+
+  const { qr_logo: logo, ...settings } = factory.settings || {}
+  if (!logo) {
+    return false
+  }
+
+  await supabase.storage.from(LOGO_CONFIG.bucket).remove([logo.path])
+
+  const { error: updateError } = await supabase
+    .from('factories')
+    .update({ settings })
+    .eq('id', factoryId)
+
+  if (updateError) {
+    throw new Error(`Factory settings update failed: ${updateError.message}`)
+  }
+
+  return true
+}
+
 // Verify QR code exists in database
 export async function verifyQRCodeExists(qrCode) {
   try {
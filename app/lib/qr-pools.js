@@ -0,0 +1,182 @@
+import { createClient, getServiceClient } from './supabase'
+import { generateUniqueQRCode, generateUniqueQRCodes } from './qr-generator'
+import { normalizeQRCode, validateQRCodeFormat } from './qr-code-format'
+
+const supabase = createClient()
+
+// QR code pool limits
+export const QR_POOL_CONFIG = {
+  maxCodesPerPool: 10000,
+  maxNameLength: 100,
+  reserveAttempts: 3 // Fresh candidates are drawn when another request took one first
+}
+
+export const QR_POOL_STATUSES = ['active', 'exhausted', 'voided']
+
+export const QR_RESERVATION_STATUSES = ['available', 'assigned', 'voided']
+
+/**
+ * Reserve `count` codes in the factory's format; the pool and all its codes
+ * are written in one transaction, so a collision reserves nothing
+ */
+export async function reserveQRCodePool({ factoryId, count, name, createdBy = null }) {
+  for (let attempt = 1; attempt <= QR_POOL_CONFIG.reserveAttempts; attempt++) {
+    const codes = await generateUniqueQRCodes(count, { factoryId })
+
+    const { data: pool, error } = await getServiceClient().rpc('reserve_qr_codes', {
+      p_factory_id: factoryId,
+      p_codes: codes,
+      p_name: name,
+      p_created_by: createdBy
+    })
+
+    if (!error) {
+      return pool
+    }
+
+    // 23505: unique_violation
+    if (error.code !== '23505') {
+      throw new Error(`QR code reservation failed: ${error.message}`)
+    }
+  }
+
+  throw new Error(`QR code reservation failed: codes kept colliding after ${QR_POOL_CONFIG.reserveAttempts} attempts`)
+}
+
+export async function getReservation(qrCode) {
+  const { data, error } = await supabase
+    .from('qr_code_reservations')
+    .select('*, qr_code_pools(id, name, status)')
+    .eq('qr_code', qrCode)
+    .maybeSingle()
+
+  if (error) {
+    throw new Error(`QR reservation lookup failed: ${error.message}`)
+  }
+
+  return data
+}
+
+/**
+ * Claim a reserved code for a new product: a specific code, or the next one in a pool
+ */
+export async function claimReservedQRCode({ factoryId, qrCode = null, poolId = null }) {
+  const { data: reservation, error } = await getServiceClient().rpc('claim_reserved_qr_code', {
+    p_factory_id: factoryId,
+    p_qr_code: qrCode,
+    p_pool_id: poolId
+  })
+
+  if (error) {
+    throw new Error(`QR code claim failed: ${error.message}`)
+  }
+
+  // An empty claim comes back as a row of nulls
+  return reservation?.qr_code ? reservation : null
+}
+
+/**
+ * Explain why a reservation could not be claimed
+ */
+function describeUnclaimable(reservation, factoryId) {
+  if (reservation.factory_id !== factoryId) {
+    return 'QR code is reserved for another factory'
+  }
+  if (reservation.status === 'assigned') {
+    return 'QR code is already assigned to a product'
+  }
+  if (reservation.status === 'voided') {
+    return 'QR code has been voided'
+  }
+  if (reservation.qr_code_pools?.status === 'voided') {
+    return 'QR code pool has been voided'
+  }
+  return 'QR code is not available'
+}
+
+/**
+ * Pick the QR code for a product being created
+ * - poolId: take the pool's next available code
+ * - qrCode: claim it if reserved (e.g. scanned from a pre-printed label);
+ *   unreserved codes are only accepted when requireReservation is false
+ * - neither: generate a fresh code
+ * Returns { qrCode, reservation } or { error, status }
+ */
+export async function resolveProductQRCode({ factoryId, qrCode = null, poolId = null, requireReservation = false }) {
+  if (poolId) {
+    const reservation = await claimReservedQRCode({ factoryId, poolId })
+    if (!reservation) {
+      return { error: 'QR code pool has no available codes', status: 409 }
+    }
+    return { qrCode: reservation.qr_code, reservation }
+  }
+
+  if (!qrCode) {
+    return { qrCode: await generateUniqueQRCode({ factoryId }), reservation: null }
+  }
+
+  // Codes may have been typed from a label
+  qrCode = normalizeQRCode(qrCode)
+  if (!validateQRCodeFormat(qrCode)) {
+    return { error: 'Invalid QR code format', status: 400 }
+  }
+
+  const reservation = await claimReservedQRCode({ factoryId, qrCode })
+  if (reservation) {
+    return { qrCode, reservation }
+  }
+
+  const existing = await getReservation(qrCode)
+  if (existing) {
+    return { error: describeUnclaimable(existing, factoryId), status: 409 }
+  }
+
+  if (requireReservation) {
+    return { error: 'QR code is not reserved for this factory', status: 409 }
+  }
+
+  return { qrCode, reservation: null }
+}
+
+/**
+ * Record the product a claimed code now belongs to
+ */
+export async function bindReservation(qrCode, productId) {
+  const { error } = await getServiceClient().rpc('bind_qr_code_reservation', {
+    p_qr_code: qrCode,
+    p_product_id: productId
+  })
+
+  if (error) {
+    throw new Error(`QR reservation binding failed: ${error.message}`)
+  }
+}
+
+/**
+ * Return a claimed code to its pool when the product could not be created
+ */
+export async function releaseReservation(qrCode) {
+  const { error } = await getServiceClient().rpc('release_qr_code_reservation', { p_qr_code: qrCode })
+
+  if (error) {
+    console.error('QR reservation release error:', error)
+  }
+}
+
+/**
+ * Void a pool's unassigned codes; all of them when `codes` is omitted
+ */
+export async function voidQRCodes(poolId, { codes = null, voidedBy = null, reason = null } = {}) {
+  const { data: pool, error } = await getServiceClient().rpc('void_qr_codes', {
+    p_pool_id: poolId,
+    p_codes: codes,
+    p_voided_by: voidedBy,
+    p_reason: reason
+  })
+
+  if (error) {
+    throw new Error(`QR code voiding failed: ${error.message}`)
+  }
+
+  return pool
+}
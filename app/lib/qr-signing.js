@@ -0,0 +1,232 @@
+import { createHmac, timingSafeEqual } from 'crypto'
+import { createClient } from './supabase'
+
+const supabase = createClient()
+
+// QR payload signing configuration
+const SIGNING_CONFIG = {
+  version: 'v1',
+  settingsKey: 'qr_signing_keys',
+  signatureBytes: 16, // Truncated HMAC-SHA256 keeps the QR payload compact
+  maxClockSkewMs: 5 * 60 * 1000,
+  keyringCacheMs: 60 * 1000
+}
+
+let keyringCache = null
+
+/**
+ * Parse signing secrets from QR_SIGNING_KEYS ("kid:secret,kid:secret")
+ */
+function getConfiguredSecrets() {
+  const raw = process.env.QR_SIGNING_KEYS || ''
+
+  return raw
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .reduce((acc, entry) => {
+      const separator = entry.indexOf(':')
+      if (separator > 0) {
+        acc[entry.slice(0, separator)] = entry.slice(separator + 1)
+      }
+      return acc
+    }, {})
+}
+
+/**
+ * Load the active and accepted key ids from system_settings
+ */
+export async function getSigningKeyring({ fresh = false } = {}) {
+  if (!fresh && keyringCache && Date.now() - keyringCache.loadedAt < SIGNING_CONFIG.keyringCacheMs) {
+    return keyringCache.keyring
+  }
+
+  const { data, error } = await supabase
+    .from('system_settings')
+    .select('value, updated_at')
+    .eq('key', SIGNING_CONFIG.settingsKey)
+    .single()
+
+  if (error && error.code !== 'PGRST116') {
+    throw new Error(`Failed to load QR signing keyring: ${error.message}`)
+  }
+
+  const keyring = {
+    active_key_id: data?.value?.active_key_id || null,
+    accepted_key_ids: data?.value?.accepted_key_ids || [],
+    rotated_at: data?.value?.rotated_at || null,
+    updated_at: data?.updated_at || null
+  }
+
+  keyringCache = { keyring, loadedAt: Date.now() }
+  return keyring
+}
+
+/**
+ * Describe the keyring without exposing secret material
+ */
+export async function describeSigningKeys() {
+  const keyring = await getSigningKeyring({ fresh: true })
+  const secrets = getConfiguredSecrets()
+  const keyIds = [...new Set([...Object.keys(secrets), ...keyring.accepted_key_ids])]
+
+  return {
+    activeKeyId: keyring.active_key_id,
+    rotatedAt: keyring.rotated_at,
+    keys: keyIds.map(keyId => ({
+      keyId,
+      configured: Boolean(secrets[keyId]),
+      accepted: keyring.accepted_key_ids.includes(keyId),
+      active: keyring.active_key_id === keyId
+    }))
+  }
+}
+
+/**
+ * Make a configured key the active signing key, keeping previous keys accepted
+ */
+export async function rotateSigningKey(newKeyId, userId) {
+  const secrets = getConfiguredSecrets()
+  if (!secrets[newKeyId]) {
+    throw new Error(`Signing key "${newKeyId}" is not configured in QR_SIGNING_KEYS`)
+  }
+
+  const keyring = await getSigningKeyring({ fresh: true })
+  const value = {
+    active_key_id: newKeyId,
+    accepted_key_ids: [...new Set([...keyring.accepted_key_ids, newKeyId])],
+    rotated_at: new Date().toISOString()
+  }
+
+  await saveKeyring(value, userId)
+
+  return { previousKeyId: keyring.active_key_id, ...value }
+}
+
+/**
+ * Stop accepting a key; labels signed with it will fail verification
+ */
+export async function retireSigningKey(keyId, userId) {
+  const keyring = await getSigningKeyring({ fresh: true })
+
+  if (keyring.active_key_id === keyId) {
+    throw new Error('Cannot retire the active signing key. Rotate to a new key first.')
+  }
+
+  const value = {
+    active_key_id: keyring.active_key_id,
+    accepted_key_ids: keyring.accepted_key_ids.filter(id => id !== keyId),
+    rotated_at: keyring.rotated_at
+  }
+
+  await saveKeyring(value, userId)
+
+  return value
+}
+
+async function saveKeyring(value, userId) {
+  const { error } = await supabase
+    .from('system_settings')
+    .upsert([{
+      key: SIGNING_CONFIG.settingsKey,
+      value,
+      description: 'Active and accepted QR signing key ids',
+      is_public: false,
+      created_by: userId
+    }], { onConflict: 'key' })
+
+  if (error) {
+    throw new Error(`Failed to update QR signing keyring: ${error.message}`)
+  }
+
+  keyringCache = null
+}
+
+function computeSignature(secret, qrCode, productId, factoryId, issuedAt) {
+  const message = [SIGNING_CONFIG.version, qrCode, productId, factoryId, issuedAt].join('|')
+
+  return createHmac('sha256', secret)
+    .update(message)
+    .digest()
+    .subarray(0, SIGNING_CONFIG.signatureBytes)
+}
+
+/**
+ * Sign a product's QR payload with the active key
+ * Codes reserved in a pool are printed before their product exists, so they
+ * are signed without a product ID and bound to the code and factory only
+ * Token format: <keyId>.<issuedAt base36>.<signature base64url>
+ */
+export async function signQRPayload({ qrCode, productId = null, factoryId }) {
+  if (!qrCode || !factoryId) {
+    throw new Error('QR code and factory ID are required to sign a QR payload')
+  }
+
+  const keyring = await getSigningKeyring()
+  const keyId = keyring.active_key_id
+  const secret = getConfiguredSecrets()[keyId]
+
+  if (!keyId || !secret) {
+    throw new Error('No active QR signing key is configured')
+  }
+
+  const issuedAt = Math.floor(Date.now() / 1000)
+  const signature = computeSignature(secret, qrCode, productId || '', factoryId, issuedAt)
+
+  return {
+    token: `${keyId}.${issuedAt.toString(36)}.${signature.toString('base64url')}`,
+    keyId,
+    issuedAt: new Date(issuedAt * 1000).toISOString()
+  }
+}
+
+/**
+ * Verify a QR token against the product record it claims to belong to
+ * Returns status: valid | missing | malformed | unknown_key | retired_key | invalid
+ * Valid tokens report binding: product, or reservation for pre-printed pool codes
+ */
+export async function verifyQRToken(token, product) {
+  if (!token) {
+    return { status: 'missing' }
+  }
+
+  const parts = String(token).split('.')
+  if (parts.length !== 3 || !parts.every(Boolean)) {
+    return { status: 'malformed' }
+  }
+
+  const [keyId, issuedAtEncoded, signatureEncoded] = parts
+  const issuedAt = parseInt(issuedAtEncoded, 36)
+
+  if (!Number.isFinite(issuedAt) || issuedAt * 1000 > Date.now() + SIGNING_CONFIG.maxClockSkewMs) {
+    return { status: 'malformed', keyId }
+  }
+
+  const secret = getConfiguredSecrets()[keyId]
+  if (!secret) {
+    return { status: 'unknown_key', keyId }
+  }
+
+  const keyring = await getSigningKeyring()
+  if (!keyring.accepted_key_ids.includes(keyId)) {
+    return { status: 'retired_key', keyId }
+  }
+
+  const provided = Buffer.from(signatureEncoded, 'base64url')
+  const matches = (productId) => {
+    const expected = computeSignature(secret, product.qr_code, productId, product.factory_id, issuedAt)
+    return provided.length === expected.length && timingSafeEqual(provided, expected)
+  }
+
+  const binding = matches(product.id) ? 'product' : matches('') ? 'reservation' : null
+  if (!binding) {
+    return { status: 'invalid', keyId }
+  }
+
+  return {
+    status: 'valid',
+    binding,
+    keyId,
+    issuedAt: new Date(issuedAt * 1000).toISOString()
+  }
+}
@@ -0,0 +1,270 @@
+import sharp from 'sharp'
+import jsQR from 'jsqr'
+// qrcode internals (block layout tables); package.json pins qrcode to an exact
+// version because these paths are not part of its public API
+import ECCode from 'qrcode/lib/core/error-correction-code'
+import { getSymbolTotalCodewords } from 'qrcode/lib/core/utils'
+
+// Scan-back thresholds for generated codes
+export const SCAN_CHECK_CONFIG = {
+  minSymbolContrast: 0.4, // ISO/IEC 15415 grade C
+  minQuietZoneModules: 4,
+  quietZoneTolerance: 0.25, // Modules lost to non-integer scaling
+  svgDensity: 144 // Renders SVG at 2x so thin modules survive rasterising
+}
+
+/**
+ * Rasterise a PNG buffer, data URL or SVG string as it would print on white
+ */
+async function rasterise(image) {
+  let input = image
+  const options = {}
+
+  if (typeof image === 'string' && image.startsWith('data:')) {
+    input = Buffer.from(image.split(',')[1], 'base64')
+  } else if (typeof image === 'string') {
+    input = Buffer.from(image)
+    options.density = SCAN_CHECK_CONFIG.svgDensity
+  }
+
+  const { data, info } = await sharp(input, options)
+    .flatten({ background: '#ffffff' })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true })
+
+  return {
+    pixels: new Uint8ClampedArray(data.buffer, data.byteOffset, data.length),
+    width: info.width,
+    height: info.height
+  }
+}
+
+function decodePixels({ pixels, width, height }) {
+  // Light-on-dark codes are rejected by many phone scanners, so do not invert
+  return jsQR(pixels, width, height, { inversionAttempts: 'dontInvert' })
+}
+
+/**
+ * Linear relative luminance (0-1) of an sRGB pixel
+ */
+function luminance(r, g, b) {
+  const linear = (value) => {
+    const c = value / 255
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4)
+  }
+  return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b)
+}
+
+/**
+ * Symbol contrast: spread between the light and dark reflectance, taken at
+ * the 5th and 95th percentiles so anti-aliasing and logos do not skew it
+ */
+function measureSymbolContrast({ pixels }) {
+  const histogram = new Array(1001).fill(0)
+  const count = pixels.length / 4
+
+  for (let i = 0; i < pixels.length; i += 4) {
+    histogram[Math.round(luminance(pixels[i], pixels[i + 1], pixels[i + 2]) * 1000)]++
+  }
+
+  const percentile = (share) => {
+    let seen = 0
+    for (let value = 0; value < histogram.length; value++) {
+      seen += histogram[value]
+      if (seen >= count * share) return value / 1000
+    }
+    return 1
+  }
+
+  return Number((percentile(0.95) - percentile(0.05)).toFixed(3))
+}
+
+/**
+ * Quiet zone in modules, measured from the decoded symbol corners
+ */
+function measureQuietZone(result, { width, height }) {
+  const { topLeftCorner, topRightCorner, bottomLeftCorner } = result.location
+  const dimension = 17 + result.version * 4
+  const moduleSize = Math.hypot(topRightCorner.x - topLeftCorner.x, topRightCorner.y - topLeftCorner.y) / dimension
+  const smallestMargin = Math.min(topLeftCorner.x, topLeftCorner.y, width - topRightCorner.x, height - bottomLeftCorner.y)
+
+  return Math.max(Number((smallestMargin / moduleSize).toFixed(1)), 0)
+}
+
+/**
+ * Decode a QR code from a rendered image, returning its text or null
+ */
+export async function decodeQRImage(image) {
+  const result = decodePixels(await rasterise(image))
+  return result ? result.data : null
+}
+
+/**
+ * Scan a generated QR image back: it passes when it decodes to the expected
+ * text; contrast and quiet-zone problems are reported as issues
+ */
+export async function inspectQRImage(image, expectedText) {
+  const raster = await rasterise(image)
+  const result = decodePixels(raster)
+  const issues = []
+
+  const symbolContrast = measureSymbolContrast(raster)
+  const contrast = {
+    symbolContrast,
+    minimum: SCAN_CHECK_CONFIG.minSymbolContrast,
+    passes: symbolContrast >= SCAN_CHECK_CONFIG.minSymbolContrast
+  }
+  if (!contrast.passes) {
+    issues.push({
+      type: 'contrast',
+      message: `Symbol contrast is ${Math.round(symbolContrast * 100)}%; at least ${SCAN_CHECK_CONFIG.minSymbolContrast * 100}% is needed for reliable scanning`
+    })
+  }
+
+  let quietZone = null
+  if (result) {
+    const modules = measureQuietZone(result, raster)
+    quietZone = {
+      modules,
+      minimum: SCAN_CHECK_CONFIG.minQuietZoneModules,
+      passes: modules >= SCAN_CHECK_CONFIG.minQuietZoneModules - SCAN_CHECK_CONFIG.quietZoneTolerance
+    }
+    if (!quietZone.passes) {
+      issues.push({
+        type: 'quiet_zone',
+        message: `Quiet zone is ${modules} modules; scanners expect at least ${SCAN_CHECK_CONFIG.minQuietZoneModules}`
+      })
+    }
+  }
+
+  const decodedText = result ? result.data : null
+  const matches = decodedText === expectedText
+
+  if (!decodedText) {
+    issues.unshift({ type: 'decode', message: 'QR code could not be decoded' })
+  } else if (!matches) {
+    issues.unshift({ type: 'mismatch', message: 'QR code decodes to a different URL than expected' })
+  }
+
+  return {
+    passed: matches,
+    decodes: decodedText !== null,
+    matches,
+    decodedText,
+    contrast,
+    quietZone,
+    issues
+  }
+}
+
+/**
+ * Check that a rendered QR image still decodes to the expected text
+ */
+export async function verifyQRImage(image, expectedText) {
+  const decodedText = await decodeQRImage(image)
+
+  return {
+    decodes: decodedText !== null,
+    matches: decodedText === expectedText,
+    decodedText
+  }
+}
+
+/**
+ * Map every module of a QR symbol (from QRCode.create) to the codeword it
+ * carries and the Reed-Solomon block that codeword belongs to
+ */
+export function mapQRCodewords(qr) {
+  const { size, reservedBit } = qr.modules
+  const totalCodewords = getSymbolTotalCodewords(qr.version)
+  const ecTotal = ECCode.getTotalCodewordsCount(qr.version, qr.errorCorrectionLevel)
+  const blockCount = ECCode.getBlocksCount(qr.version, qr.errorCorrectionLevel)
+  const dataTotal = totalCodewords - ecTotal
+  const dataPerBlock = Math.floor(dataTotal / blockCount)
+  const shortBlocks = blockCount - (dataTotal % blockCount)
+  const ecPerBlock = ecTotal / blockCount
+
+  // Interleaved order: data codewords round-robin across blocks (longer blocks
+  // last), then error correction codewords round-robin
+  const codewordBlocks = []
+  for (let i = 0; i <= dataPerBlock; i++) {
+    for (let block = 0; block < blockCount; block++) {
+      if (i < dataPerBlock || block >= shortBlocks) {
+        codewordBlocks.push(block)
+      }
+    }
+  }
+  for (let i = 0; i < ecPerBlock; i++) {
+    for (let block = 0; block < blockCount; block++) {
+      codewordBlocks.push(block)
+    }
+  }
+
+  // Walk the two-column zigzag data placement, skipping function patterns
+  const moduleCodewords = new Int32Array(size * size).fill(-1)
+  let bit = 0
+  let row = size - 1
+  let direction = -1
+
+  for (let col = size - 1; col > 0; col -= 2) {
+    if (col === 6) col--
+
+    while (true) {
+      for (let c = 0; c < 2; c++) {
+        const index = row * size + col - c
+        if (!reservedBit[index]) {
+          const codeword = bit >> 3
+          // Remainder bits past the last codeword carry no data
+          if (codeword < totalCodewords) {
+            moduleCodewords[index] = codeword
+          }
+          bit++
+        }
+      }
+
+      row += direction
+      if (row < 0 || row >= size) {
+        row -= direction
+        direction = -direction
+        break
+      }
+    }
+  }
+
+  return {
+    moduleCodewords,
+    codewordBlocks,
+    blockCount,
+    correctablePerBlock: Math.floor(ecPerBlock / 2)
+  }
+}
+
+/**
+ * Count the codewords per block a square region of the symbol would damage
+ * if it were covered, against what each block can correct
+ */
+export function countDamagedCodewords(qr, region, codewordMap = mapQRCodewords(qr)) {
+  const { size } = qr.modules
+  const damaged = new Set()
+
+  for (let row = region.y; row < region.y + region.size; row++) {
+    for (let col = region.x; col < region.x + region.size; col++) {
+      const codeword = codewordMap.moduleCodewords[row * size + col]
+      if (codeword >= 0) {
+        damaged.add(codeword)
+      }
+    }
+  }
+
+  const perBlock = new Array(codewordMap.blockCount).fill(0)
+  for (const codeword of damaged) {
+    perBlock[codewordMap.codewordBlocks[codeword]]++
+  }
+
+  return {
+    perBlock,
+    worstBlock: Math.max(...perBlock),
+    correctablePerBlock: codewordMap.correctablePerBlock
+  }
+}
@@ -0,0 +1,239 @@
+import PDFDocument from 'pdfkit'
+import ExcelJS from 'exceljs'
+
+// Output formats offered by the report generator
+export const REPORT_FORMATS = {
+  pdf: { label: 'PDF Report', extension: 'pdf', contentType: 'application/pdf' },
+  xlsx: { label: 'Excel Spreadsheet', extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  csv: { label: 'CSV Data', extension: 'csv', contentType: 'text/csv; charset=utf-8' }
+}
+
+// PDF layout (A4 landscape, in points)
+const PDF_CONFIG = {
+  margin: 40,
+  rowHeight: 18,
+  headerColor: '#1e40af',
+  stripeColor: '#f3f4f6',
+  fontSize: 8
+}
+
+/**
+ * Format a single cell for display according to its column type
+ */
+function formatCell(value, column) {
+  if (value === null || value === undefined || value === '') {
+    return ''
+  }
+
+  switch (column.type) {
+    case 'date':
+      return new Date(value).toISOString().replace('T', ' ').slice(0, 16)
+    case 'percent':
+      return `${Number(value).toFixed(1)}%`
+    case 'boolean':
+      return value ? 'Yes' : 'No'
+    default:
+      return String(value)
+  }
+}
+
+/**
+ * Neutralise spreadsheet formulas in user-supplied text (CSV/formula injection)
+ */
+function escapeFormula(text) {
+  return /^[=+\-@\t\r]/.test(text) ? `'${text}` : text
+}
+
+export function escapeCSV(text) {
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Render report rows as RFC 4180 CSV (with a BOM so Excel detects UTF-8)
+ */
+export function renderCSV(report) {
+  const lines = [
+    report.columns.map(column => escapeCSV(column.header)).join(',')
+  ]
+
+  for (const row of report.rows) {
+    lines.push(
+      report.columns
+        .map(column => escapeCSV(escapeFormula(formatCell(row[column.key], column))))
+        .join(',')
+    )
+  }
+
+  return Buffer.from(`\uFEFF${lines.join('\r\n')}\r\n`, 'utf8')
+}
+
+/**
+ * Render report as an XLSX workbook with a data sheet and a summary sheet
+ */
+export async function renderXLSX(report) {
+  const workbook = new ExcelJS.Workbook()
+  workbook.creator = 'ConfirmSure'
+  workbook.created = new Date(report.generatedAt)
+
+  const sheet = workbook.addWorksheet('Data', {
+    views: [{ state: 'frozen', ySplit: 1 }]
+  })
+
+  sheet.columns = report.columns.map(column => ({
+    header: column.header,
+    key: column.key,
+    width: Math.max(column.width || 15, column.header.length + 2)
+  }))
+
+  for (const row of report.rows) {
+    const values = {}
+    report.columns.forEach(column => {
+      const value = row[column.key]
+      if (column.type === 'date' && value) {
+        values[column.key] = new Date(value)
+      } else if (column.type === 'percent' && value !== null && value !== undefined) {
+        values[column.key] = Number(value) / 100
+      } else if (typeof value === 'string') {
+        values[column.key] = escapeFormula(value)
+      } else {
+        values[column.key] = value ?? null
+      }
+    })
+    sheet.addRow(values)
+  }
+
+  report.columns.forEach(column => {
+    if (column.type === 'date') {
+      sheet.getColumn(column.key).numFmt = 'yyyy-mm-dd hh:mm'
+    } else if (column.type === 'percent') {
+      sheet.getColumn(column.key).numFmt = '0.0%'
+    }
+  })
+
+  sheet.getRow(1).font = { bold: true }
+  sheet.autoFilter = {
+    from: { row: 1, column: 1 },
+    to: { row: 1, column: report.columns.length }
+  }
+
+  const summarySheet = workbook.addWorksheet('Summary')
+  summarySheet.columns = [
+    { header: report.title, key: 'label', width: 40 },
+    { header: report.subtitle, key: 'value', width: 40 }
+  ]
+  summarySheet.getRow(1).font = { bold: true }
+  report.summary.forEach(item => summarySheet.addRow(item))
+
+  return Buffer.from(await workbook.xlsx.writeBuffer())
+}
+
+/**
+ * Render report as a paginated PDF table
+ */
+export function renderPDF(report) {
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({
+        size: 'A4',
+        layout: 'landscape',
+        margin: PDF_CONFIG.margin,
+        info: { Title: report.title, Author: 'ConfirmSure' }
+      })
+
+      const chunks = []
+      doc.on('data', chunk => chunks.push(chunk))
+      doc.on('end', () => resolve(Buffer.concat(chunks)))
+      doc.on('error', reject)
+
+      const pageWidth = doc.page.width - PDF_CONFIG.margin * 2
+      const totalWeight = report.columns.reduce((sum, column) => sum + (column.width || 15), 0)
+      const columnWidths = report.columns.map(column => (column.width || 15) / totalWeight * pageWidth)
+
+      // Title and summary
+      doc.font('Helvetica-Bold').fontSize(18).fillColor('#111827').text(report.title)
+      doc.font('Helvetica').fontSize(10).fillColor('#4b5563').text(report.subtitle)
+      doc.text(`Generated ${formatCell(report.generatedAt, { type: 'date' })} UTC`)
+      doc.moveDown()
+
+      report.summary.forEach(item => {
+        doc.font('Helvetica-Bold').fillColor('#111827').text(`${item.label}: `, { continued: true })
+        doc.font('Helvetica').text(String(item.value))
+      })
+      doc.moveDown()
+
+      const drawHeader = () => {
+        const y = doc.y
+        doc.rect(PDF_CONFIG.margin, y, pageWidth, PDF_CONFIG.rowHeight).fill(PDF_CONFIG.headerColor)
+        doc.font('Helvetica-Bold').fontSize(PDF_CONFIG.fontSize).fillColor('#ffffff')
+
+        let x = PDF_CONFIG.margin
+        report.columns.forEach((column, index) => {
+          doc.text(column.header, x + 3, y + 5, {
+            width: columnWidths[index] - 6,
+            height: PDF_CONFIG.rowHeight,
+            lineBreak: false,
+            ellipsis: true
+          })
+          x += columnWidths[index]
+        })
+
+        doc.y = y + PDF_CONFIG.rowHeight
+      }
+
+      drawHeader()
+
+      report.rows.forEach((row, rowIndex) => {
+        if (doc.y + PDF_CONFIG.rowHeight > doc.page.height - PDF_CONFIG.margin) {
+          doc.addPage()
+          drawHeader()
+        }
+
+        const y = doc.y
+        if (rowIndex % 2 === 1) {
+          doc.rect(PDF_CONFIG.margin, y, pageWidth, PDF_CONFIG.rowHeight).fill(PDF_CONFIG.stripeColor)
+        }
+
+        doc.font('Helvetica').fontSize(PDF_CONFIG.fontSize).fillColor('#111827')
+
+        let x = PDF_CONFIG.margin
+        report.columns.forEach((column, index) => {
+          doc.text(formatCell(row[column.key], column), x + 3, y + 5, {
+            width: columnWidths[index] - 6,
+            height: PDF_CONFIG.rowHeight,
+            lineBreak: false,
+            ellipsis: true
+          })
+          x += columnWidths[index]
+        })
+
+        doc.y = y + PDF_CONFIG.rowHeight
+      })
+
+      if (report.rows.length === 0) {
+        doc.moveDown()
+        doc.font('Helvetica-Oblique').fontSize(10).fillColor('#6b7280')
+          .text('No records match the selected filters.', PDF_CONFIG.margin)
+      }
+
+      doc.end()
+    } catch (error) {
+      reject(error)
+    }
+  })
+}
+
+/**
+ * Render a report to the requested format
+ */
+export async function renderReport(report, format) {
+  switch (format) {
+    case 'pdf':
+      return renderPDF(report)
+    case 'xlsx':
+      return renderXLSX(report)
+    case 'csv':
+      return renderCSV(report)
+    default:
+      throw new Error(`Unsupported report format: ${format}`)
+  }
+}
@@ -0,0 +1,551 @@
+import { createClient } from './supabase'
+import { REPORT_FORMATS, renderReport } from './report-renderers'
+import { PRODUCT_STATUSES } from './validation'
+
+const supabase = createClient()
+
+// Report generation limits
+const REPORT_CONFIG = {
+  bucket: 'reports',
+  pageSize: 1000, // Supabase max rows per request
+  maxRows: 50000
+}
+
+const SCAN_RESULTS = ['success', 'not_found', 'unpublished', 'suspicious']
+const ACTIVE_STATUSES = ['active', 'inactive']
+
+/**
+ * Fetch every row of a query in pages. `buildQuery` must order by a unique key
+ * (e.g. ending with id) so rows are not skipped or repeated across pages. Fails
+ * rather than return a silently truncated report when there are more than the
+ * configured maximum.
+ */
+async function fetchAllRows(buildQuery) {
+  const rows = []
+
+  // One row past the maximum tells whether the report would be cut short
+  for (let offset = 0; offset <= REPORT_CONFIG.maxRows; offset += REPORT_CONFIG.pageSize) {
+    const { data, error } = await buildQuery().range(offset, offset + REPORT_CONFIG.pageSize - 1)
+
+    if (error) {
+      throw new Error(error.message)
+    }
+
+    rows.push(...(data || []))
+
+    if (!data || data.length < REPORT_CONFIG.pageSize) {
+      break
+    }
+  }
+
+  if (rows.length > REPORT_CONFIG.maxRows) {
+    throw new Error(`Report has more than ${REPORT_CONFIG.maxRows} rows; narrow the date range or filters`)
+  }
+
+  return rows
+}
+
+/**
+ * Convert an inclusive YYYY-MM-DD range into timestamp bounds
+ */
+function getDateBounds(dateRange) {
+  const end = new Date(`${dateRange.endDate}T00:00:00.000Z`)
+  end.setUTCDate(end.getUTCDate() + 1)
+
+  return {
+    from: `${dateRange.startDate}T00:00:00.000Z`,
+    to: end.toISOString()
+  }
+}
+
+function countBy(items, getKey) {
+  return items.reduce((acc, item) => {
+    const key = getKey(item) ?? 'unknown'
+    acc[key] = (acc[key] || 0) + 1
+    return acc
+  }, {})
+}
+
+function describeCounts(counts) {
+  const entries = Object.entries(counts).sort((a, b) => b[1] - a[1])
+  return entries.length > 0
+    ? entries.map(([key, count]) => `${key.replace(/_/g, ' ')}: ${count}`).join(', ')
+    : 'None'
+}
+
+/**
+ * Products created in the period
+ */
+async function buildProductionReport({ dateRange, filters }) {
+  const { from, to } = getDateBounds(dateRange)
+
+  const products = await fetchAllRows(() => {
+    let query = supabase
+      .from('products')
+      .select(`
+        id, qr_code, product_name, product_type, batch_id, serial_number, status,
+        manufacturing_date, expiry_date, approved_at, created_at,
+        factory:factories(name)
+      `)
+      .gte('created_at', from)
+      .lt('created_at', to)
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true })
+
+    if (filters.factory_id) {
+      query = query.eq('factory_id', filters.factory_id)
+    }
+    if (filters.status) {
+      query = query.eq('status', filters.status)
+    }
+
+    return query
+  })
+
+  return {
+    columns: [
+      { key: 'created_at', header: 'Created', type: 'date', width: 16 },
+      { key: 'qr_code', header: 'QR Code', width: 14 },
+      { key: 'product_name', header: 'Product', width: 28 },
+      { key: 'product_type', header: 'Type', width: 16 },
+      { key: 'factory', header: 'Factory', width: 20 },
+      { key: 'batch_id', header: 'Batch', width: 14 },
+      { key: 'serial_number', header: 'Serial', width: 14 },
+      { key: 'status', header: 'Status', width: 11 },
+      { key: 'manufacturing_date', header: 'Manufactured', width: 13 },
+      { key: 'expiry_date', header: 'Expires', width: 13 },
+      { key: 'approved_at', header: 'Approved', type: 'date', width: 16 }
+    ],
+    rows: products.map(product => ({
+      ...product,
+      factory: product.factory?.name
+    })),
+    summary: [
+      { label: 'Products created', value: products.length },
+      { label: 'By status', value: describeCounts(countBy(products, product => product.status)) },
+      { label: 'Batches', value: new Set(products.map(product => product.batch_id).filter(Boolean)).size }
+    ]
+  }
+}
+
+/**
+ * Consumer verification scans in the period
+ */
+async function buildScanActivityReport({ dateRange, filters }) {
+  const { from, to } = getDateBounds(dateRange)
+
+  // Filtering on the product's factory requires an inner join
+  const productJoin = filters.factory_id
+    ? 'product:products!inner(product_name, factory_id, factory:factories(name))'
+    : 'product:products(product_name, factory_id, factory:factories(name))'
+
+  const scans = await fetchAllRows(() => {
+    let query = supabase
+      .from('qr_scans')
+      .select(`id, qr_code, scanned_at, scan_result, country, city, referrer, ${productJoin}`)
+      .gte('scanned_at', from)
+      .lt('scanned_at', to)
+      .order('scanned_at', { ascending: true })
+      .order('id', { ascending: true })
+
+    if (filters.factory_id) {
+      query = query.eq('product.factory_id', filters.factory_id)
+    }
+    if (filters.status) {
+      query = query.eq('scan_result', filters.status)
+    }
+
+    return query
+  })
+
+  const topCountries = Object.entries(countBy(scans.filter(scan => scan.country), scan => scan.country))
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 5)
+    .map(([country, count]) => `${country} (${count})`)
+    .join(', ')
+
+  return {
+    columns: [
+      { key: 'scanned_at', header: 'Scanned', type: 'date', width: 16 },
+      { key: 'qr_code', header: 'QR Code', width: 14 },
+      { key: 'product_name', header: 'Product', width: 26 },
+      { key: 'factory', header: 'Factory', width: 20 },
+      { key: 'scan_result', header: 'Result', width: 12 },
+      { key: 'country', header: 'Country', width: 9 },
+      { key: 'city', header: 'City', width: 16 },
+      { key: 'referrer', header: 'Referrer', width: 24 }
+    ],
+    rows: scans.map(scan => ({
+      ...scan,
+      product_name: scan.product?.product_name,
+      factory: scan.product?.factory?.name
+    })),
+    summary: [
+      { label: 'Total scans', value: scans.length },
+      { label: 'Unique codes scanned', value: new Set(scans.map(scan => scan.qr_code)).size },
+      { label: 'By result', value: describeCounts(countBy(scans, scan => scan.scan_result)) },
+      { label: 'Top countries', value: topCountries || 'None' }
+    ]
+  }
+}
+
+/**
+ * Per-factory release, marker coverage and counterfeit indicators
+ */
+async function buildFactoryComplianceReport({ dateRange, filters }) {
+  const { from, to } = getDateBounds(dateRange)
+
+  let factoryQuery = supabase
+    .from('factories')
+    .select('id, name, location, country, is_active')
+    .order('name')
+
+  if (filters.factory_id) {
+    factoryQuery = factoryQuery.eq('id', filters.factory_id)
+  }
+  if (filters.status) {
+    factoryQuery = factoryQuery.eq('is_active', filters.status === 'active')
+  }
+
+  const { data: factories, error: factoryError } = await factoryQuery
+  if (factoryError) {
+    throw new Error(factoryError.message)
+  }
+
+  const factoryIds = (factories || []).map(factory => factory.id)
+
+  const [products, cloneFlags, counterfeitReports] = factoryIds.length === 0 ? [[], [], []] : await Promise.all([
+    fetchAllRows(() => supabase
+      .from('products')
+      .select('id, factory_id, status, markers:authentication_markers(count)')
+      .in('factory_id', factoryIds)
+      .gte('created_at', from)
+      .lt('created_at', to)
+      .order('id')),
+    fetchAllRows(() => supabase
+      .from('suspicious_scans')
+      .select('id, product:products!inner(factory_id)')
+      .in('status', ['open', 'confirmed'])
+      .in('product.factory_id', factoryIds)
+      .order('id')),
+    fetchAllRows(() => supabase
+      .from('counterfeit_reports')
+      .select('id, product:products!inner(factory_id)')
+      .in('product.factory_id', factoryIds)
+      .gte('created_at', from)
+      .lt('created_at', to)
+      .order('id'))
+  ])
+
+  const rows = (factories || []).map(factory => {
+    const factoryProducts = products.filter(product => product.factory_id === factory.id)
+    const withMarkers = factoryProducts.filter(product => (product.markers?.[0]?.count || 0) > 0).length
+    const published = factoryProducts.filter(product => product.status === 'published').length
+
+    return {
+      factory: factory.name,
+      location: [factory.location, factory.country].filter(Boolean).join(', '),
+      is_active: factory.is_active,
+      products_created: factoryProducts.length,
+      published,
+      awaiting_release: factoryProducts.filter(product => ['draft', 'pending', 'approved'].includes(product.status)).length,
+      missing_markers: factoryProducts.length - withMarkers,
+      marker_coverage: factoryProducts.length > 0 ? withMarkers / factoryProducts.length * 100 : null,
+      clone_flags: cloneFlags.filter(flag => flag.product.factory_id === factory.id).length,
+      counterfeit_reports: counterfeitReports.filter(report => report.product.factory_id === factory.id).length
+    }
+  })
+
+  return {
+    columns: [
+      { key: 'factory', header: 'Factory', width: 22 },
+      { key: 'location', header: 'Location', width: 20 },
+      { key: 'is_active', header: 'Active', type: 'boolean', width: 8 },
+      { key: 'products_created', header: 'Products', width: 10 },
+      { key: 'published', header: 'Published', width: 10 },
+      { key: 'awaiting_release', header: 'Awaiting Release', width: 12 },
+      { key: 'missing_markers', header: 'No Markers', width: 10 },
+      { key: 'marker_coverage', header: 'Marker Coverage', type: 'percent', width: 12 },
+      { key: 'clone_flags', header: 'Clone Flags', width: 10 },
+      { key: 'counterfeit_reports', header: 'Counterfeit Reports', width: 12 }
+    ],
+    rows,
+    summary: [
+      { label: 'Factories', value: rows.length },
+      { label: 'Products created', value: products.length },
+      { label: 'Products without markers', value: rows.reduce((sum, row) => sum + row.missing_markers, 0) },
+      { label: 'Unresolved clone flags', value: cloneFlags.length },
+      { label: 'Consumer counterfeit reports', value: counterfeitReports.length }
+    ]
+  }
+}
+
+/**
+ * Per-user audit activity in the period
+ */
+async function buildUserActivityReport({ dateRange, filters }) {
+  const { from, to } = getDateBounds(dateRange)
+
+  let userQuery = supabase
+    .from('user_profiles')
+    .select('user_id, full_name, email, role, is_active, last_login_at, factory:factories(name)')
+    .order('full_name')
+
+  if (filters.factory_id) {
+    userQuery = userQuery.eq('factory_id', filters.factory_id)
+  }
+  if (filters.status) {
+    userQuery = userQuery.eq('is_active', filters.status === 'active')
+  }
+
+  const { data: users, error: userError } = await userQuery
+  if (userError) {
+    throw new Error(userError.message)
+  }
+
+  const userIds = (users || []).map(user => user.user_id)
+  const events = userIds.length > 0
+    ? await fetchAllRows(() => supabase
+      .from('audit_logs')
+      .select('user_id, event_type, event_name, created_at')
+      .in('user_id', userIds)
+      .gte('created_at', from)
+      .lt('created_at', to)
+      .order('id'))
+    : []
+
+  const rows = (users || []).map(user => {
+    const userEvents = events.filter(event => event.user_id === user.user_id)
+    const lastEvent = userEvents.reduce((latest, event) => (
+      !latest || event.created_at > latest ? event.created_at : latest
+    ), null)
+
+    return {
+      full_name: user.full_name,
+      email: user.email,
+      role: user.role,
+      factory: user.factory?.name,
+      is_active: user.is_active,
+      last_login_at: user.last_login_at,
+      total_events: userEvents.length,
+      auth_events: userEvents.filter(event => event.event_type === 'auth').length,
+      product_events: userEvents.filter(event => event.event_type === 'product').length,
+      products_created: userEvents.filter(event => event.event_name === 'PRODUCT_CREATED').length,
+      last_activity_at: lastEvent
+    }
+  })
+
+  return {
+    columns: [
+      { key: 'full_name', header: 'Name', width: 20 },
+      { key: 'email', header: 'Email', width: 24 },
+      { key: 'role', header: 'Role', width: 14 },
+      { key: 'factory', header: 'Factory', width: 18 },
+      { key: 'is_active', header: 'Active', type: 'boolean', width: 8 },
+      { key: 'last_login_at', header: 'Last Login', type: 'date', width: 16 },
+      { key: 'total_events', header: 'Events', width: 9 },
+      { key: 'auth_events', header: 'Auth', width: 8 },
+      { key: 'product_events', header: 'Product', width: 8 },
+      { key: 'products_created', header: 'Products Created', width: 11 },
+      { key: 'last_activity_at', header: 'Last Activity', type: 'date', width: 16 }
+    ],
+    rows,
+    summary: [
+      { label: 'Users', value: rows.length },
+      { label: 'Users active in period', value: rows.filter(row => row.total_events > 0).length },
+      { label: 'Audited events', value: events.length },
+      { label: 'By role', value: describeCounts(countBy(rows, row => row.role)) }
+    ]
+  }
+}
+
+// Report catalogue; `icon` names a lucide-react icon rendered by the admin page
+export const REPORT_TYPES = {
+  production: {
+    name: 'Production Report',
+    description: 'Products created per factory, batch and release status',
+    icon: 'Package',
+    category: 'Operations',
+    estimatedTime: 'Under a minute',
+    statusLabel: 'Product status',
+    statusOptions: PRODUCT_STATUSES,
+    build: buildProductionReport
+  },
+  scan_activity: {
+    name: 'Scan Activity Report',
+    description: 'Consumer verification scans, results and locations',
+    icon: 'Eye',
+    category: 'Customer',
+    estimatedTime: '1-2 minutes',
+    statusLabel: 'Scan result',
+    statusOptions: SCAN_RESULTS,
+    build: buildScanActivityReport
+  },
+  factory_compliance: {
+    name: 'Factory Compliance Report',
+    description: 'Release backlog, marker coverage and counterfeit signals per factory',
+    icon: 'Building2',
+    category: 'Compliance',
+    estimatedTime: '1-2 minutes',
+    statusLabel: 'Factory status',
+    statusOptions: ACTIVE_STATUSES,
+    build: buildFactoryComplianceReport
+  },
+  user_activity: {
+    name: 'User Activity Report',
+    description: 'Sign-ins and audited actions per user',
+    icon: 'Users',
+    category: 'Users',
+    estimatedTime: 'Under a minute',
+    statusLabel: 'User status',
+    statusOptions: ACTIVE_STATUSES,
+    build: buildUserActivityReport
+  }
+}
+
+/**
+ * Public description of available report types (without builders)
+ */
+export function describeReportTypes() {
+  return Object.entries(REPORT_TYPES).map(([id, { build, ...reportType }]) => ({
+    id,
+    ...reportType
+  }))
+}
+
+/**
+ * Validate a generation request; returns an error message or null
+ */
+export function validateReportRequest({ reportType, format, dateRange, filters = {} }) {
+  const definition = REPORT_TYPES[reportType]
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/
+
+  if (!definition) {
+    return `Unknown report type: ${reportType}`
+  }
+  if (!REPORT_FORMATS[format]) {
+    return `Format must be one of ${Object.keys(REPORT_FORMATS).join(', ')}`
+  }
+  if (!datePattern.test(dateRange?.startDate || '') || !datePattern.test(dateRange?.endDate || '')) {
+    return 'A start and end date (YYYY-MM-DD) are required'
+  }
+  if (dateRange.endDate < dateRange.startDate) {
+    return 'End date must be after start date'
+  }
+  if (filters.status && !definition.statusOptions.includes(filters.status)) {
+    return `${definition.statusLabel} must be one of ${definition.statusOptions.join(', ')}`
+  }
+
+  return null
+}
+
+async function getFactoryName(factoryId) {
+  const { data } = await supabase
+    .from('factories')
+    .select('name')
+    .eq('id', factoryId)
+    .single()
+
+  return data?.name || null
+}
+
+/**
+ * Build, render and store a report, recording it in generated_reports
+ */
+export async function generateReport({ reportType, format, dateRange, filters = {}, userId }) {
+  const definition = REPORT_TYPES[reportType]
+  const startedAt = new Date()
+
+  const { data: record, error: insertError } = await supabase
+    .from('generated_reports')
+    .insert([{
+      report_type: reportType,
+      name: `${definition.name} (${dateRange.startDate} to ${dateRange.endDate})`,
+      format,
+      status: 'processing',
+      parameters: { dateRange, filters },
+      generated_by: userId
+    }])
+    .select()
+    .single()
+
+  if (insertError) {
+    throw new Error(`Report record creation failed: ${insertError.message}`)
+  }
+
+  try {
+    const data = await definition.build({ dateRange, filters })
+
+    const factory = filters.factory_id ? await getFactoryName(filters.factory_id) : null
+    const filterLabels = [
+      factory ? `Factory: ${factory}` : null,
+      filters.status ? `${definition.statusLabel}: ${filters.status}` : null
+    ].filter(Boolean)
+
+    const report = {
+      ...data,
+      title: definition.name,
+      subtitle: [`${dateRange.startDate} to ${dateRange.endDate}`, ...filterLabels].join(' | '),
+      generatedAt: startedAt.toISOString()
+    }
+
+    const buffer = await renderReport(report, format)
+    const { extension, contentType } = REPORT_FORMATS[format]
+    const filename = `${reportType}-${dateRange.startDate}-${dateRange.endDate}.${extension}`
+    const filePath = `${record.id}/${filename}`
+
+    const { error: uploadError } = await supabase.storage
+      .from(REPORT_CONFIG.bucket)
+      .upload(filePath, buffer, { contentType, upsert: true })
+
+    if (uploadError) {
+      throw new Error(`Storage upload failed: ${uploadError.message}`)
+    }
+
+    const { data: completed, error: updateError } = await supabase
+      .from('generated_reports')
+      .update({
+        status: 'completed',
+        filename,
+        file_path: filePath,
+        file_size: buffer.length,
+        row_count: data.rows.length,
+        completed_at: new Date().toISOString()
+      })
+      .eq('id', record.id)
+      .select()
+      .single()
+
+    if (updateError) {
+      throw new Error(updateError.message)
+    }
+
+    return completed
+  } catch (error) {
+    await supabase
+      .from('generated_reports')
+      .update({
+        status: 'failed',
+        error_message: error.message,
+        completed_at: new Date().toISOString()
+      })
+      .eq('id', record.id)
+
+    throw new Error(`Report generation failed: ${error.message}`)
+  }
+}
+
+/**
+ * Download a stored report file
+ */
+export async function downloadReportFile(filePath) {
+  const { data, error } = await supabase.storage
+    .from(REPORT_CONFIG.bucket)
+    .download(filePath)
+
+  if (error) {
+    throw new Error(`Report download failed: ${error.message}`)
+  }
+
+  return Buffer.from(await data.arrayBuffer())
+}
@@ -0,0 +1,88 @@
+import { isIP } from 'net'
+import { getServiceClient } from './supabase'
+import { lookupLocation } from './geoip'
+import { FAILED_SIGNATURE_STATUSES } from './verification-state'
+
+// Values stored in qr_scans.scan_result
+export const SCAN_RESULTS = {
+  SUCCESS: 'success',
+  NOT_FOUND: 'not_found',
+  UNPUBLISHED: 'unpublished',
+  SUSPICIOUS: 'suspicious'
+}
+
+/**
+ * Extract client details from incoming request headers. Only x-forwarded-for is
+ * trusted: Vercel overwrites it with the connecting address, while headers such as
+ * cf-connecting-ip or x-real-ip could be sent by the scanner itself.
+ */
+export function getScanContext(headersList) {
+  const forwarded = headersList.get('x-forwarded-for')
+  const clientIp = forwarded ? forwarded.split(',')[0].trim() : null
+
+  return {
+    ipAddress: clientIp && isIP(clientIp) ? clientIp : null,
+    userAgent: headersList.get('user-agent'),
+    referrer: headersList.get('referer')
+  }
+}
+
+/**
+ * Classify a scan from the product record, signature check and clone signals
+ */
+export function resolveScanResult({ product, signature, signals = [] }) {
+  if (!product) {
+    return SCAN_RESULTS.NOT_FOUND
+  }
+
+  if (signature && FAILED_SIGNATURE_STATUSES.includes(signature.status)) {
+    return SCAN_RESULTS.SUSPICIOUS
+  }
+
+  if (signals.some(signal => signal.severity === 'high')) {
+    return SCAN_RESULTS.SUSPICIOUS
+  }
+
+  if (product.status !== 'published') {
+    return SCAN_RESULTS.UNPUBLISHED
+  }
+
+  return SCAN_RESULTS.SUCCESS
+}
+
+/**
+ * Record a verification scan through the log_qr_scan database function.
+ * `productVersion` is the product version the page showed; the latest one when omitted.
+ */
+export async function recordScan({ qrCode, product = null, productVersion = null, result, context, location = null, metadata = {} }) {
+  try {
+    const geo = location || await lookupLocation(context.ipAddress)
+
+    const { data: scanId, error } = await getServiceClient().rpc('log_qr_scan', {
+      p_product_id: product?.id || null,
+      p_qr_code: qrCode,
+      p_ip_address: context.ipAddress,
+      p_user_agent: context.userAgent,
+      p_country: geo.country,
+      p_city: geo.city,
+      p_referrer: context.referrer,
+      p_scan_result: result,
+      p_product_version: productVersion,
+      p_metadata: {
+        latitude: geo.latitude,
+        longitude: geo.longitude,
+        ...metadata
+      }
+    })
+
+    if (error) {
+      console.error('Failed to record QR scan:', error)
+      return null
+    }
+
+    return scanId
+  } catch (error) {
+    console.error('Error recording QR scan:', error)
+    return null
+  }
+}
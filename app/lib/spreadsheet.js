@@ -0,0 +1,283 @@
+import ExcelJS from 'exceljs'
+
+// Spreadsheet import settings
+const SPREADSHEET_CONFIG = {
+  maxFileSize: 5 * 1024 * 1024 // 5MB
+}
+
+export const SPREADSHEET_FORMATS = {
+  csv: {
+    extension: '.csv',
+    contentTypes: ['text/csv', 'application/csv', 'text/plain', 'application/vnd.ms-excel']
+  },
+  xlsx: {
+    extension: '.xlsx',
+    contentTypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet']
+  }
+}
+
+/**
+ * Work out the spreadsheet format from the file name, falling back to its content type
+ */
+export function detectSpreadsheetFormat(file) {
+  const name = (file.name || '').toLowerCase()
+
+  if (name.endsWith('.xls')) {
+    return null // Legacy binary Excel files are not supported
+  }
+
+  const byExtension = Object.entries(SPREADSHEET_FORMATS)
+    .find(([, format]) => name.endsWith(format.extension))
+  if (byExtension) {
+    return byExtension[0]
+  }
+
+  const byType = Object.entries(SPREADSHEET_FORMATS)
+    .find(([, format]) => format.contentTypes.includes(file.type))
+  return byType ? byType[0] : null
+}
+
+/**
+ * Decode CSV bytes, honouring UTF-8/UTF-16 byte order marks and
+ * falling back to Windows-1252 for files saved by older Excel versions
+ */
+export function decodeText(buffer) {
+  const bytes = new Uint8Array(buffer)
+
+  if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+    return new TextDecoder('utf-8').decode(bytes.subarray(3))
+  }
+  if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+    return new TextDecoder('utf-16le').decode(bytes.subarray(2))
+  }
+  if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+    return new TextDecoder('utf-16be').decode(bytes.subarray(2))
+  }
+
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes)
+  } catch (error) {
+    return new TextDecoder('windows-1252').decode(bytes)
+  }
+}
+
+/**
+ * Split CSV text into records following RFC 4180: quoted fields may contain
+ * commas, doubled quotes and line breaks. Each record keeps the line it starts on.
+ */
+export function parseCSVRecords(text) {
+  const records = []
+  const errors = []
+
+  let fields = []
+  let field = ''
+  let inQuotes = false
+  let quotedField = false
+  let line = 1
+  let recordLine = 1
+  let malformed = null
+
+  const endField = () => {
+    fields.push(quotedField ? field : field.trim())
+    field = ''
+    quotedField = false
+  }
+
+  const endRecord = () => {
+    endField()
+    if (malformed) {
+      errors.push({ row: recordLine, message: malformed })
+    } else {
+      records.push({ line: recordLine, fields })
+    }
+    fields = []
+    malformed = null
+  }
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"'
+          i++
+        } else {
+          inQuotes = false
+        }
+      } else {
+        if (char === '\n') line++
+        field += char
+      }
+      continue
+    }
+
+    if (char === '"') {
+      if (field.trim() === '' && !quotedField) {
+        inQuotes = true
+        quotedField = true
+        field = ''
+      } else if (!malformed) {
+        malformed = `Unexpected quote in column ${fields.length + 1}`
+      }
+    } else if (char === ',') {
+      endField()
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      endRecord()
+      line++
+      recordLine = line
+    } else if (quotedField) {
+      if (char.trim() !== '' && !malformed) {
+        malformed = `Unexpected text after closing quote in column ${fields.length + 1}`
+      }
+    } else {
+      field += char
+    }
+  }
+
+  if (inQuotes) {
+    errors.push({ row: recordLine, message: 'Unterminated quoted field' })
+  } else if (field !== '' || fields.length > 0 || quotedField) {
+    endRecord()
+  }
+
+  return { records, errors }
+}
+
+/**
+ * Format an Excel cell value as the string a CSV export would contain
+ */
+function cellToString(value) {
+  if (value === null || value === undefined) {
+    return ''
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString().slice(0, 10)
+  }
+
+  if (typeof value === 'object') {
+    if (value.richText) {
+      return value.richText.map(part => part.text).join('')
+    }
+    if ('result' in value) {
+      return cellToString(value.result)
+    }
+    if (value.text !== undefined) {
+      return cellToString(value.text)
+    }
+    if (value.error) {
+      return ''
+    }
+  }
+
+  return String(value).trim()
+}
+
+/**
+ * Read the first worksheet of an .xlsx workbook as records
+ */
+export async function parseXLSXRecords(buffer) {
+  const workbook = new ExcelJS.Workbook()
+
+  try {
+    await workbook.xlsx.load(buffer)
+  } catch (error) {
+    throw new Error('File is not a valid .xlsx workbook')
+  }
+
+  const worksheet = workbook.worksheets[0]
+  if (!worksheet) {
+    throw new Error('Workbook has no worksheets')
+  }
+
+  // Excel leaves trailing empty cells out of a row, so read every row to the sheet's full width
+  const records = []
+  worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    const fields = []
+    for (let column = 1; column <= worksheet.columnCount; column++) {
+      fields.push(cellToString(row.getCell(column).value))
+    }
+    records.push({ line: rowNumber, fields })
+  })
+
+  return { records, errors: [] }
+}
+
+/**
+ * Turn header + data records into row objects, reporting rows that don't fit the header.
+ * Blank rows are ignored, as are rows before the header whose first cell starts with #
+ * (template comments); after the header a leading # is ordinary data.
+ */
+export function recordsToRows(records, errors = []) {
+  const isBlank = record => record.fields.every(value => value === '')
+  const isComment = record => record.fields[0].startsWith('#')
+  const content = records.filter(record => !isBlank(record))
+  const headerIndex = content.findIndex(record => !isComment(record))
+  const [headerRecord, ...dataRecords] = headerIndex === -1 ? [] : content.slice(headerIndex)
+
+  if (!headerRecord) {
+    throw new Error('File is empty')
+  }
+
+  const headers = headerRecord.fields.map(header => header.trim())
+  while (headers.length > 0 && headers[headers.length - 1] === '') {
+    headers.pop()
+  }
+
+  if (headers.some(header => header === '')) {
+    throw new Error(`Header row ${headerRecord.line} has an empty column name`)
+  }
+
+  const duplicate = headers.find((header, index) => headers.indexOf(header) !== index)
+  if (duplicate) {
+    throw new Error(`Header row ${headerRecord.line} repeats the column '${duplicate}'`)
+  }
+
+  const rows = []
+  const rowErrors = [...errors]
+
+  dataRecords.forEach(record => {
+    const extra = record.fields.slice(headers.length)
+
+    if (record.fields.length < headers.length || extra.some(value => value !== '')) {
+      rowErrors.push({
+        row: record.line,
+        message: `Expected ${headers.length} columns but found ${record.fields.length}`
+      })
+      return
+    }
+
+    const data = {}
+    headers.forEach((header, index) => {
+      data[header] = record.fields[index]
+    })
+    rows.push({ row: record.line, data })
+  })
+
+  rowErrors.sort((a, b) => a.row - b.row)
+
+  return { headers, rows, errors: rowErrors }
+}
+
+/**
+ * Parse an uploaded CSV or XLSX file into { headers, rows: [{ row, data }], errors: [{ row, message }] }
+ */
+export async function parseSpreadsheet(file) {
+  const format = detectSpreadsheetFormat(file)
+  if (!format) {
+    throw new Error('Unsupported file type. Please upload a .csv or .xlsx file.')
+  }
+
+  if (file.size > SPREADSHEET_CONFIG.maxFileSize) {
+    throw new Error(`File is too large. Maximum size is ${SPREADSHEET_CONFIG.maxFileSize / 1024 / 1024}MB.`)
+  }
+
+  const buffer = Buffer.from(await file.arrayBuffer())
+  const { records, errors } = format === 'xlsx'
+    ? await parseXLSXRecords(buffer)
+    : parseCSVRecords(decodeText(buffer))
+
+  return { format, ...recordsToRows(records, errors) }
+}
@@ -1,4 +1,5 @@
 import { createBrowserClient } from '@supabase/ssr'
+import { createClient as createSupabaseClient } from '@supabase/supabase-js'
 
 export function createClient() {
   return createBrowserClient(
@@ -6,3 +7,21 @@ export function createClient() {
     process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY
   )
 }
+
+let serviceClient = null
+
+/**
+ * Server-only client using the service role key, for the database functions that
+ * anon and signed-in callers may not execute (see the REVOKE statements in the
+ * schema). Created on first use so modules importing this file still load without the key.
+ */
+export function getServiceClient() {
+  if (!serviceClient) {
+    serviceClient = createSupabaseClient(
+      process.env.NEXT_PUBLIC_SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_ROLE_KEY,
+      { auth: { persistSession: false } }
+    )
+  }
+  return serviceClient
+}
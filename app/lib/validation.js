@@ -1,11 +1,19 @@
 import { z } from 'zod'
+import { validateQRCodeFormat, QR_CODE_FORMATS, QR_CODE_FORMAT_LIMITS } from './qr-code-format'
 
 // Common validation patterns
 const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
 const PHONE_REGEX = /^\+?[1-9]\d{1,14}$/
-const QR_CODE_REGEX = /^CS-\d{6}$/
 const PASSWORD_REGEX = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/
 
+/**
+ * Check a YYYY-MM-DD string names a real calendar day
+ */
+export function isCalendarDate(value) {
+  const date = new Date(`${value}T00:00:00.000Z`)
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value
+}
+
 // File validation
 const MAX_FILE_SIZE = 10 * 1024 * 1024 // 10MB
 const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp']
@@ -127,6 +135,8 @@ export const factorySchema = z.object({
 })
 
 // Product validation schemas
+export const PRODUCT_STATUSES = ['draft', 'pending', 'approved', 'published', 'archived']
+
 export const productSchema = z.object({
   product_name: z
     .string()
@@ -187,12 +197,14 @@ export const productSchema = z.object({
   path: ["expiry_date"],
 })
 
-export const productUpdateSchema = productSchema.partial().omit(['factory_id'])
+export const productUpdateSchema = productSchema.partial().omit({ factory_id: true })
 
 // Authentication marker validation schemas
 export const authenticationMarkerSchema = z.object({
   product_id: z.string().uuid('Invalid product ID'),
   
+  image_id: z.string().uuid('Invalid image ID').optional().nullable(),
+  
   type: z.enum(['color_dot', 'pattern', 'texture', 'hologram', 'uv_mark', 'microprint'], {
     errorMap: () => ({ message: 'Invalid marker type' })
   }),
@@ -221,6 +233,7 @@ export const authenticationMarkerSchema = z.object({
     .optional()
     .nullable(),
   
+  // Fractions of the photo: top-left corner of a box, or a single point when width/height are omitted
   coordinates: z
     .object({
       x: z.number().min(0).max(1),
@@ -244,6 +257,25 @@ export const authenticationMarkerSchema = z.object({
     .nullable()
 })
 
+export const authenticationMarkerUpdateSchema = authenticationMarkerSchema.partial().omit({ product_id: true })
+
+// A product's full marker set; entries with an id keep that marker, the rest are created
+export const authenticationMarkerSetSchema = z.object({
+  product_id: z.string().uuid('Invalid product ID'),
+  
+  markers: z
+    .array(authenticationMarkerSchema.omit({ product_id: true }).extend({
+      id: z.string().uuid('Invalid marker ID').optional()
+    }))
+    .max(50, 'Maximum 50 markers per product')
+}).refine((data) => {
+  const ids = data.markers.map(marker => marker.id).filter(Boolean)
+  return new Set(ids).size === ids.length
+}, {
+  message: 'Each marker can only appear once',
+  path: ['markers']
+})
+
 // File upload validation schemas
 export const imageUploadSchema = z.object({
   file: z.instanceof(File, { message: 'File is required' }),
@@ -271,7 +303,78 @@ export const imageUploadSchema = z.object({
 export const qrCodeSchema = z.object({
   qr_code: z
     .string()
-    .regex(QR_CODE_REGEX, 'Invalid QR code format (must be CS-XXXXXX)')
+    .refine(validateQRCodeFormat, 'Invalid QR code format')
+})
+
+// Per-factory QR code format override
+export const qrCodeFormatSchema = z.object({
+  format: z.enum(Object.keys(QR_CODE_FORMATS)),
+  
+  prefix: z
+    .string()
+    .regex(QR_CODE_FORMAT_LIMITS.prefixPattern, 'Prefix must be 2-6 upper-case letters or digits, starting with a letter'),
+  
+  length: z
+    .number()
+    .int()
+    .min(QR_CODE_FORMAT_LIMITS.minLength, `Length must be at least ${QR_CODE_FORMAT_LIMITS.minLength}`)
+    .max(QR_CODE_FORMAT_LIMITS.maxLength, `Length cannot exceed ${QR_CODE_FORMAT_LIMITS.maxLength}`)
+    .optional()
+})
+
+// Counterfeit report validation (public form, photos are validated separately)
+export const COUNTERFEIT_REPORT_STATUSES = ['new', 'investigating', 'confirmed', 'dismissed']
+
+export const counterfeitReportSchema = z.object({
+  qr_code: z
+    .string()
+    .min(1, 'Scanned code is required')
+    .max(200, 'Scanned code too long'),
+  
+  purchase_location: z
+    .string()
+    .min(2, 'Tell us where you bought the product')
+    .max(200, 'Purchase location too long'),
+  
+  purchase_date: z
+    .string()
+    .regex(/^\d{4}-\d{2}-\d{2}$/, 'Invalid date format (YYYY-MM-DD)')
+    .optional()
+    .nullable()
+    .or(z.literal('')),
+  
+  seller: z
+    .string()
+    .max(200, 'Seller name too long')
+    .optional()
+    .nullable(),
+  
+  description: z
+    .string()
+    .max(2000, 'Description too long')
+    .optional()
+    .nullable(),
+  
+  contact_name: z
+    .string()
+    .max(100, 'Name too long')
+    .optional()
+    .nullable(),
+  
+  contact_email: z
+    .string()
+    .regex(EMAIL_REGEX, 'Invalid email format')
+    .max(255, 'Email too long')
+    .optional()
+    .nullable()
+    .or(z.literal('')),
+  
+  contact_phone: z
+    .string()
+    .regex(PHONE_REGEX, 'Invalid phone number format')
+    .optional()
+    .nullable()
+    .or(z.literal(''))
 })
 
 // Search and filter validation schemas
@@ -300,6 +403,11 @@ export const productSearchSchema = z.object({
     .max(50, 'Batch ID too long')
     .optional(),
   
+  month: z
+    .string()
+    .regex(/^\d{4}-(0[1-9]|1[0-2])$/, 'Invalid month format (YYYY-MM)')
+    .optional(),
+  
   date_from: z
     .string()
     .regex(/^\d{4}-\d{2}-\d{2}$/, 'Invalid date format')
@@ -316,10 +424,10 @@ export const productSearchSchema = z.object({
     .max(100, 'Limit cannot exceed 100')
     .default(20),
   
-  offset: z
-    .number()
-    .min(0, 'Offset cannot be negative')
-    .default(0)
+  cursor: z
+    .string()
+    .max(200, 'Invalid cursor')
+    .optional()
 }).refine((data) => {
   if (data.date_from && data.date_to) {
     return new Date(data.date_to) >= new Date(data.date_from)
@@ -330,6 +438,55 @@ export const productSearchSchema = z.object({
   path: ["date_to"],
 })
 
+// Product recall validation ('flag' keeps products live with the notice, 'archive' withdraws them)
+export const RECALL_ACTIONS = ['flag', 'archive']
+
+export const productRecallSchema = z.object({
+  title: z
+    .string()
+    .min(3, 'Title must be at least 3 characters')
+    .max(200, 'Title too long'),
+
+  notice: z
+    .string()
+    .min(10, 'Describe the problem and what consumers should do')
+    .max(2000, 'Notice too long'),
+
+  action: z.enum(RECALL_ACTIONS),
+
+  batch_id: z
+    .string()
+    .max(50, 'Batch ID too long')
+    .regex(/^[a-zA-Z0-9-_]+$/, 'Batch ID contains invalid characters')
+    .optional()
+    .nullable(),
+
+  manufactured_from: z
+    .string()
+    .regex(/^\d{4}-\d{2}-\d{2}$/, 'Invalid date format (YYYY-MM-DD)')
+    .refine(isCalendarDate, 'Not a valid calendar date')
+    .optional()
+    .nullable(),
+
+  manufactured_to: z
+    .string()
+    .regex(/^\d{4}-\d{2}-\d{2}$/, 'Invalid date format (YYYY-MM-DD)')
+    .refine(isCalendarDate, 'Not a valid calendar date')
+    .optional()
+    .nullable()
+}).refine((data) => data.batch_id || data.manufactured_from || data.manufactured_to, {
+  message: 'Choose a batch or a manufacturing date range',
+  path: ['batch_id'],
+}).refine((data) => {
+  if (data.manufactured_from && data.manufactured_to) {
+    return data.manufactured_from <= data.manufactured_to
+  }
+  return true
+}, {
+  message: 'End date must not be before start date',
+  path: ['manufactured_to'],
+})
+
 // Batch operation validation schemas
 export const batchOperationSchema = z.object({
   operation_type: z.enum(['create_products', 'update_products', 'delete_products', 'generate_qr_codes']),
@@ -384,7 +541,7 @@ export function sanitizeInput(input) {
 }
 
 export function validateQRCode(qrCode) {
-  return QR_CODE_REGEX.test(qrCode)
+  return validateQRCodeFormat(qrCode)
 }
 
 export function validateEmail(email) {
@@ -0,0 +1,59 @@
+// Consumer-facing verification states for the public product page
+export const VERIFICATION_STATES = {
+  AUTHENTIC: 'authentic',
+  NOT_RELEASED: 'not_released',
+  RECALLED: 'recalled',
+  ARCHIVED: 'archived',
+  EXPIRED: 'expired',
+  SUSPECTED_CLONE: 'suspected_clone',
+  UNKNOWN: 'unknown'
+}
+
+// Signature states that indicate a tampered or copied label
+export const FAILED_SIGNATURE_STATUSES = ['malformed', 'unknown_key', 'retired_key', 'invalid']
+
+const UNRELEASED_STATUSES = ['draft', 'pending', 'approved']
+
+/**
+ * Check whether a YYYY-MM-DD expiry date is before today
+ */
+export function isExpired(expiryDate, now = new Date()) {
+  if (!expiryDate) {
+    return false
+  }
+
+  const today = now.toISOString().split('T')[0]
+  return expiryDate < today
+}
+
+/**
+ * Decide which state to show from the product record, label signature, scan history
+ * and any active recall of the product
+ */
+export function resolveVerificationState({ product, signature = null, suspectedClone = false, recalled = false }) {
+  if (!product) {
+    return VERIFICATION_STATES.UNKNOWN
+  }
+
+  if (suspectedClone || (signature && FAILED_SIGNATURE_STATUSES.includes(signature.status))) {
+    return VERIFICATION_STATES.SUSPECTED_CLONE
+  }
+
+  if (recalled) {
+    return VERIFICATION_STATES.RECALLED
+  }
+
+  if (product.status === 'archived') {
+    return VERIFICATION_STATES.ARCHIVED
+  }
+
+  if (UNRELEASED_STATUSES.includes(product.status)) {
+    return VERIFICATION_STATES.NOT_RELEASED
+  }
+
+  if (isExpired(product.expiry_date)) {
+    return VERIFICATION_STATES.EXPIRED
+  }
+
+  return VERIFICATION_STATES.AUTHENTIC
+}
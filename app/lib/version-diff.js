@@ -0,0 +1,97 @@
+// Field-level comparison of product version snapshots (see product_versions in
+// the schema). No server dependencies, so history pages can diff any two versions.
+
+export const PRODUCT_FIELD_LABELS = {
+  product_name: 'Name',
+  product_type: 'Type',
+  description: 'Description',
+  batch_id: 'Batch ID',
+  serial_number: 'Serial number',
+  manufacturing_date: 'Manufacturing date',
+  expiry_date: 'Expiry date',
+  status: 'Status'
+}
+
+export const IMAGE_FIELD_LABELS = {
+  image_url: 'Photo',
+  image_type: 'Image type',
+  angle_description: 'Angle',
+  is_primary: 'Primary photo'
+}
+
+export const MARKER_FIELD_LABELS = {
+  type: 'Type',
+  position: 'Position',
+  color: 'Color',
+  pattern: 'Pattern',
+  size_mm: 'Size (mm)',
+  image_id: 'Photo',
+  coordinates: 'Placement',
+  description: 'Description',
+  verification_instructions: 'Verification instructions',
+  sort_order: 'Check order'
+}
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null)
+
+function changedFields(before = {}, after = {}, labels) {
+  return Object.entries(labels)
+    .filter(([field]) => !sameValue(before[field], after[field]))
+    .map(([field, label]) => ({ field, label, before: before[field] ?? null, after: after[field] ?? null }))
+}
+
+function diffCollection(before = [], after = [], labels) {
+  const beforeById = new Map(before.map(item => [item.id, item]))
+  const afterIds = new Set(after.map(item => item.id))
+
+  return {
+    added: after.filter(item => !beforeById.has(item.id)),
+    removed: before.filter(item => !afterIds.has(item.id)),
+    changed: after
+      .filter(item => beforeById.has(item.id))
+      .map(item => ({
+        id: item.id,
+        before: beforeById.get(item.id),
+        after: item,
+        fields: changedFields(beforeById.get(item.id), item, labels)
+      }))
+      .filter(change => change.fields.length > 0)
+  }
+}
+
+/**
+ * Differences from the `older` snapshot to the `newer` one. Without an older
+ * snapshot (the first version) everything counts as added.
+ */
+export function diffVersions(older, newer) {
+  return {
+    product: changedFields(older?.product, newer?.product, PRODUCT_FIELD_LABELS),
+    images: diffCollection(older?.images, newer?.images, IMAGE_FIELD_LABELS),
+    markers: diffCollection(older?.markers, newer?.markers, MARKER_FIELD_LABELS)
+  }
+}
+
+export function isEmptyDiff(diff) {
+  return diff.product.length === 0 &&
+    ['images', 'markers'].every(key =>
+      diff[key].added.length === 0 && diff[key].removed.length === 0 && diff[key].changed.length === 0
+    )
+}
+
+/**
+ * One-line descriptions of a diff, e.g. "Name changed" or "2 markers added"
+ */
+export function summarizeDiff(diff) {
+  const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`
+  const lines = diff.product.map(change => `${change.label} changed`)
+
+  const collections = [['images', 'photo'], ['markers', 'marker']]
+  collections.forEach(([key, noun]) => {
+    const { added, removed, changed } = diff[key]
+    if (added.length) lines.push(`${plural(added.length, noun)} added`)
+    if (removed.length) lines.push(`${plural(removed.length, noun)} removed`)
+    if (changed.length) lines.push(`${plural(changed.length, noun)} changed`)
+  })
+
+  return lines
+}
@@ -1,6 +1,7 @@
 // 12. Create app/not-found.js (404 Page)
 import Link from 'next/link'
 import { Shield, AlertCircle } from 'lucide-react'
+import CounterfeitReportForm from './components/consumer/CounterfeitReportForm'
 
 export default function NotFound() {
   return (
@@ -11,7 +12,7 @@ export default function NotFound() {
           <h1 className="text-3xl font-bold text-gray-900">ConfirmSure</h1>
         </div>
         
-        <div className="bg-white rounded-2xl shadow-lg p-8 max-w-md">
+        <div className="bg-white rounded-2xl shadow-lg p-8 max-w-lg">
           <AlertCircle className="h-16 w-16 text-orange-500 mx-auto mb-4" />
           <h2 className="text-2xl font-bold text-gray-900 mb-4">Product Not Found</h2>
           <p className="text-gray-600 mb-6">
@@ -19,6 +20,7 @@ export default function NotFound() {
             This could indicate a counterfeit product.
           </p>
           <div className="space-y-3">
+            <CounterfeitReportForm />
             <Link href="/" className="btn-primary block">
               Go to Homepage
             </Link>
@@ -1,6 +1,7 @@
 // 9. Create app/page.js (Homepage)
 import Link from 'next/link'
 import { Shield, CheckCircle, Eye } from 'lucide-react'
+import VerifyCodeEntry from './components/consumer/VerifyCodeEntry'
 
 export default function Home() {
   return (
@@ -13,6 +14,7 @@ export default function Home() {
             <h1 className="text-2xl font-bold text-gray-900">ConfirmSure</h1>
           </div>
           <nav className="hidden md:flex space-x-6">
+            <a href="#verify" className="text-gray-600 hover:text-confirmsure-blue">Verify</a>
             <a href="#features" className="text-gray-600 hover:text-confirmsure-blue">Features</a>
             <a href="#demo" className="text-gray-600 hover:text-confirmsure-blue">Demo</a>
             <a href="#contact" className="text-gray-600 hover:text-confirmsure-blue">Contact</a>
@@ -40,6 +42,11 @@ export default function Home() {
           </div>
         </div>
 
+        {/* Verification entry */}
+        <section id="verify" className="mt-12">
+          <VerifyCodeEntry />
+        </section>
+
         {/* Features */}
         <section id="features" className="mt-20">
           <h3 className="text-3xl font-bold text-center mb-12">How ConfirmSure Works</h3>
@@ -1,12 +1,115 @@
 'use client'
-import { useState } from 'react'
+import { useState, useRef } from 'react'
 import Image from 'next/image'
-import { Shield, CheckCircle, Eye, ArrowLeft, ChevronLeft, ChevronRight } from 'lucide-react'
+import {
+  Shield,
+  CheckCircle,
+  Eye,
+  ArrowLeft,
+  ChevronLeft,
+  ChevronRight,
+  AlertTriangle,
+  Clock,
+  Ban,
+  CalendarX,
+  ListChecks,
+  Megaphone
+} from 'lucide-react'
 import Link from 'next/link'
+import CounterfeitReportForm from '../../components/consumer/CounterfeitReportForm'
+import MarkerImageViewer from '../../components/consumer/MarkerImageViewer'
+import GuidedMarkerCheck, { MarkerDetails } from '../../components/consumer/GuidedMarkerCheck'
+import { sortMarkers, markerBounds, markerImageIndex, MARKER_TYPE_LABELS } from '../../lib/markers'
 
-export default function ProductAuthentication({ product }) {
+// Copy and visual treatment for each consumer-facing verification state
+const STATE_CONFIG = {
+  authentic: {
+    badgeLabel: 'Verified Authentic',
+    badgeClass: 'verification-badge',
+    icon: CheckCircle,
+    panelClass: 'bg-green-50 border-green-200',
+    iconClass: 'text-confirmsure-green',
+    titleClass: 'text-green-800',
+    textClass: 'text-green-700',
+    title: 'Genuine product',
+    message: 'This code belongs to a product registered and released by its manufacturer. Compare the authentication markers below with the item in your hands to complete the check.'
+  },
+  not_released: {
+    badgeLabel: 'Not Yet Released',
+    badgeClass: 'bg-yellow-500 text-white px-4 py-2 rounded-full font-medium flex items-center gap-2',
+    icon: Clock,
+    panelClass: 'bg-yellow-50 border-yellow-200',
+    iconClass: 'text-yellow-600',
+    titleClass: 'text-yellow-800',
+    textClass: 'text-yellow-700',
+    title: 'This product has not been released yet',
+    message: 'The code is registered, but the manufacturer has not released this product for sale. Products should not reach shops before release, so be cautious if you bought this item.'
+  },
+  recalled: {
+    badgeLabel: 'Recalled',
+    badgeClass: 'bg-red-600 text-white px-4 py-2 rounded-full font-medium flex items-center gap-2',
+    icon: Megaphone,
+    panelClass: 'bg-red-50 border-red-200',
+    iconClass: 'text-red-600',
+    titleClass: 'text-red-800',
+    textClass: 'text-red-700',
+    title: 'This product is part of a recall',
+    message: 'The manufacturer has recalled the production run this product belongs to. Read the notice below before using it.'
+  },
+  archived: {
+    badgeLabel: 'Recalled',
+    badgeClass: 'bg-red-600 text-white px-4 py-2 rounded-full font-medium flex items-center gap-2',
+    icon: Ban,
+    panelClass: 'bg-red-50 border-red-200',
+    iconClass: 'text-red-600',
+    titleClass: 'text-red-800',
+    textClass: 'text-red-700',
+    title: 'This product has been withdrawn',
+    message: 'The manufacturer has recalled or archived this product. Stop using it and contact the seller or manufacturer for guidance.'
+  },
+  expired: {
+    badgeLabel: 'Expired',
+    badgeClass: 'bg-orange-500 text-white px-4 py-2 rounded-full font-medium flex items-center gap-2',
+    icon: CalendarX,
+    panelClass: 'bg-orange-50 border-orange-200',
+    iconClass: 'text-orange-500',
+    titleClass: 'text-orange-800',
+    textClass: 'text-orange-700',
+    title: 'This product is past its expiry date',
+    message: 'The product is genuine, but its expiry date has passed. Do not use it unless the manufacturer says it is safe to do so.'
+  },
+  suspected_clone: {
+    badgeLabel: 'Possible Counterfeit',
+    badgeClass: 'bg-red-600 text-white px-4 py-2 rounded-full font-medium flex items-center gap-2',
+    icon: AlertTriangle,
+    panelClass: 'bg-red-50 border-red-200',
+    iconClass: 'text-red-600',
+    titleClass: 'text-red-800',
+    textClass: 'text-red-700',
+    title: 'This code shows signs of copying',
+    message: 'Either the security signature on this label is not valid, or the code has been scanned in a pattern genuine products don\u2019t produce. Your product may be counterfeit. Compare it carefully with the authentication markers below and contact the manufacturer if anything differs.'
+  }
+}
+
+export default function ProductAuthentication({ product, state = 'authentic', signature = { status: 'missing' }, productVersion = null, recall = null }) {
   const [currentImageIndex, setCurrentImageIndex] = useState(0)
+  const [selectedMarkerId, setSelectedMarkerId] = useState(null)
+  const [focus, setFocus] = useState(null)
+  // Guided check: { step, results: { [markerId]: 'match' | 'mismatch' | 'unsure' } }
+  const [guide, setGuide] = useState(null)
+  const galleryRef = useRef(null)
   const images = product.product_images || []
+  // Numbered in the order consumers are asked to check them
+  const markers = sortMarkers(product.markers).map((marker, index) => ({ marker, number: index + 1 }))
+  const imageMarkers = markers.filter(({ marker }) =>
+    markerBounds(marker.coordinates) && markerImageIndex(marker, images) === currentImageIndex
+  )
+  const selected = markers.find(({ marker }) => marker.id === selectedMarkerId)
+  const stateConfig = STATE_CONFIG[state] || STATE_CONFIG.authentic
+  const StateIcon = stateConfig.icon
+  // Unsigned or unchecked labels are registered, but we can't vouch for the label itself
+  const isUnsignedLabel = state === 'authentic' && signature.status !== 'valid'
+  const badgeLabel = isUnsignedLabel ? 'Registered Product' : stateConfig.badgeLabel
 
   const nextImage = () => {
     if (images.length > 0) {
@@ -20,6 +123,37 @@ export default function ProductAuthentication({ product }) {
     }
   }
 
+  // Bring a marker's photo into view and zoom to it
+  const showMarker = (marker) => {
+    const imageIndex = markerImageIndex(marker, images)
+    if (imageIndex !== -1 && markerBounds(marker.coordinates)) {
+      setCurrentImageIndex(imageIndex)
+      setFocus({ markerId: marker.id })
+    }
+    setSelectedMarkerId(marker.id)
+  }
+
+  const goToStep = (step, results) => {
+    setGuide({ step, results })
+    if (step < markers.length) {
+      showMarker(markers[step].marker)
+    } else {
+      setSelectedMarkerId(null)
+      setFocus(null)
+    }
+  }
+
+  const startGuide = () => {
+    goToStep(0, {})
+    galleryRef.current?.scrollIntoView({ behavior: 'smooth', block: 'start' })
+  }
+
+  const exitGuide = () => {
+    setGuide(null)
+    setSelectedMarkerId(null)
+    setFocus(null)
+  }
+
   return (
     <div className="min-h-screen bg-gray-50">
       {/* Header */}
@@ -31,9 +165,9 @@ export default function ProductAuthentication({ product }) {
               <Shield className="h-6 w-6 text-confirmsure-blue" />
               <span className="text-xl font-bold text-gray-900">ConfirmSure</span>
             </Link>
-            <div className="verification-badge">
-              <CheckCircle className="h-5 w-5" />
-              <span>Verified Authentic</span>
+            <div className={stateConfig.badgeClass}>
+              <StateIcon className="h-5 w-5" />
+              <span>{badgeLabel}</span>
             </div>
           </div>
         </div>
@@ -41,6 +175,37 @@ export default function ProductAuthentication({ product }) {
 
       <main className="container mx-auto px-4 py-8">
         <div className="max-w-4xl mx-auto">
+          {/* Verification State */}
+          <div className={`mb-6 border rounded-2xl p-4 flex items-start ${stateConfig.panelClass}`}>
+            <StateIcon className={`h-6 w-6 mr-3 flex-shrink-0 ${stateConfig.iconClass}`} />
+            <div>
+              <h2 className={`font-semibold ${stateConfig.titleClass}`}>{stateConfig.title}</h2>
+              <p className={`text-sm mt-1 ${stateConfig.textClass}`}>{stateConfig.message}</p>
+              {state === 'recalled' && recall && (
+                <div className="mt-3 bg-white border border-red-200 rounded-lg p-3">
+                  <p className="font-semibold text-red-800">{recall.title}</p>
+                  <p className="text-sm text-gray-700 mt-1 whitespace-pre-line">{recall.notice}</p>
+                  <p className="text-xs text-gray-500 mt-2">
+                    Issued {new Date(recall.created_at).toLocaleDateString()}
+                    {product.factory?.contact_email && ` · Questions: ${product.factory.contact_email}`}
+                  </p>
+                </div>
+              )}
+              {state === 'expired' && product.expiry_date && (
+                <p className={`text-sm mt-1 font-medium ${stateConfig.textClass}`}>
+                  Expired on {new Date(product.expiry_date).toLocaleDateString()}
+                </p>
+              )}
+              {isUnsignedLabel && (
+                <p className="text-xs mt-2 text-gray-500">
+                  {signature.status === 'missing'
+                    ? 'This label was printed before signed codes were introduced, so its security signature cannot be checked.'
+                    : 'The security signature on this label could not be checked right now. Please try again later.'}
+                </p>
+              )}
+            </div>
+          </div>
+
           {/* Product Info */}
           <div className="bg-white rounded-2xl shadow-lg overflow-hidden">
             <div className="p-6 border-b">
@@ -51,19 +216,20 @@ export default function ProductAuthentication({ product }) {
             </div>
 
             {/* Image Gallery */}
-            <div className="relative">
+            <div className="relative" ref={galleryRef}>
               {images.length > 0 && (
                 <>
-                  <div className="aspect-square md:aspect-video relative bg-gray-100">
-                    <Image
-                      src={images[currentImageIndex]?.image_url}
-                      alt={`${product.product_name} - View ${currentImageIndex + 1}`}
-                      fill
-                      className="object-cover"
-                      priority={currentImageIndex === 0}
-                      sizes="(max-width: 768px) 100vw, (max-width: 1200px) 50vw, 33vw"
-                    />
-                    
+                  <MarkerImageViewer
+                    key={images[currentImageIndex].image_url}
+                    image={images[currentImageIndex]}
+                    alt={`${product.product_name} - View ${currentImageIndex + 1}`}
+                    markers={imageMarkers}
+                    activeMarkerId={selectedMarkerId}
+                    focus={focus}
+                    // The guided check decides which marker is active
+                    onSelectMarker={guide ? undefined : (marker) => setSelectedMarkerId(marker.id === selectedMarkerId ? null : marker.id)}
+                    priority={currentImageIndex === 0}
+                  >
                     {/* Navigation Buttons */}
                     {images.length > 1 && (
                       <>
@@ -86,7 +252,7 @@ export default function ProductAuthentication({ product }) {
                     <div className="absolute bottom-4 left-1/2 transform -translate-x-1/2 bg-black bg-opacity-50 text-white px-3 py-1 rounded-full text-sm">
                       {currentImageIndex + 1} / {images.length}
                     </div>
-                  </div>
+                  </MarkerImageViewer>
 
                   {/* Thumbnail Strip */}
                   <div className="p-4 bg-gray-50">
@@ -112,26 +278,67 @@ export default function ProductAuthentication({ product }) {
                   </div>
                 </>
               )}
+
+              {/* Guided check, or details of the tapped hotspot */}
+              {guide ? (
+                <div className="p-4">
+                  <GuidedMarkerCheck
+                    markers={markers}
+                    step={guide.step}
+                    results={guide.results}
+                    onAnswer={(markerId, answer) => goToStep(guide.step + 1, { ...guide.results, [markerId]: answer })}
+                    onBack={() => goToStep(guide.step - 1, guide.results)}
+                    onRestart={() => goToStep(0, {})}
+                    onExit={exitGuide}
+                  />
+                </div>
+              ) : selected && (
+                <div className="p-4 border-b">
+                  <MarkerDetails marker={selected.marker} number={selected.number} />
+                </div>
+              )}
             </div>
 
             {/* Authentication Details */}
             <div className="p-6">
-              <h2 className="text-2xl font-bold mb-4 flex items-center">
-                <Eye className="h-6 w-6 text-confirmsure-blue mr-2" />
-                Authentication Markers
-              </h2>
+              <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                <h2 className="text-2xl font-bold flex items-center">
+                  <Eye className="h-6 w-6 text-confirmsure-blue mr-2" />
+                  Authentication Markers
+                </h2>
+                {markers.length > 0 && !guide && (
+                  <button onClick={startGuide} className="btn-primary inline-flex items-center">
+                    <ListChecks className="h-4 w-4 mr-2" />
+                    Check step by step
+                  </button>
+                )}
+              </div>
               
-              {product.markers && product.markers.length > 0 && (
+              {markers.length > 0 && (
                 <div className="grid md:grid-cols-2 gap-4 mb-6">
-                  {product.markers.map((marker, index) => (
-                    <div key={index} className="bg-blue-50 p-4 rounded-lg">
-                      <h3 className="font-semibold text-gray-900 capitalize">
-                        {marker.type?.replace('_', ' ')}
+                  {markers.map(({ marker, number }) => (
+                    <button
+                      key={marker.id}
+                      type="button"
+                      onClick={() => {
+                        showMarker(marker)
+                        galleryRef.current?.scrollIntoView({ behavior: 'smooth', block: 'start' })
+                      }}
+                      disabled={Boolean(guide)}
+                      className={`text-left p-4 rounded-lg transition-colors ${
+                        marker.id === selectedMarkerId ? 'bg-yellow-50 ring-2 ring-yellow-300' : 'bg-blue-50 hover:bg-blue-100'
+                      }`}
+                    >
+                      <h3 className="font-semibold text-gray-900">
+                        <span className="inline-flex items-center justify-center w-6 h-6 rounded-full bg-confirmsure-blue text-white text-xs font-bold mr-2">
+                          {number}
+                        </span>
+                        {MARKER_TYPE_LABELS[marker.type] || marker.type}
                       </h3>
                       <p className="text-gray-600">Position: {marker.position}</p>
                       {marker.color && <p className="text-gray-600">Color: {marker.color}</p>}
                       {marker.pattern && <p className="text-gray-600">Pattern: {marker.pattern}</p>}
-                    </div>
+                    </button>
                   ))}
                 </div>
               )}
@@ -140,7 +347,8 @@ export default function ProductAuthentication({ product }) {
                 <h3 className="font-semibold text-confirmsure-green mb-2">Verification Instructions</h3>
                 <p className="text-gray-700">
                   Compare the physical product in your hands with these authentication photos. 
-                  Look for the specific markers shown above in the exact positions indicated. 
+                  Tap a highlighted marker on a photo to see how to check it, or use the
+                  step-by-step check to go through each marker in turn.
                   If all markers match, your product is guaranteed authentic.
                 </p>
               </div>
@@ -156,6 +364,9 @@ export default function ProductAuthentication({ product }) {
                 <p className="text-gray-600">Type: {product.product_type}</p>
                 <p className="text-gray-600">Batch: {product.batch_id || 'N/A'}</p>
                 <p className="text-gray-600">Manufactured: {new Date(product.created_at).toLocaleDateString()}</p>
+                {productVersion && (
+                  <p className="text-gray-600">Record version: {productVersion}</p>
+                )}
               </div>
               <div>
                 <h3 className="font-semibold text-gray-900 mb-2">Factory Information</h3>
@@ -172,6 +383,15 @@ export default function ProductAuthentication({ product }) {
               </div>
             )}
           </div>
+
+          {/* Counterfeit Report */}
+          <div id="report" className="mt-8 bg-white rounded-2xl shadow-lg p-6 scroll-mt-4">
+            <h2 className="text-2xl font-bold mb-2">Something Not Right?</h2>
+            <p className="text-gray-600 mb-4">
+              If the markers don&apos;t match or the product looks different from the photos, let us know.
+            </p>
+            <CounterfeitReportForm qrCode={product.qr_code} />
+          </div>
         </div>
       </main>
     </div>
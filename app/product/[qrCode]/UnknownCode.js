@@ -0,0 +1,35 @@
+import Link from 'next/link'
+import { Shield, AlertTriangle } from 'lucide-react'
+import CounterfeitReportForm from '../../components/consumer/CounterfeitReportForm'
+
+export default function UnknownCode({ qrCode }) {
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4">
+      <div className="text-center">
+        <div className="flex items-center justify-center mb-6">
+          <Shield className="h-12 w-12 text-confirmsure-blue mr-3" />
+          <h1 className="text-3xl font-bold text-gray-900">ConfirmSure</h1>
+        </div>
+
+        <div className="bg-white rounded-2xl shadow-lg p-8 max-w-lg">
+          <AlertTriangle className="h-16 w-16 text-red-600 mx-auto mb-4" />
+          <h2 className="text-2xl font-bold text-gray-900 mb-4">This Code Is Not Registered</h2>
+          <p className="text-gray-600 mb-4">
+            The code you scanned doesn&apos;t match any product registered with ConfirmSure.
+            Genuine products always carry a registered code, so this item may be counterfeit.
+          </p>
+          <p className="text-sm text-gray-500 mb-6 font-mono break-all">{qrCode}</p>
+          <div className="space-y-3">
+            <CounterfeitReportForm qrCode={qrCode} />
+            <Link href="/" className="btn-primary block">
+              Go to Homepage
+            </Link>
+            <p className="text-sm text-gray-500">
+              Don&apos;t use the product until you have checked with the seller or manufacturer.
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
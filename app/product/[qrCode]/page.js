@@ -2,7 +2,17 @@ import { createClient } from '../../lib/supabase'
 
 const supabase = createClient()
 import ProductAuthentication from './ProductAuthentication'
-import { notFound } from 'next/navigation'
+import UnknownCode from './UnknownCode'
+import { notFound, redirect } from 'next/navigation'
+import { headers } from 'next/headers'
+import { verifyQRToken } from '../../lib/qr-signing'
+import { getScanContext, resolveScanResult, recordScan } from '../../lib/scan-tracking'
+import { lookupLocation } from '../../lib/geoip'
+import { detectCloneSignals, flagSuspiciousScan, countActiveCloneFlags } from '../../lib/clone-detection'
+import { resolveVerificationState } from '../../lib/verification-state'
+import { normalizeQRCode } from '../../lib/qr-code-format'
+import { getLatestVersionNumber } from '../../lib/product-versions'
+import { getActiveRecall } from '../../lib/product-recalls'
 
 async function getProductData(qrCode) {
   try {
@@ -10,7 +20,7 @@ async function getProductData(qrCode) {
       .from('products')
       .select(`
         *,
-        factory:factories(*),
+        factory:factories(id, name, location, country, contact_email),
         product_images(*),
         markers:authentication_markers(*)
       `)
@@ -29,20 +39,95 @@ async function getProductData(qrCode) {
   }
 }
 
-export default async function ProductPage({ params }) {
-  const { qrCode } = params
-  
-  if (!qrCode) {
+async function getSignatureStatus(token, product) {
+  try {
+    return await verifyQRToken(token, product)
+  } catch (error) {
+    console.error('QR signature verification error:', error)
+    return { status: 'unavailable' }
+  }
+}
+
+function decodeCodeParam(value) {
+  try {
+    return decodeURIComponent(value)
+  } catch (error) {
+    return value
+  }
+}
+
+export default async function ProductPage({ params, searchParams }) {
+  if (!params.qrCode) {
     notFound()
   }
 
+  // Typed codes (lower case, grouped, O for 0) resolve to the canonical URL
+  const requestedCode = decodeCodeParam(params.qrCode)
+  const qrCode = normalizeQRCode(requestedCode)
+  if (qrCode !== requestedCode) {
+    redirect(`/product/${encodeURIComponent(qrCode)}${searchParams?.t ? `?t=${encodeURIComponent(searchParams.t)}` : ''}`)
+  }
+
   const product = await getProductData(qrCode)
+  const scanContext = getScanContext(headers())
   
   if (!product) {
-    notFound()
+    await recordScan({
+      qrCode,
+      result: resolveScanResult({ product }),
+      context: scanContext,
+      metadata: { has_token: Boolean(searchParams?.t) }
+    })
+    return <UnknownCode qrCode={qrCode} />
   }
 
-  return <ProductAuthentication product={product} />
+  // Verify the signed token before the page claims authenticity
+  const signature = await getSignatureStatus(searchParams?.t, product)
+
+  // Look for clone patterns before the scan joins the history
+  const location = await lookupLocation(scanContext.ipAddress)
+  const signals = await detectCloneSignals({ product, location })
+
+  // The version this page shows is stored with the scan
+  const productVersion = await getLatestVersionNumber(product.id)
+  const recall = await getActiveRecall(product.id)
+
+  const scanId = await recordScan({
+    qrCode,
+    product,
+    productVersion,
+    result: resolveScanResult({ product, signature, signals }),
+    context: scanContext,
+    location,
+    metadata: {
+      signature_status: signature.status,
+      signature_key_id: signature.keyId || null,
+      clone_signals: signals.map(signal => signal.reason),
+      recall_id: recall?.id || null
+    }
+  })
+
+  if (signals.length > 0) {
+    await flagSuspiciousScan({ product, scanId, signals })
+  }
+
+  const cloneFlagCount = await countActiveCloneFlags(product.id)
+  const state = resolveVerificationState({
+    product,
+    signature,
+    suspectedClone: cloneFlagCount > 0,
+    recalled: Boolean(recall)
+  })
+
+  return (
+    <ProductAuthentication
+      product={product}
+      state={state}
+      signature={signature}
+      productVersion={productVersion}
+      recall={recall}
+    />
+  )
 }
 
 export async function generateMetadata({ params }) {
@@ -51,8 +136,8 @@ export async function generateMetadata({ params }) {
   
   if (!product) {
     return {
-      title: 'Product Not Found - ConfirmSure',
-      description: 'The requested product could not be found.'
+      title: 'Unregistered Code - ConfirmSure',
+      description: 'This code is not registered with ConfirmSure and may belong to a counterfeit product.'
     }
   }
 
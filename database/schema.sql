@@ -20,7 +20,13 @@ CREATE TABLE IF NOT EXISTS factories (
   address TEXT,
   country TEXT NOT NULL,
   is_active BOOLEAN DEFAULT true,
-  api_key UUID DEFAULT gen_random_uuid() UNIQUE,
+  -- SHA-256 of the device API key; NULL until issued from the admin UI, cleared again on revoke.
+  -- The key itself is only shown once, when issued; the hint is its last characters.
+  api_key_hash TEXT UNIQUE,
+  api_key_hint TEXT,
+  api_key_scopes TEXT[] NOT NULL DEFAULT ARRAY['products:register', 'images:upload', 'labels:print'],
+  api_key_issued_by UUID REFERENCES auth.users(id),
+  api_key_issued_at TIMESTAMP WITH TIME ZONE,
   settings JSONB DEFAULT '{}',
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
@@ -57,7 +63,18 @@ CREATE TABLE IF NOT EXISTS products (
   created_by UUID NOT NULL REFERENCES auth.users(id),
   approved_by UUID REFERENCES auth.users(id),
   approved_at TIMESTAMP WITH TIME ZONE,
+  rejected_by UUID REFERENCES auth.users(id),
+  rejected_at TIMESTAMP WITH TIME ZONE,
+  rejection_reason TEXT,
   metadata JSONB DEFAULT '{}',
+  -- Full-text search document; the 'simple' configuration keeps codes and batch
+  -- numbers unstemmed so prefix queries match them as typed
+  search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('simple', coalesce(product_name, '')), 'A') ||
+    setweight(to_tsvector('simple', coalesce(qr_code, '') || ' ' || coalesce(serial_number, '') || ' ' || coalesce(batch_id, '')), 'A') ||
+    setweight(to_tsvector('simple', coalesce(product_type, '')), 'B') ||
+    setweight(to_tsvector('simple', coalesce(description, '')), 'C')
+  ) STORED,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -81,6 +98,7 @@ CREATE TABLE IF NOT EXISTS product_images (
 CREATE TABLE IF NOT EXISTS authentication_markers (
   id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
   product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  image_id UUID REFERENCES product_images(id) ON DELETE SET NULL, -- Photo the coordinates refer to
   type marker_type NOT NULL,
   position TEXT NOT NULL,
   color TEXT,
@@ -89,7 +107,9 @@ CREATE TABLE IF NOT EXISTS authentication_markers (
   coordinates JSONB,
   description TEXT,
   verification_instructions TEXT,
-  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  sort_order INTEGER, -- Order consumers check markers in; unset markers follow by creation time
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
 -- Audit logs table
@@ -117,9 +137,12 @@ CREATE TABLE IF NOT EXISTS batch_operations (
   failed_items INTEGER NOT NULL DEFAULT 0,
   status TEXT DEFAULT 'pending',
   error_details JSONB DEFAULT '[]',
+  lease_owner TEXT,
+  lease_expires_at TIMESTAMP WITH TIME ZONE,
   started_at TIMESTAMP WITH TIME ZONE,
   completed_at TIMESTAMP WITH TIME ZONE,
-  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
 -- Batch operation items table
@@ -127,13 +150,82 @@ CREATE TABLE IF NOT EXISTS batch_operation_items (
   id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
   batch_operation_id UUID NOT NULL REFERENCES batch_operations(id) ON DELETE CASCADE,
   product_id UUID REFERENCES products(id),
+  row_number INTEGER,
   item_data JSONB NOT NULL,
   status TEXT DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  result JSONB DEFAULT '{}',
   error_message TEXT,
   processed_at TIMESTAMP WITH TIME ZONE,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Label print queue consumed by factory printer stations
+CREATE TABLE IF NOT EXISTS label_print_jobs (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  factory_id UUID NOT NULL REFERENCES factories(id),
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  copies INTEGER NOT NULL DEFAULT 1,
+  status TEXT NOT NULL DEFAULT 'queued',
+  device_id TEXT,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  error_message TEXT,
+  requested_by UUID REFERENCES auth.users(id),
+  claimed_at TIMESTAMP WITH TIME ZONE,
+  printed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Pre-allocated QR code pools: codes are reserved for a factory up front and
+-- bound to products later (pre-printed label rolls)
+CREATE TABLE IF NOT EXISTS qr_code_pools (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  factory_id UUID NOT NULL REFERENCES factories(id),
+  name TEXT NOT NULL,
+  requested_count INTEGER NOT NULL,
+  status TEXT NOT NULL DEFAULT 'active',
+  available_count INTEGER NOT NULL DEFAULT 0,
+  assigned_count INTEGER NOT NULL DEFAULT 0,
+  voided_count INTEGER NOT NULL DEFAULT 0,
+  created_by UUID REFERENCES auth.users(id),
+  voided_by UUID REFERENCES auth.users(id),
+  voided_at TIMESTAMP WITH TIME ZONE,
+  void_reason TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- One row per reserved code; product_id is set once the code is bound
+CREATE TABLE IF NOT EXISTS qr_code_reservations (
+  qr_code TEXT PRIMARY KEY,
+  pool_id UUID NOT NULL REFERENCES qr_code_pools(id) ON DELETE CASCADE,
+  factory_id UUID NOT NULL REFERENCES factories(id),
+  sequence INTEGER NOT NULL,
+  status TEXT NOT NULL DEFAULT 'available',
+  product_id UUID REFERENCES products(id) ON DELETE SET NULL,
+  assigned_at TIMESTAMP WITH TIME ZONE,
+  voided_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Generated admin reports (files live in the private 'reports' storage bucket)
+CREATE TABLE IF NOT EXISTS generated_reports (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  report_type TEXT NOT NULL,
+  name TEXT NOT NULL,
+  format TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'processing',
+  parameters JSONB DEFAULT '{}',
+  filename TEXT,
+  file_path TEXT,
+  file_size BIGINT,
+  row_count INTEGER,
+  error_message TEXT,
+  generated_by UUID REFERENCES auth.users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  completed_at TIMESTAMP WITH TIME ZONE
+);
+
 -- System settings table
 CREATE TABLE IF NOT EXISTS system_settings (
   id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
@@ -147,9 +239,11 @@ CREATE TABLE IF NOT EXISTS system_settings (
 );
 
 -- QR code tracking table
+-- product_id is NULL for scans of codes that are not registered
 CREATE TABLE IF NOT EXISTS qr_scans (
   id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
-  product_id UUID NOT NULL REFERENCES products(id),
+  product_id UUID REFERENCES products(id),
+  qr_code TEXT,
   scanned_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   ip_address INET,
   user_agent TEXT,
@@ -157,9 +251,97 @@ CREATE TABLE IF NOT EXISTS qr_scans (
   city TEXT,
   referrer TEXT,
   scan_result TEXT DEFAULT 'success',
+  product_version INTEGER, -- product_versions.version_number the scanned page showed
   metadata JSONB DEFAULT '{}'
 );
 
+-- Suspicious scan flags raised by clone detection
+CREATE TABLE IF NOT EXISTS suspicious_scans (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  scan_id UUID REFERENCES qr_scans(id) ON DELETE SET NULL,
+  qr_code TEXT NOT NULL,
+  reason TEXT NOT NULL,
+  severity TEXT NOT NULL DEFAULT 'high',
+  details JSONB DEFAULT '{}',
+  occurrences INTEGER NOT NULL DEFAULT 1,
+  status TEXT NOT NULL DEFAULT 'open',
+  last_detected_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  resolved_by UUID REFERENCES auth.users(id),
+  resolved_at TIMESTAMP WITH TIME ZONE,
+  resolution_notes TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Counterfeit reports submitted by consumers from the public verification pages
+-- product_id is NULL when the reported code is not registered
+CREATE TABLE IF NOT EXISTS counterfeit_reports (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  qr_code TEXT NOT NULL,
+  product_id UUID REFERENCES products(id) ON DELETE SET NULL,
+  purchase_location TEXT,
+  purchase_date DATE,
+  seller TEXT,
+  description TEXT,
+  photos JSONB DEFAULT '[]',
+  contact_name TEXT,
+  contact_email TEXT,
+  contact_phone TEXT,
+  status TEXT NOT NULL DEFAULT 'new',
+  ip_address INET,
+  country TEXT,
+  city TEXT,
+  triage_notes TEXT,
+  reviewed_by UUID REFERENCES auth.users(id),
+  reviewed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Product history: the product fields, photos and markers after each change,
+-- written by triggers (one version per transaction)
+CREATE TABLE IF NOT EXISTS product_versions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  version_number INTEGER NOT NULL,
+  snapshot JSONB NOT NULL,
+  restored_from INTEGER, -- Version number this one was restored from
+  created_by UUID REFERENCES auth.users(id),
+  transaction_id BIGINT NOT NULL DEFAULT txid_current(),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (product_id, version_number)
+);
+
+-- Product recalls: every product of a batch and/or manufacturing date range at the
+-- time of the recall. 'flag' keeps the products live with the consumer notice;
+-- 'archive' also withdraws them
+CREATE TABLE IF NOT EXISTS product_recalls (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  factory_id UUID NOT NULL REFERENCES factories(id),
+  title TEXT NOT NULL,
+  notice TEXT NOT NULL, -- Shown to consumers who scan an affected code
+  action TEXT NOT NULL DEFAULT 'flag',
+  batch_id TEXT,
+  manufactured_from DATE,
+  manufactured_to DATE,
+  product_count INTEGER NOT NULL DEFAULT 0,
+  status TEXT NOT NULL DEFAULT 'active',
+  created_by UUID REFERENCES auth.users(id),
+  lifted_by UUID REFERENCES auth.users(id),
+  lifted_at TIMESTAMP WITH TIME ZONE,
+  lift_reason TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Products a recall covers, with the status to return to when it is lifted
+CREATE TABLE IF NOT EXISTS product_recall_items (
+  recall_id UUID NOT NULL REFERENCES product_recalls(id) ON DELETE CASCADE,
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  qr_code TEXT NOT NULL,
+  previous_status product_status NOT NULL,
+  PRIMARY KEY (recall_id, product_id)
+);
+
 -- Create indexes for performance
 CREATE INDEX IF NOT EXISTS idx_user_profiles_user_id ON user_profiles(user_id);
 CREATE INDEX IF NOT EXISTS idx_user_profiles_factory_id ON user_profiles(factory_id);
@@ -172,12 +354,15 @@ CREATE INDEX IF NOT EXISTS idx_products_status ON products(status);
 CREATE INDEX IF NOT EXISTS idx_products_created_by ON products(created_by);
 CREATE INDEX IF NOT EXISTS idx_products_batch_id ON products(batch_id);
 CREATE INDEX IF NOT EXISTS idx_products_created_at ON products(created_at);
+CREATE INDEX IF NOT EXISTS idx_products_search_cursor ON products(created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_products_search_vector ON products USING GIN (search_vector);
 
 CREATE INDEX IF NOT EXISTS idx_product_images_product_id ON product_images(product_id);
 CREATE INDEX IF NOT EXISTS idx_product_images_is_primary ON product_images(is_primary);
 
 CREATE INDEX IF NOT EXISTS idx_authentication_markers_product_id ON authentication_markers(product_id);
 CREATE INDEX IF NOT EXISTS idx_authentication_markers_type ON authentication_markers(type);
+CREATE INDEX IF NOT EXISTS idx_authentication_markers_image_id ON authentication_markers(image_id);
 
 CREATE INDEX IF NOT EXISTS idx_audit_logs_user_id ON audit_logs(user_id);
 CREATE INDEX IF NOT EXISTS idx_audit_logs_event_type ON audit_logs(event_type);
@@ -187,10 +372,37 @@ CREATE INDEX IF NOT EXISTS idx_audit_logs_resource ON audit_logs(resource_type,
 CREATE INDEX IF NOT EXISTS idx_batch_operations_factory_id ON batch_operations(factory_id);
 CREATE INDEX IF NOT EXISTS idx_batch_operations_created_by ON batch_operations(created_by);
 CREATE INDEX IF NOT EXISTS idx_batch_operations_status ON batch_operations(status);
+CREATE INDEX IF NOT EXISTS idx_batch_operation_items_operation_status ON batch_operation_items(batch_operation_id, status);
+
+CREATE INDEX IF NOT EXISTS idx_label_print_jobs_factory_status ON label_print_jobs(factory_id, status, created_at);
+CREATE INDEX IF NOT EXISTS idx_label_print_jobs_product_id ON label_print_jobs(product_id);
+
+CREATE INDEX IF NOT EXISTS idx_qr_code_pools_factory_status ON qr_code_pools(factory_id, status, created_at);
+CREATE INDEX IF NOT EXISTS idx_qr_code_reservations_pool_status ON qr_code_reservations(pool_id, status, sequence);
+CREATE INDEX IF NOT EXISTS idx_qr_code_reservations_product_id ON qr_code_reservations(product_id);
+
+CREATE INDEX IF NOT EXISTS idx_generated_reports_created_at ON generated_reports(created_at);
+CREATE INDEX IF NOT EXISTS idx_generated_reports_report_type ON generated_reports(report_type);
 
 CREATE INDEX IF NOT EXISTS idx_qr_scans_product_id ON qr_scans(product_id);
 CREATE INDEX IF NOT EXISTS idx_qr_scans_scanned_at ON qr_scans(scanned_at);
 CREATE INDEX IF NOT EXISTS idx_qr_scans_country ON qr_scans(country);
+CREATE INDEX IF NOT EXISTS idx_qr_scans_qr_code ON qr_scans(qr_code);
+CREATE INDEX IF NOT EXISTS idx_qr_scans_scan_result ON qr_scans(scan_result);
+
+CREATE INDEX IF NOT EXISTS idx_suspicious_scans_product_id ON suspicious_scans(product_id);
+CREATE INDEX IF NOT EXISTS idx_suspicious_scans_status ON suspicious_scans(status);
+CREATE INDEX IF NOT EXISTS idx_suspicious_scans_created_at ON suspicious_scans(created_at);
+
+CREATE INDEX IF NOT EXISTS idx_counterfeit_reports_qr_code ON counterfeit_reports(qr_code);
+CREATE INDEX IF NOT EXISTS idx_counterfeit_reports_product_id ON counterfeit_reports(product_id);
+CREATE INDEX IF NOT EXISTS idx_counterfeit_reports_status ON counterfeit_reports(status);
+CREATE INDEX IF NOT EXISTS idx_counterfeit_reports_created_at ON counterfeit_reports(created_at);
+
+CREATE INDEX IF NOT EXISTS idx_product_versions_product_id ON product_versions(product_id, version_number DESC);
+
+CREATE INDEX IF NOT EXISTS idx_product_recalls_factory_status ON product_recalls(factory_id, status, created_at);
+CREATE INDEX IF NOT EXISTS idx_product_recall_items_product_id ON product_recall_items(product_id);
 
 -- Create updated_at trigger function
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -211,9 +423,21 @@ CREATE TRIGGER update_user_profiles_updated_at BEFORE UPDATE ON user_profiles
 CREATE TRIGGER update_products_updated_at BEFORE UPDATE ON products 
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_authentication_markers_updated_at BEFORE UPDATE ON authentication_markers 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER update_system_settings_updated_at BEFORE UPDATE ON system_settings 
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_batch_operations_updated_at BEFORE UPDATE ON batch_operations 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_counterfeit_reports_updated_at BEFORE UPDATE ON counterfeit_reports 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_qr_code_pools_updated_at BEFORE UPDATE ON qr_code_pools 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 -- Row Level Security Policies
 
 -- Enable RLS on all tables
@@ -225,7 +449,16 @@ ALTER TABLE authentication_markers ENABLE ROW LEVEL SECURITY;
 ALTER TABLE audit_logs ENABLE ROW LEVEL SECURITY;
 ALTER TABLE batch_operations ENABLE ROW LEVEL SECURITY;
 ALTER TABLE batch_operation_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE label_print_jobs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE qr_code_pools ENABLE ROW LEVEL SECURITY;
+ALTER TABLE qr_code_reservations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE generated_reports ENABLE ROW LEVEL SECURITY;
 ALTER TABLE qr_scans ENABLE ROW LEVEL SECURITY;
+ALTER TABLE suspicious_scans ENABLE ROW LEVEL SECURITY;
+ALTER TABLE counterfeit_reports ENABLE ROW LEVEL SECURITY;
+ALTER TABLE product_versions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE product_recalls ENABLE ROW LEVEL SECURITY;
+ALTER TABLE product_recall_items ENABLE ROW LEVEL SECURITY;
 
 -- User profiles policies
 CREATE POLICY "Users can view their own profile" ON user_profiles
@@ -297,6 +530,19 @@ CREATE POLICY "Factory users can update their factory products" ON products
         )
     );
 
+-- Scanned products are archived instead (see DELETE /api/products/<id>)
+CREATE POLICY "Factory managers can delete their factory products" ON products
+    FOR DELETE USING (
+        EXISTS (
+            SELECT 1 FROM user_profiles up
+            WHERE up.user_id = auth.uid()
+            AND (
+                (up.factory_id = products.factory_id AND up.role = 'factory_manager')
+                OR up.role = 'admin'
+            )
+        )
+    );
+
 -- Product images policies
 CREATE POLICY "Users can view images for accessible products" ON product_images
     FOR SELECT USING (
@@ -319,12 +565,167 @@ CREATE POLICY "Users can view markers for accessible products" ON authentication
         )
     );
 
--- QR scans policies (public read for product verification)
-CREATE POLICY "Anyone can view QR scan data" ON qr_scans
-    FOR SELECT USING (true);
+CREATE POLICY "Factory users can create markers for their factory products" ON authentication_markers
+    FOR INSERT WITH CHECK (
+        EXISTS (
+            SELECT 1 FROM products p 
+            JOIN user_profiles up ON up.user_id = auth.uid()
+            WHERE p.id = authentication_markers.product_id 
+            AND (
+                (up.factory_id = p.factory_id AND up.role IN ('factory_manager', 'factory_operator'))
+                OR up.role = 'admin'
+            )
+        )
+    );
+
+CREATE POLICY "Factory users can update markers on their factory products" ON authentication_markers
+    FOR UPDATE USING (
+        EXISTS (
+            SELECT 1 FROM products p 
+            JOIN user_profiles up ON up.user_id = auth.uid()
+            WHERE p.id = authentication_markers.product_id 
+            AND (
+                (up.factory_id = p.factory_id AND up.role IN ('factory_manager', 'factory_operator'))
+                OR up.role = 'admin'
+            )
+        )
+    );
+
+CREATE POLICY "Factory users can delete markers on their factory products" ON authentication_markers
+    FOR DELETE USING (
+        EXISTS (
+            SELECT 1 FROM products p 
+            JOIN user_profiles up ON up.user_id = auth.uid()
+            WHERE p.id = authentication_markers.product_id 
+            AND (
+                (up.factory_id = p.factory_id AND up.role IN ('factory_manager', 'factory_operator'))
+                OR up.role = 'admin'
+            )
+        )
+    );
+
+-- Label print job policies
+CREATE POLICY "Users can manage label jobs for their factory" ON label_print_jobs
+    FOR ALL USING (
+        EXISTS (
+            SELECT 1 FROM user_profiles up 
+            WHERE up.user_id = auth.uid() 
+            AND (up.factory_id = label_print_jobs.factory_id OR up.role = 'admin')
+        )
+    );
+
+-- QR code pool policies (pools and reservations change only through the functions below)
+CREATE POLICY "Users can view QR pools for their factory" ON qr_code_pools
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM user_profiles up 
+            WHERE up.user_id = auth.uid() 
+            AND (up.factory_id = qr_code_pools.factory_id OR up.role = 'admin')
+        )
+    );
+
+CREATE POLICY "Users can view QR reservations for their factory" ON qr_code_reservations
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM user_profiles up 
+            WHERE up.user_id = auth.uid() 
+            AND (up.factory_id = qr_code_reservations.factory_id OR up.role = 'admin')
+        )
+    );
+
+-- Generated reports policies
+CREATE POLICY "Admins can manage generated reports" ON generated_reports
+    FOR ALL USING (
+        EXISTS (
+            SELECT 1 FROM user_profiles up 
+            WHERE up.user_id = auth.uid() AND up.role = 'admin'
+        )
+    );
+
+-- QR scans policies (scans hold consumer IP addresses and locations, so only the
+-- factory that made the product and admins can read them; rows are written by log_qr_scan)
+CREATE POLICY "Users can view QR scans of their factory products" ON qr_scans
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM user_profiles up 
+            WHERE up.user_id = auth.uid() 
+            AND (
+                up.role = 'admin'
+                OR EXISTS (
+                    SELECT 1 FROM products p
+                    WHERE p.id = qr_scans.product_id AND p.factory_id = up.factory_id
+                )
+            )
+        )
+    );
+
+-- Suspicious scan policies (writes go through flag_suspicious_scan)
+CREATE POLICY "Admins can view suspicious scans" ON suspicious_scans
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM user_profiles up 
+            WHERE up.user_id = auth.uid() AND up.role = 'admin'
+        )
+    );
 
-CREATE POLICY "System can insert QR scan data" ON qr_scans
-    FOR INSERT WITH CHECK (true);
+CREATE POLICY "Admins can resolve suspicious scans" ON suspicious_scans
+    FOR UPDATE USING (
+        EXISTS (
+            SELECT 1 FROM user_profiles up 
+            WHERE up.user_id = auth.uid() AND up.role = 'admin'
+        )
+    );
+
+-- Counterfeit report policies (public submission, admin triage)
+CREATE POLICY "Anyone can submit counterfeit reports" ON counterfeit_reports
+    FOR INSERT WITH CHECK (status = 'new');
+
+CREATE POLICY "Admins can view counterfeit reports" ON counterfeit_reports
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM user_profiles up 
+            WHERE up.user_id = auth.uid() AND up.role = 'admin'
+        )
+    );
+
+CREATE POLICY "Admins can triage counterfeit reports" ON counterfeit_reports
+    FOR UPDATE USING (
+        EXISTS (
+            SELECT 1 FROM user_profiles up 
+            WHERE up.user_id = auth.uid() AND up.role = 'admin'
+        )
+    );
+
+-- Product version policies (rows are written by the version triggers)
+CREATE POLICY "Users can view versions of accessible products" ON product_versions
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM products p 
+            JOIN user_profiles up ON up.user_id = auth.uid()
+            WHERE p.id = product_versions.product_id 
+            AND (up.factory_id = p.factory_id OR up.role = 'admin')
+        )
+    );
+
+-- Recall policies (rows are written by create_product_recall and lift_product_recall)
+CREATE POLICY "Users can view recalls of their factory" ON product_recalls
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM user_profiles up
+            WHERE up.user_id = auth.uid()
+            AND (up.factory_id = product_recalls.factory_id OR up.role = 'admin')
+        )
+    );
+
+CREATE POLICY "Users can view recalled products of their factory" ON product_recall_items
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM product_recalls r
+            JOIN user_profiles up ON up.user_id = auth.uid()
+            WHERE r.id = product_recall_items.recall_id
+            AND (up.factory_id = r.factory_id OR up.role = 'admin')
+        )
+    );
 
 -- Audit logs policies
 CREATE POLICY "Users can view their own audit logs" ON audit_logs
@@ -345,6 +746,9 @@ INSERT INTO system_settings (key, value, description, is_public) VALUES
 ('max_images_per_product', '6', 'Maximum number of images per product', false),
 ('max_file_size_mb', '10', 'Maximum file size for uploads in MB', false),
 ('qr_code_prefix', '"CS"', 'Prefix for QR codes', false),
+('qr_code_format', '{"format": "legacy", "length": 8}', 'Default QR code format (legacy or base32); the prefix comes from qr_code_prefix and factories may override both', false),
+('qr_signing_keys', '{"active_key_id": "k1", "accepted_key_ids": ["k1"], "rotated_at": null}', 'Active and accepted QR signing key ids', false),
+('clone_detection', '{"travel_window_hours": 24, "max_travel_speed_kmh": 900, "min_travel_distance_km": 150, "default_max_scans": 50, "max_scans_by_product_type": {}}', 'Thresholds for counterfeit scan detection', false),
 ('password_policy', '{"minLength": 8, "requireUppercase": true, "requireLowercase": true, "requireNumbers": true, "requireSpecialChars": true}', 'Password policy configuration', false)
 ON CONFLICT (key) DO NOTHING;
 
@@ -367,69 +771,851 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql SECURITY DEFINER;
 
--- Create function to generate unique QR codes
-CREATE OR REPLACE FUNCTION generate_qr_code() RETURNS TEXT AS $$
-DECLARE
-    prefix TEXT;
-    new_code TEXT;
-    counter INTEGER := 0;
-BEGIN
-    SELECT value::TEXT FROM system_settings WHERE key = 'qr_code_prefix' INTO prefix;
-    IF prefix IS NULL THEN
-        prefix := 'CS';
-    ELSE
-        prefix := trim(prefix, '"');
-    END IF;
-    
-    LOOP
-        -- Generate random 6-digit code
-        new_code := prefix || '-' || LPAD(FLOOR(RANDOM() * 999999)::TEXT, 6, '0');
-        
-        -- Check if code already exists
-        IF NOT EXISTS (SELECT 1 FROM products WHERE qr_code = new_code) THEN
-            RETURN new_code;
-        END IF;
-        
-        counter := counter + 1;
-        IF counter > 100 THEN
-            RAISE EXCEPTION 'Unable to generate unique QR code after 100 attempts';
-        END IF;
-    END LOOP;
-END;
-$$ LANGUAGE plpgsql;
+-- QR codes are generated by the application's code-format service
+-- (app/lib/qr-code-format.js) so prefixes and formats are configured in one place
+DROP FUNCTION IF EXISTS generate_qr_code();
 
 -- Create function to log QR scan events
+DROP FUNCTION IF EXISTS log_qr_scan(UUID, INET, TEXT, TEXT, TEXT, TEXT);
+
 CREATE OR REPLACE FUNCTION log_qr_scan(
     p_product_id UUID,
+    p_qr_code TEXT DEFAULT NULL,
     p_ip_address INET DEFAULT NULL,
     p_user_agent TEXT DEFAULT NULL,
     p_country TEXT DEFAULT NULL,
     p_city TEXT DEFAULT NULL,
-    p_referrer TEXT DEFAULT NULL
+    p_referrer TEXT DEFAULT NULL,
+    p_scan_result TEXT DEFAULT 'success',
+    p_metadata JSONB DEFAULT '{}',
+    p_product_version INTEGER DEFAULT NULL
 ) RETURNS UUID AS $$
 DECLARE
     scan_id UUID;
 BEGIN
     INSERT INTO qr_scans (
         product_id, 
+        qr_code,
         ip_address, 
         user_agent, 
         country, 
         city, 
-        referrer
+        referrer,
+        scan_result,
+        product_version,
+        metadata
     ) VALUES (
         p_product_id, 
+        p_qr_code,
         p_ip_address, 
         p_user_agent, 
         p_country, 
         p_city, 
-        p_referrer
+        p_referrer,
+        COALESCE(p_scan_result, 'success'),
+        COALESCE(p_product_version, (
+            SELECT MAX(version_number) FROM product_versions WHERE product_id = p_product_id
+        )),
+        COALESCE(p_metadata, '{}')
     ) RETURNING id INTO scan_id;
     
     RETURN scan_id;
 END;
 $$ LANGUAGE plpgsql SECURITY DEFINER;
 
+-- Only the server logs scans; anyone else could fake the scan counts and locations clone detection relies on
+REVOKE EXECUTE ON FUNCTION log_qr_scan(UUID, TEXT, INET, TEXT, TEXT, TEXT, TEXT, TEXT, JSONB, INTEGER) FROM PUBLIC, anon, authenticated;
+
+-- Raise or bump a clone-detection flag for a product
+CREATE OR REPLACE FUNCTION flag_suspicious_scan(
+    p_product_id UUID,
+    p_scan_id UUID,
+    p_qr_code TEXT,
+    p_reason TEXT,
+    p_severity TEXT DEFAULT 'high',
+    p_details JSONB DEFAULT '{}'
+) RETURNS UUID AS $$
+DECLARE
+    flag_id UUID;
+BEGIN
+    UPDATE suspicious_scans
+    SET occurrences = occurrences + 1,
+        last_detected_at = NOW(),
+        scan_id = COALESCE(p_scan_id, scan_id),
+        details = COALESCE(p_details, details)
+    WHERE product_id = p_product_id
+      AND reason = p_reason
+      AND status = 'open'
+    RETURNING id INTO flag_id;
+
+    IF flag_id IS NULL THEN
+        INSERT INTO suspicious_scans (product_id, scan_id, qr_code, reason, severity, details)
+        VALUES (p_product_id, p_scan_id, p_qr_code, p_reason, COALESCE(p_severity, 'high'), COALESCE(p_details, '{}'))
+        RETURNING id INTO flag_id;
+    END IF;
+
+    RETURN flag_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Only the server (service role) raises flags; anyone else could fake clone warnings
+REVOKE EXECUTE ON FUNCTION flag_suspicious_scan(UUID, UUID, TEXT, TEXT, TEXT, JSONB) FROM PUBLIC, anon, authenticated;
+
+-- Lease a running batch operation to a worker; expired leases can be taken over
+CREATE OR REPLACE FUNCTION claim_batch_operation(
+    p_worker_id TEXT,
+    p_lease_seconds INTEGER DEFAULT 60,
+    p_operation_id UUID DEFAULT NULL
+) RETURNS batch_operations AS $$
+    UPDATE batch_operations
+    SET lease_owner = p_worker_id,
+        lease_expires_at = NOW() + make_interval(secs => p_lease_seconds)
+    WHERE id = (
+        SELECT id FROM batch_operations
+        WHERE status = 'running'
+          AND (p_operation_id IS NULL OR id = p_operation_id)
+          AND (lease_expires_at IS NULL OR lease_expires_at < NOW())
+        ORDER BY started_at NULLS FIRST, created_at
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *;
+$$ LANGUAGE sql SECURITY DEFINER;
+
+-- Only the server's batch worker leases operations
+REVOKE EXECUTE ON FUNCTION claim_batch_operation(TEXT, INTEGER, UUID) FROM PUBLIC, anon, authenticated;
+
+-- Resolve a device API key (by its SHA-256 hash) to its factory; only issued keys of active factories match
+CREATE OR REPLACE FUNCTION authenticate_factory_api_key(p_api_key_hash TEXT)
+RETURNS TABLE (factory_id UUID, factory_name TEXT, scopes TEXT[], issued_by UUID) AS $$
+    SELECT id, name, api_key_scopes, api_key_issued_by
+    FROM factories
+    WHERE api_key_hash = p_api_key_hash
+      AND api_key_issued_at IS NOT NULL
+      AND is_active = true;
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Hand the oldest queued label to a printer; jobs stuck in 'printing' are retried after p_stale_seconds
+CREATE OR REPLACE FUNCTION claim_label_print_job(
+    p_factory_id UUID,
+    p_device_id TEXT,
+    p_stale_seconds INTEGER DEFAULT 300
+) RETURNS label_print_jobs AS $$
+    UPDATE label_print_jobs
+    SET status = 'printing',
+        device_id = p_device_id,
+        claimed_at = NOW(),
+        attempts = attempts + 1
+    WHERE id = (
+        SELECT id FROM label_print_jobs
+        WHERE factory_id = p_factory_id
+          AND (status = 'queued'
+               OR (status = 'printing' AND claimed_at < NOW() - make_interval(secs => p_stale_seconds)))
+        ORDER BY created_at
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *;
+$$ LANGUAGE sql SECURITY DEFINER;
+
+-- Only the server claims jobs, after authenticating the printer's API key
+REVOKE EXECUTE ON FUNCTION claim_label_print_job(UUID, TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
+
+-- Reserve codes generated by the app for a factory in one transaction; any
+-- code already used or reserved aborts the whole reservation
+CREATE OR REPLACE FUNCTION reserve_qr_codes(
+    p_factory_id UUID,
+    p_codes TEXT[],
+    p_name TEXT,
+    p_created_by UUID DEFAULT NULL
+) RETURNS qr_code_pools AS $$
+DECLARE
+    pool qr_code_pools;
+    reserved INTEGER;
+BEGIN
+    IF p_codes IS NULL OR cardinality(p_codes) = 0 THEN
+        RAISE EXCEPTION 'At least one code is required';
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM products WHERE qr_code = ANY(p_codes)) THEN
+        RAISE EXCEPTION 'QR code already assigned to a product' USING ERRCODE = 'unique_violation';
+    END IF;
+
+    INSERT INTO qr_code_pools (factory_id, name, requested_count, created_by)
+    VALUES (p_factory_id, p_name, cardinality(p_codes), p_created_by)
+    RETURNING * INTO pool;
+
+    -- Reserved codes collide on the primary key
+    INSERT INTO qr_code_reservations (qr_code, pool_id, factory_id, sequence)
+    SELECT code, pool.id, p_factory_id, position
+    FROM unnest(p_codes) WITH ORDINALITY AS codes(code, position);
+
+    GET DIAGNOSTICS reserved = ROW_COUNT;
+
+    UPDATE qr_code_pools SET available_count = reserved
+    WHERE id = pool.id
+    RETURNING * INTO pool;
+
+    RETURN pool;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Pools are reserved by the server once the codes have been generated
+REVOKE EXECUTE ON FUNCTION reserve_qr_codes(UUID, TEXT[], TEXT, UUID) FROM PUBLIC, anon, authenticated;
+
+-- Take a reserved code for a new product: a specific code, or the next one in a pool
+CREATE OR REPLACE FUNCTION claim_reserved_qr_code(
+    p_factory_id UUID,
+    p_qr_code TEXT DEFAULT NULL,
+    p_pool_id UUID DEFAULT NULL
+) RETURNS qr_code_reservations AS $$
+DECLARE
+    claimed qr_code_reservations;
+BEGIN
+    UPDATE qr_code_reservations
+    SET status = 'assigned',
+        assigned_at = NOW()
+    WHERE qr_code = (
+        SELECT r.qr_code FROM qr_code_reservations r
+        JOIN qr_code_pools p ON p.id = r.pool_id
+        WHERE r.factory_id = p_factory_id
+          AND r.status = 'available'
+          AND p.status = 'active'
+          AND (p_qr_code IS NULL OR r.qr_code = p_qr_code)
+          AND (p_pool_id IS NULL OR r.pool_id = p_pool_id)
+        ORDER BY r.sequence
+        LIMIT 1
+        FOR UPDATE OF r SKIP LOCKED
+    )
+    RETURNING * INTO claimed;
+
+    IF claimed.qr_code IS NOT NULL THEN
+        UPDATE qr_code_pools
+        SET available_count = available_count - 1,
+            assigned_count = assigned_count + 1,
+            status = CASE WHEN available_count - 1 = 0 THEN 'exhausted' ELSE status END
+        WHERE id = claimed.pool_id;
+    END IF;
+
+    RETURN claimed;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Reserved codes are only handed out by the server, to callers it has authorised
+REVOKE EXECUTE ON FUNCTION claim_reserved_qr_code(UUID, TEXT, UUID) FROM PUBLIC, anon, authenticated;
+
+-- Record the product a claimed code was bound to
+CREATE OR REPLACE FUNCTION bind_qr_code_reservation(p_qr_code TEXT, p_product_id UUID)
+RETURNS void AS $$
+    UPDATE qr_code_reservations
+    SET product_id = p_product_id
+    WHERE qr_code = p_qr_code AND status = 'assigned';
+$$ LANGUAGE sql SECURITY DEFINER;
+
+-- Only the server binds a reservation to the product it just created
+REVOKE EXECUTE ON FUNCTION bind_qr_code_reservation(TEXT, UUID) FROM PUBLIC, anon, authenticated;
+
+-- Return a claimed code whose product was never created to its pool
+CREATE OR REPLACE FUNCTION release_qr_code_reservation(p_qr_code TEXT)
+RETURNS void AS $$
+DECLARE
+    released qr_code_reservations;
+BEGIN
+    UPDATE qr_code_reservations
+    SET status = 'available',
+        assigned_at = NULL
+    WHERE qr_code = p_qr_code
+      AND status = 'assigned'
+      AND product_id IS NULL
+    RETURNING * INTO released;
+
+    IF released.qr_code IS NOT NULL THEN
+        UPDATE qr_code_pools
+        SET available_count = available_count + 1,
+            assigned_count = assigned_count - 1,
+            status = CASE WHEN status = 'exhausted' THEN 'active' ELSE status END
+        WHERE id = released.pool_id;
+    END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Only the server releases a reservation, when product creation fails
+REVOKE EXECUTE ON FUNCTION release_qr_code_reservation(TEXT) FROM PUBLIC, anon, authenticated;
+
+-- Void unassigned codes (lost or damaged labels); voiding without p_codes voids the whole pool
+CREATE OR REPLACE FUNCTION void_qr_codes(
+    p_pool_id UUID,
+    p_codes TEXT[] DEFAULT NULL,
+    p_voided_by UUID DEFAULT NULL,
+    p_reason TEXT DEFAULT NULL
+) RETURNS qr_code_pools AS $$
+DECLARE
+    pool qr_code_pools;
+    voided INTEGER;
+BEGIN
+    SELECT * FROM qr_code_pools WHERE id = p_pool_id FOR UPDATE INTO pool;
+
+    UPDATE qr_code_reservations
+    SET status = 'voided',
+        voided_at = NOW()
+    WHERE pool_id = p_pool_id
+      AND status = 'available'
+      AND (p_codes IS NULL OR qr_code = ANY(p_codes));
+
+    GET DIAGNOSTICS voided = ROW_COUNT;
+
+    UPDATE qr_code_pools
+    SET available_count = available_count - voided,
+        voided_count = voided_count + voided,
+        status = CASE
+            WHEN p_codes IS NULL THEN 'voided'
+            WHEN available_count - voided = 0 AND status = 'active' THEN 'exhausted'
+            ELSE status
+        END,
+        voided_by = CASE WHEN p_codes IS NULL THEN p_voided_by ELSE voided_by END,
+        voided_at = CASE WHEN p_codes IS NULL THEN NOW() ELSE voided_at END,
+        void_reason = CASE WHEN p_codes IS NULL THEN p_reason ELSE void_reason END
+    WHERE id = p_pool_id
+    RETURNING * INTO pool;
+
+    RETURN pool;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Only the server voids codes, after checking the caller may manage the pool
+REVOKE EXECUTE ON FUNCTION void_qr_codes(UUID, TEXT[], UUID, TEXT) FROM PUBLIC, anon, authenticated;
+
+-- Replace a product's marker set in one transaction. Entries with an id update
+-- that marker, entries without one are created, and markers left out are deleted;
+-- the array order becomes the order consumers check them in. p_actor is recorded
+-- as the author of the resulting version (the server calls this as the service role).
+CREATE OR REPLACE FUNCTION replace_authentication_markers(
+    p_product_id UUID,
+    p_markers JSONB,
+    p_actor UUID DEFAULT NULL
+) RETURNS SETOF authentication_markers AS $$
+BEGIN
+    PERFORM set_config('app.version_actor', COALESCE(p_actor::TEXT, ''), true);
+
+    -- Serialise concurrent replacements of the same product's markers
+    PERFORM 1 FROM products WHERE id = p_product_id FOR UPDATE;
+
+    DELETE FROM authentication_markers
+    WHERE product_id = p_product_id
+    AND id NOT IN (
+        SELECT (entry->>'id')::UUID
+        FROM jsonb_array_elements(p_markers) AS entry
+        WHERE entry->>'id' IS NOT NULL
+    );
+
+    UPDATE authentication_markers am SET
+        image_id = (entry->>'image_id')::UUID,
+        type = (entry->>'type')::marker_type,
+        position = entry->>'position',
+        color = entry->>'color',
+        pattern = entry->>'pattern',
+        size_mm = (entry->>'size_mm')::DECIMAL,
+        coordinates = NULLIF(entry->'coordinates', 'null'::JSONB),
+        description = entry->>'description',
+        verification_instructions = entry->>'verification_instructions',
+        sort_order = ordinality
+    FROM jsonb_array_elements(p_markers) WITH ORDINALITY AS entries(entry, ordinality)
+    WHERE am.product_id = p_product_id
+    AND entry->>'id' IS NOT NULL
+    AND am.id = (entry->>'id')::UUID;
+
+    INSERT INTO authentication_markers (
+        product_id, image_id, type, position, color, pattern, size_mm,
+        coordinates, description, verification_instructions, sort_order
+    )
+    SELECT
+        p_product_id,
+        (entry->>'image_id')::UUID,
+        (entry->>'type')::marker_type,
+        entry->>'position',
+        entry->>'color',
+        entry->>'pattern',
+        (entry->>'size_mm')::DECIMAL,
+        NULLIF(entry->'coordinates', 'null'::JSONB),
+        entry->>'description',
+        entry->>'verification_instructions',
+        ordinality
+    FROM jsonb_array_elements(p_markers) WITH ORDINALITY AS entries(entry, ordinality)
+    WHERE entry->>'id' IS NULL;
+
+    RETURN QUERY
+    SELECT * FROM authentication_markers
+    WHERE product_id = p_product_id
+    ORDER BY sort_order, created_at;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Only the server replaces marker sets, after checking the caller's access to the product
+REVOKE EXECUTE ON FUNCTION replace_authentication_markers(UUID, JSONB, UUID) FROM PUBLIC, anon, authenticated;
+
+-- Product, photo and marker state as stored in product_versions.snapshot;
+-- NULL once the product is deleted
+CREATE OR REPLACE FUNCTION product_version_snapshot(p_product_id UUID) RETURNS JSONB AS $$
+    SELECT jsonb_build_object(
+        'product', jsonb_build_object(
+            'product_name', p.product_name,
+            'product_type', p.product_type,
+            'description', p.description,
+            'batch_id', p.batch_id,
+            'serial_number', p.serial_number,
+            'manufacturing_date', p.manufacturing_date,
+            'expiry_date', p.expiry_date,
+            'status', p.status
+        ),
+        'images', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object(
+                'id', i.id,
+                'image_url', i.image_url,
+                'thumbnail_url', i.thumbnail_url,
+                'image_type', i.image_type,
+                'angle_description', i.angle_description,
+                'is_primary', i.is_primary,
+                'file_size', i.file_size,
+                'dimensions', i.dimensions
+            ) ORDER BY i.created_at, i.id)
+            FROM product_images i
+            WHERE i.product_id = p.id
+        ), '[]'::JSONB),
+        'markers', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object(
+                'id', m.id,
+                'image_id', m.image_id,
+                'type', m.type,
+                'position', m.position,
+                'color', m.color,
+                'pattern', m.pattern,
+                'size_mm', m.size_mm,
+                'coordinates', m.coordinates,
+                'description', m.description,
+                'verification_instructions', m.verification_instructions,
+                'sort_order', m.sort_order
+            ) ORDER BY m.sort_order NULLS LAST, m.created_at)
+            FROM authentication_markers m
+            WHERE m.product_id = p.id
+        ), '[]'::JSONB)
+    )
+    FROM products p
+    WHERE p.id = p_product_id;
+$$ LANGUAGE sql STABLE;
+
+-- Store the product's current state as a new version, unless nothing changed.
+-- Changes made in one transaction (marker set replacement, restores) share a version.
+-- The author is the signed-in user, or the actor that server-side functions running
+-- as the service role set in app.version_actor for the transaction.
+CREATE OR REPLACE FUNCTION record_product_version(p_product_id UUID) RETURNS VOID AS $$
+DECLARE
+    current_snapshot JSONB;
+    latest product_versions%ROWTYPE;
+BEGIN
+    -- Serialise version numbering per product
+    PERFORM 1 FROM products WHERE id = p_product_id FOR UPDATE;
+
+    current_snapshot := product_version_snapshot(p_product_id);
+    IF current_snapshot IS NULL THEN
+        RETURN;
+    END IF;
+
+    SELECT * INTO latest FROM product_versions
+    WHERE product_id = p_product_id
+    ORDER BY version_number DESC
+    LIMIT 1;
+
+    IF FOUND AND latest.snapshot = current_snapshot THEN
+        RETURN;
+    END IF;
+
+    IF FOUND AND latest.transaction_id = txid_current() THEN
+        UPDATE product_versions SET snapshot = current_snapshot WHERE id = latest.id;
+    ELSE
+        INSERT INTO product_versions (product_id, version_number, snapshot, created_by)
+        VALUES (
+            p_product_id,
+            COALESCE(latest.version_number, 0) + 1,
+            current_snapshot,
+            COALESCE(auth.uid(), NULLIF(current_setting('app.version_actor', true), '')::UUID)
+        );
+    END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Versions are only written by the capture_product_version trigger
+REVOKE EXECUTE ON FUNCTION record_product_version(UUID) FROM PUBLIC, anon, authenticated;
+
+-- Runs as the owner so it can call record_product_version, which callers may not execute
+CREATE OR REPLACE FUNCTION capture_product_version() RETURNS TRIGGER AS $$
+DECLARE
+    changed JSONB;
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        changed := to_jsonb(OLD);
+    ELSE
+        changed := to_jsonb(NEW);
+    END IF;
+
+    PERFORM record_product_version(
+        CASE WHEN TG_TABLE_NAME = 'products' THEN (changed->>'id')::UUID ELSE (changed->>'product_id')::UUID END
+    );
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE TRIGGER capture_products_version AFTER INSERT OR UPDATE ON products
+    FOR EACH ROW EXECUTE FUNCTION capture_product_version();
+
+CREATE TRIGGER capture_product_images_version AFTER INSERT OR UPDATE OR DELETE ON product_images
+    FOR EACH ROW EXECUTE FUNCTION capture_product_version();
+
+CREATE TRIGGER capture_authentication_markers_version AFTER INSERT OR UPDATE OR DELETE ON authentication_markers
+    FOR EACH ROW EXECUTE FUNCTION capture_product_version();
+
+-- Bring a product's fields, photos and markers back to an earlier version.
+-- Pending, approved and published products go back to draft with their approval
+-- cleared, so the restored content is approved (and checked for photos and
+-- markers) before it is published again. Archived products stay archived.
+-- Fails with PRODUCT_CHANGED when the product's updated_at no longer matches p_expected_updated_at.
+-- Returns the number of the version the restore created (NULL when nothing changed).
+-- p_actor is recorded as the author of that version.
+CREATE OR REPLACE FUNCTION restore_product_version(
+    p_product_id UUID,
+    p_version_number INTEGER,
+    p_expected_updated_at TIMESTAMP WITH TIME ZONE,
+    p_actor UUID DEFAULT NULL
+) RETURNS INTEGER AS $$
+DECLARE
+    target JSONB;
+    restored INTEGER;
+BEGIN
+    PERFORM set_config('app.version_actor', COALESCE(p_actor::TEXT, ''), true);
+
+    PERFORM 1 FROM products
+    WHERE id = p_product_id AND updated_at = p_expected_updated_at
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'PRODUCT_CHANGED';
+    END IF;
+
+    SELECT snapshot INTO target FROM product_versions
+    WHERE product_id = p_product_id AND version_number = p_version_number;
+
+    IF target IS NULL THEN
+        RAISE EXCEPTION 'Version % of product % not found', p_version_number, p_product_id;
+    END IF;
+
+    UPDATE products SET
+        product_name = target->'product'->>'product_name',
+        product_type = target->'product'->>'product_type',
+        description = target->'product'->>'description',
+        batch_id = target->'product'->>'batch_id',
+        serial_number = target->'product'->>'serial_number',
+        manufacturing_date = (target->'product'->>'manufacturing_date')::DATE,
+        expiry_date = (target->'product'->>'expiry_date')::DATE,
+        status = CASE WHEN status = 'archived' THEN status ELSE 'draft' END,
+        approved_by = CASE WHEN status = 'archived' THEN approved_by END,
+        approved_at = CASE WHEN status = 'archived' THEN approved_at END
+    WHERE id = p_product_id;
+
+    -- Photos keep their ids, so markers stay linked; image files are kept in storage
+    -- while the product exists, so earlier rows can be put back
+    DELETE FROM product_images
+    WHERE product_id = p_product_id
+    AND id NOT IN (SELECT (entry->>'id')::UUID FROM jsonb_array_elements(target->'images') AS entry);
+
+    INSERT INTO product_images (
+        id, product_id, image_url, thumbnail_url, image_type, angle_description,
+        is_primary, file_size, dimensions
+    )
+    SELECT
+        (entry->>'id')::UUID,
+        p_product_id,
+        entry->>'image_url',
+        entry->>'thumbnail_url',
+        entry->>'image_type',
+        entry->>'angle_description',
+        (entry->>'is_primary')::BOOLEAN,
+        (entry->>'file_size')::INTEGER,
+        NULLIF(entry->'dimensions', 'null'::JSONB)
+    FROM jsonb_array_elements(target->'images') AS entry
+    ON CONFLICT (id) DO UPDATE SET
+        image_type = EXCLUDED.image_type,
+        angle_description = EXCLUDED.angle_description,
+        is_primary = EXCLUDED.is_primary;
+
+    DELETE FROM authentication_markers
+    WHERE product_id = p_product_id
+    AND id NOT IN (SELECT (entry->>'id')::UUID FROM jsonb_array_elements(target->'markers') AS entry);
+
+    INSERT INTO authentication_markers (
+        id, product_id, image_id, type, position, color, pattern, size_mm,
+        coordinates, description, verification_instructions, sort_order
+    )
+    SELECT
+        (entry->>'id')::UUID,
+        p_product_id,
+        (entry->>'image_id')::UUID,
+        (entry->>'type')::marker_type,
+        entry->>'position',
+        entry->>'color',
+        entry->>'pattern',
+        (entry->>'size_mm')::DECIMAL,
+        NULLIF(entry->'coordinates', 'null'::JSONB),
+        entry->>'description',
+        entry->>'verification_instructions',
+        (entry->>'sort_order')::INTEGER
+    FROM jsonb_array_elements(target->'markers') AS entry
+    ON CONFLICT (id) DO UPDATE SET
+        image_id = EXCLUDED.image_id,
+        type = EXCLUDED.type,
+        position = EXCLUDED.position,
+        color = EXCLUDED.color,
+        pattern = EXCLUDED.pattern,
+        size_mm = EXCLUDED.size_mm,
+        coordinates = EXCLUDED.coordinates,
+        description = EXCLUDED.description,
+        verification_instructions = EXCLUDED.verification_instructions,
+        sort_order = EXCLUDED.sort_order;
+
+    UPDATE product_versions SET restored_from = p_version_number
+    WHERE product_id = p_product_id AND transaction_id = txid_current()
+    RETURNING version_number INTO restored;
+
+    RETURN restored;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Only the server restores versions, after checking the caller's access and the expected updated_at
+REVOKE EXECUTE ON FUNCTION restore_product_version(UUID, INTEGER, TIMESTAMP WITH TIME ZONE, UUID) FROM PUBLIC, anon, authenticated;
+
+-- Count unresolved high-severity clone flags so the public page can warn consumers.
+-- Lower-severity flags (e.g. pre_publication_scan from QA scans) stay admin-only.
+CREATE OR REPLACE FUNCTION count_active_clone_flags(p_product_id UUID) RETURNS INTEGER AS $$
+    SELECT COUNT(*)::INTEGER FROM suspicious_scans
+    WHERE product_id = p_product_id AND status IN ('open', 'confirmed') AND severity = 'high';
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Facet counts for the product search: status, type, factory and month created.
+-- Each facet applies every filter except its own, so the counts show what picking
+-- another value would return. p_scope_factory_id limits non-admins to their factory;
+-- p_query is a to_tsquery('simple', ...) expression.
+CREATE OR REPLACE FUNCTION product_search_facets(
+    p_scope_factory_id UUID DEFAULT NULL,
+    p_query TEXT DEFAULT NULL,
+    p_factory_id UUID DEFAULT NULL,
+    p_status product_status DEFAULT NULL,
+    p_product_type TEXT DEFAULT NULL,
+    p_month TEXT DEFAULT NULL,
+    p_batch_id TEXT DEFAULT NULL,
+    p_date_from DATE DEFAULT NULL,
+    p_date_to DATE DEFAULT NULL
+) RETURNS JSONB AS $$
+    WITH matches AS (
+        SELECT p.status, p.product_type, p.factory_id, to_char(p.created_at, 'YYYY-MM') AS month
+        FROM products p
+        WHERE (p_scope_factory_id IS NULL OR p.factory_id = p_scope_factory_id)
+        AND (p_query IS NULL OR p.search_vector @@ to_tsquery('simple', p_query))
+        AND (p_batch_id IS NULL OR p.batch_id = p_batch_id)
+        AND (p_date_from IS NULL OR p.created_at >= p_date_from)
+        AND (p_date_to IS NULL OR p.created_at < p_date_to + 1)
+    )
+    SELECT jsonb_build_object(
+        'status', (
+            SELECT COALESCE(jsonb_agg(jsonb_build_object('value', status, 'count', total) ORDER BY total DESC), '[]'::JSONB)
+            FROM (
+                SELECT status, COUNT(*) AS total FROM matches
+                WHERE (p_factory_id IS NULL OR factory_id = p_factory_id)
+                AND (p_product_type IS NULL OR product_type = p_product_type)
+                AND (p_month IS NULL OR month = p_month)
+                GROUP BY status
+            ) counts
+        ),
+        'product_type', (
+            SELECT COALESCE(jsonb_agg(jsonb_build_object('value', product_type, 'count', total) ORDER BY total DESC, product_type), '[]'::JSONB)
+            FROM (
+                SELECT product_type, COUNT(*) AS total FROM matches
+                WHERE (p_factory_id IS NULL OR factory_id = p_factory_id)
+                AND (p_status IS NULL OR status = p_status)
+                AND (p_month IS NULL OR month = p_month)
+                GROUP BY product_type
+            ) counts
+        ),
+        'factory', (
+            SELECT COALESCE(jsonb_agg(jsonb_build_object('value', counts.factory_id, 'label', f.name, 'count', total) ORDER BY total DESC, f.name), '[]'::JSONB)
+            FROM (
+                SELECT factory_id, COUNT(*) AS total FROM matches
+                WHERE (p_status IS NULL OR status = p_status)
+                AND (p_product_type IS NULL OR product_type = p_product_type)
+                AND (p_month IS NULL OR month = p_month)
+                GROUP BY factory_id
+            ) counts
+            JOIN factories f ON f.id = counts.factory_id
+        ),
+        'month', (
+            SELECT COALESCE(jsonb_agg(jsonb_build_object('value', month, 'count', total) ORDER BY month DESC), '[]'::JSONB)
+            FROM (
+                SELECT month, COUNT(*) AS total FROM matches
+                WHERE (p_factory_id IS NULL OR factory_id = p_factory_id)
+                AND (p_status IS NULL OR status = p_status)
+                AND (p_product_type IS NULL OR product_type = p_product_type)
+                GROUP BY month
+            ) counts
+        )
+    );
+$$ LANGUAGE sql STABLE;
+
+-- Recall every product of the factory matching the batch and/or manufacturing date
+-- range in one transaction. 'archive' recalls archive the products whatever their
+-- status; the previous status is kept so lifting the recall can put it back.
+-- Fails with NO_MATCHING_PRODUCTS when nothing matches.
+CREATE OR REPLACE FUNCTION create_product_recall(
+    p_factory_id UUID,
+    p_title TEXT,
+    p_notice TEXT,
+    p_action TEXT,
+    p_batch_id TEXT DEFAULT NULL,
+    p_manufactured_from DATE DEFAULT NULL,
+    p_manufactured_to DATE DEFAULT NULL,
+    p_created_by UUID DEFAULT NULL
+) RETURNS product_recalls AS $$
+DECLARE
+    recall product_recalls;
+    affected INTEGER;
+BEGIN
+    INSERT INTO product_recalls (
+        factory_id, title, notice, action, batch_id, manufactured_from, manufactured_to, created_by
+    ) VALUES (
+        p_factory_id, p_title, p_notice, p_action, p_batch_id, p_manufactured_from, p_manufactured_to, p_created_by
+    )
+    RETURNING * INTO recall;
+
+    INSERT INTO product_recall_items (recall_id, product_id, qr_code, previous_status)
+    SELECT recall.id, p.id, p.qr_code, p.status
+    FROM products p
+    WHERE p.factory_id = p_factory_id
+    AND (p_batch_id IS NULL OR p.batch_id = p_batch_id)
+    AND (p_manufactured_from IS NULL OR p.manufacturing_date >= p_manufactured_from)
+    AND (p_manufactured_to IS NULL OR p.manufacturing_date <= p_manufactured_to)
+    FOR UPDATE OF p;
+
+    GET DIAGNOSTICS affected = ROW_COUNT;
+
+    IF affected = 0 THEN
+        RAISE EXCEPTION 'NO_MATCHING_PRODUCTS';
+    END IF;
+
+    IF p_action = 'archive' THEN
+        UPDATE products SET status = 'archived'
+        WHERE id IN (SELECT product_id FROM product_recall_items WHERE recall_id = recall.id)
+        AND status <> 'archived';
+    END IF;
+
+    UPDATE product_recalls SET product_count = affected
+    WHERE id = recall.id
+    RETURNING * INTO recall;
+
+    RETURN recall;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Only the server issues recalls, after checking the caller's permission and factory
+REVOKE EXECUTE ON FUNCTION create_product_recall(UUID, TEXT, TEXT, TEXT, TEXT, DATE, DATE, UUID) FROM PUBLIC, anon, authenticated;
+
+-- End an active recall. Products it archived go back to their earlier status unless
+-- they were changed since or another active recall still archives them.
+-- Fails with RECALL_NOT_ACTIVE when the recall was already lifted.
+CREATE OR REPLACE FUNCTION lift_product_recall(
+    p_recall_id UUID,
+    p_lifted_by UUID DEFAULT NULL,
+    p_reason TEXT DEFAULT NULL
+) RETURNS product_recalls AS $$
+DECLARE
+    recall product_recalls;
+BEGIN
+    SELECT * FROM product_recalls WHERE id = p_recall_id FOR UPDATE INTO recall;
+
+    IF recall.id IS NULL OR recall.status <> 'active' THEN
+        RAISE EXCEPTION 'RECALL_NOT_ACTIVE';
+    END IF;
+
+    IF recall.action = 'archive' THEN
+        UPDATE products p SET status = i.previous_status
+        FROM product_recall_items i
+        WHERE i.recall_id = p_recall_id
+        AND p.id = i.product_id
+        AND p.status = 'archived'
+        AND i.previous_status <> 'archived'
+        AND NOT EXISTS (
+            SELECT 1 FROM product_recall_items other
+            JOIN product_recalls r ON r.id = other.recall_id
+            WHERE other.product_id = p.id
+            AND r.id <> p_recall_id
+            AND r.status = 'active'
+            AND r.action = 'archive'
+        );
+    END IF;
+
+    UPDATE product_recalls SET
+        status = 'lifted',
+        lifted_by = p_lifted_by,
+        lifted_at = NOW(),
+        lift_reason = p_reason
+    WHERE id = p_recall_id
+    RETURNING * INTO recall;
+
+    RETURN recall;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Only the server lifts recalls, after checking the caller's permission and factory
+REVOKE EXECUTE ON FUNCTION lift_product_recall(UUID, UUID, TEXT) FROM PUBLIC, anon, authenticated;
+
+-- The newest active recall covering a product, for the public verification page
+CREATE OR REPLACE FUNCTION active_product_recall(p_product_id UUID)
+RETURNS TABLE (id UUID, title TEXT, notice TEXT, action TEXT, created_at TIMESTAMP WITH TIME ZONE) AS $$
+    SELECT r.id, r.title, r.notice, r.action, r.created_at
+    FROM product_recall_items i
+    JOIN product_recalls r ON r.id = i.recall_id
+    WHERE i.product_id = p_product_id AND r.status = 'active'
+    ORDER BY r.created_at DESC
+    LIMIT 1;
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Every code a recall covers with its scan count and where it was last scanned
+CREATE OR REPLACE FUNCTION recall_scan_report(p_recall_id UUID)
+RETURNS TABLE (
+    product_id UUID,
+    qr_code TEXT,
+    product_name TEXT,
+    batch_id TEXT,
+    manufacturing_date DATE,
+    previous_status product_status,
+    status product_status,
+    scan_count BIGINT,
+    last_scanned_at TIMESTAMP WITH TIME ZONE,
+    last_city TEXT,
+    last_country TEXT
+) AS $$
+    SELECT
+        i.product_id, i.qr_code, p.product_name, p.batch_id, p.manufacturing_date,
+        i.previous_status, p.status,
+        (SELECT COUNT(*) FROM qr_scans s WHERE s.product_id = i.product_id),
+        last_scan.scanned_at, last_scan.city, last_scan.country
+    FROM product_recall_items i
+    JOIN products p ON p.id = i.product_id
+    LEFT JOIN LATERAL (
+        SELECT s.scanned_at, s.city, s.country FROM qr_scans s
+        WHERE s.product_id = i.product_id
+        ORDER BY s.scanned_at DESC
+        LIMIT 1
+    ) last_scan ON TRUE
+    WHERE i.recall_id = p_recall_id
+    ORDER BY i.qr_code;
+$$ LANGUAGE sql STABLE;
+
 -- Create materialized view for dashboard statistics
 CREATE MATERIALIZED VIEW factory_stats AS
 SELECT 
@@ -14,7 +14,9 @@ const RATE_LIMITS = {
   '/api/auth/signin': { windowMs: 15 * 60 * 1000, max: 5 }, // 5 attempts per 15 minutes
   '/api/products': { windowMs: 60 * 1000, max: 100 }, // 100 requests per minute
   '/api/upload': { windowMs: 60 * 1000, max: 20 }, // 20 uploads per minute
-  '/api/qr/generate': { windowMs: 60 * 1000, max: 50 } // 50 QR generations per minute
+  '/api/qr/generate': { windowMs: 60 * 1000, max: 50 }, // 50 QR generations per minute
+  '/api/reports/counterfeit': { windowMs: 60 * 60 * 1000, max: 5 }, // 5 public reports per hour
+  '/api/device': { windowMs: 60 * 1000, max: 120 } // 120 device requests per minute
 }
 
 // In-memory rate limiting store (use Redis in production)
@@ -12,6 +12,10 @@ const nextConfig = {
   images: {
     domains: ['via.placeholder.com', 'owevfzpqvrejnuzkmkkv.supabase.co'],
   },
+  experimental: {
+    // pdfkit reads its font metrics from disk, so it must not be bundled
+    serverComponentsExternalPackages: ['pdfkit', 'exceljs'],
+  },
 }
 
 module.exports = nextConfig